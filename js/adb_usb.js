@@ -9,15 +9,9 @@
  * OVERVIEW:
  * ---------
  * ADB uses a simple packet-based protocol. Each packet has a 24-byte header
- * followed by an optional payload. Communication happens over USB bulk endpoints.
- * 
- * USB INTERFACE:
- * --------------
- * Android devices expose ADB as a USB interface with:
- * - Class: 0xFF (Vendor Specific)
- * - Subclass: 0x42 (ADB)
- * - Protocol: 0x01
- * - Two bulk endpoints: one IN (device→host) and one OUT (host→device)
+ * followed by an optional payload. The bytes are carried by a transport
+ * (see TRANSPORT INTERFACE below); over USB they travel on bulk endpoints,
+ * see usb_transport.js.
  * 
  * CONNECTION FLOW:
  * ----------------
@@ -27,7 +21,42 @@
  * 4. If device doesn't recognize the key, it sends another AUTH token
  * 5. Host sends AUTH with its RSA public key
  * 6. User approves connection on device (or key is already trusted)
- * 7. Device sends CNXN packet confirming connection
+ * 7. Device sends CNXN packet confirming connection; both sides then use
+ *    the lower of the two protocol versions (see VERSION_SKIP_CHECKSUM)
+ * 
+ * CONNECTION STATES:
+ * ------------------
+ * AdbClient is an EventTarget. `client.state` follows the connection and
+ * every change fires a "statechange" event ({ detail: { state, previous } }):
+ * - "offline"                - Not connected, or the link was lost
+ * - "opening"                - Opening the transport, sending CNXN
+ * - "claiming"               - USB only: claiming the ADB interface
+ * - "awaiting-authorization" - Public key sent (step 5); waiting for the
+ *                              user to accept the prompt on the device
+ * - "connected"              - Handshake done, streams can be opened
+ * - "unauthorized"           - The user didn't accept in time, or the
+ *                              device rejected the key
+ * 
+ * The handshake is given CONNECT_TIMEOUT_MS. Once the public key is out,
+ * the wait switches to the separate `authTimeoutMs`, since a person has
+ * to find the phone and tap "Allow".
+ * 
+ * EVENTS AND CANCELLATION:
+ * ------------------------
+ * Besides "statechange", the client fires (all CustomEvents, data in
+ * `event.detail`):
+ * - "packet"       - Every packet sent or received (the packetLog entry)
+ * - "stream-open"  - The device accepted an OPEN ({ localId, remoteId, service })
+ * - "stream-close" - A stream ended ({ localId, service, error })
+ * - "disconnect"   - A connected client went offline ({ error }; null
+ *                    after disconnect(), the cause when the link was lost)
+ * - "error"        - A corrupt packet, or the read loop giving up ({ error })
+ * 
+ * connect(), runShell(), shellStream(), execShell(), openShell(), the
+ * package methods, the sync methods (stat, listDir, pull, push) and
+ * openStream() take an AbortSignal (`{ signal }`). Aborting closes the stream with CLSE
+ * (or stops the handshake) and rejects with the signal's reason, an
+ * AbortError unless the caller chose another one.
  * 
  * STREAM OPERATIONS:
  * ------------------
@@ -36,15 +65,43 @@
  * 2. Device responds with OKAY containing remote-id
  * 3. Device sends WRTE packets with data, host acknowledges with OKAY
  * 4. Either side sends CLSE to close the stream
+ * 
+ * SYNC SERVICE:
+ * -------------
+ * File transfer uses a stream opened to "sync:". Inside that stream, each
+ * request is a 4-byte id (STAT, LIST, RECV, SEND, ...) plus a 32-bit length
+ * and data. See stat(), listDir(), pull() and push() below.
+ * 
+ * TRANSPORT INTERFACE:
+ * --------------------
+ * AdbClient only deals with ADB packets. Moving the bytes is delegated to
+ * a transport object with this shape:
+ * - opened: boolean              - Whether the link is usable
+ * - open(onProgress): Promise    - Prepare the link (open/claim/connect);
+ *                                  may call onProgress("claiming")
+ * - close(): Promise             - Tear down the link, ignoring errors
+ * - send(header, payload): Promise - Send one packet's header and payload
+ * - read(length): Promise<Uint8Array|undefined>
+ *                                - Read the next header or payload
+ * - recover(direction): Promise  - Reset after an error ("in" or "out")
+ * - getDiagnostics(), getFullDiagnostics() - Connection details for logs
+ * - serialNumber: string|null    - Fallback serial if the device has none
+ * - isSameDevice(usbDevice): boolean - Match a WebUSB disconnect event
+ * 
+ * Implementations:
+ * - UsbTransport (usb_transport.js) - WebUSB
+ * - WebSocketTransport (websocket_transport.js) - websockify bridge to TCP
  */
 
+import { getDefaultKeyManager } from "./adb_keys.js";
+import { readApkComponents } from "./apk_parser.js";
+import { mergeComponents, parsePackageDump } from "./package_dump.js";
+import { UsbTransport } from "./usb_transport.js";
+
 // Text encoding/decoding utilities for string<->binary conversion
 const textEncoder = new TextEncoder();
 const textDecoder = new TextDecoder();
 
-// LocalStorage key for persisting the RSA key pair across sessions
-const KEY_STORAGE = "uad.adbKeyPair";
-
 /**
  * ADB Authentication Types
  * Used in AUTH packet's arg0 field to indicate the type of auth data
@@ -53,34 +110,6 @@ const AUTH_TOKEN = 1;         // Device sends: 20-byte random token to sign
 const AUTH_SIGNATURE = 2;     // Host sends: RSA signature of the token
 const AUTH_RSAPUBLICKEY = 3;  // Host sends: RSA public key for device to store
 
-/**
- * SHA-1 Digest Info for PKCS#1 v1.5 Signature Padding
- * 
- * RSA signatures require PKCS#1 v1.5 padding which includes a DER-encoded
- * DigestInfo structure. This identifies the hash algorithm used (SHA-1).
- * 
- * Structure: SEQUENCE { SEQUENCE { OID sha1, NULL }, OCTET STRING digest }
- * The OID for SHA-1 is 1.3.14.3.2.26 (encoded as 06 05 2B 0E 03 02 1A)
- */
-const SHA1_DIGEST_LENGTH = 20;
-const SHA1_DIGEST_INFO = new Uint8Array([
-  0x30,                       // SEQUENCE tag
-  0x0d + SHA1_DIGEST_LENGTH,  // Length of sequence content (13 + 20 = 33)
-  0x30,                       // SEQUENCE tag (AlgorithmIdentifier)
-  0x09,                       // Length of AlgorithmIdentifier (9 bytes)
-  0x06,                       // OBJECT IDENTIFIER tag
-  0x05,                       // OID length (5 bytes)
-  1 * 40 + 3,                 // 1.3 (first two OID components encoded as 40*1+3=43)
-  14,                         // .14
-  3,                          // .3
-  2,                          // .2
-  26,                         // .26 (complete OID: 1.3.14.3.2.26 = SHA-1)
-  0x05,                       // NULL tag (algorithm parameters)
-  0x00,                       // NULL length
-  0x04,                       // OCTET STRING tag (for the digest)
-  SHA1_DIGEST_LENGTH,         // Digest length (20 bytes for SHA-1)
-]);
-
 /**
  * ADB Command Constants
  * 
@@ -96,23 +125,118 @@ const COMMANDS = {
   WRTE: commandToInt("WRTE"),  // Write data to stream
 };
 
+/**
+ * ADB Protocol Versions
+ *
+ * Both sides send their version in CNXN and the lower one is used.
+ * From VERSION_SKIP_CHECKSUM on, senders may leave data_crc at 0 and
+ * receivers don't verify it (USB and TCP already protect the data).
+ * With an older device, every payload checksum is sent and checked.
+ */
+const VERSION_MIN = 0x01000000;            // Original protocol
+const VERSION_SKIP_CHECKSUM = 0x01000001;  // Android 9+: checksums optional
+
+// Largest payload we accept, advertised in our CNXN (1MB)
+const MAX_PAYLOAD = 1024 * 1024;
+
+// How long the handshake may take until the device asks for authorization
+export const CONNECT_TIMEOUT_MS = 8000;
+
+// Default time the user gets to accept the "Allow USB debugging?" prompt
+const AUTH_TIMEOUT_MS = 60000;
+
+// APKs bigger than this aren't pulled just to read their manifest
+const MAX_MANIFEST_APK_BYTES = 64 * 1024 * 1024;
+
+// Framing errors in a row before the read loop gives up on the connection
+const MAX_FRAMING_ERRORS = 3;
+
+// Receive window offered per stream with delayed_ack: how many bytes the
+// device may send before it has to wait for our OKAY
+const DELAYED_ACK_WINDOW = 4 * MAX_PAYLOAD;
+
+// Unread bytes a sync stream buffers before acknowledgements are held back
+const SYNC_HIGH_WATER_MARK = 2 * MAX_PAYLOAD;
+
+// Same for shellStream(), whose reader takes everything buffered at once
+const SHELL_HIGH_WATER_MARK = 2 * MAX_PAYLOAD;
+
 /**
  * ADB Feature Flags
  * 
  * Sent in the CNXN packet to advertise host capabilities.
  * We use minimal features to ensure compatibility.
  * 
- * NOTE: We deliberately do NOT advertise "shell_v2" because that requires
- * implementing the shell v2 protocol with multiplexed stdin/stdout/stderr.
- * Without it, we use the simpler legacy shell protocol.
+ * "shell_v2" enables the multiplexed shell protocol (separate stdout/stderr
+ * and exit codes). It is only used when the device advertises it too;
+ * otherwise we fall back to the legacy shell protocol.
+ * 
+ * "delayed_ack" replaces the one-WRTE-at-a-time rule with a byte window
+ * per stream (see writeStream() and acknowledge()). It is only used when
+ * the device advertises it too.
  */
 const ADB_FEATURES = [
+  "shell_v2",         // Multiplexed shell protocol with exit codes
   "cmd",              // Support for cmd: service
   "stat_v2",          // Enhanced file stat information
   "ls_v2",            // Enhanced directory listing
   "fixed_push_mkdir", // Create parent directories when pushing files
+  "delayed_ack",      // Windowed flow control, several WRTEs in flight
 ];
 
+/**
+ * ADB Sync Protocol Message IDs
+ *
+ * The "sync:" service has its own framing on top of WRTE payloads. Every
+ * request and response starts with a 4-byte ASCII id followed by a 32-bit
+ * little-endian length (or value, depending on the id).
+ *
+ * STA2/LIS2/DNT2 are the "v2" variants that carry full 64-bit stat data.
+ * They are only used when the device also advertises stat_v2 / ls_v2.
+ */
+const SYNC_IDS = {
+  STAT: commandToInt("STAT"),  // Stat a path (v1: mode, size, mtime)
+  STA2: commandToInt("STA2"),  // Stat a path (v2: full struct stat)
+  LIST: commandToInt("LIST"),  // List a directory (v1 entries)
+  LIS2: commandToInt("LIS2"),  // List a directory (v2 entries)
+  DENT: commandToInt("DENT"),  // Directory entry (v1)
+  DNT2: commandToInt("DNT2"),  // Directory entry (v2)
+  RECV: commandToInt("RECV"),  // Pull a file from the device
+  SEND: commandToInt("SEND"),  // Push a file to the device
+  DATA: commandToInt("DATA"),  // File data chunk
+  DONE: commandToInt("DONE"),  // End of listing / end of file data
+  OKAY: commandToInt("OKAY"),  // Push completed successfully
+  FAIL: commandToInt("FAIL"),  // Operation failed, payload is the message
+  QUIT: commandToInt("QUIT"),  // End the sync session
+};
+
+/**
+ * Shell v2 Packet IDs
+ *
+ * With shell_v2, the shell stream carries its own packets inside WRTE
+ * payloads: 1-byte id + 32-bit little-endian length + data.
+ */
+const SHELL_V2_IDS = {
+  STDIN: 0,               // Host → device: input data
+  STDOUT: 1,              // Device → host: standard output
+  STDERR: 2,              // Device → host: standard error
+  EXIT: 3,                // Device → host: 1-byte exit code
+  CLOSE_STDIN: 4,         // Host → device: end of input
+  WINDOW_SIZE_CHANGE: 5,  // Host → device: terminal resize
+};
+
+// How long closing a shell_v2 session waits for the shell to exit
+const SHELL_EXIT_GRACE_MS = 1000;
+
+// Maximum size of a single DATA chunk in the sync protocol (64KB)
+const SYNC_DATA_MAX = 64 * 1024;
+
+// File type bits from struct stat, used to interpret sync modes
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+const S_IFLNK = 0o120000;
+
 /**
  * Convert a 4-character command string to a 32-bit little-endian integer.
  * 
@@ -240,392 +364,837 @@ function parseProperties(payload) {
 }
 
 /**
- * Check if a USB alternate setting matches the ADB interface.
- * 
- * ADB uses a vendor-specific USB interface with specific class codes:
- * - Class: 0xFF (Vendor Specific)
- * - Subclass: 0x42 (ADB-specific)
- * - Protocol: 0x01 (ADB protocol version)
- * 
- * @param {USBAlternateInterface} alternate - USB alternate setting to check
- * @returns {boolean} True if this is an ADB interface
+ * Parse `pm list packages` output into package names.
+ *
+ * @param {string} output - Lines like "package:com.example.app"
+ * @returns {string[]} Package names in output order
  */
-function matchUsbInterface(alternate) {
-  return (
-    alternate.interfaceClass === 0xff &&
-    alternate.interfaceSubclass === 0x42 &&
-    alternate.interfaceProtocol === 0x01
-  );
+function parsePackageList(output) {
+  return output
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith("package:"))
+    .map((line) => line.replace("package:", ""))
+    .filter(Boolean);
 }
 
 /**
- * Search a USB device's configurations for an ADB interface.
- * 
- * Iterates through all configurations, interfaces, and alternate settings
- * to find one that matches the ADB class/subclass/protocol.
- * 
- * @param {USBDevice} device - WebUSB device object
- * @returns {Object|null} Object with {configuration, interface_, alternate} or null
+ * Parse one line of `pm list packages -f -i -U --show-versioncode`.
+ *
+ * Example line (one line on the device):
+ *   package:/data/app/~~Yq==/com.x-Zw==/base.apk=com.x versionCode:42
+ *     installer=com.android.vending uid:10123
+ *
+ * The APK path may itself contain "=", so the name is what follows the
+ * last one. Fields a device doesn't print come back as null.
+ *
+ * @param {string} line - Output line
+ * @returns {Object|null} { name, apkPath, location, installer, uid,
+ *   versionCode }, or null for a line that isn't a package
  */
-function findUsbInterface(device) {
-  for (const configuration of device.configurations || []) {
-    for (const interface_ of configuration.interfaces) {
-      for (const alternate of interface_.alternates) {
-        if (matchUsbInterface(alternate)) {
-          return { configuration, interface_, alternate };
-        }
-      }
-    }
+function parsePackageDetails(line) {
+  const match = line.trim().match(/^package:(\S+)(.*)$/);
+  if (!match) return null;
+  const [, target, rest] = match;
+  const split = target.lastIndexOf("=");
+  const apkPath = split === -1 ? null : target.slice(0, split);
+  const field = (pattern) => (rest.match(pattern) || [])[1] ?? null;
+  const installer = field(/\binstaller=(\S+)/);
+  const uid = field(/\buid:(\d+)/);
+  const versionCode = field(/\bversionCode:(\d+)/);
+  return {
+    name: target.slice(split + 1),
+    apkPath,
+    location: apkPath ? apkLocation(apkPath) : null,
+    installer: installer === "null" ? null : installer,
+    uid: uid === null ? null : Number(uid),
+    versionCode: versionCode === null ? null : Number(versionCode),
+  };
+}
+
+/**
+ * Build `pm grant` / `pm revoke` for user 0.
+ *
+ * @param {string} verb - "grant" or "revoke"
+ * @param {string} packageName - Package name
+ * @param {string} permission - Permission name
+ * @returns {string} Command line
+ * @throws {AdbCommandError} If packageName or permission isn't valid
+ */
+function permissionCommand(verb, packageName, permission) {
+  if (!isValidPermissionName(permission)) {
+    throw new AdbCommandError(
+      "INVALID_ARGUMENT",
+      `Not a valid permission name: ${JSON.stringify(String(permission))}`
+    );
   }
-  return null;
+  return shellCommand("pm", verb, "--user", 0, checkPackageName(packageName), permission);
 }
 
 /**
- * Find the bulk IN and OUT endpoints from a USB interface.
- * 
- * ADB requires two bulk endpoints:
- * - IN endpoint: Device sends data to host (e.g., command responses)
- * - OUT endpoint: Host sends data to device (e.g., commands)
- * 
- * @param {USBEndpoint[]} endpoints - Array of USB endpoints
- * @returns {Object} Object with {inEndpoint, outEndpoint}
- * @throws {Error} If both endpoints are not found
+ * Build `pm disable` / `pm enable` of one component for user 0.
+ *
+ * @param {string} verb - "disable" or "enable"
+ * @param {string} component - "package/class"
+ * @returns {string} Command line
+ * @throws {AdbCommandError} If component isn't a valid component name
+ */
+function componentCommand(verb, component) {
+  if (!isValidComponentName(component)) {
+    throw new AdbCommandError(
+      "INVALID_ARGUMENT",
+      `Not a valid component name: ${JSON.stringify(String(component))}`
+    );
+  }
+  return shellCommand("pm", verb, "--user", 0, component);
+}
+
+/**
+ * Build the commands that restrict a package in the background, or lift
+ * the restriction: the RUN_ANY_IN_BACKGROUND app op, the standby bucket
+ * and the background data denylist.
+ *
+ * @param {string} packageName - Package name, already checked
+ * @param {boolean} restrict - Restrict (true) or allow (false)
+ * @param {string} bucket - Standby bucket to put the package in
+ * @param {number|null} uid - App UID; without it background data is left alone
+ * @returns {string[]} Command lines, to run in order
+ */
+function backgroundCommands(packageName, restrict, bucket, uid) {
+  const mode = restrict ? "ignore" : "allow";
+  const commands = [
+    shellCommand("cmd", "appops", "set", packageName, "RUN_ANY_IN_BACKGROUND", mode),
+    shellCommand("am", "set-standby-bucket", packageName, bucket),
+  ];
+  if (uid !== null) {
+    const verb = restrict ? "add" : "remove";
+    commands.push(shellCommand("cmd", "netpolicy", verb, "restrict-background-blacklist", uid));
+  }
+  return commands;
+}
+
+/**
+ * Parse `am get-standby-bucket` (no package) output.
+ *
+ * Example lines:
+ *   com.example.app: 40
+ *
+ * @param {string} output - Command output
+ * @returns {Map<string, string>} Package name -> bucket name ("rare"), or
+ *   the number for buckets without a name here
+ */
+function parseStandbyBuckets(output) {
+  const buckets = new Map();
+  for (const line of output.split("\n")) {
+    const match = line.trim().match(/^(\S+): (\d+)$/);
+    if (match) buckets.set(match[1], STANDBY_BUCKET_NAMES[match[2]] || match[2]);
+  }
+  return buckets;
+}
+
+/**
+ * Parse the "Packages:" section of `dumpsys package packages`, filtered
+ * down to headings, package lines and "User 0:" lines.
+ *
+ * Example lines:
+ *   Packages:
+ *     Package [com.example.app] (9f8e7d6):
+ *       User 0: ceDataInode=1 installed=true hidden=false suspended=true ...
+ *   Hidden system packages:
+ *
+ * Android 6 and older don't print suspended; it is false there.
+ *
+ * @param {string} output - Filtered dumpsys output
+ * @returns {Map<string, Object>} Package name -> { installed, hidden,
+ *   suspended } for user 0
  */
-function findUsbEndpoints(endpoints) {
-  let inEndpoint;
-  let outEndpoint;
-  for (const endpoint of endpoints) {
-    if (endpoint.direction === "in") {
-      inEndpoint = endpoint;
-    } else if (endpoint.direction === "out") {
-      outEndpoint = endpoint;
+function parsePackageUserStates(output) {
+  const states = new Map();
+  let section = null;
+  let name = null;
+  for (const line of output.split("\n")) {
+    if (/^\S/.test(line)) {
+      section = line.trim();
+      continue;
+    }
+    if (section !== "Packages:") continue;
+    const heading = line.match(/^ {2}Package \[(.+?)\]/);
+    if (heading) {
+      name = heading[1];
+    } else if (name && /^ {4}User 0:/.test(line)) {
+      states.set(name, {
+        installed: /\binstalled=true\b/.test(line),
+        hidden: /\bhidden=true\b/.test(line),
+        suspended: /\bsuspended=true\b/.test(line),
+      });
     }
-    if (inEndpoint && outEndpoint) break;
   }
-  if (!inEndpoint || !outEndpoint) {
-    throw new Error("ADB endpoints not found on selected interface.");
+  return states;
+}
+
+/**
+ * Parse `cmd appops get <package>` output.
+ *
+ * Example lines, older and newer Android:
+ *   Uid mode: COARSE_LOCATION: foreground
+ *   CAMERA: ignore; rejectTime=+2d3h ago
+ *   WAKE_LOCK: allow
+ *     null=[
+ *       Access: [fg-s]2024-05-06 11:20:12.123 (-1m) duration=+23ms
+ *     ]
+ *
+ * @param {string} output - Command output
+ * @returns {Object[]} [{ op, mode, scope }] in output order
+ */
+function parseAppOps(output) {
+  const ops = [];
+  for (const line of output.split("\n")) {
+    const match = line.match(/^(Uid mode: )?([A-Z][A-Z0-9_]*): ([a-z]+|mode=\d+)\b/);
+    if (!match) continue;
+    const [, uidMode, op, mode] = match;
+    ops.push({ op, mode, scope: uidMode ? "uid" : "package" });
   }
-  return { inEndpoint, outEndpoint };
+  return ops;
+}
+
+/**
+ * Partition an APK lives on, from its path: "/system", "/product",
+ * "/vendor", "/data" (user-installed or updated), etc.
+ *
+ * @param {string} apkPath - e.g. "/product/app/Maps/Maps.apk"
+ * @returns {string} Top-level directory of the path
+ */
+function apkLocation(apkPath) {
+  const [, top] = apkPath.split("/");
+  return `/${top}`;
 }
 
 // =============================================================================
-// Base64 and BigInt Conversion Utilities
+// Sync Protocol Encoding Utilities
 // =============================================================================
-// These are used for RSA key handling and cryptographic operations.
 
 /**
- * Convert base64url-encoded string to Uint8Array.
- * Base64url uses - instead of + and _ instead of /, with no padding.
+ * Build an 8-byte sync message header: 4-byte id + 32-bit value.
+ *
+ * For requests the value is the length of the following data. For DONE
+ * after a push it is the file's mtime instead.
+ *
+ * @param {number} id - Sync message id (from SYNC_IDS)
+ * @param {number} value - Length or value field
+ * @returns {Uint8Array} 8-byte header
  */
-function base64UrlToBytes(base64url) {
-  const base64 = base64url.replace(/-/g, "+").replace(/_/g, "/");
-  const padded = base64.padEnd(
-    base64.length + ((4 - (base64.length % 4)) % 4),
-    "="
-  );
-  const binary = atob(padded);
-  const bytes = new Uint8Array(binary.length);
-  for (let i = 0; i < binary.length; i += 1) {
-    bytes[i] = binary.charCodeAt(i);
-  }
+function encodeSyncHeader(id, value) {
+  const bytes = new Uint8Array(8);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, id, true);
+  view.setUint32(4, value, true);
   return bytes;
 }
 
 /**
- * Convert Uint8Array to standard base64 string.
+ * Build a complete sync request: header followed by the request data.
+ *
+ * Example: STAT request for "/sdcard"
+ *   53 54 41 54 | 07 00 00 00 | 2F 73 64 63 61 72 64
+ *   "STAT"      | length = 7  | "/sdcard"
+ *
+ * @param {number} id - Sync message id (from SYNC_IDS)
+ * @param {Uint8Array|string} data - Request data (usually a path)
+ * @returns {Uint8Array} Encoded request
  */
-function bytesToBase64(bytes) {
-  let binary = "";
-  for (let i = 0; i < bytes.length; i += 1) {
-    binary += String.fromCharCode(bytes[i]);
-  }
-  return btoa(binary);
+function encodeSyncRequest(id, data) {
+  const body = toUint8Array(data);
+  const bytes = new Uint8Array(8 + body.length);
+  bytes.set(encodeSyncHeader(id, body.length), 0);
+  bytes.set(body, 8);
+  return bytes;
 }
 
 /**
- * Convert big-endian byte array to JavaScript BigInt.
- * Used for RSA key component manipulation.
+ * Add file-type helpers to a stat result based on its mode bits.
+ *
+ * @param {Object} stat - Object with at least a `mode` field
+ * @returns {Object} The same object with isDirectory/isFile/isSymlink set
  */
-function bytesToBigInt(bytes) {
-  let value = 0n;
-  for (const byte of bytes) {
-    value = (value << 8n) | BigInt(byte);
-  }
-  return value;
+function describeSyncMode(stat) {
+  const type = stat.mode & S_IFMT;
+  stat.isDirectory = type === S_IFDIR;
+  stat.isFile = type === S_IFREG;
+  stat.isSymlink = type === S_IFLNK;
+  return stat;
+}
+
+/**
+ * Parse the v2 stat structure used by STA2 responses and DNT2 entries.
+ *
+ * Sync v2 Stat Structure (68 bytes, packed, little-endian):
+ * ┌─────────┬─────────┬──────────────────────────────────────┐
+ * │ Offset  │ Size    │ Field                                │
+ * ├─────────┼─────────┼──────────────────────────────────────┤
+ * │ 0       │ 4 bytes │ error  - errno, 0 on success         │
+ * │ 4       │ 8 bytes │ dev                                  │
+ * │ 12      │ 8 bytes │ ino                                  │
+ * │ 20      │ 4 bytes │ mode                                 │
+ * │ 24      │ 4 bytes │ nlink                                │
+ * │ 28      │ 4 bytes │ uid                                  │
+ * │ 32      │ 4 bytes │ gid                                  │
+ * │ 36      │ 8 bytes │ size                                 │
+ * │ 44      │ 8 bytes │ atime  - seconds since epoch         │
+ * │ 52      │ 8 bytes │ mtime                                │
+ * │ 60      │ 8 bytes │ ctime                                │
+ * └─────────┴─────────┴──────────────────────────────────────┘
+ *
+ * @param {DataView} view - View over the response bytes
+ * @param {number} offset - Offset of the structure (just after the id)
+ * @returns {Object} Parsed stat fields
+ */
+function parseSyncStat2(view, offset) {
+  return describeSyncMode({
+    error: view.getUint32(offset, true),
+    dev: Number(view.getBigUint64(offset + 4, true)),
+    ino: Number(view.getBigUint64(offset + 12, true)),
+    mode: view.getUint32(offset + 20, true),
+    nlink: view.getUint32(offset + 24, true),
+    uid: view.getUint32(offset + 28, true),
+    gid: view.getUint32(offset + 32, true),
+    size: Number(view.getBigUint64(offset + 36, true)),
+    atime: Number(view.getBigInt64(offset + 44, true)),
+    mtime: Number(view.getBigInt64(offset + 52, true)),
+    ctime: Number(view.getBigInt64(offset + 60, true)),
+  });
 }
 
 /**
- * Convert BigInt to little-endian byte array of specified length.
- * Android's RSAPublicKey format stores numbers in little-endian.
+ * Split shell v2 output into stdout, stderr and the exit code.
+ *
+ * Shell v2 Packet Structure:
+ * ┌─────────┬─────────┬──────────────────────────────────────┐
+ * │ Offset  │ Size    │ Field                                │
+ * ├─────────┼─────────┼──────────────────────────────────────┤
+ * │ 0       │ 1 byte  │ id     - see SHELL_V2_IDS            │
+ * │ 1       │ 4 bytes │ length - size of data                │
+ * │ 5       │ N bytes │ data                                 │
+ * └─────────┴─────────┴──────────────────────────────────────┘
+ *
+ * A truncated packet at the end (stream timed out mid-packet) is ignored.
+ *
+ * @param {Uint8Array} bytes - Raw stream data
+ * @returns {Object} { stdout, stderr, exitCode } (exitCode null if never sent)
  */
-function bigIntToLEBytes(value, length) {
-  const bytes = new Uint8Array(length);
-  let v = value;
-  for (let i = 0; i < length; i += 1) {
-    bytes[i] = Number(v & 0xffn);
-    v >>= 8n;
+function parseShellV2Output(bytes) {
+  const view = viewOf(bytes);
+  const stdout = [];
+  const stderr = [];
+  let exitCode = null;
+  let offset = 0;
+  while (offset + 5 <= bytes.length) {
+    const id = bytes[offset];
+    const length = view.getUint32(offset + 1, true);
+    if (offset + 5 + length > bytes.length) break;
+    const data = bytes.subarray(offset + 5, offset + 5 + length);
+    if (id === SHELL_V2_IDS.STDOUT) {
+      stdout.push(data);
+    } else if (id === SHELL_V2_IDS.STDERR) {
+      stderr.push(data);
+    } else if (id === SHELL_V2_IDS.EXIT && length) {
+      exitCode = data[0];
+    }
+    offset += 5 + length;
   }
+  return {
+    stdout: textDecoder.decode(concatBytes(stdout)),
+    stderr: textDecoder.decode(concatBytes(stderr)),
+    exitCode,
+  };
+}
+
+/**
+ * Build a shell v2 packet: 1-byte id + 32-bit length + data.
+ *
+ * @param {number} id - Packet id (from SHELL_V2_IDS)
+ * @param {Uint8Array|string} data - Packet data
+ * @returns {Uint8Array} Encoded packet
+ */
+function encodeShellV2Packet(id, data) {
+  const body = toUint8Array(data);
+  const bytes = new Uint8Array(5 + body.length);
+  bytes[0] = id;
+  new DataView(bytes.buffer).setUint32(1, body.length, true);
+  bytes.set(body, 5);
   return bytes;
 }
 
 /**
- * Convert BigInt to big-endian byte array of specified length.
- * Standard format for cryptographic operations.
+ * Concatenate a list of Uint8Arrays into one.
  */
-function bigIntToBEBytes(value, length) {
-  const bytes = new Uint8Array(length);
-  let v = value;
-  for (let i = length - 1; i >= 0; i -= 1) {
-    bytes[i] = Number(v & 0xffn);
-    v >>= 8n;
+function concatBytes(chunks) {
+  const data = new Uint8Array(
+    chunks.reduce((sum, chunk) => sum + chunk.length, 0)
+  );
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
   }
+  return data;
+}
+
+/**
+ * Create a DataView over a Uint8Array, respecting its offset.
+ */
+function viewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Encode a 32-bit little-endian value, as carried by delayed_ack OKAYs.
+ */
+function encodeUint32(value) {
+  const bytes = new Uint8Array(4);
+  viewOf(bytes).setUint32(0, value, true);
   return bytes;
 }
 
 // =============================================================================
-// RSA Cryptographic Operations for ADB Authentication
+// Shell Command Building
 // =============================================================================
-// 
-// ADB uses RSA-2048 for authentication. The host generates a key pair and
-// stores it. When connecting, the host signs a device-provided token with
-// its private key to prove identity.
+// Commands sent to "shell:" are parsed by the device's sh, so names from
+// files, saved lists or the device are never pasted in raw: build the line
+// with shellCommand(), and check package names with checkPackageName().
+
+// Android package name: two or more dot-separated segments, each a letter
+// followed by letters, digits or underscores (PackageParser.validateName)
+const PACKAGE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)+$/;
+
+// Longest package name Android accepts (it is also a directory name)
+const MAX_PACKAGE_NAME_LENGTH = 223;
+
+// Arguments made only of these characters are passed without quotes
+const SHELL_SAFE_ARG = /^[A-Za-z0-9_@%+=:,.\/-]+$/;
+
+// Permission name, e.g. "android.permission.CAMERA"
+const PERMISSION_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)+$/;
+
+// App op name as `cmd appops` prints it, e.g. "RUN_IN_BACKGROUND"
+const APP_OP_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// Java class name of a component, optionally relative to the package
+// (".MainActivity"); nested classes use "$"
+const COMPONENT_CLASS_PATTERN = /^\.?[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+// Standby buckets `am set-standby-bucket` accepts, most active first
+// ("restricted" needs Android 12)
+export const STANDBY_BUCKETS = ["active", "working_set", "frequent", "rare", "restricted"];
+
+// Bucket values `am get-standby-bucket` prints -> names
+const STANDBY_BUCKET_NAMES = {
+  5: "exempted",
+  10: "active",
+  20: "working_set",
+  30: "frequent",
+  40: "rare",
+  45: "restricted",
+  50: "never",
+};
+
+// Modes `cmd appops set` accepts
+export const APP_OP_MODES = ["allow", "ignore", "deny", "default", "foreground"];
 
 /**
- * Modular exponentiation: (base ^ exponent) mod modulus
- * 
- * Uses the square-and-multiply algorithm for efficiency with large numbers.
- * This is the core operation for RSA encryption/decryption.
- * 
- * @param {BigInt} base - The base value
- * @param {BigInt} exponent - The exponent
- * @param {BigInt} modulus - The modulus
- * @returns {BigInt} Result of modular exponentiation
+ * Check whether a string is a valid Android package name.
+ *
+ * @param {*} name - Candidate package name
+ * @returns {boolean} True if it follows Android's naming rules
  */
-function powMod(base, exponent, modulus) {
-  if (modulus === 1n) return 0n;
-  let result = 1n;
-  let b = base % modulus;
-  let e = exponent;
-  while (e > 0n) {
-    if (e & 1n) {
-      result = (result * b) % modulus;
-    }
-    b = (b * b) % modulus;
-    e >>= 1n;
+export function isValidPackageName(name) {
+  return (
+    typeof name === "string" &&
+    name.length <= MAX_PACKAGE_NAME_LENGTH &&
+    PACKAGE_NAME_PATTERN.test(name)
+  );
+}
+
+/**
+ * Return a package name unchanged, or throw if it isn't valid.
+ *
+ * @param {*} name - Candidate package name
+ * @returns {string} The package name
+ * @throws {AdbCommandError} INVALID_PACKAGE
+ */
+export function checkPackageName(name) {
+  if (!isValidPackageName(name)) {
+    throw new AdbCommandError(
+      "INVALID_PACKAGE",
+      `Not a valid package name: ${JSON.stringify(String(name))}`
+    );
   }
-  return result;
+  return name;
 }
 
 /**
- * Calculate the modular multiplicative inverse of n0 mod 2^32.
- * 
- * This is used by Android's RSAPublicKey format for Montgomery multiplication
- * optimization. The result satisfies: (n0 * result) ≡ -1 (mod 2^32)
- * 
- * Uses the extended Euclidean algorithm.
- * 
- * @param {BigInt} n0 - The lowest 32 bits of the RSA modulus
- * @returns {number} The 32-bit modular inverse
+ * Check whether a string looks like a permission name.
+ *
+ * @param {*} name - Candidate permission name
+ * @returns {boolean} True for dotted names like "android.permission.CAMERA"
  */
-function modInverse32(n0) {
-  const modulus = 1n << 32n;
-  let t = 0n;
-  let newT = 1n;
-  let r = modulus;
-  let newR = n0 % modulus;
-  while (newR !== 0n) {
-    const quotient = r / newR;
-    [t, newT] = [newT, t - quotient * newT];
-    [r, newR] = [newR, r - quotient * newR];
-  }
-  if (r > 1n) {
-    throw new Error("n0 is not invertible");
-  }
-  if (t < 0n) t += modulus;
-  const inv = t & 0xffffffffn;
-  return Number((modulus - inv) & 0xffffffffn);
+export function isValidPermissionName(name) {
+  return typeof name === "string" && PERMISSION_NAME_PATTERN.test(name);
 }
 
 /**
- * Build an Android RSAPublicKey structure.
- * 
- * Android uses a custom binary format for RSA public keys, NOT the standard
- * DER/PEM format. This is required for ADB authentication.
- * 
- * Android RSAPublicKey Structure (for 2048-bit key = 524 bytes):
- * ┌─────────┬─────────┬─────────────────────────────────────────────────┐
- * │ Offset  │ Size    │ Field                                           │
- * ├─────────┼─────────┼─────────────────────────────────────────────────┤
- * │ 0       │ 4 bytes │ len       - Number of 32-bit words in modulus   │
- * │ 4       │ 4 bytes │ n0inv     - -1/n[0] mod 2^32 (Montgomery const) │
- * │ 8       │ 256 B   │ n         - Modulus (little-endian)             │
- * │ 264     │ 256 B   │ rr        - R^2 mod n (Montgomery constant)     │
- * │ 520     │ 4 bytes │ e         - Public exponent (usually 65537)     │
- * └─────────┴─────────┴─────────────────────────────────────────────────┘
- * 
- * Montgomery constants (n0inv and rr) enable fast modular multiplication
- * using Montgomery reduction algorithm.
- * 
- * @param {BigInt} n - RSA modulus
- * @param {BigInt} e - RSA public exponent
- * @param {number} bits - Key size in bits (2048)
- * @returns {Uint8Array} Android RSAPublicKey binary structure
+ * Check whether a string is an app op name like "CAMERA".
+ *
+ * @param {*} name - Candidate app op name
+ * @returns {boolean} True for upper-case op names
  */
-function buildAndroidRsaPublicKey(n, e, bits) {
-  const modulusBytes = bits / 8;          // 256 bytes for 2048-bit key
-  const n0 = n & 0xffffffffn;             // Lowest 32 bits of modulus
-  const n0inv = modInverse32(n0);         // Montgomery constant
-  const rr = (1n << BigInt(bits * 2)) % n; // R^2 mod n where R = 2^bits
-
-  // Total size: 4 + 4 + 256 + 256 + 4 = 524 bytes
-  const buffer = new ArrayBuffer(4 + 4 + modulusBytes + modulusBytes + 4);
-  const view = new DataView(buffer);
-  
-  view.setUint32(0, modulusBytes / 4, true);  // Offset 0: len (64 words)
-  view.setUint32(4, n0inv, true);              // Offset 4: n0inv
-  
-  const nLe = bigIntToLEBytes(n, modulusBytes);
-  const rrLe = bigIntToLEBytes(rr, modulusBytes);
-  
-  new Uint8Array(buffer, 8, modulusBytes).set(nLe);               // Offset 8: n
-  new Uint8Array(buffer, 8 + modulusBytes, modulusBytes).set(rrLe); // Offset 264: rr
-  
-  view.setUint32(8 + modulusBytes + modulusBytes, Number(e), true); // Offset 520: e
-  
-  return new Uint8Array(buffer);
+export function isValidAppOpName(name) {
+  return typeof name === "string" && APP_OP_NAME_PATTERN.test(name);
 }
 
 /**
- * Build the public key payload for AUTH_RSAPUBLICKEY.
- * 
- * The payload is: base64(androidPublicKey) + " " + keyIdentifier + "\0"
- * Example: "AAAAB3NzaC1yc2E... adb@webusb\0"
- * 
- * @param {Object} publicJwk - Public key in JWK format
- * @returns {Uint8Array} Payload bytes for AUTH packet
+ * Check whether a string names a component: "package/class", as
+ * `pm disable` and ComponentName.flattenToString() write it.
+ *
+ * @param {*} name - Candidate component name
+ * @returns {boolean} True for e.g. "com.example/.BootReceiver"
+ */
+export function isValidComponentName(name) {
+  if (typeof name !== "string") return false;
+  const split = name.indexOf("/");
+  return (
+    split > 0 &&
+    isValidPackageName(name.slice(0, split)) &&
+    COMPONENT_CLASS_PATTERN.test(name.slice(split + 1))
+  );
+}
+
+/**
+ * Quote one argument for the device shell.
+ *
+ * Plain words stay as they are; anything else is wrapped in single quotes,
+ * inside which sh treats every character literally (a quote itself is
+ * written as '\'').
+ *
+ * @param {string|number} arg - Argument
+ * @returns {string} Quoted argument
+ * @throws {AdbCommandError} INVALID_ARGUMENT for a NUL character, which
+ *   would end the service name early
  */
-function buildPublicKeyPayload(publicJwk) {
-  const nBytes = base64UrlToBytes(publicJwk.n);
-  const eBytes = base64UrlToBytes(publicJwk.e);
-  const n = bytesToBigInt(nBytes);
-  const e = bytesToBigInt(eBytes);
-  const pubkey = buildAndroidRsaPublicKey(n, e, 2048);
-  const base64 = bytesToBase64(pubkey);
-  return textEncoder.encode(`${base64} adb@webusb\0`);
+export function quoteShellArg(arg) {
+  const text = String(arg);
+  if (text.includes("\0")) {
+    throw new AdbCommandError("INVALID_ARGUMENT", "Shell arguments can't contain NUL characters.");
+  }
+  if (SHELL_SAFE_ARG.test(text)) return text;
+  return `'${text.replace(/'/g, "'\\''")}'`;
 }
 
 /**
- * Sign an ADB authentication token using RSA with PKCS#1 v1.5 padding.
- * 
- * ADB Authentication Flow:
- * 1. Device sends AUTH(TOKEN) with 20-byte random token
- * 2. Host signs the token and sends AUTH(SIGNATURE) with 256-byte signature
- * 3. If device doesn't recognize the key, it sends another AUTH(TOKEN)
- * 4. Host sends AUTH(RSAPUBLICKEY) with its public key
- * 5. User approves on device, device sends CNXN
+ * Build a shell command line with every argument quoted.
+ *
+ * Usage Example:
+ * ```javascript
+ * shellCommand("pm", "disable-user", "--user", 0, checkPackageName(name));
+ * // -> "pm disable-user --user 0 com.example.app"
+ * ```
+ *
+ * @param {string} program - Program to run
+ * @param {...(string|number)} args - Arguments
+ * @returns {string} Command line for runShell() and friends
+ */
+export function shellCommand(program, ...args) {
+  return [program, ...args].map(quoteShellArg).join(" ");
+}
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * A corrupt or misaligned packet received from the device.
+ *
+ * Error Codes:
+ * - "BAD_MAGIC"    - Header magic doesn't match the command; the header is
+ *                    corrupt or the read didn't start on a packet boundary
+ * - "BAD_LENGTH"   - Header or payload arrived with the wrong size, or the
+ *                    payload is larger than we advertised
+ * - "BAD_CHECKSUM" - Payload doesn't match the header's data_crc
+ *
+ * `details` holds whatever could still be read from the header
+ * (command, arg0, arg1, length, ...).
+ */
+export class AdbPacketError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "AdbPacketError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * The device didn't authorize this computer's key.
+ *
+ * Error Codes:
+ * - "AUTH_TIMEOUT"  - Nobody accepted the prompt within authTimeoutMs
+ * - "AUTH_REJECTED" - The device asked again after getting the public key
+ *                     (the user tapped "Deny", or the key isn't accepted)
+ *
+ * connect() leaves the client in the "unauthorized" state.
+ */
+export class AdbAuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "AdbAuthError";
+    this.code = code;
+  }
+}
+
+/**
+ * A shell command couldn't be built safely (see shellCommand()).
+ *
+ * Error Codes:
+ * - "INVALID_PACKAGE"  - Not a valid Android package name
+ * - "INVALID_ARGUMENT" - An argument the device shell can't carry
+ */
+export class AdbCommandError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "AdbCommandError";
+    this.code = code;
+  }
+}
+
+/**
+ * A stream ran into its timeout before the device closed it, so the
+ * output is probably incomplete. The stream is closed (CLSE) before this
+ * is thrown.
+ *
+ * `details` holds { service, timeoutMs }.
+ */
+export class AdbStreamTimeoutError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "AdbStreamTimeoutError";
+    this.code = "STREAM_TIMEOUT";
+    this.details = details;
+  }
+}
+
+// =============================================================================
+// AdbShellSession Class - Interactive Shell over an ADB Stream
+// =============================================================================
+/**
+ * An interactive shell with a writable stdin, created by
+ * AdbUsbClient.openShell().
  * 
- * The signature uses PKCS#1 v1.5 padding:
- * - Padded message: 0x00 0x01 [0xFF...] 0x00 [DigestInfo] [Hash]
- * - The hash is SHA-1 of the 20-byte token (which is already a hash)
+ * With shell_v2, stdin/stdout/stderr are wrapped in shell v2 packets and
+ * the session can be resized and reports an exit code. On legacy devices
+ * the stream carries raw terminal bytes in both directions.
  * 
- * @param {Uint8Array} token - 20-byte token from device
- * @param {Object} privateJwk - Private key in JWK format
- * @returns {Promise<Uint8Array>} 256-byte RSA signature
+ * Writes are queued so that only one WRTE is outstanding at a time.
  */
-async function rsaSignAdbToken(token, privateJwk) {
-  const nBytes = base64UrlToBytes(privateJwk.n);
-  const dBytes = base64UrlToBytes(privateJwk.d);
-  const n = bytesToBigInt(nBytes);
-  const d = bytesToBigInt(dBytes);
-  const modulusBytes = nBytes.length;  // 256 bytes for 2048-bit key
-
-  // Hash the token if it's not already SHA-1 length (20 bytes)
-  // The device sends a 20-byte random token which is already the right size
-  let data = token;
-  if (data.length !== SHA1_DIGEST_LENGTH) {
-    const digest = await crypto.subtle.digest("SHA-1", data);
-    data = new Uint8Array(digest);
-  }
-
-  /**
-   * Build PKCS#1 v1.5 padded message (256 bytes for 2048-bit RSA):
-   * ┌────────┬────────┬───────────────┬────────┬──────────────┬──────────┐
-   * │ 0x00   │ 0x01   │ 0xFF...0xFF   │ 0x00   │ DigestInfo   │ Hash     │
-   * │ 1 byte │ 1 byte │ N bytes       │ 1 byte │ 15 bytes     │ 20 bytes │
-   * └────────┴────────┴───────────────┴────────┴──────────────┴──────────┘
-   * Total: 256 bytes, padding fills the gap
-   */
-  const padded = new Uint8Array(modulusBytes);
-  let index = 0;
-  padded[index++] = 0x00;  // Leading zero
-  padded[index++] = 0x01;  // Block type for private key operations
-  
-  // Fill with 0xFF bytes (padding)
-  const fillLength =
-    padded.length - SHA1_DIGEST_INFO.length - data.length - 1;
-  while (index < fillLength) {
-    padded[index++] = 0xff;
+class AdbShellSession {
+  /**
+   * @param {AdbUsbClient} client - Client that owns the stream
+   * @param {Object} stream - Open stream from openStream()
+   * @param {boolean} useV2 - Whether the stream speaks shell v2
+   * @param {boolean} pty - Whether the device allocated a terminal (which
+   *   echoes input and prints a prompt)
+   * @param {Function} onOutput - Called with (text, channel) as output arrives
+   */
+  constructor(client, stream, useV2, pty, onOutput) {
+    this.client = client;
+    this.stream = stream;
+    this.useV2 = useV2;
+    this.pty = pty;
+    this.onOutput = onOutput;
+    this.exitCode = null;            // Set when a shell v2 EXIT packet arrives
+    this.pending = new Uint8Array(0); // Partial shell v2 packet bytes
+    this.writeQueue = Promise.resolve();
+    
+    // Separate streaming decoders so multi-byte characters split across
+    // packets are decoded correctly
+    this.decoders = {
+      stdout: new TextDecoder(),
+      stderr: new TextDecoder(),
+    };
+    
+    // Resolves with the exit code (or null) once the stream closes
+    this.exited = new Promise((resolve) => {
+      stream.closeResolvers.push(() => resolve(this.exitCode));
+    });
+    
+    // Receive data as it arrives instead of buffering it on the stream
+    stream.onData = (payload) => this.handleData(payload);
+    const buffered = concatBytes(stream.chunks.splice(0));
+    stream.bufferedLength = 0;
+    if (buffered.length) this.handleData(buffered);
+  }
+
+  /** Whether the session is still open. */
+  get closed() {
+    return this.stream.closed;
+  }
+
+  /** Whether resize() has any effect (requires shell_v2). */
+  get supportsResize() {
+    return this.useV2;
+  }
+
+  /**
+   * Handle a WRTE payload from the device.
+   * Legacy streams are plain stdout; shell v2 payloads are split into
+   * packets, which may straddle WRTE boundaries.
+   */
+  handleData(payload) {
+    if (!this.useV2) {
+      this.emit("stdout", payload);
+      return;
+    }
+    let bytes = concatBytes([this.pending, payload]);
+    let offset = 0;
+    while (offset + 5 <= bytes.length) {
+      const length = viewOf(bytes).getUint32(offset + 1, true);
+      if (offset + 5 + length > bytes.length) break;
+      const id = bytes[offset];
+      const data = bytes.subarray(offset + 5, offset + 5 + length);
+      if (id === SHELL_V2_IDS.STDOUT) {
+        this.emit("stdout", data);
+      } else if (id === SHELL_V2_IDS.STDERR) {
+        this.emit("stderr", data);
+      } else if (id === SHELL_V2_IDS.EXIT && length) {
+        this.exitCode = data[0];
+      }
+      offset += 5 + length;
+    }
+    this.pending = bytes.slice(offset);
+  }
+
+  /** Decode output bytes and pass them to the output callback. */
+  emit(channel, bytes) {
+    const text = this.decoders[channel].decode(bytes, { stream: true });
+    if (text) this.onOutput(text, channel);
+  }
+
+  /** Queue a write so that writes never overlap on the stream. */
+  enqueue(bytes) {
+    const result = this.writeQueue.then(() =>
+      this.client.writeStream(this.stream, bytes)
+    );
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Send input to the shell.
+   * 
+   * @param {Uint8Array|string} data - Input (include "\n" to run a line)
+   * @returns {Promise<void>} Resolves when the device acknowledges it
+   */
+  write(data) {
+    const bytes = this.useV2
+      ? encodeShellV2Packet(SHELL_V2_IDS.STDIN, data)
+      : toUint8Array(data);
+    return this.enqueue(bytes);
+  }
+
+  /**
+   * Tell the device the terminal size changed (shell_v2 only).
+   * 
+   * @param {number} rows - Terminal rows
+   * @param {number} cols - Terminal columns
+   * @returns {Promise<boolean>} False if the session cannot be resized
+   */
+  async resize(rows, cols) {
+    if (!this.useV2) return false;
+    // Format used by adb: "<rows>x<cols>,<x pixels>x<y pixels>"
+    await this.enqueue(
+      encodeShellV2Packet(SHELL_V2_IDS.WINDOW_SIZE_CHANGE, `${rows}x${cols},0x0\0`)
+    );
+    return true;
+  }
+
+  /**
+   * Close the session.
+   * With shell_v2, stdin is closed first so the shell can exit cleanly,
+   * and the device gets a moment to report the exit code.
+   */
+  async close() {
+    if (this.stream.closed) return;
+    if (this.useV2) {
+      try {
+        await this.enqueue(encodeShellV2Packet(SHELL_V2_IDS.CLOSE_STDIN, ""));
+        await this.client.waitForClose(this.stream, SHELL_EXIT_GRACE_MS);
+      } catch (error) {
+        // Ignore - stream may already be closing
+      }
+    }
+    await this.client.closeStream(this.stream);
   }
-  
-  padded[index++] = 0x00;  // Separator
-  padded.set(SHA1_DIGEST_INFO, index);  // DigestInfo (identifies SHA-1)
-  index += SHA1_DIGEST_INFO.length;
-  padded.set(data, index);  // The actual hash
-
-  // RSA signature: signature = message^d mod n
-  const signature = powMod(bytesToBigInt(padded), d, n);
-  return bigIntToBEBytes(signature, modulusBytes);
 }
 
 // =============================================================================
-// AdbUsbClient Class - Main ADB over WebUSB Implementation
+// AdbClient Class - ADB Protocol Engine
 // =============================================================================
 /**
- * AdbUsbClient provides a complete ADB client implementation over WebUSB.
+ * AdbClient implements the ADB protocol on top of a pluggable transport.
  * 
  * This class handles:
- * - USB device selection and connection
  * - ADB protocol handshake and authentication
  * - Stream multiplexing for multiple concurrent operations
  * - Shell command execution
  * - Package management operations
+ * - File transfer (pull/push/stat/list) over the sync service
+ * 
+ * It never touches navigator.usb directly; all I/O goes through
+ * `this.transport` (see TRANSPORT INTERFACE at the top of this file).
  * 
  * Usage Example:
  * ```javascript
- * const client = new AdbUsbClient();
- * const device = await AdbUsbClient.requestDevice();
- * client.setDevice(device);
+ * const client = new AdbClient({ transport: someTransport });
+ * client.addEventListener("statechange", (event) => show(event.detail.state));
  * await client.connect();
  * const packages = await client.listPackages();
  * ```
  */
-export class AdbUsbClient {
+export class AdbClient extends EventTarget {
   /**
-   * Create a new ADB USB client.
+   * Create a new ADB client.
    * 
    * @param {Object} options - Configuration options
    * @param {number} options.streamTimeoutMs - Timeout for stream operations (default 5000ms)
+   * @param {number} options.authTimeoutMs - Time the user gets to accept the
+   *   authorization prompt on the device (default 60000ms)
+   * @param {Object} options.transport - Transport to use (can also be set before connect())
+   * @param {AdbKeyManager} options.keyManager - Key used to authenticate
+   *   (default: the shared key from getDefaultKeyManager())
    */
-  constructor({ streamTimeoutMs = 5000 } = {}) {
+  constructor({
+    streamTimeoutMs = 5000,
+    authTimeoutMs = AUTH_TIMEOUT_MS,
+    transport = null,
+    keyManager = null,
+  } = {}) {
+    super();
+    
     // Configuration
     this.streamTimeoutMs = streamTimeoutMs;  // Timeout for opening/reading streams
+    this.authTimeoutMs = authTimeoutMs;      // Timeout for the user's approval
+    this.keyManager = keyManager || getDefaultKeyManager(); // RSA key for AUTH
     
-    // USB Device State
-    this.device = null;                // WebUSB device object
-    this.configurationRef = null;      // USB configuration containing ADB interface
-    this.interfaceRef = null;          // USB interface for ADB
-    this.alternateRef = null;          // Alternate setting for ADB
-    this.interfaceNumber = null;       // Interface number (typically 1)
-    this.inEndpoint = null;            // Endpoint number for receiving data
-    this.outEndpoint = null;           // Endpoint number for sending data
-    this.inPacketSize = null;          // Max packet size for IN endpoint (typically 512)
-    this.outPacketSize = null;         // Max packet size for OUT endpoint (typically 512)
+    // Transport carrying the ADB packets (USB, WebSocket, ...)
+    this.transport = transport;
+    this.state = "offline";            // See CONNECTION STATES at the top
     
     // ADB Protocol State
-    this.readSize = 4096;              // Size of USB read buffer
     this.maxPayload = 4096;            // Max payload size for ADB packets
+    this.protocolVersion = null;       // Negotiated version (null until device CNXN)
+    this.delayedAck = false;           // Whether both sides support delayed_ack
     this.deviceProperties = {};        // Properties from device CNXN response
+    this.deviceFeatures = new Set();   // Feature flags from device CNXN response
     this.packetLog = [];               // Log of sent/received packets for debugging
+    this.sendQueue = Promise.resolve(); // Serializes packets on the transport
     
     // Stream Management
     this.waiters = [];                 // Pending promise resolvers waiting for packets
@@ -635,86 +1204,46 @@ export class AdbUsbClient {
     // Read Loop State
     this.readLoopActive = false;       // Whether read loop should continue
     this.readLoopRunning = false;      // Whether read loop is currently executing
+    this.framingErrors = 0;            // Framing errors in a row (see handlePacketError)
+    this.packetErrors = [];            // Recent corrupt/misaligned packets, for diagnostics
     
     // Authentication State
-    this.keyPairPromise = null;        // Promise for RSA key pair (cached)
-    this.publicKeyPayload = null;      // Pre-built public key payload
     this.authSentPublicKey = false;    // Whether we've sent our public key
     this.authSentSignature = false;    // Whether we've sent a signature
+    this.authDeadline = null;          // When the authorization wait ends
     
     // Diagnostics
     this.lastDiagnostics = null;       // Last diagnostic info for debugging
   }
 
   /**
-   * Prompt the user to select a USB device that supports ADB.
-   * 
-   * Uses WebUSB's requestDevice() with a filter for the ADB interface
-   * class codes. The browser shows a device picker dialog.
-   * 
-   * @returns {Promise<USBDevice>} Selected USB device
-   * @throws {Error} If user cancels or no compatible device found
-   */
-  static async requestDevice() {
-    const device = await navigator.usb.requestDevice({
-      filters: [
-        // Filter for ADB interface: Vendor class (0xFF), ADB subclass (0x42), protocol 1
-        { classCode: 0xff, subclassCode: 0x42, protocolCode: 0x01 },
-      ],
-    });
-    // Verify the device has an ADB interface
-    const interfaceInfo = findUsbInterface(device);
-    if (!interfaceInfo) {
-      throw new Error("No ADB interface found on device.");
-    }
-    return { device, interfaceInfo };
-  }
-
-  /**
-   * Check if a device is the same as the currently connected device.
-   * Compares vendor ID, product ID, and serial number.
+   * Check if a USB device is the one this client is connected to.
+   * Always false for non-USB transports.
    */
   isSameDevice(device) {
-    if (!this.device || !device) return false;
-    return (
-      this.device.vendorId === device.vendorId &&
-      this.device.productId === device.productId &&
-      (this.device.serialNumber || "") === (device.serialNumber || "")
-    );
+    return Boolean(this.transport && this.transport.isSameDevice(device));
   }
 
   /**
    * Get diagnostic information about the current connection.
    * 
-   * Useful for debugging connection issues. Returns information about:
-   * - USB device identifiers (vendor/product ID, serial number)
-   * - USB configuration and interface settings
-   * - Endpoint numbers and packet sizes
-   * - Recent packet log (last 50 packets)
+   * Useful for debugging connection issues. Returns the transport's
+   * connection details, the negotiated protocol version, recent packet
+   * errors and the recent packet log (last 50 packets).
    * 
    * @returns {Object} Diagnostic information
    */
   getDiagnostics() {
-    if (!this.device) {
+    if (!this.transport || !this.transport.opened) {
       return { connected: false };
     }
-    const config = this.device.configuration;
     const diagnostics = {
       connected: true,
-      vendorId: this.device.vendorId,
-      productId: this.device.productId,
-      productName: this.device.productName || null,
-      serialNumber: this.device.serialNumber || null,
-      configurationValue: config ? config.configurationValue : null,
-      interfaceNumber: this.interfaceNumber,
-      alternateSetting: this.alternateRef
-        ? this.alternateRef.alternateSetting
-        : null,
-      inEndpoint: this.inEndpoint,
-      outEndpoint: this.outEndpoint,
-      inPacketSize: this.inPacketSize,
-      outPacketSize: this.outPacketSize,
-      readSize: this.readSize,
+      ...this.transport.getDiagnostics(),
+      protocolVersion: this.protocolVersion,
+      maxPayload: this.maxPayload,
+      delayedAck: this.delayedAck,
+      packetErrors: this.packetErrors.slice(),
       packetLog: this.packetLog.slice(-50),  // Last 50 packets
     };
     this.lastDiagnostics = diagnostics;
@@ -722,119 +1251,74 @@ export class AdbUsbClient {
   }
 
   /**
-   * Get extended diagnostic information including full USB descriptor dump.
+   * Get extended diagnostic information.
    * 
-   * In addition to basic diagnostics, includes the complete USB configuration
-   * hierarchy: all configurations, interfaces, alternate settings, and endpoints.
+   * In addition to basic diagnostics, includes whatever extra detail the
+   * transport can provide (for USB: the full descriptor dump).
    * 
    * @returns {Object} Extended diagnostic information
    */
   getFullDiagnostics() {
-    if (!this.device) return { connected: false };
-    
-    // Dump all USB configurations, interfaces, and endpoints
-    const configs = (this.device.configurations || []).map((config) => ({
-      configurationValue: config.configurationValue,
-      interfaces: config.interfaces.map((iface) => ({
-        interfaceNumber: iface.interfaceNumber,
-        alternates: iface.alternates.map((alt) => ({
-          alternateSetting: alt.alternateSetting,
-          class: alt.interfaceClass,
-          subclass: alt.interfaceSubclass,
-          protocol: alt.interfaceProtocol,
-          endpoints: alt.endpoints.map((endpoint) => ({
-            direction: endpoint.direction,
-            type: endpoint.type,
-            endpointNumber: endpoint.endpointNumber,
-            packetSize: endpoint.packetSize,
-          })),
-        })),
-      })),
-    }));
+    if (!this.transport || !this.transport.opened) return { connected: false };
     const diagnostics = {
       ...this.getDiagnostics(),
-      configurations: configs,
+      ...this.transport.getFullDiagnostics(),
     };
     this.lastDiagnostics = diagnostics;
     return diagnostics;
   }
 
   /**
-   * Connect to an ADB device and complete the ADB handshake.
+   * Connect to the device and complete the ADB handshake.
    * 
    * Connection Sequence:
-   * 1. Open the USB device
-   * 2. Select the appropriate configuration
-   * 3. Claim the ADB interface
-   * 4. Clear any stalled endpoints
-   * 5. Send CNXN packet to initiate ADB handshake
-   * 6. Handle AUTH challenge/response
-   * 7. Wait for device's CNXN response
-   * 
-   * @param {Object} deviceInfo - Optional device info from requestDevice()
-   * @returns {Promise<void>} Resolves when connected
+   * 1. Open the transport (for USB: open, claim interface, clear halts)
+   * 2. Send CNXN packet to initiate ADB handshake
+   * 3. Handle AUTH challenge/response
+   * 4. Wait for device's CNXN response and negotiate the protocol version
+   * 
+   * Progress is reported through "statechange" events; see CONNECTION
+   * STATES at the top of this file.
+   * 
+   * @param {Object} options - Connect options
+   * @param {AbortSignal} options.signal - Stops the handshake, e.g. while
+   *   waiting for the user to authorize
+   * @returns {Promise<Object>} Device summary ({ serial, product, model })
+   * @throws {AdbAuthError} If the device didn't authorize us
    * @throws {Error} If connection fails
    */
-  async connect(deviceInfo) {
-    const info = deviceInfo || (await AdbUsbClient.requestDevice());
-    const device = info.device;
-    let interfaceInfo = info.interfaceInfo;
-    
-    // Always close and reopen to ensure clean USB state
-    // This helps recover from previous failed connections
-    if (device.opened) {
-      try {
-        await device.close();
-      } catch (e) {
-        // Ignore close errors - device may already be closed
-      }
+  async connect({ signal = null } = {}) {
+    if (!this.transport) {
+      throw new Error("No transport configured.");
     }
-    await device.open();
-    this.device = device;
+    signal?.throwIfAborted();
     
     // Reset packet log for fresh connection attempt
     this.packetLog = [];
+    this.packetErrors = [];
+    this.setState("opening");
     try {
-      // Refresh interface info after opening device
-      const refreshed = findUsbInterface(device);
-      if (refreshed) {
-        interfaceInfo = refreshed;
-        info.interfaceInfo = refreshed;
-      }
-      if (!interfaceInfo) {
-        throw new Error("No ADB interface found on device.");
-      }
-
-      this.configurationRef = interfaceInfo.configuration;
-      this.interfaceRef = interfaceInfo.interface_;
-      this.alternateRef = interfaceInfo.alternate;
-      this.interfaceNumber = interfaceInfo.interface_.interfaceNumber;
+      await this.transport.open((state) => this.setState(state));
+      signal?.throwIfAborted();
       this.authSentPublicKey = false;
       this.authSentSignature = false;
-
-      const { inEndpoint, outEndpoint } = await this.claimInterface(
-        device,
-        interfaceInfo
-      );
-      this.inEndpoint = inEndpoint.endpointNumber;
-      this.outEndpoint = outEndpoint.endpointNumber;
-      this.inPacketSize = inEndpoint.packetSize || 512;
-      this.outPacketSize = outEndpoint.packetSize || 512;
-      this.readSize = Math.min(
-        Math.max(this.inPacketSize * 16, 512),
-        16384
-      );
-
-      await this.clearHaltSafe("in");
-      await this.clearHaltSafe("out");
       this.resetSessionState();
       
       await this.sendCnxn();
       
       // Wait for CNXN response
-      const cnxn = await this.waitForPacket("CNXN", 8000);
+      const cnxn = await this.waitForPacket("CNXN", CONNECT_TIMEOUT_MS, signal);
+      
+      // Use the lower of the two versions; it decides whether checksums
+      // are still sent and verified
+      if (cnxn.arg0 < VERSION_MIN) {
+        throw new Error(
+          `Unsupported ADB protocol version 0x${cnxn.arg0.toString(16)}.`
+        );
+      }
+      this.protocolVersion = Math.min(cnxn.arg0, VERSION_SKIP_CHECKSUM);
       
-      // Small delay before starting read loop to let USB settle
+      // Small delay before starting read loop to let the link settle
       await new Promise(r => setTimeout(r, 50));
       
       // Now start read loop for ongoing communication
@@ -844,10 +1328,15 @@ export class AdbUsbClient {
       this.deviceProperties = parseProperties(
         textDecoder.decode(cnxn.payload)
       );
+      this.deviceFeatures = new Set(
+        (this.deviceProperties.features || "").split(",").filter(Boolean)
+      );
+      this.delayedAck = this.hasFeature("delayed_ack");
+      this.setState("connected");
 
       const serial =
         this.deviceProperties["ro.serialno"] ||
-        this.device.serialNumber ||
+        this.transport.serialNumber ||
         "unknown";
       return {
         serial,
@@ -860,90 +1349,25 @@ export class AdbUsbClient {
       } catch (diagError) {
         error.diagnostics = this.lastDiagnostics || { connected: false };
       }
-      await this.disconnect();
+      await this.disconnect(error instanceof AdbAuthError ? "unauthorized" : "offline");
       throw error;
     }
   }
 
   /**
-   * Claim the USB interface for exclusive access.
+   * Disconnect from the device and clean up resources.
    * 
-   * USB Interface Claiming Process:
-   * 1. Select the correct USB configuration (if different)
-   * 2. Claim the interface for exclusive access
-   * 3. Select the alternate setting (if different)
-   * 4. Get fresh endpoint references
+   * Cleanup steps:
+   * 1. Stop the read loop
+   * 2. Reject any pending waiters
+   * 3. Clear stream state
+   * 4. Close the transport
    * 
-   * The interface must be claimed before any transfers can occur.
-   * Only one process can claim an interface at a time - this is why
-   * running `adb` on the command line blocks WebUSB access.
-   * 
-   * @param {USBDevice} device - The USB device
-   * @param {Object} interfaceInfo - Interface information from findUsbInterface()
-   * @returns {Promise<Object>} Object with {inEndpoint, outEndpoint}
+   * @param {string} state - State to end in ("offline", or "unauthorized"
+   *   when connect() gave up on authorization)
    */
-  async claimInterface(device, interfaceInfo) {
-    // Step 1: Select the USB configuration containing the ADB interface
-    // Most Android devices use configuration 1, but we check to be safe
-    if (
-      device.configuration?.configurationValue !==
-      interfaceInfo.configuration.configurationValue
-    ) {
-      await device.selectConfiguration(
-        interfaceInfo.configuration.configurationValue
-      );
-    }
-    
-    // Step 2: Claim the interface for exclusive access
-    // This will fail if another process (like `adb server`) has claimed it
-    try {
-      await device.claimInterface(interfaceInfo.interface_.interfaceNumber);
-    } catch (error) {
-      throw new Error(
-        "Unable to claim the USB interface. Close any running adb server and reconnect the device."
-      );
-    }
-    
-    // Step 3: Select alternate interface setting if needed
-    // Following ya-webadb: only call selectAlternateInterface if the setting differs
-    // Calling it unnecessarily can cause "transfer error" on some devices
-    const currentAlternateSetting = interfaceInfo.interface_.alternate?.alternateSetting;
-    if (currentAlternateSetting !== interfaceInfo.alternate.alternateSetting) {
-      await device.selectAlternateInterface(
-        interfaceInfo.interface_.interfaceNumber,
-        interfaceInfo.alternate.alternateSetting
-      );
-      // Small delay for USB state to stabilize after alternate change
-      await new Promise((resolve) => setTimeout(resolve, 100));
-    }
-    
-    // Step 4: Get fresh endpoint references from the device's current configuration
-    // This ensures we have up-to-date endpoint objects after claiming
-    const currentInterface = device.configuration.interfaces.find(
-      (i) => i.interfaceNumber === interfaceInfo.interface_.interfaceNumber
-    );
-    if (currentInterface) {
-      const currentAlternate = currentInterface.alternates.find(
-        (a) => a.alternateSetting === interfaceInfo.alternate.alternateSetting
-      );
-      if (currentAlternate) {
-        return findUsbEndpoints(currentAlternate.endpoints);
-      }
-    }
-    return findUsbEndpoints(interfaceInfo.alternate.endpoints);
-  }
-
-  /**
-   * Disconnect from the device and clean up resources.
-   * 
-   * Cleanup steps:
-   * 1. Stop the read loop
-   * 2. Reject any pending waiters
-   * 3. Clear stream state
-   * 4. Release the USB interface
-   * 5. Close the USB device
-   */
-  async disconnect() {
+  async disconnect(state = "offline") {
+    const wasConnected = this.state === "connected";
     this.readLoopActive = false;
     
     // Reject all pending packet waiters
@@ -951,19 +1375,34 @@ export class AdbUsbClient {
     this.waiters = [];
     this.streams.clear();
 
-    if (this.device) {
-      try {
-        await this.device.releaseInterface(this.interfaceNumber);
-      } catch (error) {
-        // Ignore - interface may already be released
-      }
-      try {
-        await this.device.close();
-      } catch (error) {
-        // Ignore - device may already be closed
-      }
+    if (this.transport) {
+      await this.transport.close();
     }
-    this.device = null;
+    this.setState(state);
+    if (wasConnected) this.emit("disconnect", { error: null });
+  }
+
+  /**
+   * Move to a connection state and fire "statechange" if it changed.
+   * 
+   * @param {string} state - See CONNECTION STATES at the top of this file
+   */
+  setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.emit("statechange", { state, previous });
+  }
+
+  /**
+   * Fire one of the client's events (see EVENTS AND CANCELLATION at the
+   * top of this file).
+   * 
+   * @param {string} type - Event type
+   * @param {Object} detail - Event data
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
   }
 
   // ===========================================================================
@@ -976,17 +1415,50 @@ export class AdbUsbClient {
    * 
    * Uses: pm list packages
    * 
-   * @returns {Promise<string[]>} Sorted array of package names
+   * With `details`, each package comes with what is needed to judge
+   * whether it is bloat:
+   * - system: Part of the system image (pm list packages -s), not user-installed
+   * - apkPath / location: Where the APK lives ("/system", "/product",
+   *   "/vendor", "/data", ...)
+   * - installer: Package that installed it (e.g. com.android.vending), or null
+   * - uid: Linux user id of the app
+   * - versionCode: Version code
+   * 
+   * Uses: pm list packages -f -i -U --show-versioncode, and
+   * pm list packages -s. Devices older than Android 9 don't know -U and
+   * --show-versioncode; there uid and versionCode are null.
+   * 
+   * @param {Object} options - List options
+   * @param {AbortSignal} options.signal - Cancels the listing (see runShell())
+   * @param {boolean} options.details - Return objects instead of names
+   * @param {boolean} options.includeUninstalled - Also list packages
+   *   uninstalled for the user (pm list packages -u)
+   * @returns {Promise<string[]|Object[]>} Package names, or with `details`
+   *   { name, system, apkPath, location, installer, uid, versionCode }
+   *   objects, sorted by name
    */
-  async listPackages() {
-    const output = await this.runShell("pm list packages");
+  async listPackages({ signal = null, details = false, includeUninstalled = false } = {}) {
+    const scope = includeUninstalled ? ["-u"] : [];
+    if (!details) {
+      const output = await this.runShell(shellCommand("pm", "list", "packages", ...scope), {
+        signal,
+      });
+      return parsePackageList(output).sort();
+    }
+
+    const list = (...flags) =>
+      this.runShell(shellCommand("pm", "list", "packages", ...flags, ...scope), { signal });
+    let output = await list("-f", "-i", "-U", "--show-versioncode");
+    if (/Unknown option/i.test(output)) {
+      output = await list("-f", "-i");
+    }
+    const system = new Set(parsePackageList(await list("-s")));
     return output
       .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line.startsWith("package:"))
-      .map((line) => line.replace("package:", ""))
+      .map(parsePackageDetails)
       .filter(Boolean)
-      .sort();
+      .map((info) => ({ ...info, system: system.has(info.name) }))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
   }
 
   /**
@@ -994,36 +1466,309 @@ export class AdbUsbClient {
    * 
    * Uses: pm list packages -d (the -d flag filters to disabled packages)
    * 
+   * @param {Object} options - { signal } to cancel (see runShell())
    * @returns {Promise<Set<string>>} Set of disabled package names
    */
-  async listDisabledPackages() {
-    const output = await this.runShell("pm list packages -d");
-    return new Set(
-      output
-        .split("\n")
-        .map((line) => line.trim())
-        .filter((line) => line.startsWith("package:"))
-        .map((line) => line.replace("package:", ""))
-        .filter(Boolean)
+  async listDisabledPackages({ signal = null } = {}) {
+    const output = await this.runShell(shellCommand("pm", "list", "packages", "-d"), {
+      signal,
+    });
+    return new Set(parsePackageList(output));
+  }
+
+  /**
+   * Get the state of every package, including packages uninstalled for
+   * user 0 (`pm uninstall --user 0`), which plain `pm list packages` no
+   * longer shows but which are still on the device. Hidden packages
+   * (`pm hide`) are missing from that list too; dumpsys tells them apart,
+   * along with suspended ones (see listPackageUserStates()).
+   * 
+   * Uses: pm list packages -u, pm list packages, pm list packages -d,
+   * and listPackageUserStates() unless userStates is given
+   * 
+   * @param {Object} options - Options
+   * @param {Map<string, Object>} options.userStates - From
+   *   listPackageUserStates(), when the caller has already read them
+   * @param {AbortSignal} options.signal - Cancels (see runShell())
+   * @returns {Promise<Map<string, string>>} Package name -> "enabled",
+   *   "disabled", "suspended", "hidden" or "uninstalled", sorted by name.
+   *   A package that is both disabled and suspended is "disabled"; the
+   *   user states tell whether it is suspended too.
+   */
+  async listPackageStates({ userStates = null, signal = null } = {}) {
+    const everything = await this.listPackages({ signal, includeUninstalled: true });
+    const installed = new Set(await this.listPackages({ signal }));
+    const disabled = await this.listDisabledPackages({ signal });
+    const users = userStates || (await this.listPackageUserStates({ signal }));
+    const states = new Map();
+    for (const name of everything) {
+      const user = users.get(name);
+      if (!installed.has(name)) states.set(name, user?.hidden ? "hidden" : "uninstalled");
+      else if (disabled.has(name)) states.set(name, "disabled");
+      else states.set(name, user?.suspended ? "suspended" : "enabled");
+    }
+    return states;
+  }
+
+  /**
+   * Get whether each package is installed, hidden and suspended for
+   * user 0. Suspension is independent of being enabled: a disabled
+   * package can be suspended too.
+   * 
+   * Uses: dumpsys package packages (filtered with grep on the device)
+   * 
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<Map<string, Object>>} Package name -> { installed,
+   *   hidden, suspended }; empty when the device can't filter the dump
+   */
+  async listPackageUserStates({ signal = null } = {}) {
+    // The full dump runs to megabytes; only the User 0 lines are needed
+    const dump = shellCommand("dumpsys", "package", "packages");
+    const filter = shellCommand("grep", "-E", "^[A-Z]|^  Package \\[|^    User 0:");
+    return parsePackageUserStates(await this.runShell(`${dump} | ${filter}`, { signal }));
+  }
+
+  /**
+   * Get the APK files of a package: base.apk first, then any splits.
+   * 
+   * Uses: pm path <package>
+   * 
+   * @param {string} packageName - Package to look up
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string[]>} APK paths on the device (empty for an
+   *   unknown package)
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async listApkPaths(packageName, { signal = null } = {}) {
+    const command = shellCommand("pm", "path", checkPackageName(packageName));
+    const paths = parsePackageList(await this.runShell(command, { signal }));
+    // base.apk is what holds the manifest and resources
+    return paths.sort((a, b) => Number(b.endsWith("/base.apk")) - Number(a.endsWith("/base.apk")));
+  }
+
+  /**
+   * Get everything the package manager reports about a package: versions,
+   * install times, code path, permissions, components and more.
+   * 
+   * Uses: dumpsys package <package>
+   * 
+   * The output is meant for people; see parsePackageDump() in
+   * package_dump.js for reading it.
+   * 
+   * @param {string} packageName - Package to describe
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} dumpsys output
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async dumpPackage(packageName, { signal = null } = {}) {
+    return this.runShell(shellCommand("dumpsys", "package", checkPackageName(packageName)), {
+      signal,
+    });
+  }
+
+  /**
+   * Get a package's components and whether each is enabled for user 0.
+   * 
+   * Uses: dumpsys package <package>
+   * 
+   * The dump only lists the components other apps and the system can
+   * start (see package_dump.js), plus any that were disabled; kind is
+   * null for a disabled component the dump doesn't otherwise mention.
+   * With `declared`, the components declared in the APK's manifest are
+   * added (see listDeclaredComponents()), which includes services and
+   * receivers without an intent filter.
+   * 
+   * @param {string} packageName - Package to look up
+   * @param {Object} options - List options
+   * @param {AbortSignal} options.signal - Cancels (see runShell())
+   * @param {boolean} options.declared - Also read the manifest (pulls
+   *   base.apk)
+   * @returns {Promise<Object[]>} [{ kind, className, component, enabled }]:
+   *   kind is "activities", "services", "receivers" or "providers";
+   *   component is "package/class" for disableComponent()
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   * @throws {Error} With `declared`, if the manifest can't be read
+   */
+  async listComponents(packageName, { signal = null, declared = false } = {}) {
+    const details = parsePackageDump(await this.dumpPackage(packageName, { signal }), packageName);
+    const lists = declared
+      ? mergeComponents(details.components, await this.listDeclaredComponents(packageName, { signal }))
+      : details.components;
+    const disabled = new Set(details.disabledComponents);
+    const entry = (kind, className) => ({
+      kind,
+      className,
+      component: `${packageName}/${className}`,
+      enabled: !disabled.has(className),
+    });
+    const components = Object.entries(lists).flatMap(([kind, names]) =>
+      names.map((className) => entry(kind, className))
     );
+    const listed = new Set(components.map((component) => component.className));
+    for (const className of [...disabled].sort()) {
+      if (!listed.has(className)) components.push(entry(null, className));
+    }
+    return components;
+  }
+
+  /**
+   * Get every component a package declares, from its APK's manifest.
+   * 
+   * Uses: pm path <package>, then pulls base.apk with the sync service
+   * 
+   * @param {string} packageName - Package to look up
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<Object>} { activities, services, receivers,
+   *   providers }: sorted full class names
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   * @throws {Error} If the package has no APK, it is too big to pull for
+   *   this, or it can't be read or parsed
+   */
+  async listDeclaredComponents(packageName, { signal = null } = {}) {
+    const [path] = await this.listApkPaths(packageName, { signal });
+    if (!path) throw new Error(`No APK found for ${packageName}.`);
+    const { size } = await this.stat(path, { signal });
+    if (size > MAX_MANIFEST_APK_BYTES) {
+      const megabytes = Math.ceil(size / (1024 * 1024));
+      throw new Error(`${path} is ${megabytes} MB, too big to pull for its manifest.`);
+    }
+    return readApkComponents(await this.pull(path, { signal }));
   }
 
   /**
    * Execute a shell command on the device and return the output.
    * 
-   * Opens a stream to the "shell:" service, runs the command,
-   * and collects all output until the stream closes.
+   * Collects shellStream() until the device closes the stream.
    * 
    * @param {string} command - Shell command to execute
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Closes the stream and rejects
+   *   with the abort reason
    * @returns {Promise<string>} Command output
+   * @throws {AdbStreamTimeoutError} If the command went quiet for
+   *   streamTimeoutMs without finishing
    */
-  async runShell(command) {
+  async runShell(command, { signal = null } = {}) {
     console.log(`[ADB] runShell: opening shell:${command}`);
-    const stream = await this.openStream(`shell:${command}`);
-    console.log(`[ADB] runShell: stream opened, collecting output...`);
-    return this.collectStream(stream, this.streamTimeoutMs);
+    let output = "";
+    for await (const text of this.shellStream(command, { signal })) {
+      output += text;
+    }
+    return output;
+  }
+
+  /**
+   * Run a shell command and read its output as it arrives.
+   * 
+   * Returns a ReadableStream of decoded text (also usable with
+   * `for await`). How it ends tells what happened:
+   * - The device closed the stream: the ReadableStream closes normally
+   * - No output for `timeoutMs`: it errors with AdbStreamTimeoutError and
+   *   the command is closed on the device
+   * - `signal` aborted: it errors with the abort reason
+   * Cancelling the ReadableStream (or leaving a `for await` loop early)
+   * closes the command too.
+   * 
+   * Uses the legacy "shell:" service, so stdout and stderr are merged.
+   * 
+   * @param {string} command - Shell command to execute
+   * @param {Object} options - Stream options
+   * @param {AbortSignal} options.signal - Stops the command
+   * @param {number} options.timeoutMs - Longest silence before giving up
+   *   (default streamTimeoutMs)
+   * @returns {ReadableStream<string>} Command output
+   */
+  shellStream(command, { signal = null, timeoutMs = this.streamTimeoutMs } = {}) {
+    const service = `shell:${command}`;
+    const decoder = new TextDecoder();
+    let stream = null;
+    return new ReadableStream({
+      start: async () => {
+        stream = await this.openStream(service, {
+          signal,
+          highWaterMark: SHELL_HIGH_WATER_MARK,
+        });
+      },
+      pull: async (controller) => {
+        // Part of a character decodes to nothing, and a pull that enqueues
+        // nothing isn't repeated, so read on until there is text
+        for (;;) {
+          const bytes = await this.readStreamChunk(stream, timeoutMs);
+          if (!bytes) {
+            const rest = decoder.decode();
+            if (rest) controller.enqueue(rest);
+            controller.close();
+            return;
+          }
+          const text = decoder.decode(bytes, { stream: true });
+          if (text) {
+            controller.enqueue(text);
+            return;
+          }
+        }
+      },
+      cancel: () => this.closeStream(stream),
+    });
+  }
+
+  /**
+   * Execute a shell command and return its output and exit status.
+   * 
+   * When the device supports shell_v2, the command runs through the
+   * "shell,v2,raw:" service, which keeps stdout and stderr separate and
+   * reports the exit code. On older devices this falls back to the legacy
+   * shell: everything is returned as stdout and exitCode is null.
+   * 
+   * @param {string} command - Shell command to execute
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<Object>} { stdout, stderr, exitCode }
+   * @throws {AdbStreamTimeoutError} If the command went quiet for
+   *   streamTimeoutMs without finishing
+   */
+  async execShell(command, { signal = null } = {}) {
+    if (!this.hasFeature("shell_v2")) {
+      const stdout = await this.runShell(command, { signal });
+      return { stdout, stderr: "", exitCode: null };
+    }
+    const stream = await this.openStream(`shell,v2,raw:${command}`, { signal });
+    // Long commands are fine as long as they keep producing output
+    const chunks = [];
+    let bytes;
+    while ((bytes = await this.readStreamChunk(stream, this.streamTimeoutMs))) {
+      chunks.push(bytes);
+    }
+    return parseShellV2Output(concatBytes(chunks));
   }
   
+  /**
+   * Open an interactive shell session.
+   * 
+   * Unlike runShell(), the session stays open and accepts input:
+   * - shell_v2 devices: "shell,v2,raw:" (or "shell,v2,pty:" with pty=true)
+   * - legacy devices: "shell:" with an empty command (always a pty)
+   * 
+   * @param {Object} options - Session options
+   * @param {Function} options.onOutput - Called with (text, channel) where
+   *   channel is "stdout" or "stderr"
+   * @param {boolean} options.pty - Allocate a terminal (shell_v2 only)
+   * @param {number} options.rows - Initial terminal rows (pty only)
+   * @param {number} options.cols - Initial terminal columns (pty only)
+   * @param {AbortSignal} options.signal - Stops opening, or closes the
+   *   session once open
+   * @returns {Promise<AdbShellSession>} Open session
+   */
+  async openShell({ onOutput = () => {}, pty = false, rows = 24, cols = 80, signal = null } = {}) {
+    const useV2 = this.hasFeature("shell_v2");
+    const service = useV2 ? `shell,v2,${pty ? "pty" : "raw"}:` : "shell:";
+    const stream = await this.openStream(service, { signal });
+    // Legacy interactive shells always run in a pty
+    const session = new AdbShellSession(this, stream, useV2, pty || !useV2, onOutput);
+    if (useV2 && pty) {
+      await session.resize(rows, cols);
+    }
+    return session;
+  }
+
   /**
    * Test shell connectivity with a simple echo command.
    * Useful for debugging connection issues.
@@ -1031,7 +1776,7 @@ export class AdbUsbClient {
   async testShell() {
     console.log("[ADB] testShell: trying echo command");
     try {
-      const result = await this.runShell("echo hello");
+      const result = await this.runShell(shellCommand("echo", "hello"));
       console.log("[ADB] testShell result:", result);
       return result;
     } catch (e) {
@@ -1047,10 +1792,13 @@ export class AdbUsbClient {
    * The package remains installed but becomes unavailable.
    * 
    * @param {string} packageName - Package to disable
+   * @param {Object} options - { signal } to cancel (see runShell())
    * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName isn't a valid package name
    */
-  disablePackage(packageName) {
-    return this.runShell(`pm disable-user --user 0 ${packageName}`);
+  async disablePackage(packageName, { signal = null } = {}) {
+    const command = shellCommand("pm", "disable-user", "--user", 0, checkPackageName(packageName));
+    return this.runShell(command, { signal });
   }
 
   /**
@@ -1059,10 +1807,13 @@ export class AdbUsbClient {
    * Uses: pm enable <package>
    * 
    * @param {string} packageName - Package to enable
+   * @param {Object} options - { signal } to cancel (see runShell())
    * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName isn't a valid package name
    */
-  enablePackage(packageName) {
-    return this.runShell(`pm enable ${packageName}`);
+  async enablePackage(packageName, { signal = null } = {}) {
+    const command = shellCommand("pm", "enable", checkPackageName(packageName));
+    return this.runShell(command, { signal });
   }
 
   /**
@@ -1073,10 +1824,570 @@ export class AdbUsbClient {
    * not completely removed without root access.
    * 
    * @param {string} packageName - Package to uninstall
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async uninstallPackage(packageName, { signal = null } = {}) {
+    const command = shellCommand("pm", "uninstall", "--user", 0, checkPackageName(packageName));
+    return this.runShell(command, { signal });
+  }
+
+  /**
+   * Reinstall a package that was uninstalled for user 0, from the APK
+   * that is still on the device. Undoes uninstallPackage().
+   * 
+   * Uses: cmd package install-existing --user 0 <package>
+   * 
+   * @param {string} packageName - Package to restore
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async restorePackage(packageName, { signal = null } = {}) {
+    const command = shellCommand(
+      "cmd",
+      "package",
+      "install-existing",
+      "--user",
+      0,
+      checkPackageName(packageName)
+    );
+    return this.runShell(command, { signal });
+  }
+
+  /**
+   * Suspend a package for user 0: it stays installed and enabled, but its
+   * icon is greyed out, it can't be opened and its notifications are
+   * hidden until it is unsuspended.
+   * 
+   * Uses: pm suspend --user 0 <package> (Android 7+)
+   * 
+   * @param {string} packageName - Package to suspend
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async suspendPackage(packageName, { signal = null } = {}) {
+    const command = shellCommand("pm", "suspend", "--user", 0, checkPackageName(packageName));
+    return this.runShell(command, { signal });
+  }
+
+  /**
+   * Undo suspendPackage().
+   * 
+   * Uses: pm unsuspend --user 0 <package>
+   * 
+   * @param {string} packageName - Package to unsuspend
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async unsuspendPackage(packageName, { signal = null } = {}) {
+    const command = shellCommand("pm", "unsuspend", "--user", 0, checkPackageName(packageName));
+    return this.runShell(command, { signal });
+  }
+
+  /**
+   * Hide a package for user 0: like uninstalling it for the user, but its
+   * data is kept. Needs root (see runAsRoot()).
+   * 
+   * Uses: pm hide --user 0 <package>
+   * 
+   * @param {string} packageName - Package to hide
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async hidePackage(packageName, { signal = null } = {}) {
+    const command = shellCommand("pm", "hide", "--user", 0, checkPackageName(packageName));
+    return this.runAsRoot(command, { signal });
+  }
+
+  /**
+   * Undo hidePackage(). Needs root (see runAsRoot()).
+   * 
+   * Uses: pm unhide --user 0 <package>
+   * 
+   * @param {string} packageName - Package to unhide
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async unhidePackage(packageName, { signal = null } = {}) {
+    const command = shellCommand("pm", "unhide", "--user", 0, checkPackageName(packageName));
+    return this.runAsRoot(command, { signal });
+  }
+
+  /**
+   * Run a command the shell user isn't allowed to run. It is tried as is
+   * first, which works when adbd runs as root (`adb root`); if that is
+   * refused with a SecurityException, it is run again through `su -c`.
+   * 
+   * Without su, or when su refuses, the first refusal is returned, so
+   * callers see why the command failed rather than why su did.
+   * 
+   * @param {string} command - Shell command to execute
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   */
+  async runAsRoot(command, { signal = null } = {}) {
+    const output = await this.runShell(command, { signal });
+    if (!/SecurityException/.test(output)) return output;
+    const result = await this.execShell(shellCommand("su", "-c", command), { signal });
+    // 127: no su binary; "Permission denied": su refused (e.g. not granted to shell)
+    const text = result.stdout + result.stderr;
+    if (result.exitCode === 127 || /su: .*not found|^Permission denied$/m.test(text)) {
+      return output;
+    }
+    return text;
+  }
+
+  /**
+   * Disable one activity, service, receiver or provider of a package for
+   * user 0; the rest of the package keeps working.
+   * 
+   * Uses: pm disable --user 0 <package>/<class>
+   * 
+   * @param {string} component - e.g. "com.example/.BootReceiver"
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If component isn't a valid component name
+   */
+  async disableComponent(component, { signal = null } = {}) {
+    return this.runShell(componentCommand("disable", component), { signal });
+  }
+
+  /**
+   * Enable a component disabled with disableComponent().
+   * 
+   * Uses: pm enable --user 0 <package>/<class>
+   * 
+   * @param {string} component - e.g. "com.example/.BootReceiver"
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If component isn't a valid component name
+   */
+  async enableComponent(component, { signal = null } = {}) {
+    return this.runShell(componentCommand("enable", component), { signal });
+  }
+
+  /**
+   * Grant a runtime permission to a package for user 0.
+   * 
+   * Uses: pm grant --user 0 <package> <permission>
+   * Prints nothing when it worked.
+   * 
+   * @param {string} packageName - Package to grant to
+   * @param {string} permission - e.g. "android.permission.CAMERA"
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName or permission isn't valid
+   */
+  async grantPermission(packageName, permission, { signal = null } = {}) {
+    return this.runShell(permissionCommand("grant", packageName, permission), { signal });
+  }
+
+  /**
+   * Revoke a runtime permission from a package for user 0.
+   * 
+   * Uses: pm revoke --user 0 <package> <permission>
+   * Prints nothing when it worked.
+   * 
+   * @param {string} packageName - Package to revoke from
+   * @param {string} permission - e.g. "android.permission.CAMERA"
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName or permission isn't valid
+   */
+  async revokePermission(packageName, permission, { signal = null } = {}) {
+    return this.runShell(permissionCommand("revoke", packageName, permission), { signal });
+  }
+
+  /**
+   * Get the app ops a package has a mode or recorded use for.
+   * 
+   * Uses: cmd appops get <package>
+   * 
+   * Ops that are still at their default and were never used aren't
+   * listed. "Uid mode" lines apply to every package sharing the UID and
+   * win over the package's own mode.
+   * 
+   * @param {string} packageName - Package to look up
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<Object[]>} [{ op, mode, scope }]: scope is "uid" or
+   *   "package"
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async getAppOps(packageName, { signal = null } = {}) {
+    const command = shellCommand("cmd", "appops", "get", checkPackageName(packageName));
+    return parseAppOps(await this.runShell(command, { signal }));
+  }
+
+  /**
+   * Set the mode of an app op for a package.
+   * 
+   * Uses: cmd appops set <package> <op> <mode>
+   * Prints nothing when it worked.
+   * 
+   * @param {string} packageName - Package to change
+   * @param {string} op - App op name, e.g. "CAMERA"
+   * @param {string} mode - One of APP_OP_MODES
+   * @param {Object} options - { signal } to cancel (see runShell())
    * @returns {Promise<string>} Command output
+   * @throws {AdbCommandError} If packageName, op or mode isn't valid
+   */
+  async setAppOp(packageName, op, mode, { signal = null } = {}) {
+    if (!isValidAppOpName(op) || !APP_OP_MODES.includes(mode)) {
+      throw new AdbCommandError(
+        "INVALID_ARGUMENT",
+        `Not a valid app op and mode: ${JSON.stringify(String(op))} ${JSON.stringify(String(mode))}`
+      );
+    }
+    const command = shellCommand("cmd", "appops", "set", checkPackageName(packageName), op, mode);
+    return this.runShell(command, { signal });
+  }
+
+  /**
+   * Read how far each installed package is kept from running in the
+   * background.
+   * 
+   * Uses: cmd appops query-op RUN_ANY_IN_BACKGROUND ignore,
+   * am get-standby-bucket, cmd netpolicy list
+   * restrict-background-blacklist and pm list packages -U
+   * 
+   * Devices older than Android 9 don't report buckets or UIDs; bucket
+   * and dataRestricted are null there.
+   * 
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<Map<string, Object>>} Package name ->
+   *   { runRestricted, bucket, dataRestricted }: runRestricted when
+   *   RUN_ANY_IN_BACKGROUND is ignored, bucket a STANDBY_BUCKETS name (or
+   *   "exempted", "never"), dataRestricted when background data is denied
+   */
+  async listBackgroundRestrictions({ signal = null } = {}) {
+    const run = (...args) => this.runShell(shellCommand(...args), { signal });
+    const ignored = new Set(
+      (await run("cmd", "appops", "query-op", "RUN_ANY_IN_BACKGROUND", "ignore"))
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(isValidPackageName)
+    );
+    const buckets = parseStandbyBuckets(await run("am", "get-standby-bucket"));
+    // "Restrict background blacklisted UIDs: 10123 10456 " or "...: none"
+    const denylist = (await run("cmd", "netpolicy", "list", "restrict-background-blacklist")).match(
+      /UIDs: ((?:\d+ ?)*|none)$/m
+    );
+    const deniedUids = new Set(denylist ? (denylist[1].match(/\d+/g) || []).map(Number) : []);
+    let output = await run("pm", "list", "packages", "-U");
+    if (/Unknown option/i.test(output)) output = await run("pm", "list", "packages");
+
+    const restrictions = new Map();
+    for (const { name, uid } of output.split("\n").map(parsePackageDetails).filter(Boolean)) {
+      restrictions.set(name, {
+        runRestricted: ignored.has(name),
+        bucket: buckets.get(name) || null,
+        dataRestricted: denylist && uid !== null ? deniedUids.has(uid) : null,
+      });
+    }
+    return restrictions;
+  }
+
+  /**
+   * Keep a package from running in the background without disabling it:
+   * no background execution, a low standby bucket, no background data.
+   * 
+   * Uses: cmd appops set <package> RUN_ANY_IN_BACKGROUND ignore,
+   * am set-standby-bucket <package> <bucket> and
+   * cmd netpolicy add restrict-background-blacklist <uid>
+   * (the UID comes from dumpsys package). Prints nothing when it worked.
+   * 
+   * @param {string} packageName - Package to restrict
+   * @param {Object} options - Options
+   * @param {string} options.bucket - One of STANDBY_BUCKETS
+   * @param {AbortSignal} options.signal - Cancels (see runShell())
+   * @returns {Promise<string>} Output of all three commands
+   * @throws {AdbCommandError} If packageName or bucket isn't valid
+   */
+  async restrictBackground(packageName, { bucket = "restricted", signal = null } = {}) {
+    if (!STANDBY_BUCKETS.includes(bucket)) {
+      throw new AdbCommandError(
+        "INVALID_ARGUMENT",
+        `Not a valid standby bucket: ${JSON.stringify(String(bucket))}`
+      );
+    }
+    return this.runBackgroundCommands(packageName, true, bucket, signal);
+  }
+
+  /**
+   * Undo restrictBackground(): allow background execution and data, and
+   * move the package to the active bucket, from where Android lowers it
+   * again as usual.
+   * 
+   * Uses: cmd appops set <package> RUN_ANY_IN_BACKGROUND allow,
+   * am set-standby-bucket <package> active and
+   * cmd netpolicy remove restrict-background-blacklist <uid>
+   * 
+   * @param {string} packageName - Package to allow
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<string>} Output of all three commands
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async unrestrictBackground(packageName, { signal = null } = {}) {
+    return this.runBackgroundCommands(packageName, false, "active", signal);
+  }
+
+  /**
+   * Run backgroundCommands() for a package, looking up its UID first.
+   * 
+   * @param {string} packageName - Package to change
+   * @param {boolean} restrict - Restrict (true) or allow (false)
+   * @param {string} bucket - Standby bucket to set
+   * @param {AbortSignal|null} signal - Cancels (see runShell())
+   * @returns {Promise<string>} Output of all commands
+   * @throws {AdbCommandError} If packageName isn't a valid package name
+   */
+  async runBackgroundCommands(packageName, restrict, bucket, signal) {
+    checkPackageName(packageName);
+    const { userId } = parsePackageDump(await this.dumpPackage(packageName, { signal }), packageName);
+    let output = "";
+    for (const command of backgroundCommands(packageName, restrict, bucket, userId)) {
+      output += await this.runShell(command, { signal });
+    }
+    return output;
+  }
+
+  // ===========================================================================
+  // File Sync Methods
+  // ===========================================================================
+  // These methods use the "sync:" service, the same one `adb pull`,
+  // `adb push` and `adb ls` use. Each call opens its own sync stream,
+  // performs one request and sends QUIT.
+
+  /**
+   * Run a callback with an open sync stream, always ending the session.
+   *
+   * @param {Function} callback - Async function receiving the sync stream
+   * @param {AbortSignal|null} signal - Closes the sync stream, so the
+   *   callback's next read or write rejects with the abort reason
+   * @returns {Promise<*>} Whatever the callback returns
+   */
+  async withSync(callback, signal = null) {
+    const stream = await this.openStream("sync:", {
+      highWaterMark: SYNC_HIGH_WATER_MARK,
+      signal,
+    });
+    try {
+      return await callback(stream);
+    } finally {
+      try {
+        if (!stream.closed) {
+          await this.writeStream(stream, encodeSyncHeader(SYNC_IDS.QUIT, 0));
+        }
+      } catch (error) {
+        // Ignore - device may have already closed the stream
+      }
+      await this.closeStream(stream);
+    }
+  }
+
+  /**
+   * Read a sync FAIL message body and throw it as an Error.
+   *
+   * @param {Object} stream - Sync stream
+   * @param {number} length - Length of the failure message
+   * @param {string} operation - Description for the error message
+   * @throws {Error} Always
+   */
+  async throwSyncFailure(stream, length, operation) {
+    const message = textDecoder.decode(await this.readStreamBytes(stream, length));
+    throw new Error(`${operation} failed: ${message || "unknown error"}`);
+  }
+
+  /**
+   * Get file information for a path on the device.
+   *
+   * Uses STA2 when the device supports stat_v2 (full 64-bit stat data),
+   * otherwise falls back to STAT which only reports mode, size and mtime.
+   *
+   * @param {string} path - Absolute path on the device
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<Object>} Stat info ({ mode, size, mtime, isDirectory, ... })
+   * @throws {Error} If the path does not exist or cannot be read
+   */
+  stat(path, { signal = null } = {}) {
+    return this.withSync(async (stream) => {
+      if (this.hasFeature("stat_v2")) {
+        await this.writeStream(stream, encodeSyncRequest(SYNC_IDS.STA2, path));
+        const response = await this.readStreamBytes(stream, 72);
+        const view = viewOf(response);
+        if (view.getUint32(0, true) !== SYNC_IDS.STA2) {
+          throw new Error(`Unexpected sync response to stat ${path}.`);
+        }
+        const stat = parseSyncStat2(view, 4);
+        if (stat.error) {
+          throw new Error(`stat ${path} failed: errno ${stat.error}`);
+        }
+        return stat;
+      }
+
+      // STAT v1 response: id, mode, size, mtime (16 bytes)
+      await this.writeStream(stream, encodeSyncRequest(SYNC_IDS.STAT, path));
+      const response = await this.readStreamBytes(stream, 16);
+      const view = viewOf(response);
+      if (view.getUint32(0, true) !== SYNC_IDS.STAT) {
+        throw new Error(`Unexpected sync response to stat ${path}.`);
+      }
+      const stat = describeSyncMode({
+        mode: view.getUint32(4, true),
+        size: view.getUint32(8, true),
+        mtime: view.getUint32(12, true),
+      });
+      // v1 has no error field - an all-zero reply means the path is missing
+      if (!stat.mode && !stat.size && !stat.mtime) {
+        throw new Error(`stat ${path} failed: No such file or directory`);
+      }
+      return stat;
+    }, signal);
+  }
+
+  /**
+   * List the entries of a directory on the device.
+   *
+   * Uses LIS2 when the device supports ls_v2, otherwise LIST. The device
+   * answers with one DENT/DNT2 record per entry followed by DONE.
+   * The "." and ".." entries are left out.
+   *
+   * @param {string} path - Absolute directory path on the device
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<Object[]>} Entries ({ name, mode, size, mtime, ... })
+   */
+  listDir(path, { signal = null } = {}) {
+    return this.withSync(async (stream) => {
+      const useV2 = this.hasFeature("ls_v2");
+      // Entry header sizes (including the 4-byte id and the name length)
+      const entrySize = useV2 ? 76 : 20;
+      await this.writeStream(
+        stream,
+        encodeSyncRequest(useV2 ? SYNC_IDS.LIS2 : SYNC_IDS.LIST, path)
+      );
+
+      const entries = [];
+      while (true) {
+        const head = await this.readStreamBytes(stream, 8);
+        const headView = viewOf(head);
+        const id = headView.getUint32(0, true);
+        if (id === SYNC_IDS.FAIL) {
+          await this.throwSyncFailure(stream, headView.getUint32(4, true), `list ${path}`);
+        }
+
+        const rest = await this.readStreamBytes(stream, entrySize - 8);
+        if (id === SYNC_IDS.DONE) break;
+        if (id !== SYNC_IDS.DENT && id !== SYNC_IDS.DNT2) {
+          throw new Error(`Unexpected sync response to list ${path}.`);
+        }
+
+        const record = new Uint8Array(entrySize);
+        record.set(head, 0);
+        record.set(rest, 8);
+        const view = viewOf(record);
+        const nameLength = view.getUint32(entrySize - 4, true);
+        const name = textDecoder.decode(await this.readStreamBytes(stream, nameLength));
+        if (name === "." || name === "..") continue;
+
+        const entry = useV2
+          ? parseSyncStat2(view, 4)
+          : describeSyncMode({
+              mode: view.getUint32(4, true),
+              size: view.getUint32(8, true),
+              mtime: view.getUint32(12, true),
+            });
+        entry.name = name;
+        entries.push(entry);
+      }
+      return entries.sort((a, b) => a.name.localeCompare(b.name));
+    }, signal);
+  }
+
+  /**
+   * Download a file from the device.
+   *
+   * RECV Response Sequence:
+   * - DATA <length> <bytes>   (repeated, up to 64KB each)
+   * - DONE 0                  (end of file)
+   * - or FAIL <length> <message> at any point
+   *
+   * @param {string} path - Absolute file path on the device
+   * @param {Object} options - { signal } to cancel (see runShell())
+   * @returns {Promise<Uint8Array>} File contents
    */
-  uninstallPackage(packageName) {
-    return this.runShell(`pm uninstall --user 0 ${packageName}`);
+  pull(path, { signal = null } = {}) {
+    return this.withSync(async (stream) => {
+      await this.writeStream(stream, encodeSyncRequest(SYNC_IDS.RECV, path));
+
+      const chunks = [];
+      while (true) {
+        const head = viewOf(await this.readStreamBytes(stream, 8));
+        const id = head.getUint32(0, true);
+        const length = head.getUint32(4, true);
+        if (id === SYNC_IDS.DONE) break;
+        if (id === SYNC_IDS.FAIL) {
+          await this.throwSyncFailure(stream, length, `pull ${path}`);
+        }
+        if (id !== SYNC_IDS.DATA) {
+          throw new Error(`Unexpected sync response to pull ${path}.`);
+        }
+        chunks.push(await this.readStreamBytes(stream, length));
+      }
+
+      return concatBytes(chunks);
+    }, signal);
+  }
+
+  /**
+   * Upload a file to the device.
+   *
+   * SEND Request Sequence:
+   * - SEND <length> "<path>,<mode>"
+   * - DATA <length> <bytes>   (repeated, up to 64KB each)
+   * - DONE <mtime>
+   * The device replies OKAY when the file is written, or FAIL <message>.
+   *
+   * Parent directories are created by the device (fixed_push_mkdir).
+   *
+   * @param {string} path - Absolute destination path on the device
+   * @param {Uint8Array|ArrayBuffer|string} bytes - File contents
+   * @param {Object} options - Upload options
+   * @param {number} options.mode - Permission bits (default 0644)
+   * @param {AbortSignal} options.signal - Cancels (see runShell()); the
+   *   file may be left partly written
+   * @returns {Promise<void>} Resolves when the device confirms the write
+   */
+  push(path, bytes, { mode = 0o644, signal = null } = {}) {
+    return this.withSync(async (stream) => {
+      const data = toUint8Array(bytes);
+      await this.writeStream(
+        stream,
+        encodeSyncRequest(SYNC_IDS.SEND, `${path},${S_IFREG | (mode & 0o7777)}`)
+      );
+
+      for (let offset = 0; offset < data.length; offset += SYNC_DATA_MAX) {
+        const chunk = data.subarray(offset, offset + SYNC_DATA_MAX);
+        await this.writeStream(stream, encodeSyncRequest(SYNC_IDS.DATA, chunk));
+      }
+
+      const mtime = Math.floor(Date.now() / 1000);
+      await this.writeStream(stream, encodeSyncHeader(SYNC_IDS.DONE, mtime));
+
+      const head = viewOf(await this.readStreamBytes(stream, 8));
+      const id = head.getUint32(0, true);
+      if (id === SYNC_IDS.FAIL) {
+        await this.throwSyncFailure(stream, head.getUint32(4, true), `push ${path}`);
+      }
+      if (id !== SYNC_IDS.OKAY) {
+        throw new Error(`Unexpected sync response to push ${path}.`);
+      }
+    }, signal);
   }
 
   // ===========================================================================
@@ -1087,7 +2398,7 @@ export class AdbUsbClient {
    * Send the initial CNXN (connection) packet to the device.
    * 
    * CNXN Packet Structure:
-   * - arg0: Protocol version (0x01000001 = version 1.0.0.1)
+   * - arg0: Highest protocol version we speak (VERSION_SKIP_CHECKSUM)
    * - arg1: Maximum payload size the host can accept
    * - payload: Host identity string "host::features=feat1,feat2,..."
    * 
@@ -1096,10 +2407,8 @@ export class AdbUsbClient {
    * - CNXN packet: Connection accepted (rare, for already-authorized hosts)
    */
   async sendCnxn() {
-    const version = 0x01000001;  // ADB protocol version 1.0.0.1
-    const maxPayload = 1024 * 1024;  // 1MB max payload
     const features = `host::features=${ADB_FEATURES.join(",")}`;
-    await this.sendPacket("CNXN", version, maxPayload, features);
+    await this.sendPacket("CNXN", VERSION_SKIP_CHECKSUM, MAX_PAYLOAD, features);
   }
 
   /**
@@ -1114,22 +2423,31 @@ export class AdbUsbClient {
    * Stream Opening Protocol:
    * 1. Host sends OPEN packet with local-id and service name
    *    - arg0: local-id (assigned by host, used to identify this stream)
-   *    - arg1: 0 (unused)
+   *    - arg1: our receive window with delayed_ack, otherwise 0
    *    - payload: service name (null-terminated string)
    * 
    * 2. Device responds with either:
    *    - OKAY: Stream opened successfully
    *      - arg0: remote-id (assigned by device)
    *      - arg1: local-id (echoed back)
+   *      - payload: with delayed_ack, the device's receive window (u32)
    *    - CLSE: Stream rejected (service not found, etc.)
    * 
    * @param {string} service - Service name (e.g., "shell:ls")
+   * @param {Object} options - Stream options
+   * @param {number} options.highWaterMark - Unread bytes to buffer before
+   *   acknowledgements are held back (default: unlimited, for streams that
+   *   are collected until they close)
+   * @param {AbortSignal} options.signal - Closes the stream when aborted
+   *   (see watchAbort())
    * @returns {Promise<Object>} Stream object for reading data
    */
-  async openStream(service) {
+  async openStream(service, { highWaterMark = Infinity, signal = null } = {}) {
+    signal?.throwIfAborted();
+    
     // Ensure read loop is running before opening stream
     // The read loop must be active to receive the OKAY response
-    if (!this.readLoopRunning && this.device && this.device.opened) {
+    if (!this.readLoopRunning && this.transport && this.transport.opened) {
       console.log(`[ADB] openStream: restarting read loop`);
       this.ensureReadLoop();
       await new Promise(r => setTimeout(r, 50)); // Give it time to start
@@ -1143,9 +2461,24 @@ export class AdbUsbClient {
     const stream = {
       localId,           // Our ID for this stream
       remoteId: null,    // Device's ID (set when OKAY received)
+      service,           // Service name from OPEN, for events and logs
       chunks: [],        // Received data chunks
+      bufferedLength: 0, // Total bytes in chunks not yet consumed
       closed: false,     // Whether stream has been closed
       closeResolvers: [], // Callbacks to invoke when stream closes
+      dataResolvers: [],  // Callbacks to invoke when data arrives
+      onData: null,       // If set, receives data instead of chunks
+      writeResolve: null, // Pending write waiting for device OKAY
+      writeReject: null,
+      error: null,        // Set if the stream failed (see failStream)
+      sendWindow: null,   // Bytes the device accepts (delayed_ack only)
+      windowResolvers: [], // Writers waiting for the send window to open
+      ackPending: false,  // Whether a received WRTE awaits our OKAY
+      unackedBytes: 0,    // Received bytes not acknowledged yet
+      highWaterMark,      // Unread bytes before acks are held back
+      readDemand: 0,      // Bytes a pending readStreamBytes() is waiting for
+      ackInFlight: false, // An OKAY is being sent; later acks fold into the next
+      unwatchAbort: null, // Removes the abort listener (see watchAbort)
     };
     
     // Create promise that resolves when device sends OKAY
@@ -1157,13 +2490,21 @@ export class AdbUsbClient {
         reject(new Error(`Stream open timeout for ${service}`));
       }, 5000);
     });
+    // An abort can reject it before we get to await it below
+    stream.ready.catch(() => {});
     
     // Register stream before sending OPEN
     this.streams.set(localId, stream);
+    stream.unwatchAbort = this.watchAbort(stream, signal);
     
     // Send OPEN packet
     console.log(`[ADB] openStream: sending OPEN for stream ${localId}`);
-    await this.sendPacket("OPEN", localId, 0, `${service}\0`);
+    await this.sendPacket(
+      "OPEN",
+      localId,
+      this.delayedAck ? DELAYED_ACK_WINDOW : 0,
+      `${service}\0`
+    );
     console.log(`[ADB] openStream: OPEN sent, waiting for OKAY...`);
     
     // Wait for OKAY response
@@ -1174,41 +2515,291 @@ export class AdbUsbClient {
   }
 
   /**
-   * Collect all data from a stream until it closes or times out.
+   * Fail a stream with the abort reason when `signal` aborts, which sends
+   * CLSE and wakes everything waiting on the stream.
+   * 
+   * @param {Object} stream - Stream object from openStream()
+   * @param {AbortSignal|null} signal - Caller's signal
+   * @returns {Function|null} Removes the listener; notifyStreamClosed()
+   *   calls it
+   */
+  watchAbort(stream, signal) {
+    if (!signal) return null;
+    const onAbort = () => this.failStream(stream, signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    return () => signal.removeEventListener("abort", onAbort);
+  }
+
+  /**
+   * Take everything a stream has buffered, waiting for data if there is
+   * none yet.
+   * 
+   * @param {Object} stream - Stream object from openStream()
+   * @param {number} timeoutMs - Longest wait for data
+   * @returns {Promise<Uint8Array|null>} Received bytes, or null once the
+   *   device closed the stream and everything was read
+   * @throws {AdbStreamTimeoutError} If nothing arrived in time (the
+   *   stream is closed)
+   * @throws {Error} If the stream failed (see failStream)
+   */
+  async readStreamChunk(stream, timeoutMs) {
+    while (!stream.bufferedLength) {
+      if (stream.closed) {
+        if (stream.error) throw stream.error;
+        return null;
+      }
+      const arrived = await new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(false), timeoutMs);
+        stream.dataResolvers.push(() => {
+          clearTimeout(timer);
+          resolve(true);
+        });
+      });
+      if (!arrived) {
+        const error = new AdbStreamTimeoutError(
+          `No output from ${stream.service} for ${timeoutMs}ms; it may be incomplete.`,
+          { service: stream.service, timeoutMs }
+        );
+        await this.failStream(stream, error);
+        throw error;
+      }
+    }
+    const bytes = concatBytes(stream.chunks);
+    stream.chunks = [];
+    stream.bufferedLength = 0;
+    this.acknowledge(stream);
+    return bytes;
+  }
+
+  /**
+   * Wait until a stream closes or the timeout expires.
    * 
    * @param {Object} stream - Stream object from openStream()
    * @param {number} timeoutMs - Maximum time to wait
-   * @returns {Promise<string>} Decoded stream output
+   * @returns {Promise<boolean>} True if the stream closed, false on timeout
    */
-  collectStream(stream, timeoutMs) {
+  waitForClose(stream, timeoutMs) {
     return new Promise((resolve) => {
+      if (stream.closed) {
+        resolve(true);
+        return;
+      }
       // Set up timeout
       const timer = setTimeout(() => {
-        resolve(this.decodeStream(stream));
+        resolve(false);
       }, timeoutMs);
       
       // Also resolve when stream closes
       stream.closeResolvers.push(() => {
         clearTimeout(timer);
-        resolve(this.decodeStream(stream));
+        resolve(true);
       });
     });
   }
 
   /**
-   * Decode stream chunks into a string.
-   * Concatenates all received chunks and decodes as UTF-8.
+   * Write data to an open stream.
+   *
+   * Data is split into WRTE packets of at most maxPayload bytes.
+   * 
+   * Flow Control:
+   * - Without delayed_ack, only one WRTE per stream may be unacknowledged,
+   *   so each packet waits for the device's OKAY before the next one.
+   * - With delayed_ack, packets are sent back to back while the device's
+   *   window has room; its OKAYs carry the bytes it freed up.
+   *
+   * @param {Object} stream - Stream object from openStream()
+   * @param {Uint8Array|string} data - Data to send
+   * @returns {Promise<void>} Resolves when all data is sent (and, without
+   *   delayed_ack, acknowledged)
    */
-  decodeStream(stream) {
-    const data = new Uint8Array(
-      stream.chunks.reduce((sum, chunk) => sum + chunk.length, 0)
-    );
+  async writeStream(stream, data) {
+    const bytes = toUint8Array(data);
+    for (let offset = 0; offset < bytes.length; offset += this.maxPayload) {
+      if (stream.closed) {
+        throw stream.error || new Error(`Stream ${stream.localId} is closed.`);
+      }
+      const chunk = bytes.subarray(offset, offset + this.maxPayload);
+      if (stream.sendWindow !== null) {
+        await this.waitForSendWindow(stream);
+        stream.sendWindow -= chunk.length;
+        await this.sendPacket("WRTE", stream.localId, stream.remoteId, chunk);
+        continue;
+      }
+      const acknowledged = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          stream.writeResolve = null;
+          stream.writeReject = null;
+          reject(new Error(`Write timeout on stream ${stream.localId}`));
+        }, this.streamTimeoutMs);
+        stream.writeResolve = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        stream.writeReject = (error) => {
+          clearTimeout(timer);
+          reject(error);
+        };
+      });
+      await this.sendPacket("WRTE", stream.localId, stream.remoteId, chunk);
+      await acknowledged;
+    }
+  }
+
+  /**
+   * Read exactly `length` bytes from a stream, waiting for more WRTE
+   * packets as needed. Consumed bytes are removed from the stream buffer.
+   *
+   * @param {Object} stream - Stream object from openStream()
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Uint8Array>} The requested bytes
+   * @throws {Error} If the stream closes or times out first
+   */
+  async readStreamBytes(stream, length) {
+    // A read larger than the high water mark must not be starved of acks
+    stream.readDemand = length;
+    this.acknowledge(stream);
+    try {
+      while (stream.bufferedLength < length) {
+        if (stream.closed) {
+          throw stream.error ||
+            new Error(`Stream ${stream.localId} closed before data was received.`);
+        }
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(() => {
+            reject(new Error(`Read timeout on stream ${stream.localId}`));
+          }, this.streamTimeoutMs);
+          stream.dataResolvers.push(() => {
+            clearTimeout(timer);
+            resolve();
+          });
+        });
+      }
+    } finally {
+      stream.readDemand = 0;
+    }
+
+    const result = new Uint8Array(length);
     let offset = 0;
-    for (const chunk of stream.chunks) {
-      data.set(chunk, offset);
-      offset += chunk.length;
+    while (offset < length) {
+      const chunk = stream.chunks[0];
+      const take = Math.min(chunk.length, length - offset);
+      result.set(chunk.subarray(0, take), offset);
+      offset += take;
+      if (take === chunk.length) {
+        stream.chunks.shift();
+      } else {
+        stream.chunks[0] = chunk.subarray(take);
+      }
+    }
+    stream.bufferedLength -= length;
+    this.acknowledge(stream);
+    return result;
+  }
+
+  /**
+   * Wait until the device's delayed_ack window has room for another WRTE.
+   *
+   * @param {Object} stream - Stream object from openStream()
+   * @throws {Error} If the stream closes or no OKAY arrives in time
+   */
+  async waitForSendWindow(stream) {
+    while (stream.sendWindow <= 0) {
+      if (stream.closed) {
+        throw stream.error || new Error(`Stream ${stream.localId} is closed.`);
+      }
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          reject(new Error(`Write timeout on stream ${stream.localId}`));
+        }, this.streamTimeoutMs);
+        stream.windowResolvers.push(() => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+  }
+
+  /**
+   * Acknowledge received data, unless the stream's buffer is full.
+   *
+   * Backpressure: while more than highWaterMark bytes sit unread on the
+   * stream, the OKAY is held back, so the device stops sending (after one
+   * WRTE, or once its delayed_ack window is used up). readStreamBytes()
+   * calls this again as the buffer drains, and while it waits for a read
+   * larger than the high water mark.
+   * 
+   * With delayed_ack, WRTEs that arrive while an OKAY is still being sent
+   * are acknowledged together by the next one, so slow sends don't turn
+   * into one OKAY per WRTE queued behind each other.
+   *
+   * @param {Object} stream - Stream object from openStream()
+   */
+  acknowledge(stream) {
+    if (!stream.ackPending || stream.closed) return;
+    if (stream.ackInFlight) return;
+    if (stream.bufferedLength > Math.max(stream.highWaterMark, stream.readDemand)) return;
+    const payload = this.delayedAck
+      ? encodeUint32(stream.unackedBytes)
+      : new Uint8Array();
+    stream.ackPending = false;
+    stream.unackedBytes = 0;
+    stream.ackInFlight = true;
+    // Not awaited; if the link is gone the read loop finds out
+    this.sendPacket("OKAY", stream.localId, stream.remoteId, payload)
+      .catch(() => {})
+      .finally(() => {
+        stream.ackInFlight = false;
+        this.acknowledge(stream);
+      });
+  }
+
+  /**
+   * Close a stream from the host side.
+   *
+   * Sends CLSE to the device and wakes anyone waiting on the stream.
+   * The device answers with its own CLSE, which is ignored because the
+   * stream is already marked closed.
+   *
+   * @param {Object} stream - Stream object from openStream()
+   */
+  async closeStream(stream) {
+    if (stream.closed) {
+      this.streams.delete(stream.localId);
+      return;
+    }
+    stream.closed = true;
+    try {
+      if (stream.remoteId) {
+        await this.sendPacket("CLSE", stream.localId, stream.remoteId, new Uint8Array());
+      }
+    } finally {
+      this.streams.delete(stream.localId);
+      this.notifyStreamClosed(stream);
+    }
+  }
+
+  /**
+   * Wake everything waiting on a stream after it has been closed.
+   * Pending writes are rejected, readers and close listeners are resolved.
+   */
+  notifyStreamClosed(stream) {
+    if (stream.unwatchAbort) stream.unwatchAbort();
+    this.emit("stream-close", {
+      localId: stream.localId,
+      service: stream.service,
+      error: stream.error,
+    });
+    if (stream.writeReject) {
+      stream.writeReject(
+        stream.error || new Error(`Stream ${stream.localId} was closed.`)
+      );
+      stream.writeResolve = null;
+      stream.writeReject = null;
     }
-    return textDecoder.decode(data);
+    stream.dataResolvers.splice(0).forEach((resolve) => resolve());
+    stream.windowResolvers.splice(0).forEach((resolve) => resolve());
+    stream.closeResolvers.forEach((resolve) => resolve());
   }
 
   /**
@@ -1219,9 +2810,8 @@ export class AdbUsbClient {
    * │ Header (24 bytes) │ Payload (variable length)             │
    * └────────────────────────────────────────────────────────────┘
    * 
-   * The header and payload are sent as separate USB transfers.
-   * A Zero-Length Packet (ZLP) is sent after data that's an exact
-   * multiple of the endpoint's packet size (typically 512 bytes).
+   * The transport decides how the bytes travel (for USB: header and
+   * payload as separate bulk transfers, see UsbTransport.send()).
    * 
    * @param {string} command - Command name (CNXN, OPEN, WRTE, etc.)
    * @param {number} arg0 - First argument
@@ -1229,11 +2819,15 @@ export class AdbUsbClient {
    * @param {Uint8Array|string} payload - Packet payload
    */
   async sendPacket(command, arg0, arg1, payload) {
-    if (!this.device) throw new Error("No device connected.");
+    if (!this.transport) throw new Error("No device connected.");
     
     const commandValue = COMMANDS[command] || commandToInt(command);
     const payloadBytes = toUint8Array(payload);
-    const checksum = adbChecksum(payloadBytes);
+    // Until both sides agreed to skip it, the checksum is required
+    const checksum =
+      this.protocolVersion !== null && this.protocolVersion >= VERSION_SKIP_CHECKSUM
+        ? 0
+        : adbChecksum(payloadBytes);
     const header = buildHeader(
       commandValue,
       arg0,
@@ -1245,68 +2839,11 @@ export class AdbUsbClient {
     // Log packet for debugging
     this.logPacket("out", commandValue, arg0, arg1, payloadBytes);
 
-    const packetSize = this.outPacketSize || 0;
-    
-    /**
-     * Send a chunk of data, handling ZLP (Zero-Length Packet) requirements.
-     * 
-     * USB bulk transfers use ZLP to signal end of transfer when the data
-     * length is an exact multiple of the endpoint's max packet size.
-     * Without ZLP, the device waits for more data indefinitely.
-     */
-    const sendChunk = async (chunk) => {
-      // Create a copy of the chunk to avoid issues with detached buffers
-      const safeChunk = chunk.length
-        ? new Uint8Array(
-            chunk.buffer.slice(
-              chunk.byteOffset,
-              chunk.byteOffset + chunk.byteLength
-            )
-          )
-        : chunk;
-      
-      await this.device.transferOut(this.outEndpoint, safeChunk);
-      
-      // Send ZLP if chunk size is exact multiple of packet size
-      if (packetSize && chunk.length && chunk.length % packetSize === 0) {
-        await this.device.transferOut(this.outEndpoint, new Uint8Array(0));
-      }
-    };
-
-    try {
-      // Send header first, then payload
-      await sendChunk(header);
-      if (payloadBytes.length) {
-        await sendChunk(payloadBytes);
-      }
-    } catch (error) {
-      // Handle device disconnection
-      if (error && error.name === "NotFoundError") {
-        const disconnectError = new Error(
-          "USB device disconnected. Reconnect the device and try again."
-        );
-        disconnectError.cause = error;
-        throw disconnectError;
-      }
-      await this.clearHaltSafe("out");
-      try {
-        await sendChunk(header);
-        if (payloadBytes.length) {
-          await sendChunk(payloadBytes);
-        }
-      } catch (retryError) {
-        // Add helpful message for transfer errors
-        const message = error.message || "";
-        if (message.includes("transfer error")) {
-          const betterError = new Error(
-            `${message} Disconnect the USB cable from the device and reconnect, or try selecting the device again.`
-          );
-          betterError.cause = error;
-          throw betterError;
-        }
-        throw error;
-      }
-    }
+    // Header and payload may be separate transfers, so concurrent sends
+    // (e.g. an OKAY while a WRTE is going out) must not interleave
+    const sent = this.sendQueue.then(() => this.transport.send(header, payloadBytes));
+    this.sendQueue = sent.catch(() => {});
+    await sent;
   }
 
   /**
@@ -1314,16 +2851,39 @@ export class AdbUsbClient {
    * 
    * This is used during the connection phase before the read loop starts.
    * It reads packets synchronously and handles AUTH packets inline.
+   * After a corrupt packet the handshake is restarted with a new CNXN.
+   * 
+   * Once handleAuth() has sent the public key, the wait runs until
+   * `authDeadline` instead, and running out means the user didn't accept.
    * 
    * @param {string} expectedCommand - Command to wait for (e.g., "CNXN")
    * @param {number} timeoutMs - Maximum wait time
+   * @param {AbortSignal|null} signal - Stops the wait with the abort reason
    * @returns {Promise<Object>} The received packet
+   * @throws {AdbAuthError} If the authorization wait expires
    * @throws {Error} If timeout expires
    */
-  async waitForPacket(expectedCommand, timeoutMs = 8000) {
+  async waitForPacket(expectedCommand, timeoutMs = CONNECT_TIMEOUT_MS, signal = null) {
     const deadline = Date.now() + timeoutMs;
-    while (Date.now() < deadline) {
-      const packet = await this.readPacket();
+    const currentDeadline = () => this.authDeadline || deadline;
+    this.authDeadline = null;
+    let lastError = null;
+    while (Date.now() < currentDeadline()) {
+      signal?.throwIfAborted();
+      let packet;
+      try {
+        packet = await this.readPacketBefore(currentDeadline(), signal);
+      } catch (error) {
+        if (!(error instanceof AdbPacketError)) throw error;
+        // A lost AUTH or CNXN would stall the handshake, so start it over
+        lastError = error;
+        this.recordPacketError(error);
+        await this.transport.recover("in");
+        this.authSentSignature = false;
+        this.authSentPublicKey = false;
+        await this.sendCnxn();
+        continue;
+      }
       if (!packet) continue;
       
       this.logPacket(
@@ -1344,7 +2904,47 @@ export class AdbUsbClient {
         return packet;
       }
     }
-    throw new Error("Timed out waiting for device response.");
+    if (this.authDeadline) {
+      throw new AdbAuthError(
+        "AUTH_TIMEOUT",
+        `The device wasn't authorized within ${Math.round(this.authTimeoutMs / 1000)}s. ` +
+          "Accept the \"Allow USB debugging?\" prompt on the device and connect again."
+      );
+    }
+    throw new Error(
+      lastError
+        ? `Timed out waiting for device response (last packet error: ${lastError.message})`
+        : "Timed out waiting for device response."
+    );
+  }
+
+  /**
+   * readPacket(), but give up at `deadline` or when `signal` aborts.
+   * 
+   * A transport read may block until the device sends something, so the
+   * handshake deadline can't just be checked between packets. On timeout
+   * or abort the read is left pending; connect() closes the transport
+   * right after.
+   * 
+   * @param {number} deadline - Date.now() value to stop at
+   * @param {AbortSignal|null} signal - Rejects with the abort reason
+   * @returns {Promise<Object|undefined>} Parsed packet, or undefined on
+   *   timeout or when the transport returned nothing
+   */
+  readPacketBefore(deadline, signal = null) {
+    let timer = null;
+    let onAbort = null;
+    const stop = new Promise((resolve, reject) => {
+      timer = setTimeout(resolve, Math.max(0, deadline - Date.now()));
+      if (signal) {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+    });
+    return Promise.race([this.readPacket(), stop]).finally(() => {
+      clearTimeout(timer);
+      if (onAbort) signal.removeEventListener("abort", onAbort);
+    });
   }
 
   /**
@@ -1357,7 +2957,7 @@ export class AdbUsbClient {
     if (this.readLoopRunning) return;
     this.readLoopActive = true;
     // Clear halt before restarting to avoid stale errors
-    this.clearHaltSafe("in").then(() => {
+    this.transport.recover("in").then(() => {
       this.startReadLoop();
     });
   }
@@ -1372,21 +2972,24 @@ export class AdbUsbClient {
    * - CLSE: Stream closed
    * 
    * The loop includes error recovery for transient USB errors,
-   * retrying up to 3 times before giving up.
+   * retrying up to 3 times before giving up. Corrupt or misaligned
+   * packets are handled by handlePacketError().
    */
   async startReadLoop() {
     this.readLoopRunning = true;
     console.log("[ADB] Read loop started");
     let consecutiveErrors = 0;
+    let lostError = null; // Why the loop gave up on the connection
     
-    while (this.readLoopActive && this.device) {
+    while (this.readLoopActive && this.transport && this.transport.opened) {
       try {
         const packet = await this.readPacket();
         consecutiveErrors = 0; // Reset error count on success
         
         if (!packet) {
-          continue;  // Timeout or invalid packet, try again
+          continue;  // Transport returned nothing, try again
         }
+        this.framingErrors = 0;
         
         console.log("[ADB] Read loop: got packet:", packet.command, "arg0:", packet.arg0, "arg1:", packet.arg1);
         this.logPacket(
@@ -1401,11 +3004,18 @@ export class AdbUsbClient {
         this.dispatchPacket(packet);
         
       } catch (error) {
+        // Corrupt packets are reported and recovered from, not retried
+        if (error instanceof AdbPacketError) {
+          if (await this.handlePacketError(error)) continue;
+          lostError = error;
+          break;
+        }
+        
         console.log("[ADB] Read loop error:", error.message);
         consecutiveErrors++;
         
         // Try to recover from transient errors
-        if (consecutiveErrors < 3 && this.device && this.device.opened) {
+        if (consecutiveErrors < 3 && this.transport && this.transport.opened) {
           console.log("[ADB] Read loop: waiting and retrying...");
           await new Promise(r => setTimeout(r, 200));
           continue;
@@ -1414,23 +3024,31 @@ export class AdbUsbClient {
         // Too many errors, stop the loop
         if (this.readLoopActive) {
           this.readLoopActive = false;
+          lostError = error;
+          this.emit("error", { error });
         }
         break;
       }
     }
     console.log("[ADB] Read loop ended, active=", this.readLoopActive);
     this.readLoopRunning = false;
+    // The link died under us (disconnect() sets the state itself)
+    if (lostError && this.state === "connected") {
+      this.setState("offline");
+      this.emit("disconnect", { error: lostError });
+    }
   }
 
   /**
    * Read a single ADB packet from the device.
    * 
    * Packet Reading Process:
-   * 1. Read header (24 bytes) from IN endpoint
+   * 1. Read header (24 bytes) from the transport
    * 2. Parse header fields (see buildHeader for structure)
    * 3. Validate magic value (must equal command XOR 0xFFFFFFFF)
    * 4. If payload length > 0, read payload bytes
-   * 5. Return parsed packet object
+   * 5. Verify the payload checksum unless both sides skip it
+   * 6. Return parsed packet object
    * 
    * Header Parsing (offsets into 24-byte buffer):
    * ┌─────────┬─────────┬────────────────────────────────────────┐
@@ -1444,78 +3062,195 @@ export class AdbUsbClient {
    * │ 20      │ 4 bytes │ magic (= command XOR 0xFFFFFFFF)       │
    * └─────────┴─────────┴────────────────────────────────────────┘
    * 
-   * @returns {Promise<Object|undefined>} Parsed packet or undefined on timeout
+   * @returns {Promise<Object|undefined>} Parsed packet or undefined if the
+   *   transport returned nothing
+   * @throws {AdbPacketError} If the packet is corrupt or misaligned
    */
   async readPacket() {
-    const packetSize = this.inPacketSize || 512;
-    const startTime = Date.now();
+    // Read header from the transport (device → host)
+    const buffer = await this.transport.read(24);
+    if (!buffer) {
+      return undefined;
+    }
+    
+    // Header must be exactly 24 bytes
+    if (buffer.byteLength !== 24) {
+      throw new AdbPacketError(
+        "BAD_LENGTH",
+        `Expected a 24-byte packet header, got ${buffer.byteLength} bytes.`,
+        { received: buffer.byteLength }
+      );
+    }
+    
+    // Parse header fields using DataView for endianness control
+    const headerView = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
     
-    while (true) {
-      // Timeout protection - don't hang forever
-      if (Date.now() - startTime > 10000) {
+    const command = headerView.getUint32(0, true);   // Offset 0: command
+    const arg0 = headerView.getUint32(4, true);      // Offset 4: arg0
+    const arg1 = headerView.getUint32(8, true);      // Offset 8: arg1
+    const length = headerView.getUint32(12, true);   // Offset 12: payload length
+    const checksum = headerView.getUint32(16, true); // Offset 16: checksum
+    const magic = headerView.getUint32(20, true);    // Offset 20: magic
+    const details = { command: intToCommand(command), arg0, arg1, length };
+    
+    // Validate magic field
+    // JavaScript's XOR produces a signed 32-bit result, but DataView returns unsigned
+    // Use >>> 0 to convert to unsigned for comparison
+    const expectedMagic = ((command ^ 0xffffffff) >>> 0);
+    if (magic !== expectedMagic) {
+      throw new AdbPacketError(
+        "BAD_MAGIC",
+        "Packet header magic mismatch (corrupt or misaligned header).",
+        details
+      );
+    }
+    
+    // A length beyond what we advertised means the header is garbage;
+    // don't try to read it
+    if (length > MAX_PAYLOAD) {
+      throw new AdbPacketError(
+        "BAD_LENGTH",
+        `Packet payload of ${length} bytes exceeds the ${MAX_PAYLOAD}-byte maximum.`,
+        details
+      );
+    }
+    
+    // Read payload if present
+    let payload;
+    if (length !== 0) {
+      payload = await this.transport.read(length);
+      if (!payload) {
         return undefined;
       }
-      
-      // Read from IN endpoint (device → host)
-      let headerResult;
-      try {
-        headerResult = await this.device.transferIn(
-          this.inEndpoint,
-          packetSize
+      if (payload.length !== length) {
+        throw new AdbPacketError(
+          "BAD_LENGTH",
+          `${details.command} payload should be ${length} bytes, got ${payload.length}.`,
+          { ...details, received: payload.length }
         );
-      } catch (error) {
-        throw error;
-      }
-      
-      if (!headerResult || !headerResult.data) {
-        return undefined;
-      }
-      
-      // Header must be exactly 24 bytes
-      if (headerResult.data.byteLength !== 24) {
-        continue;  // Skip malformed data
       }
-      
-      // Parse header fields using DataView for endianness control
-      const buffer = new Uint8Array(headerResult.data.buffer);
-      const headerView = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
-      
-      const command = headerView.getUint32(0, true);  // Offset 0: command
-      const arg0 = headerView.getUint32(4, true);     // Offset 4: arg0
-      const arg1 = headerView.getUint32(8, true);     // Offset 8: arg1
-      const length = headerView.getUint32(12, true);  // Offset 12: payload length
-      // Offset 16: checksum (we don't verify it)
-      const magic = headerView.getUint32(20, true);   // Offset 20: magic
-      
-      // Validate magic field
-      // JavaScript's XOR produces a signed 32-bit result, but DataView returns unsigned
-      // Use >>> 0 to convert to unsigned for comparison
-      const expectedMagic = ((command ^ 0xffffffff) >>> 0);
-      if (magic !== expectedMagic) {
-        continue;  // Skip invalid packets
-      }
-      
-      // Read payload if present
-      let payload;
-      if (length !== 0) {
-        const payloadResult = await this.device.transferIn(
-          this.inEndpoint,
-          length
-        );
-        if (!payloadResult || !payloadResult.data) {
-          return undefined;
-        }
-        payload = new Uint8Array(payloadResult.data.buffer);
-      } else {
-        payload = new Uint8Array(0);
+    } else {
+      payload = new Uint8Array(0);
+    }
+    
+    if (this.shouldVerifyChecksum(checksum) && adbChecksum(payload) !== checksum) {
+      throw new AdbPacketError(
+        "BAD_CHECKSUM",
+        `${details.command} payload checksum mismatch.`,
+        { ...details, checksum, actual: adbChecksum(payload) }
+      );
+    }
+    
+    return {
+      command: details.command,
+      arg0,
+      arg1,
+      payload,
+    };
+  }
+
+  /**
+   * Whether an incoming packet's checksum has to be verified.
+   * 
+   * Checksums are skipped only once both sides negotiated
+   * VERSION_SKIP_CHECKSUM. Before the device's CNXN arrives the version
+   * isn't known yet, but the device may already have switched after
+   * seeing our CNXN, so a zero checksum is accepted during the handshake.
+   * 
+   * @param {number} checksum - data_crc from the header
+   * @returns {boolean} True if the payload must match the checksum
+   */
+  shouldVerifyChecksum(checksum) {
+    if (this.protocolVersion === null) {
+      return checksum !== 0;
+    }
+    return this.protocolVersion < VERSION_SKIP_CHECKSUM;
+  }
+
+  /**
+   * Recover from a corrupt or misaligned packet in the read loop.
+   * 
+   * Recovery Steps:
+   * - If the header could still be read and belongs to one of our streams,
+   *   that stream lost data and can't be trusted: it is failed with the
+   *   error and closed, so callers get an error instead of waiting forever.
+   * - A bad checksum leaves the framing intact, so reading just goes on.
+   * - Otherwise the framing is suspect: the transport is reset (for USB
+   *   this clears the halt, and the next transfer starts on a packet
+   *   boundary; a WebSocket skips ahead to the next valid header). After
+   *   MAX_FRAMING_ERRORS in a row the connection is given up and every
+   *   pending operation fails with the error.
+   * 
+   * @param {AdbPacketError} error - Error from readPacket()
+   * @returns {Promise<boolean>} True if the read loop should keep going
+   */
+  async handlePacketError(error) {
+    this.recordPacketError(error);
+    
+    const { command, arg1 } = error.details;
+    if (command === "OKAY" || command === "WRTE" || command === "CLSE") {
+      const stream = this.streams.get(arg1);
+      if (stream) {
+        await this.failStream(stream, error);
       }
-      
-      return {
-        command: intToCommand(command),
-        arg0,
-        arg1,
-        payload,
-      };
+    }
+    if (error.code === "BAD_CHECKSUM") {
+      return true;
+    }
+    
+    this.framingErrors += 1;
+    if (this.framingErrors < MAX_FRAMING_ERRORS) {
+      await this.transport.recover("in");
+      return true;
+    }
+    
+    console.log("[ADB] Too many packet errors, giving up on the connection");
+    this.readLoopActive = false;
+    this.waiters.forEach((waiter) => waiter.reject(error));
+    this.waiters = [];
+    for (const stream of [...this.streams.values()]) {
+      await this.failStream(stream, error);
+    }
+    return false;
+  }
+
+  /**
+   * Remember a packet error for diagnostics (last 20 kept).
+   * 
+   * @param {AdbPacketError} error - Error from readPacket()
+   */
+  recordPacketError(error) {
+    console.log(`[ADB] Packet error (${error.code}): ${error.message}`);
+    this.packetErrors.push({
+      ts: new Date().toISOString(),
+      code: error.code,
+      message: error.message,
+      ...error.details,
+    });
+    if (this.packetErrors.length > 20) {
+      this.packetErrors.splice(0, this.packetErrors.length - 20);
+    }
+    this.emit("error", { error });
+  }
+
+  /**
+   * Close a stream because of an error.
+   * Pending opens, reads and writes on the stream reject with the error.
+   * 
+   * @param {Object} stream - Stream object from openStream()
+   * @param {Error} error - Why the stream failed
+   */
+  async failStream(stream, error) {
+    if (stream.closed) return;
+    stream.error = error;
+    if (!stream.remoteId && stream.readyReject) {
+      clearTimeout(stream.readyTimeout);
+      stream.readyReject(error);
+    }
+    try {
+      await this.closeStream(stream);
+    } catch (closeError) {
+      // Ignore - the stream is already marked closed
     }
   }
 
@@ -1549,13 +3284,41 @@ export class AdbUsbClient {
      * When opening a stream:
      * - arg0: remote-id (device's ID for this stream)
      * - arg1: local-id (our ID, echoed back)
+     * 
+     * With delayed_ack, the payload is a u32 byte count added to our send
+     * window (the initial window on open, freed bytes afterwards).
      */
     if (packet.command === "OKAY") {
       const localId = packet.arg1;
       const stream = this.streams.get(localId);
-      if (stream && !stream.remoteId) {
+      const windowBytes =
+        this.delayedAck && packet.payload.length === 4
+          ? viewOf(packet.payload).getUint32(0, true)
+          : null;
+      if (!stream) {
+        // We gave up on the stream (e.g. aborted) before the device
+        // accepted it; close it on the device side too
+        if (packet.arg0) {
+          this.sendPacket("CLSE", localId, packet.arg0, new Uint8Array()).catch(() => {});
+        }
+      } else if (!stream.remoteId) {
         stream.remoteId = packet.arg0;
+        stream.sendWindow = windowBytes;
         stream.readyResolve();
+        this.emit("stream-open", {
+          localId,
+          remoteId: stream.remoteId,
+          service: stream.service,
+        });
+      } else if (stream.sendWindow !== null) {
+        stream.sendWindow += windowBytes || 0;
+        stream.windowResolvers.splice(0).forEach((resolve) => resolve());
+      } else if (stream.writeResolve) {
+        // Device acknowledged our last WRTE on this stream
+        const resolve = stream.writeResolve;
+        stream.writeResolve = null;
+        stream.writeReject = null;
+        resolve();
       }
       return;
     }
@@ -1567,14 +3330,23 @@ export class AdbUsbClient {
      * - arg1: local-id (our stream ID)
      * - payload: data bytes
      * 
-     * We must send OKAY to acknowledge receipt.
+     * We must send OKAY to acknowledge receipt (see acknowledge()).
      */
     if (packet.command === "WRTE") {
       const localId = packet.arg1;
       const stream = this.streams.get(localId);
       if (stream) {
-        stream.chunks.push(packet.payload);
-        this.sendPacket("OKAY", stream.localId, packet.arg0, new Uint8Array());
+        // Interactive sessions consume data directly, others buffer it
+        if (stream.onData) {
+          stream.onData(packet.payload);
+        } else {
+          stream.chunks.push(packet.payload);
+          stream.bufferedLength += packet.payload.length;
+        }
+        stream.ackPending = true;
+        stream.unackedBytes += packet.payload.length;
+        this.acknowledge(stream);
+        stream.dataResolvers.splice(0).forEach((resolve) => resolve());
       }
       return;
     }
@@ -1605,11 +3377,11 @@ export class AdbUsbClient {
         
         // Send CLSE acknowledgment back to device
         if (remoteId) {
-          this.sendPacket("CLSE", stream.localId, remoteId, new Uint8Array());
+          this.sendPacket("CLSE", stream.localId, remoteId, new Uint8Array()).catch(() => {});
         }
         
         // Notify anyone waiting for stream to close
-        stream.closeResolvers.forEach((resolve) => resolve());
+        this.notifyStreamClosed(stream);
       }
     }
   }
@@ -1684,14 +3456,10 @@ export class AdbUsbClient {
       throw new Error("WebCrypto not available for ADB auth.");
     }
     
-    // Get or create our RSA key pair
-    const { privateKey, publicKeyPayload } = await this.getOrCreateKeyPair();
-    this.publicKeyPayload = publicKeyPayload;
-
     // First attempt: Send signature of the token
     // If the device recognizes our key, it will send CNXN
     if (!this.authSentSignature) {
-      const signature = await rsaSignAdbToken(message.payload, privateKey);
+      const signature = await this.keyManager.sign(message.payload);
       await this.sendPacket("AUTH", AUTH_SIGNATURE, 0, signature);
       this.authSentSignature = true;
       return;
@@ -1699,75 +3467,33 @@ export class AdbUsbClient {
 
     // Second attempt: Send our public key
     // Device will prompt user to approve this new key
-    if (!this.authSentPublicKey && this.publicKeyPayload) {
-      await this.sendPacket("AUTH", AUTH_RSAPUBLICKEY, 0, this.publicKeyPayload);
+    if (!this.authSentPublicKey) {
+      const publicKeyPayload = await this.keyManager.getPublicKeyPayload();
+      await this.sendPacket("AUTH", AUTH_RSAPUBLICKEY, 0, publicKeyPayload);
       this.authSentPublicKey = true;
+      this.authDeadline = Date.now() + this.authTimeoutMs;
+      this.setState("awaiting-authorization");
       return;
     }
 
     // If we get here, device rejected both signature and public key
-    throw new Error("ADB authentication rejected by device.");
-  }
-
-  /**
-   * Get or create the RSA key pair for ADB authentication.
-   * 
-   * Keys are stored in localStorage and reused across sessions.
-   * This way, once a user approves the key on their device,
-   * future connections are automatic.
-   * 
-   * Key Generation:
-   * - Algorithm: RSA-2048
-   * - Public exponent: 65537 (0x010001)
-   * - Hash: SHA-1 (required for ADB compatibility)
-   * 
-   * @returns {Promise<Object>} Object with privateKey (JWK) and publicKeyPayload
-   */
-  async getOrCreateKeyPair() {
-    // Return cached promise if already loading/loaded
-    if (this.keyPairPromise) {
-      return this.keyPairPromise;
-    }
-    
-    this.keyPairPromise = (async () => {
-      // Try to load existing key from localStorage
-      const stored = localStorage.getItem(KEY_STORAGE);
-      if (stored) {
-        const { privateJwk, publicJwk } = JSON.parse(stored);
-        const publicKeyPayload = buildPublicKeyPayload(publicJwk);
-        return { privateKey: privateJwk, publicKeyPayload };
-      }
-
-      // Generate new RSA key pair
-      const keyPair = await crypto.subtle.generateKey(
-        {
-          name: "RSASSA-PKCS1-v1_5",
-          modulusLength: 2048,              // 2048-bit RSA
-          publicExponent: new Uint8Array([1, 0, 1]),  // 65537
-          hash: "SHA-1",                    // Required for ADB
-        },
-        true,                               // Extractable (for export)
-        ["sign", "verify"]
-      );
-      
-      // Export keys as JWK for storage
-      const privateJwk = await crypto.subtle.exportKey("jwk", keyPair.privateKey);
-      const publicJwk = await crypto.subtle.exportKey("jwk", keyPair.publicKey);
-      
-      // Store for future sessions
-      localStorage.setItem(KEY_STORAGE, JSON.stringify({ privateJwk, publicJwk }));
-      
-      const publicKeyPayload = buildPublicKeyPayload(publicJwk);
-      return { privateKey: privateJwk, publicKeyPayload };
-    })();
-
-    return this.keyPairPromise;
+    throw new AdbAuthError("AUTH_REJECTED", "ADB authentication rejected by device.");
   }
 
   // ===========================================================================
   // Utility Methods
   // ===========================================================================
 
+  /**
+   * Check whether the connected device advertised a feature in its CNXN.
+   *
+   * @param {string} feature - Feature name (e.g., "stat_v2", "shell_v2")
+   * @returns {boolean} True if the device supports the feature
+   */
+  hasFeature(feature) {
+    return this.deviceFeatures.has(feature);
+  }
+
   /**
    * Reset session state for a new connection.
    * Clears all pending waiters and streams without disconnecting.
@@ -1777,28 +3503,9 @@ export class AdbUsbClient {
     this.waiters = [];
     this.streams.clear();
     this.nextLocalId = 1;
-  }
-
-  /**
-   * Clear a stalled endpoint safely (ignoring errors).
-   * 
-   * USB endpoints can enter a "halted" state after errors.
-   * clearHalt() resets the endpoint so transfers can continue.
-   * This is called:
-   * - At connection start to clear any previous state
-   * - After transfer errors to attempt recovery
-   * 
-   * @param {string} direction - "in" or "out"
-   */
-  async clearHaltSafe(direction) {
-    if (!this.device) return;
-    const endpoint = direction === "in" ? this.inEndpoint : this.outEndpoint;
-    if (endpoint == null) return;
-    try {
-      await this.device.clearHalt(direction, endpoint);
-    } catch (error) {
-      // Ignore - endpoint may not be halted
-    }
+    this.protocolVersion = null;
+    this.delayedAck = false;
+    this.framingErrors = 0;
   }
 
   /**
@@ -1820,7 +3527,7 @@ export class AdbUsbClient {
         : commandValue;
     const payloadBytes = toUint8Array(payload);
     
-    this.packetLog.push({
+    const entry = {
       ts: new Date().toISOString(),
       direction,
       command,
@@ -1828,12 +3535,76 @@ export class AdbUsbClient {
       arg1,
       length: payloadBytes.length,
       checksum: adbChecksum(payloadBytes),
-    });
+    };
+    this.packetLog.push(entry);
     
     // Keep only last 200 packets
     if (this.packetLog.length > 200) {
       this.packetLog.splice(0, this.packetLog.length - 200);
     }
+    this.emit("packet", entry);
+  }
+}
+
+// =============================================================================
+// AdbUsbClient Class - ADB over WebUSB
+// =============================================================================
+/**
+ * AdbClient preconfigured for WebUSB devices.
+ * 
+ * Usage Example:
+ * ```javascript
+ * const client = new AdbUsbClient();
+ * const deviceInfo = await AdbUsbClient.requestDevice();
+ * await client.connect(deviceInfo);
+ * const packages = await client.listPackages();
+ * ```
+ */
+export class AdbUsbClient extends AdbClient {
+  /**
+   * Prompt the user to select a USB device that supports ADB.
+   * See UsbTransport.requestDevice().
+   * 
+   * @returns {Promise<Object>} { device, interfaceInfo } for the selected device
+   */
+  static requestDevice() {
+    return UsbTransport.requestDevice();
+  }
+
+  /**
+   * List already-permitted USB devices with an ADB interface.
+   * See UsbTransport.getDevices().
+   * 
+   * @returns {Promise<Object[]>} { device, interfaceInfo } for each device
+   */
+  static getDevices() {
+    return UsbTransport.getDevices();
+  }
+
+  /**
+   * Device info for a WebUSB device, or null if it isn't an ADB device.
+   * See UsbTransport.getDeviceInfo().
+   * 
+   * @param {USBDevice} device - WebUSB device object
+   * @returns {Object|null} { device, interfaceInfo }
+   */
+  static getDeviceInfo(device) {
+    return UsbTransport.getDeviceInfo(device);
+  }
+
+  /**
+   * Connect to a USB device and complete the ADB handshake.
+   * 
+   * @param {Object} deviceInfo - Optional device info from requestDevice();
+   *   the device picker is shown when omitted
+   * @param {Object} options - { signal } to cancel (see AdbClient.connect())
+   * @returns {Promise<Object>} Device summary ({ serial, product, model })
+   * @throws {Error} If connection fails
+   */
+  async connect(deviceInfo, options = {}) {
+    const info = deviceInfo || (await AdbUsbClient.requestDevice());
+    this.transport = new UsbTransport(info);
+    return super.connect(options);
   }
 }
 
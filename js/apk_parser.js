@@ -0,0 +1,606 @@
+/**
+ * =============================================================================
+ * APK Parser - App Label and Launcher Icon from an APK
+ * =============================================================================
+ *
+ * Android shows an app by its label and launcher icon, and both live inside
+ * the APK: AndroidManifest.xml (compiled to Android's binary XML) names them
+ * on <application>, usually as resource references, and resources.arsc maps
+ * those to a string per locale or to an image file per screen density.
+ * The manifest also declares every activity, service, receiver and
+ * provider, including those without an intent filter, which `dumpsys
+ * package` only mentions once they are disabled.
+ *
+ * This module reads just enough of the three formats for that:
+ * - ZIP: central directory, stored and deflated entries (inflated with
+ *   DecompressionStream)
+ * - Binary XML: string pool, resource map and start/end element chunks
+ * - Resource table: the string pools and type chunks of each package, for
+ *   simple (non-bag) entries, including sparse and compact encodings
+ *
+ * Layouts follow frameworks/base/libs/androidfw/include/androidfw/ResourceTypes.h.
+ * All values are little-endian.
+ */
+
+const textDecoder = new TextDecoder();
+const utf16Decoder = new TextDecoder("utf-16le");
+
+// ZIP record signatures
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// Chunk types (ResChunk_header.type)
+const RES_STRING_POOL_TYPE = 0x0001;
+const RES_TABLE_TYPE = 0x0002;
+const RES_XML_TYPE = 0x0003;
+const RES_XML_START_ELEMENT_TYPE = 0x0102;
+const RES_XML_END_ELEMENT_TYPE = 0x0103;
+const RES_XML_RESOURCE_MAP_TYPE = 0x0180;
+const RES_TABLE_PACKAGE_TYPE = 0x0200;
+const RES_TABLE_TYPE_TYPE = 0x0201;
+
+// String pool flag: strings are UTF-8 instead of UTF-16
+const UTF8_FLAG = 0x100;
+
+// Res_value data types this parser understands
+const TYPE_REFERENCE = 0x01;
+const TYPE_STRING = 0x03;
+
+// ResTable_type flags and entry flags
+const TYPE_FLAG_SPARSE = 0x01;
+const TYPE_FLAG_OFFSET16 = 0x02;
+const ENTRY_FLAG_COMPLEX = 0x0001;
+const ENTRY_FLAG_COMPACT = 0x0008;
+const NO_ENTRY = 0xffffffff;
+const NO_ENTRY_16 = 0xffff;
+
+// android:label, android:icon and android:name attribute resource ids
+const ATTR_LABEL = 0x01010001;
+const ATTR_ICON = 0x01010002;
+const ATTR_NAME = 0x01010003;
+
+// Manifest element -> component kind, as `dumpsys package` groups them
+const COMPONENT_ELEMENTS = {
+  activity: "activities",
+  "activity-alias": "activities",
+  service: "services",
+  receiver: "receivers",
+  provider: "providers",
+};
+
+// Densities without a real dpi value
+const DENSITY_DEFAULT = 0;      // No qualifier, treated as mdpi
+const DENSITY_MDPI = 160;
+const DENSITY_ANY = 0xfffe;     // anydpi
+const DENSITY_NONE = 0xffff;    // nodpi
+
+// Resource references can point at other references; stop chains here
+const MAX_REFERENCE_DEPTH = 8;
+
+// Image files an icon can be; adaptive icons (XML) are skipped
+const ICON_TYPES = {
+  png: "image/png",
+  webp: "image/webp",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+};
+
+function viewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Error for input that isn't a valid APK or resource file.
+ */
+function formatError(message) {
+  return new Error(`Can't read APK: ${message}`);
+}
+
+// =============================================================================
+// ZIP
+// =============================================================================
+
+/**
+ * Read a ZIP archive's central directory.
+ *
+ * @param {Uint8Array} bytes - Whole archive
+ * @returns {Map<string, Object>} Entry name -> { name, method, offset,
+ *   compressedSize, size }
+ * @throws {Error} If there is no end-of-central-directory record
+ */
+export function readZipDirectory(bytes) {
+  const view = viewOf(bytes);
+  // The end record is 22 bytes plus a comment of up to 64 KB
+  let end = -1;
+  for (let at = bytes.length - 22; at >= Math.max(0, bytes.length - 22 - 0xffff); at -= 1) {
+    if (view.getUint32(at, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      end = at;
+      break;
+    }
+  }
+  if (end === -1) throw formatError("not a ZIP archive.");
+
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const entries = new Map();
+  for (let i = 0; i < count; i += 1) {
+    if (view.getUint32(at, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+      throw formatError("broken ZIP central directory.");
+    }
+    const nameLength = view.getUint16(at + 28, true);
+    const extraLength = view.getUint16(at + 30, true);
+    const commentLength = view.getUint16(at + 32, true);
+    const name = textDecoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    entries.set(name, {
+      name,
+      method: view.getUint16(at + 10, true),
+      compressedSize: view.getUint32(at + 20, true),
+      size: view.getUint32(at + 24, true),
+      offset: view.getUint32(at + 42, true),
+    });
+    at += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Extract one entry from a ZIP archive.
+ *
+ * @param {Uint8Array} bytes - Whole archive
+ * @param {Object} entry - Entry from readZipDirectory()
+ * @returns {Promise<Uint8Array>} Uncompressed contents
+ */
+export async function readZipEntry(bytes, entry) {
+  const view = viewOf(bytes);
+  if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_FILE_HEADER) {
+    throw formatError(`broken ZIP entry ${entry.name}.`);
+  }
+  // The local header has its own name and extra lengths
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === ZIP_STORED) return data;
+  if (entry.method !== ZIP_DEFLATED) {
+    throw formatError(`unsupported compression ${entry.method} for ${entry.name}.`);
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// =============================================================================
+// String Pools
+// =============================================================================
+
+/**
+ * Read a ResStringPool chunk. Strings are decoded on first use, since
+ * resource tables can hold tens of thousands of them.
+ *
+ * @param {DataView} view - View of the file
+ * @param {number} offset - Chunk start
+ * @returns {Function} (index) => string, or null for an index out of range
+ */
+function parseStringPool(view, offset) {
+  const headerSize = view.getUint16(offset + 2, true);
+  const count = view.getUint32(offset + 8, true);
+  const utf8 = (view.getUint32(offset + 16, true) & UTF8_FLAG) !== 0;
+  const stringsStart = offset + view.getUint32(offset + 20, true);
+  const cache = new Map();
+
+  return (index) => {
+    if (index < 0 || index >= count) return null;
+    if (!cache.has(index)) {
+      const at = stringsStart + view.getUint32(offset + headerSize + index * 4, true);
+      cache.set(index, utf8 ? readUtf8String(view, at) : readUtf16String(view, at));
+    }
+    return cache.get(index);
+  };
+}
+
+function readUtf8String(view, at) {
+  // Length in characters, then in bytes; each one or two bytes long
+  let cursor = at;
+  const readLength = () => {
+    let length = view.getUint8(cursor);
+    cursor += 1;
+    if (length & 0x80) {
+      length = ((length & 0x7f) << 8) | view.getUint8(cursor);
+      cursor += 1;
+    }
+    return length;
+  };
+  readLength();
+  const byteLength = readLength();
+  return textDecoder.decode(new Uint8Array(view.buffer, view.byteOffset + cursor, byteLength));
+}
+
+function readUtf16String(view, at) {
+  // Length in UTF-16 units, one or two uint16s long
+  let length = view.getUint16(at, true);
+  let cursor = at + 2;
+  if (length & 0x8000) {
+    length = ((length & 0x7fff) << 16) | view.getUint16(cursor, true);
+    cursor += 2;
+  }
+  return utf16Decoder.decode(new Uint8Array(view.buffer, view.byteOffset + cursor, length * 2));
+}
+
+// =============================================================================
+// Binary XML
+// =============================================================================
+
+/**
+ * Parse a compiled XML file (e.g. AndroidManifest.xml) into its elements.
+ *
+ * Attribute values are kept as typed: strings come back as `string`,
+ * references (@string/app_name) as `type` TYPE_REFERENCE with the
+ * resource id in `data`.
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object[]} Elements in document order: { name, depth,
+ *   attributes: [{ name, resourceId, type, data, string }] }
+ * @throws {Error} If the file isn't binary XML
+ */
+export function parseBinaryXml(bytes) {
+  const view = viewOf(bytes);
+  if (bytes.length < 8 || view.getUint16(0, true) !== RES_XML_TYPE) {
+    throw formatError("not a binary XML file.");
+  }
+  let strings = () => null;
+  let resourceIds = [];
+  const elements = [];
+  let depth = 0;
+
+  let offset = view.getUint16(2, true);
+  const end = Math.min(view.getUint32(4, true), bytes.length);
+  while (offset + 8 <= end) {
+    const type = view.getUint16(offset, true);
+    const headerSize = view.getUint16(offset + 2, true);
+    const size = view.getUint32(offset + 4, true);
+    if (size < 8) throw formatError("broken XML chunk.");
+
+    if (type === RES_STRING_POOL_TYPE) {
+      strings = parseStringPool(view, offset);
+    } else if (type === RES_XML_RESOURCE_MAP_TYPE) {
+      resourceIds = [];
+      for (let at = offset + headerSize; at < offset + size; at += 4) {
+        resourceIds.push(view.getUint32(at, true));
+      }
+    } else if (type === RES_XML_START_ELEMENT_TYPE) {
+      const ext = offset + headerSize;
+      const attributeStart = view.getUint16(ext + 8, true);
+      const attributeSize = view.getUint16(ext + 10, true);
+      const attributeCount = view.getUint16(ext + 12, true);
+      const attributes = [];
+      for (let i = 0; i < attributeCount; i += 1) {
+        const at = ext + attributeStart + i * attributeSize;
+        const nameIndex = view.getUint32(at + 4, true);
+        const rawValue = view.getUint32(at + 8, true);
+        const dataType = view.getUint8(at + 15);
+        const data = view.getUint32(at + 16, true);
+        attributes.push({
+          name: strings(nameIndex),
+          resourceId: resourceIds[nameIndex] ?? null,
+          type: dataType,
+          data,
+          string: rawValue !== NO_ENTRY ? strings(rawValue) : null,
+        });
+      }
+      elements.push({ name: strings(view.getUint32(ext + 4, true)), depth, attributes });
+      depth += 1;
+    } else if (type === RES_XML_END_ELEMENT_TYPE) {
+      depth -= 1;
+    }
+    offset += size;
+  }
+  return elements;
+}
+
+// =============================================================================
+// Resource Table
+// =============================================================================
+
+/**
+ * Index a resources.arsc file so resource ids can be looked up.
+ *
+ * Usage Example:
+ * ```javascript
+ * const table = parseResourceTable(arscBytes);
+ * table.resolve(0x7f0f0001);
+ * // -> [{ config: { language: "", country: "", density: 0 }, type: 3, data: 12, string: "Maps" },
+ * //     { config: { language: "de", ... }, ... }]
+ * ```
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} { resolve(id) }, where resolve() returns one value per
+ *   configuration that defines the resource (empty for unknown ids and
+ *   bags such as styles)
+ * @throws {Error} If the file isn't a resource table
+ */
+export function parseResourceTable(bytes) {
+  const view = viewOf(bytes);
+  if (bytes.length < 12 || view.getUint16(0, true) !== RES_TABLE_TYPE) {
+    throw formatError("not a resource table.");
+  }
+  let strings = () => null;
+  const types = new Map(); // (package id << 8 | type id) -> [type chunk offsets]
+
+  let offset = view.getUint16(2, true);
+  const end = Math.min(view.getUint32(4, true), bytes.length);
+  while (offset + 8 <= end) {
+    const type = view.getUint16(offset, true);
+    const size = view.getUint32(offset + 4, true);
+    if (size < 8) throw formatError("broken resource chunk.");
+    if (type === RES_STRING_POOL_TYPE) {
+      strings = parseStringPool(view, offset);
+    } else if (type === RES_TABLE_PACKAGE_TYPE) {
+      indexPackage(view, offset, types);
+    }
+    offset += size;
+  }
+
+  return {
+    resolve(id) {
+      const chunks = types.get(((id >>> 24) << 8) | ((id >>> 16) & 0xff)) || [];
+      const values = [];
+      for (const chunk of chunks) {
+        const value = readTypeEntry(view, chunk, id & 0xffff);
+        if (!value) continue;
+        value.config = readConfig(view, chunk + 20);
+        value.string = value.type === TYPE_STRING ? strings(value.data) : null;
+        values.push(value);
+      }
+      return values;
+    },
+  };
+}
+
+/**
+ * Record where each type chunk of a package is.
+ */
+function indexPackage(view, offset, types) {
+  const packageId = view.getUint32(offset + 8, true);
+  const headerSize = view.getUint16(offset + 2, true);
+  const end = offset + view.getUint32(offset + 4, true);
+  let at = offset + headerSize;
+  while (at + 8 <= end) {
+    const size = view.getUint32(at + 4, true);
+    if (size < 8) throw formatError("broken resource package.");
+    if (view.getUint16(at, true) === RES_TABLE_TYPE_TYPE) {
+      const key = (packageId << 8) | view.getUint8(at + 8);
+      if (!types.has(key)) types.set(key, []);
+      types.get(key).push(at);
+    }
+    at += size;
+  }
+}
+
+/**
+ * Read the simple value of one entry of a ResTable_type chunk.
+ *
+ * @returns {Object|null} { type, data }, or null if the chunk has no such
+ *   entry or it is a bag
+ */
+function readTypeEntry(view, chunk, index) {
+  const headerSize = view.getUint16(chunk + 2, true);
+  const flags = view.getUint8(chunk + 9);
+  const entryCount = view.getUint32(chunk + 12, true);
+  const entriesStart = chunk + view.getUint32(chunk + 16, true);
+  const offsets = chunk + headerSize;
+
+  let entryOffset = NO_ENTRY;
+  if (flags & TYPE_FLAG_SPARSE) {
+    // Sorted (index, offset / 4) pairs of uint16
+    let low = 0;
+    let high = entryCount - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const entryIndex = view.getUint16(offsets + middle * 4, true);
+      if (entryIndex === index) {
+        entryOffset = view.getUint16(offsets + middle * 4 + 2, true) * 4;
+        break;
+      }
+      if (entryIndex < index) low = middle + 1;
+      else high = middle - 1;
+    }
+  } else if (index < entryCount) {
+    if (flags & TYPE_FLAG_OFFSET16) {
+      const value = view.getUint16(offsets + index * 2, true);
+      if (value !== NO_ENTRY_16) entryOffset = value * 4;
+    } else {
+      entryOffset = view.getUint32(offsets + index * 4, true);
+    }
+  }
+  if (entryOffset === NO_ENTRY) return null;
+
+  const entry = entriesStart + entryOffset;
+  const entryFlags = view.getUint16(entry + 2, true);
+  if (entryFlags & ENTRY_FLAG_COMPACT) {
+    // The data type sits in the high byte of the flags, the data in the key
+    return { type: entryFlags >> 8, data: view.getUint32(entry + 4, true) };
+  }
+  if (entryFlags & ENTRY_FLAG_COMPLEX) return null;
+  const value = entry + view.getUint16(entry, true);
+  return { type: view.getUint8(value + 3), data: view.getUint32(value + 4, true) };
+}
+
+/**
+ * The parts of a ResTable_config that matter for picking a label or icon.
+ */
+function readConfig(view, at) {
+  const letters = (start) =>
+    view.getUint8(start) & 0x80
+      ? "?" // Packed three-letter code; never the default
+      : String.fromCharCode(view.getUint8(start), view.getUint8(start + 1)).replace(/\0/g, "");
+  return {
+    language: letters(at + 8),
+    country: letters(at + 10),
+    density: view.getUint16(at + 14, true),
+  };
+}
+
+// =============================================================================
+// Manifest
+// =============================================================================
+
+/**
+ * Parse an APK's AndroidManifest.xml.
+ */
+async function readManifest(apk, directory) {
+  const manifestEntry = directory.get("AndroidManifest.xml");
+  if (!manifestEntry) throw formatError("no AndroidManifest.xml.");
+  return parseBinaryXml(await readZipEntry(apk, manifestEntry));
+}
+
+/**
+ * The package attribute of <manifest>, or null.
+ */
+function manifestPackage(elements) {
+  const manifest = elements.find((element) => element.name === "manifest");
+  return manifest?.attributes.find((entry) => entry.name === "package")?.string || null;
+}
+
+/**
+ * An element's attribute by resource id, or by name where the manifest
+ * has no resource map entry for it.
+ */
+function attribute(element, resourceId, name) {
+  return (
+    element?.attributes.find(
+      (entry) =>
+        entry.resourceId === resourceId || (entry.resourceId === null && entry.name === name)
+    ) || null
+  );
+}
+
+// =============================================================================
+// Label and Icon
+// =============================================================================
+
+/**
+ * Read an app's package name, label and launcher icon from its APK.
+ *
+ * The label is taken in the default language, else English, else the
+ * first one defined. The icon is the densest PNG/WebP/JPEG version of
+ * android:icon; apps whose icon only exists as an adaptive icon (XML)
+ * get none.
+ *
+ * @param {Uint8Array} apk - Contents of base.apk
+ * @returns {Promise<Object>} { packageName, label, icon }, icon being
+ *   { path, type, bytes } or null; label is null when the app has none
+ * @throws {Error} If the file isn't an APK
+ */
+export async function readApkInfo(apk) {
+  const directory = readZipDirectory(apk);
+  const elements = await readManifest(apk, directory);
+  const application = elements.find((element) => element.name === "application");
+  const packageName = manifestPackage(elements);
+
+  const tableEntry = directory.get("resources.arsc");
+  const table = tableEntry ? parseResourceTable(await readZipEntry(apk, tableEntry)) : null;
+
+  const labelAttribute = attribute(application, ATTR_LABEL, "label");
+  let label = null;
+  if (labelAttribute?.type === TYPE_STRING) {
+    label = labelAttribute.string;
+  } else if (labelAttribute?.type === TYPE_REFERENCE && table) {
+    label = resolveString(table, labelAttribute.data);
+  }
+
+  const iconAttribute = attribute(application, ATTR_ICON, "icon");
+  let icon = null;
+  if (iconAttribute?.type === TYPE_REFERENCE && table) {
+    const path = pickIconPath(resolveFiles(table, iconAttribute.data));
+    const entry = path && directory.get(path);
+    if (entry) {
+      const extension = path.split(".").pop().toLowerCase();
+      icon = { path, type: ICON_TYPES[extension], bytes: await readZipEntry(apk, entry) };
+    }
+  }
+
+  return { packageName, label, icon };
+}
+
+/**
+ * Resolve a string resource, following references.
+ */
+function resolveString(table, id, depth = 0) {
+  if (depth > MAX_REFERENCE_DEPTH) return null;
+  const values = table.resolve(id);
+  const isDefault = ({ config }) => !config.language && !config.country;
+  const value =
+    values.find(isDefault) ||
+    values.find(({ config }) => config.language === "en") ||
+    values[0];
+  if (!value) return null;
+  if (value.type === TYPE_REFERENCE) return resolveString(table, value.data, depth + 1);
+  return value.type === TYPE_STRING ? value.string : null;
+}
+
+/**
+ * Resolve a file resource (drawable, mipmap) to every { path, density }
+ * it has, following references.
+ */
+function resolveFiles(table, id, depth = 0) {
+  if (depth > MAX_REFERENCE_DEPTH) return [];
+  return table.resolve(id).flatMap((value) => {
+    if (value.type === TYPE_REFERENCE) return resolveFiles(table, value.data, depth + 1);
+    if (value.type !== TYPE_STRING || !value.string) return [];
+    return [{ path: value.string, density: value.config.density }];
+  });
+}
+
+/**
+ * Pick the densest image among an icon's files.
+ */
+function pickIconPath(files) {
+  const rank = (density) => {
+    if (density === DENSITY_DEFAULT) return DENSITY_MDPI;
+    return density === DENSITY_ANY || density === DENSITY_NONE ? 0 : density;
+  };
+  const images = files.filter(({ path }) => ICON_TYPES[path.split(".").pop().toLowerCase()]);
+  images.sort((a, b) => rank(b.density) - rank(a.density));
+  return images.length ? images[0].path : null;
+}
+
+// =============================================================================
+// Components
+// =============================================================================
+
+/**
+ * Read the components an APK's manifest declares.
+ *
+ * Class names are expanded the way the package manager does it: ".Main"
+ * and "Main" both become "<package>.Main".
+ *
+ * Usage Example:
+ * ```javascript
+ * const components = await readApkComponents(apkBytes);
+ * // { activities: ["com.example.Main"], services: ["com.example.Sync"],
+ * //   receivers: [], providers: [] }
+ * ```
+ *
+ * @param {Uint8Array} apk - Contents of base.apk
+ * @returns {Promise<Object>} { activities, services, receivers, providers },
+ *   each a sorted list of full class names
+ * @throws {Error} If the file isn't an APK
+ */
+export async function readApkComponents(apk) {
+  const elements = await readManifest(apk, readZipDirectory(apk));
+  const packageName = manifestPackage(elements) || "";
+  const components = { activities: [], services: [], receivers: [], providers: [] };
+  for (const element of elements) {
+    const kind = COMPONENT_ELEMENTS[element.name];
+    const name = kind && attribute(element, ATTR_NAME, "name")?.string;
+    if (!name) continue;
+    const className = name.startsWith(".")
+      ? packageName + name
+      : name.includes(".") ? name : `${packageName}.${name}`;
+    if (!components[kind].includes(className)) components[kind].push(className);
+  }
+  for (const names of Object.values(components)) names.sort();
+  return components;
+}
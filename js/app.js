@@ -9,21 +9,57 @@
  * FEATURES:
  * ---------
  * - USB device selection and connection via WebUSB
+ * - Network connection through a WebSocket-to-TCP bridge
+ * - Several devices connected at once, with a device switcher
+ * - Reconnects known devices on page load and when they are replugged
  * - List all installed Android packages
+ * - Show app names and icons, read from each APK and cached per version
+ * - Package detail drawer: versions, install times, code path,
+ *   permissions and components from `dumpsys package`, plus the
+ *   components declared in the APK's manifest
+ * - Grant/revoke runtime permissions and set app op modes, per package
+ *   or on the selection
+ * - Disable/enable single activities, services, receivers and providers;
+ *   selections and saved lists can hold them next to whole packages
+ * - Restrict packages in the background (app op, standby bucket,
+ *   background data) and show which ones are
  * - Enable/disable packages for current user
+ * - Suspend/unsuspend packages, and hide/unhide them on rooted devices
  * - Uninstall packages for current user
+ * - Run bulk actions and saved lists on several devices in parallel
  * - Save/load package selection lists
  * - Export/import lists as JSON files
+ * - Interactive device shell with command history
+ * - ADB key manager: fingerprint, comment, adbkey import/export, rotation
  * 
  * ARCHITECTURE:
  * -------------
  * - Uses AdbUsbClient from adb_usb.js for USB/ADB communication
+ * - Uses AdbClient with a WebSocketTransport for network devices
+ * - Connected clients live in a DeviceManager (device_manager.js); the
+ *   app list, row buttons and shell work on its active device
  * - State managed in module-level variables
  * - DOM elements cached at startup for efficiency
  * - All async operations use try/catch with user-friendly error messages
  */
 
-import { AdbUsbClient } from "./adb_usb.js";
+import { getDefaultKeyManager } from "./adb_keys.js";
+import {
+  APP_OP_MODES,
+  AdbClient,
+  AdbUsbClient,
+  CONNECT_TIMEOUT_MS,
+  STANDBY_BUCKETS,
+  isValidAppOpName,
+  isValidComponentName,
+  isValidPackageName,
+  isValidPermissionName,
+} from "./adb_usb.js";
+import { AppLabels } from "./app_labels.js";
+import { DeviceManager } from "./device_manager.js";
+import { mergeComponents, parsePackageDump, shortClassName } from "./package_dump.js";
+import { OUTCOME_LABELS, parsePackageResult, summarizeResults } from "./package_results.js";
+import { WebSocketTransport } from "./websocket_transport.js";
 
 // =============================================================================
 // DOM Element References
@@ -32,14 +68,22 @@ import { AdbUsbClient } from "./adb_usb.js";
 
 // USB Connection Panel
 const streamTimeoutInput = document.getElementById("streamTimeout");
+const authTimeoutInput = document.getElementById("authTimeout");
 const selectUsbBtn = document.getElementById("selectUsbBtn");
 const connectUsbBtn = document.getElementById("connectUsbBtn");
 const disconnectUsbBtn = document.getElementById("disconnectUsbBtn");
+const networkUrlInput = document.getElementById("networkUrl");
+const connectNetworkBtn = document.getElementById("connectNetworkBtn");
 const deviceInfo = document.getElementById("deviceInfo");
+const deviceList = document.getElementById("deviceList");
 const connectionStatus = document.getElementById("connectionStatus");
+const authPrompt = document.getElementById("authPrompt");
+const authPromptInfo = document.getElementById("authPromptInfo");
+const cancelConnectBtn = document.getElementById("cancelConnectBtn");
 
 // Apps Panel
 const loadAppsBtn = document.getElementById("loadAppsBtn");
+const loadLabelsBtn = document.getElementById("loadLabelsBtn");
 const selectAllBtn = document.getElementById("selectAllBtn");
 const clearSelectionBtn = document.getElementById("clearSelectionBtn");
 const filterInput = document.getElementById("filterInput");
@@ -47,10 +91,34 @@ const appList = document.getElementById("appList");
 const selectionCount = document.getElementById("selectionCount");
 const packageCount = document.getElementById("packageCount");
 
+// Package Detail Drawer
+const detailDrawer = document.getElementById("detailDrawer");
+const detailTitle = document.getElementById("detailTitle");
+const detailStatus = document.getElementById("detailStatus");
+const detailBody = document.getElementById("detailBody");
+const closeDetailBtn = document.getElementById("closeDetailBtn");
+const detailOverviewTab = document.getElementById("detailOverviewTab");
+const detailPermissionsTab = document.getElementById("detailPermissionsTab");
+const detailPermissions = document.getElementById("detailPermissions");
+
 // Bulk Actions (in Apps panel header)
 const disableBtn = document.getElementById("disableBtn");
 const enableBtn = document.getElementById("enableBtn");
 const uninstallBtn = document.getElementById("uninstallBtn");
+const restoreBtn = document.getElementById("restoreBtn");
+const suspendBtn = document.getElementById("suspendBtn");
+const unsuspendBtn = document.getElementById("unsuspendBtn");
+const hideBtn = document.getElementById("hideBtn");
+const unhideBtn = document.getElementById("unhideBtn");
+const restrictBtn = document.getElementById("restrictBtn");
+const unrestrictBtn = document.getElementById("unrestrictBtn");
+const standbyBucketSelect = document.getElementById("standbyBucketSelect");
+const permissionInput = document.getElementById("permissionInput");
+const grantBtn = document.getElementById("grantBtn");
+const revokeBtn = document.getElementById("revokeBtn");
+const appOpInput = document.getElementById("appOpInput");
+const appOpModeSelect = document.getElementById("appOpModeSelect");
+const setAppOpBtn = document.getElementById("setAppOpBtn");
 
 // Saved Lists Panel
 const savedListNameInput = document.getElementById("savedListName");
@@ -64,29 +132,118 @@ const lastSelectedInfo = document.getElementById("lastSelectedInfo");
 const exportListBtn = document.getElementById("exportListBtn");
 const importListBtn = document.getElementById("importListBtn");
 const importFileInput = document.getElementById("importFileInput");
+const listActionSelect = document.getElementById("listActionSelect");
+const applyListBtn = document.getElementById("applyListBtn");
+
+// Results Panel
+const resultsPanel = document.getElementById("resultsPanel");
+const resultsSummary = document.getElementById("resultsSummary");
+const resultsBody = document.getElementById("resultsBody");
+
+// Shell Panel
+const shellPanel = document.getElementById("shellPanel");
+const shellStatus = document.getElementById("shellStatus");
+const openShellBtn = document.getElementById("openShellBtn");
+const closeShellBtn = document.getElementById("closeShellBtn");
+const clearShellBtn = document.getElementById("clearShellBtn");
+const shellOutput = document.getElementById("shellOutput");
+const shellInput = document.getElementById("shellInput");
+
+// ADB Key Panel
+const keyFingerprint = document.getElementById("keyFingerprint");
+const keyInfo = document.getElementById("keyInfo");
+const keyCommentInput = document.getElementById("keyCommentInput");
+const saveKeyCommentBtn = document.getElementById("saveKeyCommentBtn");
+const exportKeyBtn = document.getElementById("exportKeyBtn");
+const exportPubKeyBtn = document.getElementById("exportPubKeyBtn");
+const importKeyBtn = document.getElementById("importKeyBtn");
+const importKeyInput = document.getElementById("importKeyInput");
+const rotateKeyBtn = document.getElementById("rotateKeyBtn");
 
 // Log Panel
 const logOutput = document.getElementById("logOutput");
 const copyLogBtn = document.getElementById("copyLogBtn");
+const logCommandInput = document.getElementById("logCommandInput");
+const runLogCommandBtn = document.getElementById("runLogCommandBtn");
+const stopLogCommandBtn = document.getElementById("stopLogCommandBtn");
 
 // =============================================================================
 // LocalStorage Keys
 // =============================================================================
 const STORAGE_KEY = "uad.savedLists";       // Saved package lists
 const LAST_SELECTED_KEY = "uad.lastSelected"; // Auto-saved last selection
+const SHELL_HISTORY_KEY = "uad.shellHistory"; // Shell command history
+const NETWORK_URL_KEY = "uad.networkUrl";     // Last used WebSocket bridge URL
+const KNOWN_DEVICES_KEY = "uad.knownDevices"; // USB serials to reconnect automatically
+
+// Shell panel limits
+const SHELL_HISTORY_LIMIT = 100;      // Commands kept in history
+const SHELL_SCROLLBACK_LIMIT = 2000;  // Output nodes kept in the scrollback
+
+// Reconnection
+const KNOWN_DEVICES_LIMIT = 20;       // USB serials remembered for auto-connect
+const RECONNECT_GRACE_MS = 30000;     // How long an unplugged device's app list is kept
+
+// Package actions, as shown in the log and the results table
+const ACTION_LABELS = {
+  disable: "Disable",
+  enable: "Enable",
+  uninstall: "Uninstall",
+  restore: "Restore",
+  grant: "Grant",
+  revoke: "Revoke",
+  appops: "Set app op",
+  restrict: "Restrict background",
+  unrestrict: "Allow background",
+  suspend: "Suspend",
+  unsuspend: "Unsuspend",
+  hide: "Hide",
+  unhide: "Unhide",
+};
+
+// Actions that change background restrictions
+const BACKGROUND_ACTIONS = new Set(["restrict", "unrestrict"]);
 
 // =============================================================================
 // Application State
 // =============================================================================
 let packages = [];                // Array of all package names from device
-let selectedPackages = new Set(); // Currently selected packages
+let selectedPackages = new Set(); // Currently selected packages and "package/class" components
 let disabledPackages = new Set(); // Set of packages that are currently disabled
+let uninstalledPackages = new Set(); // Packages uninstalled for the user, still on the device
+let suspendedPackages = new Set(); // Packages suspended with `pm suspend`, disabled or not
+let hiddenPackages = new Set();   // Packages hidden with `pm hide`
+let appRows = new Map();          // Package name -> rendered row, for in-place updates
+let packageInfo = new Map();      // Package name -> details from listPackages({ details: true })
+let backgroundRestrictions = new Map(); // Package name -> from listBackgroundRestrictions()
+let appLabels = new Map();        // Package name -> { label, icon } read from its APK
+let labelsAbort = null;           // AbortController of the name and icon loading in progress
+let detailPackage = null;         // Package shown in the detail drawer, if open
+let detailAbort = null;           // AbortController of the drawer's manifest pull
+let detailTab = "overview";       // Drawer tab: "overview" or "permissions"
+let componentBoxes = new Map();   // "package/class" -> its checkbox in the drawer
 let savedLists = {};              // Map of list name -> array of package names
 let lastSelected = null;          // Last auto-saved selection
-let adbClient = null;             // AdbUsbClient instance when connected
 let usbDisconnectHandler = null;  // Handler for USB disconnect events
 let selectedUsbDevice = null;     // Selected USB device info (before connect)
 let isConnecting = false;         // True while connection is in progress
+let connectAbort = null;          // AbortController of the connection in progress
+let logCommandAbort = null;       // AbortController of the command streaming into the log
+let targetDeviceIds = new Set();  // Devices checked for bulk actions
+let knownDevices = [];            // USB serials of devices connected before
+let unpluggedState = new Map();   // USB serial -> app list kept while unplugged
+let shellSession = null;          // Open interactive shell session, if any
+let shellHistory = [];            // Previously entered shell commands
+let shellHistoryIndex = 0;        // Position while browsing history
+
+// The RSA key every client authenticates with
+const keyManager = getDefaultKeyManager();
+
+// App names and icons, cached in IndexedDB per package version
+const labelCache = new AppLabels();
+
+// Connected devices; the active one is what the app list and shell use
+const deviceManager = new DeviceManager({ onChange: updateConnectionUi });
 
 // =============================================================================
 // Logging Functions
@@ -102,6 +259,26 @@ function log(message) {
   logOutput.scrollTop = logOutput.scrollHeight; // Auto-scroll to bottom
 }
 
+/**
+ * Log the text of a shellStream() line by line, as each line completes.
+ * 
+ * @param {ReadableStream<string>} stream - From client.shellStream()
+ * @param {string} prefix - Prefix for each line
+ */
+async function logStream(stream, prefix = "") {
+  let pending = "";
+  try {
+    for await (const text of stream) {
+      const lines = (pending + text).split("\n");
+      pending = lines.pop();
+      lines.forEach((line) => log(`${prefix}${line}`));
+    }
+  } finally {
+    // Whatever arrived before a timeout or stop is still worth showing
+    if (pending) log(`${prefix}${pending}`);
+  }
+}
+
 /**
  * Log diagnostic payload to browser console.
  * Used for debugging USB/ADB communication issues.
@@ -153,10 +330,16 @@ async function copyPanelText(panelName, text) {
 
 /**
  * Update connection status indicator.
+ * Shows the active device's connection type, and the device count when
+ * more than one is connected.
  * @param {boolean} connected - Whether device is connected
  */
 function setStatus(connected) {
-  connectionStatus.textContent = connected ? "USB Connected" : "Disconnected";
+  const session = deviceManager.active;
+  const count = deviceManager.list().length;
+  connectionStatus.textContent = connected && session
+    ? `${session.type} Connected${count > 1 ? ` (${count} devices)` : ""}`
+    : "Disconnected";
   connectionStatus.classList.toggle("connected", connected);
   disconnectUsbBtn.disabled = !connected;
 }
@@ -170,17 +353,65 @@ function setConnectingState(isBusy) {
   isConnecting = isBusy;
   selectUsbBtn.disabled = isBusy;
   connectUsbBtn.disabled = isBusy;
-  disconnectUsbBtn.disabled = isBusy || !adbClient;
+  connectNetworkBtn.disabled = isBusy;
+  disconnectUsbBtn.disabled = isBusy || !deviceManager.active;
   loadAppsBtn.disabled = isBusy;
+  loadLabelsBtn.disabled = isBusy;
   disableBtn.disabled = isBusy;
   enableBtn.disabled = isBusy;
   uninstallBtn.disabled = isBusy;
+  restoreBtn.disabled = isBusy;
+  suspendBtn.disabled = isBusy;
+  unsuspendBtn.disabled = isBusy;
+  hideBtn.disabled = isBusy;
+  unhideBtn.disabled = isBusy;
+  restrictBtn.disabled = isBusy;
+  unrestrictBtn.disabled = isBusy;
+  grantBtn.disabled = isBusy;
+  revokeBtn.disabled = isBusy;
+  setAppOpBtn.disabled = isBusy;
   saveListBtn.disabled = isBusy;
+  applyListBtn.disabled = isBusy;
   loadListBtn.disabled = isBusy || loadListBtn.disabled;
   deleteListBtn.disabled = isBusy || deleteListBtn.disabled;
   loadLastBtn.disabled = isBusy || loadLastBtn.disabled;
 }
 
+// Status badge text for the client's connection states while connecting
+const CONNECTION_STATE_LABELS = {
+  opening: "Connecting...",
+  claiming: "Claiming USB interface...",
+  "awaiting-authorization": "Waiting for authorization",
+  unauthorized: "Unauthorized",
+};
+
+/**
+ * Show a connecting client's state in the status badge, and the
+ * "Accept the RSA prompt" step while the device waits for the user.
+ * 
+ * @param {AdbClient} client - Client being connected
+ * @param {string} state - New state from the "statechange" event
+ */
+async function showConnectionState(client, state) {
+  if (CONNECTION_STATE_LABELS[state]) {
+    connectionStatus.textContent = CONNECTION_STATE_LABELS[state];
+  }
+  if (state !== "awaiting-authorization") {
+    authPrompt.style.display = "none";
+    return;
+  }
+  const seconds = Math.round(client.authTimeoutMs / 1000);
+  authPromptInfo.textContent = `Tap "Allow" when the device asks "Allow USB debugging?". Waiting up to ${seconds}s.`;
+  authPrompt.style.display = "";
+  log("Waiting for authorization: accept the RSA prompt on your phone.");
+  try {
+    const { fingerprint } = await keyManager.describe();
+    authPromptInfo.textContent = `Tap "Allow" when the device asks "Allow USB debugging?". The key fingerprint it shows should be ${fingerprint}. Waiting up to ${seconds}s.`;
+  } catch (error) {
+    // The fingerprint is only a hint; the prompt works without it
+  }
+}
+
 /**
  * Update device info display text.
  */
@@ -189,287 +420,1092 @@ function updateDeviceInfo(text) {
 }
 
 // =============================================================================
-// App List Rendering
+// Device Switcher
 // =============================================================================
 
 /**
- * Render the list of packages in the UI.
+ * Refresh the status badge, device info and device list.
+ * Called by the DeviceManager whenever a device is added, removed or
+ * made active.
+ */
+function updateConnectionUi() {
+  const session = deviceManager.active;
+  setStatus(Boolean(session));
+  if (session) {
+    const { info } = session;
+    updateDeviceInfo(`Connected: ${info.model} (${info.product}) - serial ${info.serial}`);
+  } else {
+    updateDeviceInfo("No device connected.");
+  }
+  renderDeviceList();
+}
+
+/**
+ * Render the connected devices.
  * 
- * Features:
- * - Filters packages based on search input
- * - Shows checkboxes for multi-select
- * - Shows Enable/Disable button based on current package state
- * - Shows Uninstall button for each package
+ * Clicking a device name makes it the active device; the checkbox adds
+ * it to the targets of bulk actions and saved lists.
  */
-function renderAppList() {
-  const filter = filterInput.value.trim().toLowerCase();
-  appList.innerHTML = "";
+function renderDeviceList() {
+  deviceList.innerHTML = "";
   const fragment = document.createDocumentFragment();
-  let visibleCount = 0;
-
-  packages.forEach((pkg) => {
-    // Apply filter
-    if (filter && !pkg.toLowerCase().includes(filter)) return;
-    visibleCount += 1;
+  const activeId = deviceManager.activeId;
 
-    // Create list item
+  deviceManager.list().forEach((session) => {
     const li = document.createElement("li");
-    li.className = "app-item";
+    li.className = session.id === activeId ? "device-item active" : "device-item";
 
-    // Checkbox for selection
+    // Checkbox for bulk action targets
     const checkbox = document.createElement("input");
     checkbox.type = "checkbox";
-    checkbox.checked = selectedPackages.has(pkg);
+    checkbox.title = "Include in bulk actions";
+    checkbox.checked = targetDeviceIds.has(session.id);
     checkbox.addEventListener("change", () => {
       if (checkbox.checked) {
-        selectedPackages.add(pkg);
+        targetDeviceIds.add(session.id);
       } else {
-        selectedPackages.delete(pkg);
+        targetDeviceIds.delete(session.id);
       }
-      updateSelectionCount();
-      saveCurrentSelectionAsLast(); // Auto-save selection
     });
 
-    // Package name label
-    const label = document.createElement("span");
-    label.textContent = pkg;
-
-    // Action buttons container
-    const actions = document.createElement("div");
-    actions.className = "actions";
-
-    // Enable/Disable toggle button
-    // Shows "Enable" if package is disabled, "Disable" if enabled
-    const isDisabled = disabledPackages.has(pkg);
-    const toggleBtn = document.createElement("button");
-    toggleBtn.textContent = isDisabled ? "Enable" : "Disable";
-    toggleBtn.className = isDisabled ? "primary" : "danger";
-    toggleBtn.addEventListener("click", async () => {
-      const action = isDisabled ? "enable" : "disable";
-      await runPackageAction(action, [pkg]);
-      // Update local state and re-render
-      if (action === "disable") {
-        disabledPackages.add(pkg);
-      } else {
-        disabledPackages.delete(pkg);
-      }
-      renderAppList();
-    });
+    // Device name, click to switch
+    const name = document.createElement("span");
+    name.className = "device-name";
+    name.textContent = `${session.label} - ${session.type}`;
+    name.addEventListener("click", () => switchDevice(session.id));
 
-    // Uninstall button
-    const uninstallBtn = document.createElement("button");
-    uninstallBtn.textContent = "Uninstall";
-    uninstallBtn.className = "danger";
-    uninstallBtn.addEventListener("click", () => {
-      runPackageAction("uninstall", [pkg]);
-    });
+    const disconnectBtn = document.createElement("button");
+    disconnectBtn.textContent = "Disconnect";
+    disconnectBtn.className = "ghost small-button";
+    disconnectBtn.addEventListener("click", () => disconnectDevice(session));
 
-    actions.append(toggleBtn, uninstallBtn);
-    li.append(checkbox, label, actions);
+    li.append(checkbox, name, disconnectBtn);
     fragment.appendChild(li);
   });
 
-  appList.appendChild(fragment);
-  packageCount.textContent = `${visibleCount} shown`;
+  deviceList.appendChild(fragment);
 }
 
 /**
- * Update the selection count display.
+ * Make another connected device the active one.
+ * The shell and package list belong to the previous device, so they are
+ * closed and cleared.
+ * 
+ * @param {number} id - Session id from the DeviceManager
  */
-function updateSelectionCount() {
-  selectionCount.textContent = `${selectedPackages.size} selected`;
+async function switchDevice(id) {
+  if (id === deviceManager.activeId || !deviceManager.get(id)) return;
+  await closeShell();
+  deviceManager.setActive(id);
+  clearPackageState();
+  log(`Switched to ${deviceManager.active.label}.`);
+}
+
+/**
+ * Client of the active device, or null when nothing is connected.
+ */
+function activeClient() {
+  const session = deviceManager.active;
+  return session ? session.client : null;
+}
+
+/**
+ * Devices a bulk action runs on: the checked devices, or the active
+ * device when none are checked.
+ * 
+ * @returns {Object[]} Sessions from the DeviceManager
+ */
+function getTargetSessions() {
+  const checked = deviceManager
+    .list()
+    .filter((session) => targetDeviceIds.has(session.id));
+  if (checked.length) return checked;
+  return deviceManager.active ? [deviceManager.active] : [];
 }
 
 // =============================================================================
-// Last Selected (Auto-Save) Functions
+// App List Rendering
 // =============================================================================
 
 /**
- * Load last selection from localStorage.
+ * Render the list of packages in the UI.
+ * 
+ * Features:
+ * - Filters packages based on search input
+ * - Shows checkboxes for multi-select
+ * - Shows Enable/Disable button based on current package state
+ * - Shows Uninstall button for each package, or Restore for packages
+ *   uninstalled for the user
+ * - Marks disabled and uninstalled-for-user packages with a badge
  */
-function loadLastSelectedFromStorage() {
-  try {
-    const raw = localStorage.getItem(LAST_SELECTED_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    if (!parsed || !Array.isArray(parsed.packages)) return null;
-    return parsed;
-  } catch (error) {
-    log("Failed to read last selection from storage.");
-  }
-  return null;
+function renderAppList() {
+  const filter = filterInput.value.trim().toLowerCase();
+  appList.innerHTML = "";
+  appRows = new Map();
+  const fragment = document.createDocumentFragment();
+  let visibleCount = 0;
+
+  packages.forEach((pkg) => {
+    // Apply filter
+    if (!matchesFilter(pkg, filter)) return;
+    visibleCount += 1;
+    const li = createAppRow(pkg);
+    appRows.set(pkg, li);
+    fragment.appendChild(li);
+  });
+
+  appList.appendChild(fragment);
+  packageCount.textContent = `${visibleCount} shown`;
 }
 
 /**
- * Save current selection to localStorage as "last selected".
- * Called automatically whenever selection changes.
+ * Whether a package matches the filter text, by package name or app name.
+ * 
+ * @param {string} pkg - Package name
+ * @param {string} filter - Lowercased filter text ("" matches everything)
+ * @returns {boolean}
  */
-function saveLastSelectedToStorage() {
-  const payload = {
-    packages: Array.from(selectedPackages).sort(),
-    savedAt: new Date().toISOString(),
-  };
-  localStorage.setItem(LAST_SELECTED_KEY, JSON.stringify(payload));
-  lastSelected = payload;
-  updateLastSelectedInfo();
+function matchesFilter(pkg, filter) {
+  if (!filter || pkg.toLowerCase().includes(filter)) return true;
+  const label = appLabels.get(pkg)?.label;
+  return Boolean(label && label.toLowerCase().includes(filter));
 }
 
 /**
- * Update the last selected info display.
+ * The package a selection or list entry belongs to: the entry itself, or
+ * the package part of a "package/class" component.
+ * 
+ * @param {string} entry - Package or component name
+ * @returns {string} Package name
  */
-function updateLastSelectedInfo() {
-  if (!lastSelected || !lastSelected.packages.length) {
-    lastSelectedInfo.textContent = "No last selection.";
-    loadLastBtn.disabled = true;
-    return;
-  }
-  const time = new Date(lastSelected.savedAt).toLocaleString();
-  lastSelectedInfo.textContent = `Last: ${lastSelected.packages.length} package(s) at ${time}`;
-  loadLastBtn.disabled = false;
+function entryPackage(entry) {
+  return entry.split("/")[0];
 }
 
-// =============================================================================
-// Saved Lists Functions
-// =============================================================================
-
 /**
- * Load saved lists from localStorage.
+ * Re-render the rows of some packages in place, after their state
+ * changed. Rows that are filtered out are left alone.
+ * 
+ * @param {string[]} names - Packages whose rows need updating
  */
-function loadSavedListsFromStorage() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    if (parsed && typeof parsed === "object") {
-      return parsed;
-    }
-  } catch (error) {
-    log("Failed to read saved lists from storage.");
+function updateAppRows(names) {
+  for (const pkg of names) {
+    const old = appRows.get(pkg);
+    if (!old) continue;
+    const li = createAppRow(pkg);
+    appList.replaceChild(li, old);
+    appRows.set(pkg, li);
   }
-  return {};
 }
 
 /**
- * Save lists to localStorage.
+ * Build the list item for one package.
+ * 
+ * @param {string} pkg - Package name
+ * @returns {HTMLLIElement} Row with checkbox, name, state badge and buttons
  */
-function saveListsToStorage() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(savedLists));
+function createAppRow(pkg) {
+  const state = packageState(pkg);
+
+  // Create list item
+  const li = document.createElement("li");
+  li.className = `app-item state-${state}`;
+  // Disabled packages can be suspended too
+  if (suspendedPackages.has(pkg)) li.classList.add("suspended");
+  li.dataset.package = pkg;
+
+  // Checkbox for selection
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = selectedPackages.has(pkg);
+  checkbox.addEventListener("change", () => {
+    if (checkbox.checked) {
+      selectedPackages.add(pkg);
+    } else {
+      selectedPackages.delete(pkg);
+    }
+    updateSelectionCount();
+    saveCurrentSelectionAsLast(); // Auto-save selection
+  });
+
+  li.append(checkbox, createAppName(pkg), createAppMeta(pkg, state));
+
+  // Action buttons container
+  const actions = document.createElement("div");
+  actions.className = "actions";
+  li.appendChild(actions);
+
+  // Uninstalled for the user: the APK is still there, offer to reinstall it
+  if (state === "uninstalled") {
+    const restoreBtn = document.createElement("button");
+    restoreBtn.textContent = "Restore";
+    restoreBtn.className = "primary";
+    restoreBtn.addEventListener("click", () =>
+      runPackageAction("restore", [pkg], { sessions: [deviceManager.active] })
+    );
+    actions.appendChild(restoreBtn);
+    return li;
+  }
+
+  // Hidden: nothing else works on it until it is unhidden
+  if (state === "hidden") {
+    const unhideBtn = document.createElement("button");
+    unhideBtn.textContent = "Unhide";
+    unhideBtn.className = "primary";
+    unhideBtn.addEventListener("click", () =>
+      runPackageAction("unhide", [pkg], { sessions: [deviceManager.active] })
+    );
+    actions.appendChild(unhideBtn);
+    return li;
+  }
+
+  // Enable/Disable toggle button
+  // Shows "Enable" if package is disabled, "Disable" if enabled
+  const isDisabled = state === "disabled";
+  const toggleBtn = document.createElement("button");
+  toggleBtn.textContent = isDisabled ? "Enable" : "Disable";
+  toggleBtn.className = isDisabled ? "primary" : "danger";
+  toggleBtn.addEventListener("click", () =>
+    // Row buttons act on the active device only
+    runPackageAction(isDisabled ? "enable" : "disable", [pkg], {
+      sessions: [deviceManager.active],
+    })
+  );
+
+  // Uninstall button
+  const uninstallBtn = document.createElement("button");
+  uninstallBtn.textContent = "Uninstall";
+  uninstallBtn.className = "danger";
+  uninstallBtn.addEventListener("click", () => {
+    runPackageAction("uninstall", [pkg], { sessions: [deviceManager.active] });
+  });
+
+  actions.append(toggleBtn, uninstallBtn);
+
+  if (suspendedPackages.has(pkg)) {
+    const unsuspendBtn = document.createElement("button");
+    unsuspendBtn.textContent = "Unsuspend";
+    unsuspendBtn.className = "primary";
+    unsuspendBtn.addEventListener("click", () =>
+      runPackageAction("unsuspend", [pkg], { sessions: [deviceManager.active] })
+    );
+    actions.appendChild(unsuspendBtn);
+  }
+  return li;
 }
 
 /**
- * Update the saved list info display.
+ * Build the name part of a row: icon and app name when they were loaded,
+ * then the package name.
+ * 
+ * @param {string} pkg - Package name
+ * @returns {HTMLDivElement} Name block
  */
-function updateSavedListInfo() {
-  const name = savedListsSelect.value;
-  if (!name || !savedLists[name]) {
-    savedListInfo.textContent = "No saved list selected.";
-    return;
+function createAppName(pkg) {
+  const name = document.createElement("div");
+  name.className = "app-name";
+  name.title = "Show details";
+  name.addEventListener("click", () => openPackageDetails(pkg));
+  const { label, icon } = appLabels.get(pkg) || {};
+
+  if (icon) {
+    const img = document.createElement("img");
+    img.className = "app-icon";
+    img.src = icon;
+    img.alt = "";
+    name.appendChild(img);
   }
-  savedListInfo.textContent = `Selected list: ${name} (${savedLists[name].length} packages).`;
+  if (label) {
+    const labelText = document.createElement("span");
+    labelText.className = "app-label";
+    labelText.textContent = label;
+    name.appendChild(labelText);
+  }
+  const packageName = document.createElement("span");
+  packageName.className = "app-package";
+  packageName.textContent = pkg;
+  name.appendChild(packageName);
+  return name;
 }
 
 /**
- * Refresh the saved lists dropdown.
+ * Build the line under a package name: system/user and state badges,
+ * then APK location, installer, UID and version code.
+ * 
+ * @param {string} pkg - Package name
+ * @param {string} state - From packageState()
+ * @returns {HTMLDivElement} Metadata line (empty when nothing is known)
  */
-function refreshSavedListSelect() {
-  savedListsSelect.innerHTML = "";
-  const names = Object.keys(savedLists).sort();
+function createAppMeta(pkg, state) {
+  const meta = document.createElement("div");
+  meta.className = "app-meta";
+  const info = packageInfo.get(pkg);
+
+  if (info) {
+    const kind = document.createElement("span");
+    kind.className = `badge kind-badge ${info.system ? "kind-system" : "kind-user"}`;
+    kind.textContent = info.system ? "system" : "user";
+    meta.appendChild(kind);
+  }
 
-  if (!names.length) {
-    const option = document.createElement("option");
-    option.value = "";
-    option.textContent = "No saved lists";
-    option.disabled = true;
-    option.selected = true;
-    savedListsSelect.appendChild(option);
-    loadListBtn.disabled = true;
-    deleteListBtn.disabled = true;
-    updateSavedListInfo();
-    return;
+  // State badge, for anything but a plain enabled package
+  if (state !== "enabled") {
+    const badge = document.createElement("span");
+    badge.className = "badge state-badge";
+    badge.textContent = state === "uninstalled" ? "uninstalled (restorable)" : state;
+    meta.appendChild(badge);
+  }
+  if (state === "disabled" && suspendedPackages.has(pkg)) {
+    const badge = document.createElement("span");
+    badge.className = "badge suspended-badge";
+    badge.textContent = "suspended";
+    badge.title = "Stays greyed out after enabling until it is unsuspended";
+    meta.appendChild(badge);
   }
 
-  names.forEach((name, index) => {
-    const option = document.createElement("option");
-    option.value = name;
-    option.textContent = `${name} (${savedLists[name].length})`;
-    if (index === 0) option.selected = true;
-    savedListsSelect.appendChild(option);
-  });
-  loadListBtn.disabled = false;
-  deleteListBtn.disabled = false;
-  updateSavedListInfo();
+  const restriction = backgroundRestrictions.get(pkg);
+  const background = backgroundState(restriction);
+  if (background && background !== "unrestricted") {
+    const badge = document.createElement("span");
+    badge.className = "badge background-badge";
+    badge.textContent = restriction.bucket
+      ? `background ${background} (${restriction.bucket})`
+      : `background ${background}`;
+    const title = [
+      restriction.runRestricted ? "Can't run in the background" : "Can run in the background",
+    ];
+    if (restriction.dataRestricted !== null) {
+      title.push(restriction.dataRestricted ? "no background data" : "background data allowed");
+    }
+    badge.title = title.join(", ");
+    meta.appendChild(badge);
+  }
+
+  if (info) {
+    const details = document.createElement("span");
+    details.className = "app-details";
+    details.textContent = [
+      info.location,
+      info.installer ? `installer ${info.installer}` : "no installer",
+      info.uid !== null ? `uid ${info.uid}` : null,
+      info.versionCode !== null ? `version ${info.versionCode}` : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    details.title = info.apkPath || "";
+    meta.appendChild(details);
+  }
+  return meta;
 }
 
 /**
- * Auto-save current selection.
+ * State of a package in the loaded list.
+ * 
+ * @param {string} pkg - Package name
+ * @returns {string} "enabled", "disabled", "suspended", "hidden" or
+ *   "uninstalled"
  */
-function saveCurrentSelectionAsLast() {
-  saveLastSelectedToStorage();
+function packageState(pkg) {
+  if (uninstalledPackages.has(pkg)) return "uninstalled";
+  if (hiddenPackages.has(pkg)) return "hidden";
+  if (disabledPackages.has(pkg)) return "disabled";
+  return suspendedPackages.has(pkg) ? "suspended" : "enabled";
 }
 
 /**
- * Save current selection as a named list.
+ * How restricted a package is in the background: "restricted" when it
+ * can neither run nor use data there, "unrestricted" when it can do
+ * both, "partly restricted" in between. The standby bucket doesn't count,
+ * as Android moves packages between buckets by itself.
+ * 
+ * @param {Object|undefined} restriction - From listBackgroundRestrictions()
+ * @returns {string|null} State, or null when unknown
  */
-function saveCurrentList() {
-  const name = savedListNameInput.value.trim();
-  if (!name) {
-    log("Enter a list name to save.");
-    return;
-  }
-  if (!selectedPackages.size) {
-    log("Select at least one package before saving.");
-    return;
-  }
-  savedLists[name] = Array.from(selectedPackages).sort();
-  saveListsToStorage();
-  refreshSavedListSelect();
-  savedListsSelect.value = name;
-  updateSavedListInfo();
-  log(`Saved list "${name}" with ${savedLists[name].length} packages.`);
+function backgroundState(restriction) {
+  if (!restriction) return null;
+  const { runRestricted, dataRestricted } = restriction;
+  // Unknown background data (old Android) goes by the app op alone
+  if (runRestricted && dataRestricted !== false) return "restricted";
+  if (!runRestricted && !dataRestricted) return "unrestricted";
+  return "partly restricted";
 }
 
 /**
- * Load the last auto-saved selection.
+ * Read which packages are restricted in the background. Devices that
+ * can't tell simply show no restriction badges.
+ * 
+ * @param {AdbClient} client - Client of the active device
  */
-function loadLastSelectedList() {
-  if (!lastSelected || !lastSelected.packages.length) {
-    log("No last selection to load.");
-    return;
-  }
-  if (!packages.length) {
-    log("Load apps from the device first.");
-    return;
+async function loadBackgroundRestrictions(client) {
+  try {
+    backgroundRestrictions = await client.listBackgroundRestrictions();
+  } catch (error) {
+    backgroundRestrictions = new Map();
+    log(`Couldn't read background restrictions: ${error.message || error}`);
   }
-  // Match against currently installed packages
-  const available = new Set(packages);
-  const matched = lastSelected.packages.filter((pkg) => available.has(pkg));
-  selectedPackages = new Set(matched);
-  renderAppList();
-  updateSelectionCount();
-  saveCurrentSelectionAsLast();
-  const missing = lastSelected.packages.length - matched.length;
-  log(
-    `Loaded last selection: matched ${matched.length} package(s).` +
-      (missing ? ` ${missing} not found on device.` : "")
-  );
 }
 
 /**
- * Load a saved list.
+ * Read package states, and which packages are suspended, from a device.
+ * 
+ * @param {AdbClient} client - Device client
+ * @returns {Promise<Object>} { states, userStates }: from
+ *   listPackageStates() and listPackageUserStates()
  */
-function loadSavedList() {
-  const name = savedListsSelect.value;
-  if (!name || !savedLists[name]) {
-    log("Select a saved list to load.");
-    return;
-  }
+async function readPackageStates(client) {
+  const userStates = await client.listPackageUserStates();
+  const states = await client.listPackageStates({ userStates });
+  return { states, userStates };
+}
+
+/**
+ * Replace the loaded package list with states from readPackageStates().
+ * 
+ * @param {Object} read - { states, userStates }
+ */
+function setPackageStates({ states, userStates }) {
+  packages = Array.from(states.keys());
+  disabledPackages = new Set();
+  uninstalledPackages = new Set();
+  suspendedPackages = new Set();
+  hiddenPackages = new Set();
+  for (const [pkg, state] of states) {
+    if (state === "disabled") disabledPackages.add(pkg);
+    if (state === "uninstalled") uninstalledPackages.add(pkg);
+    if (state === "hidden") hiddenPackages.add(pkg);
+    // "disabled" wins over "suspended" in the state; keep both
+    const suspended = state === "disabled" && userStates.get(pkg)?.suspended;
+    if (state === "suspended" || suspended) suspendedPackages.add(pkg);
+  }
+}
+
+/**
+ * Re-read package states from the active device after an action and
+ * update the rows that changed. The list is rebuilt only when packages
+ * appeared or vanished altogether.
+ * 
+ * @param {AdbClient} client - Client of the active device
+ * @param {Object} options - Options
+ * @param {boolean} options.background - Re-read background restrictions too
+ */
+async function syncPackageStates(client, { background = false } = {}) {
+  try {
+    const read = await readPackageStates(client);
+    const { states } = read;
+    const known = new Set(packages);
+    const sameList = states.size === known.size && [...states.keys()].every((pkg) => known.has(pkg));
+    const changed = packages.filter((pkg) => states.get(pkg) !== packageState(pkg));
+    if (background) {
+      const previous = backgroundRestrictions;
+      await loadBackgroundRestrictions(client);
+      for (const pkg of packages) {
+        const before = JSON.stringify(previous.get(pkg) || null);
+        if (before !== JSON.stringify(backgroundRestrictions.get(pkg) || null)) changed.push(pkg);
+      }
+    }
+    const wasSuspended = suspendedPackages;
+    setPackageStates(read);
+    for (const pkg of packages) {
+      if (wasSuspended.has(pkg) !== suspendedPackages.has(pkg)) changed.push(pkg);
+    }
+    if (sameList) {
+      updateAppRows(changed);
+    } else {
+      renderAppList();
+    }
+  } catch (error) {
+    log(`Couldn't refresh package states: ${error.message || error}`);
+  }
+}
+
+/**
+ * Update the selection count display, and the drawer's component
+ * checkboxes after the selection was changed elsewhere.
+ */
+function updateSelectionCount() {
+  selectionCount.textContent = `${selectedPackages.size} selected`;
+  for (const [component, checkbox] of componentBoxes) {
+    checkbox.checked = selectedPackages.has(component);
+  }
+}
+
+// =============================================================================
+// Package Detail Drawer
+// =============================================================================
+
+// Component kinds in the order the drawer lists them
+const COMPONENT_LABELS = {
+  activities: "Activities",
+  services: "Services",
+  receivers: "Receivers",
+  providers: "Providers",
+};
+
+/**
+ * Open the detail drawer for a package and fill it from
+ * `dumpsys package`, `cmd appops get` and the APK's manifest on the
+ * active device. The tab that was showing stays selected.
+ * 
+ * @param {string} pkg - Package name
+ */
+async function openPackageDetails(pkg) {
+  const client = activeClient();
+  if (!client) {
+    log("Connect a device first.");
+    return;
+  }
+  detailAbort?.abort();
+  const abort = new AbortController();
+  detailAbort = abort;
+  detailPackage = pkg;
+  detailDrawer.style.display = "";
+  detailTitle.textContent = appLabels.get(pkg)?.label || pkg;
+  detailStatus.textContent = "Reading dumpsys package...";
+  detailBody.innerHTML = "";
+  detailPermissions.innerHTML = "";
+  componentBoxes = new Map();
+  showDetailTab(detailTab);
+  try {
+    const details = parsePackageDump(await client.dumpPackage(pkg), pkg);
+    // Another package may have been opened meanwhile
+    if (detailPackage !== pkg) return;
+    if (!details.found) {
+      detailStatus.textContent = `dumpsys has no entry for ${pkg}.`;
+      return;
+    }
+    let appOps = null;
+    let appOpsError = null;
+    try {
+      appOps = await client.getAppOps(pkg);
+    } catch (error) {
+      appOpsError = error.message || String(error);
+    }
+    if (detailPackage !== pkg) return;
+    // The dump only has components with an intent filter
+    let manifestError = null;
+    detailStatus.textContent = "Reading the manifest...";
+    try {
+      const declared = await client.listDeclaredComponents(pkg, { signal: abort.signal });
+      details.components = mergeComponents(details.components, declared);
+    } catch (error) {
+      manifestError = error.message || String(error);
+    }
+    if (detailPackage !== pkg) return;
+    detailStatus.textContent = pkg;
+    renderPackageDetails(pkg, details, manifestError);
+    renderPermissionsTab(pkg, details, appOps, appOpsError);
+  } catch (error) {
+    if (detailPackage !== pkg) return;
+    detailStatus.textContent = `Couldn't read details: ${error.message || error}`;
+  }
+}
+
+/**
+ * Close the detail drawer.
+ */
+function closePackageDetails() {
+  detailAbort?.abort();
+  detailAbort = null;
+  detailPackage = null;
+  detailDrawer.style.display = "none";
+  detailBody.innerHTML = "";
+  detailPermissions.innerHTML = "";
+  componentBoxes = new Map();
+}
+
+/**
+ * Switch the drawer between its overview and permissions tabs.
+ * 
+ * @param {string} tab - "overview" or "permissions"
+ */
+function showDetailTab(tab) {
+  detailTab = tab;
+  const permissions = tab === "permissions";
+  detailBody.style.display = permissions ? "none" : "";
+  detailPermissions.style.display = permissions ? "" : "none";
+  detailOverviewTab.className = `small-button ${permissions ? "ghost" : "primary"}`;
+  detailPermissionsTab.className = `small-button ${permissions ? "primary" : "ghost"}`;
+}
+
+/**
+ * Fill the drawer with the sections of a parsed dump.
+ * 
+ * @param {string} pkg - Package name
+ * @param {Object} details - From parsePackageDump(), with the manifest's
+ *   components merged in
+ * @param {string|null} manifestError - Why the manifest couldn't be read
+ */
+function renderPackageDetails(pkg, details, manifestError) {
+  let kind = details.system ? "system app" : "user app";
+  if (details.updatedSystemApp) {
+    kind = details.factoryCodePath
+      ? `updated system app (factory version in ${details.factoryCodePath})`
+      : "updated system app";
+  }
+  const sdk = [
+    details.minSdk !== null ? `min ${details.minSdk}` : null,
+    details.targetSdk !== null ? `target ${details.targetSdk}` : null,
+  ].filter(Boolean);
+
+  detailBody.append(
+    createDetailSection("Version", [
+      ["Version name", details.versionName],
+      ["Version code", details.versionCode],
+      ["SDK", sdk.join(", ") || null],
+    ]),
+    createDetailSection("Install", [
+      ["Installed", details.firstInstallTime],
+      ["Updated", details.lastUpdateTime],
+      ["Installer", details.installer || "none"],
+    ]),
+    createDetailSection("Code", [
+      ["Kind", kind],
+      ["Code path", details.codePath],
+      ["UID", details.userId],
+    ])
+  );
+
+  const permissions = createDetailSection("Permissions", []);
+  permissions.append(
+    createDetailList("Requested", details.requestedPermissions),
+    createDetailList("Granted", details.grantedPermissions)
+  );
+  const components = createDetailSection("Components", []);
+  if (manifestError) {
+    components.appendChild(createDetailNote(
+      `Only components with an intent filter are listed; couldn't read the manifest: ${manifestError}`
+    ));
+  }
+  const disabled = new Set(details.disabledComponents);
+  const listed = new Set();
+  for (const [kindName, title] of Object.entries(COMPONENT_LABELS)) {
+    details.components[kindName].forEach((className) => listed.add(className));
+    components.appendChild(createComponentList(pkg, title, details.components[kindName], disabled));
+  }
+  // Without the manifest, disabled components without an intent filter
+  // aren't in the lists above
+  const others = details.disabledComponents.filter((className) => !listed.has(className));
+  if (others.length) {
+    components.appendChild(createComponentList(pkg, "Other disabled", others, disabled));
+  }
+  detailBody.append(permissions, components);
+}
+
+/**
+ * Build a collapsible list of components with a checkbox, state and
+ * Disable/Enable button each. Checked components join the selection as
+ * "package/class" entries, so bulk actions and saved lists include them.
+ * 
+ * @param {string} pkg - Package name
+ * @param {string} title - List name, e.g. "Services"
+ * @param {string[]} classNames - Full class names
+ * @param {Set<string>} disabled - Class names disabled for user 0
+ * @returns {HTMLDetailsElement} Collapsed list
+ */
+function createComponentList(pkg, title, classNames, disabled) {
+  const details = document.createElement("details");
+  details.className = "detail-list";
+  const summary = document.createElement("summary");
+  const count = classNames.filter((className) => disabled.has(className)).length;
+  summary.textContent = count
+    ? `${title} (${classNames.length}, ${count} disabled)`
+    : `${title} (${classNames.length})`;
+  const items = document.createElement("ul");
+  details.append(summary, items);
+  for (const className of classNames) {
+    const component = `${pkg}/${className}`;
+    const enabled = !disabled.has(className);
+    const entry = document.createElement("li");
+    entry.className = "component-row";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = selectedPackages.has(component);
+    componentBoxes.set(component, checkbox);
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) {
+        selectedPackages.add(component);
+      } else {
+        selectedPackages.delete(component);
+      }
+      updateSelectionCount();
+      saveCurrentSelectionAsLast();
+    });
+    const name = document.createElement("span");
+    name.textContent = shortClassName(pkg, className);
+    name.title = className;
+    const badge = document.createElement("span");
+    badge.className = `badge component-state state-${enabled ? "enabled" : "disabled"}`;
+    badge.textContent = enabled ? "enabled" : "disabled";
+    const button = document.createElement("button");
+    button.className = `small-button ${enabled ? "danger" : "ghost"}`;
+    button.textContent = enabled ? "Disable" : "Enable";
+    button.addEventListener("click", () =>
+      runPackageAction(enabled ? "disable" : "enable", [component], {
+        sessions: [deviceManager.active],
+      })
+    );
+    entry.append(checkbox, name, badge, button);
+    items.appendChild(entry);
+  }
+  return details;
+}
+
+/**
+ * Fill the permissions tab: runtime permissions with a Grant/Revoke
+ * button each, and app ops with a mode picker. Changes go through
+ * runPackageAction() on the active device, like the row buttons.
+ * 
+ * @param {string} pkg - Package name
+ * @param {Object} details - From parsePackageDump()
+ * @param {Object[]|null} appOps - From client.getAppOps()
+ * @param {string|null} appOpsError - Why app ops couldn't be read
+ */
+function renderPermissionsTab(pkg, details, appOps, appOpsError) {
+  const permissions = createDetailSection("Runtime permissions", []);
+  if (!details.runtimePermissions.length) {
+    permissions.appendChild(createDetailNote("No runtime permissions requested."));
+  }
+  for (const { name, granted } of details.runtimePermissions) {
+    const button = document.createElement("button");
+    button.className = `small-button ${granted ? "danger" : "ghost"}`;
+    button.textContent = granted ? "Revoke" : "Grant";
+    button.addEventListener("click", () =>
+      runPackageAction(granted ? "revoke" : "grant", [pkg], {
+        sessions: [deviceManager.active],
+        change: { permission: name },
+      })
+    );
+    permissions.appendChild(
+      createPermissionRow(shortPermissionName(name), granted ? "granted" : "denied", button)
+    );
+  }
+
+  const ops = createDetailSection("App ops", []);
+  if (appOpsError) {
+    ops.appendChild(createDetailNote(`Couldn't read app ops: ${appOpsError}`));
+  } else if (!appOps.length) {
+    ops.appendChild(createDetailNote("No app ops set or used."));
+  }
+  for (const { op, mode, scope } of appOps || []) {
+    // A uid mode covers every package sharing the UID; it is shown, not set here
+    if (scope === "uid") {
+      ops.appendChild(createPermissionRow(op, `${mode} (uid)`, null));
+      continue;
+    }
+    const select = document.createElement("select");
+    fillAppOpModes(select);
+    select.value = mode;
+    select.addEventListener("change", () =>
+      runPackageAction("appops", [pkg], {
+        sessions: [deviceManager.active],
+        change: { op, mode: select.value },
+      })
+    );
+    ops.appendChild(createPermissionRow(op, mode, select));
+  }
+  detailPermissions.append(permissions, ops);
+}
+
+/**
+ * Build one permission or app op line: name, state badge and a control.
+ * 
+ * @param {string} name - Permission or op name
+ * @param {string} state - e.g. "granted", "ignore"
+ * @param {HTMLElement|null} control - Button or select, if it can change
+ * @returns {HTMLDivElement} Row
+ */
+function createPermissionRow(name, state, control) {
+  const row = document.createElement("div");
+  row.className = "permission-row";
+  const label = document.createElement("span");
+  label.textContent = name;
+  const badge = document.createElement("span");
+  badge.className = `badge permission-state state-${state.split(" ")[0]}`;
+  badge.textContent = state;
+  row.append(label, badge);
+  if (control) row.appendChild(control);
+  return row;
+}
+
+/**
+ * Add an option per app op mode to a select.
+ * 
+ * @param {HTMLSelectElement} select - Empty select
+ */
+function fillAppOpModes(select) {
+  for (const mode of APP_OP_MODES) {
+    const option = document.createElement("option");
+    option.value = mode;
+    option.textContent = mode;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Build a muted line of text for an empty or failed drawer section.
+ * 
+ * @param {string} text - Message
+ * @returns {HTMLDivElement} Note
+ */
+function createDetailNote(text) {
+  const note = document.createElement("div");
+  note.className = "small muted";
+  note.textContent = text;
+  return note;
+}
+
+/**
+ * "android.permission.CAMERA" -> "CAMERA"; other permissions stay whole.
+ * 
+ * @param {string} permission - Permission name
+ * @returns {string} Name for display
+ */
+function shortPermissionName(permission) {
+  return permission.replace(/^android\.permission\./, "");
+}
+
+/**
+ * Build a drawer section with a heading and label/value rows. Rows whose
+ * value is null are left out.
+ * 
+ * @param {string} title - Section heading
+ * @param {Array[]} rows - [label, value] pairs
+ * @returns {HTMLElement} Section element
+ */
+function createDetailSection(title, rows) {
+  const section = document.createElement("section");
+  section.className = "detail-section";
+  const heading = document.createElement("h3");
+  heading.textContent = title;
+  section.appendChild(heading);
+
+  const list = document.createElement("dl");
+  for (const [label, value] of rows) {
+    if (value === null || value === undefined) continue;
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const description = document.createElement("dd");
+    description.textContent = String(value);
+    list.append(term, description);
+  }
+  if (list.children.length) section.appendChild(list);
+  return section;
+}
+
+/**
+ * Build a collapsible list with a count, e.g. "Services (3)".
+ * 
+ * @param {string} title - List name
+ * @param {string[]} items - Entries
+ * @returns {HTMLDetailsElement} Collapsed list
+ */
+function createDetailList(title, items) {
+  const details = document.createElement("details");
+  details.className = "detail-list";
+  const summary = document.createElement("summary");
+  summary.textContent = `${title} (${items.length})`;
+  details.appendChild(summary);
+  const list = document.createElement("ul");
+  for (const item of items) {
+    const entry = document.createElement("li");
+    entry.textContent = item;
+    list.appendChild(entry);
+  }
+  details.appendChild(list);
+  return details;
+}
+
+// =============================================================================
+// Last Selected (Auto-Save) Functions
+// =============================================================================
+
+/**
+ * Load last selection from localStorage.
+ */
+function loadLastSelectedFromStorage() {
+  try {
+    const raw = localStorage.getItem(LAST_SELECTED_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!parsed || !Array.isArray(parsed.packages)) return null;
+    return parsed;
+  } catch (error) {
+    log("Failed to read last selection from storage.");
+  }
+  return null;
+}
+
+/**
+ * Save current selection to localStorage as "last selected".
+ * Called automatically whenever selection changes.
+ */
+function saveLastSelectedToStorage() {
+  const payload = {
+    packages: Array.from(selectedPackages).sort(),
+    savedAt: new Date().toISOString(),
+  };
+  localStorage.setItem(LAST_SELECTED_KEY, JSON.stringify(payload));
+  lastSelected = payload;
+  updateLastSelectedInfo();
+}
+
+/**
+ * Update the last selected info display.
+ */
+function updateLastSelectedInfo() {
+  if (!lastSelected || !lastSelected.packages.length) {
+    lastSelectedInfo.textContent = "No last selection.";
+    loadLastBtn.disabled = true;
+    return;
+  }
+  const time = new Date(lastSelected.savedAt).toLocaleString();
+  lastSelectedInfo.textContent = `Last: ${lastSelected.packages.length} package(s) at ${time}`;
+  loadLastBtn.disabled = false;
+}
+
+// =============================================================================
+// Saved Lists Functions
+// =============================================================================
+
+/**
+ * Load saved lists from localStorage.
+ */
+function loadSavedListsFromStorage() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return {};
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === "object") {
+      return parsed;
+    }
+  } catch (error) {
+    log("Failed to read saved lists from storage.");
+  }
+  return {};
+}
+
+/**
+ * Save lists to localStorage.
+ */
+function saveListsToStorage() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(savedLists));
+}
+
+/**
+ * Update the saved list info display.
+ */
+function updateSavedListInfo() {
+  const name = savedListsSelect.value;
+  if (!name || !savedLists[name]) {
+    savedListInfo.textContent = "No saved list selected.";
+    return;
+  }
+  savedListInfo.textContent = `Selected list: ${name} (${savedLists[name].length} packages).`;
+}
+
+/**
+ * Refresh the saved lists dropdown.
+ */
+function refreshSavedListSelect() {
+  savedListsSelect.innerHTML = "";
+  const names = Object.keys(savedLists).sort();
+
+  if (!names.length) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = "No saved lists";
+    option.disabled = true;
+    option.selected = true;
+    savedListsSelect.appendChild(option);
+    loadListBtn.disabled = true;
+    deleteListBtn.disabled = true;
+    updateSavedListInfo();
+    return;
+  }
+
+  names.forEach((name, index) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = `${name} (${savedLists[name].length})`;
+    if (index === 0) option.selected = true;
+    savedListsSelect.appendChild(option);
+  });
+  loadListBtn.disabled = false;
+  deleteListBtn.disabled = false;
+  updateSavedListInfo();
+}
+
+/**
+ * Auto-save current selection.
+ */
+function saveCurrentSelectionAsLast() {
+  saveLastSelectedToStorage();
+}
+
+/**
+ * Save current selection as a named list.
+ */
+function saveCurrentList() {
+  const name = savedListNameInput.value.trim();
+  if (!name) {
+    log("Enter a list name to save.");
+    return;
+  }
+  if (!selectedPackages.size) {
+    log("Select at least one package before saving.");
+    return;
+  }
+  savedLists[name] = Array.from(selectedPackages).sort();
+  saveListsToStorage();
+  refreshSavedListSelect();
+  savedListsSelect.value = name;
+  updateSavedListInfo();
+  log(`Saved list "${name}" with ${savedLists[name].length} packages.`);
+}
+
+/**
+ * Load the last auto-saved selection.
+ */
+function loadLastSelectedList() {
+  if (!lastSelected || !lastSelected.packages.length) {
+    log("No last selection to load.");
+    return;
+  }
+  if (!packages.length) {
+    log("Load apps from the device first.");
+    return;
+  }
+  // Match against currently installed packages
+  const available = new Set(packages);
+  const matched = lastSelected.packages.filter((entry) => available.has(entryPackage(entry)));
+  selectedPackages = new Set(matched);
+  renderAppList();
+  updateSelectionCount();
+  saveCurrentSelectionAsLast();
+  const missing = lastSelected.packages.length - matched.length;
+  log(
+    `Loaded last selection: matched ${matched.length} package(s).` +
+      (missing ? ` ${missing} not found on device.` : "")
+  );
+}
+
+/**
+ * Load a saved list.
+ */
+function loadSavedList() {
+  const name = savedListsSelect.value;
+  if (!name || !savedLists[name]) {
+    log("Select a saved list to load.");
+    return;
+  }
   if (!packages.length) {
     log("Load apps from the device first.");
     return;
   }
   const list = savedLists[name];
   const available = new Set(packages);
-  const matched = list.filter((pkg) => available.has(pkg));
+  const matched = list.filter((entry) => available.has(entryPackage(entry)));
   selectedPackages = new Set(matched);
   renderAppList();
   updateSelectionCount();
@@ -538,6 +1574,10 @@ function exportList() {
 
 /**
  * Import a list from a JSON or text file.
+ *
+ * Entries that aren't valid package or "package/class" component names
+ * are skipped and logged; they would be refused by the client anyway
+ * when the list is applied.
  * @param {File} file - File to import
  */
 function importList(file) {
@@ -560,12 +1600,24 @@ function importList(file) {
         throw new Error("Invalid file format: missing packages array");
       }
       
+      const isValidEntry = (entry) => isValidPackageName(entry) || isValidComponentName(entry);
+      const packages = data.packages.filter(isValidEntry);
+      const skipped = data.packages.filter((entry) => !isValidEntry(entry));
+      if (!packages.length) {
+        throw new Error("No valid package names in the file.");
+      }
+      
       const name = data.name || file.name.replace(/\.[^.]+$/, "");
-      savedLists[name] = data.packages;
+      savedLists[name] = packages;
       saveListsToStorage();
       refreshSavedListSelect();
       savedListsSelect.value = name;
-      log(`Imported list "${name}" with ${data.packages.length} packages.`);
+      log(`Imported list "${name}" with ${packages.length} packages.`);
+      if (skipped.length) {
+        const shown = skipped.slice(0, 5).map((entry) => JSON.stringify(String(entry)));
+        if (skipped.length > shown.length) shown.push("...");
+        log(`Skipped ${skipped.length} invalid package name(s): ${shown.join(", ")}`);
+      }
     } catch (error) {
       log(`Import failed: ${error.message}`);
     }
@@ -573,95 +1625,493 @@ function importList(file) {
   reader.readAsText(file);
 }
 
+// =============================================================================
+// Shell Terminal Functions
+// =============================================================================
+
+/**
+ * Load shell command history from localStorage.
+ */
+function loadShellHistoryFromStorage() {
+  try {
+    const raw = localStorage.getItem(SHELL_HISTORY_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    log("Failed to read shell history from storage.");
+  }
+  return [];
+}
+
+/**
+ * Add a command to the shell history and persist it.
+ * Consecutive duplicates are not recorded twice.
+ */
+function addShellHistory(command) {
+  if (shellHistory[shellHistory.length - 1] !== command) {
+    shellHistory.push(command);
+    if (shellHistory.length > SHELL_HISTORY_LIMIT) {
+      shellHistory.splice(0, shellHistory.length - SHELL_HISTORY_LIMIT);
+    }
+    localStorage.setItem(SHELL_HISTORY_KEY, JSON.stringify(shellHistory));
+  }
+  shellHistoryIndex = shellHistory.length;
+}
+
+/**
+ * Append text to the shell scrollback.
+ * 
+ * Terminal escape sequences and carriage returns are stripped, since
+ * the panel shows plain text. The oldest output is trimmed once the
+ * scrollback limit is reached.
+ * 
+ * @param {string} text - Output text
+ * @param {string} channel - "stdout", "stderr" or "input"
+ */
+function appendShellOutput(text, channel) {
+  const clean = text
+    .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, "")
+    .replace(/\x1b\][^\x07]*\x07/g, "")
+    .replace(/\r/g, "");
+  if (!clean) return;
+  const atBottom =
+    shellOutput.scrollTop + shellOutput.clientHeight >= shellOutput.scrollHeight - 4;
+  const span = document.createElement("span");
+  span.className = channel;
+  span.textContent = clean;
+  shellOutput.appendChild(span);
+  while (shellOutput.childNodes.length > SHELL_SCROLLBACK_LIMIT) {
+    shellOutput.removeChild(shellOutput.firstChild);
+  }
+  // Only follow the output if the user hasn't scrolled up
+  if (atBottom) shellOutput.scrollTop = shellOutput.scrollHeight;
+}
+
+/**
+ * Update shell panel controls for the current session state.
+ */
+function updateShellControls() {
+  const open = Boolean(shellSession);
+  openShellBtn.disabled = open;
+  closeShellBtn.disabled = !open;
+  shellInput.disabled = !open;
+  shellStatus.textContent = open ? "Session open" : "No session";
+}
+
+/**
+ * Open an interactive shell on the connected device.
+ */
+async function openShell() {
+  const client = activeClient();
+  if (!client) {
+    log("Connect a device first.");
+    return;
+  }
+  if (shellSession) return;
+  try {
+    const session = await client.openShell({ onOutput: appendShellOutput });
+    shellSession = session;
+    shellPanel.open = true;
+    updateShellControls();
+    shellInput.focus();
+    log("Shell session opened.");
+    
+    // Clean up when the device ends the session (e.g. `exit`)
+    session.exited.then((exitCode) => {
+      if (shellSession !== session) return;
+      shellSession = null;
+      updateShellControls();
+      log(
+        `Shell session ended${exitCode === null ? "" : ` (exit code ${exitCode})`}.`
+      );
+    });
+  } catch (error) {
+    log(error.message || "Failed to open shell.");
+  }
+}
+
+/**
+ * Close the current shell session.
+ */
+async function closeShell() {
+  const session = shellSession;
+  if (!session) return;
+  shellSession = null;
+  updateShellControls();
+  try {
+    await session.close();
+  } catch (error) {
+    // ignore
+  }
+  log("Shell session closed.");
+}
+
+/**
+ * Send the command line to the shell.
+ */
+async function submitShellInput() {
+  if (!shellSession) return;
+  const command = shellInput.value;
+  shellInput.value = "";
+  if (command.trim()) addShellHistory(command);
+  // Without a pty the device doesn't echo input, so echo it here
+  if (!shellSession.pty) appendShellOutput(`$ ${command}\n`, "input");
+  try {
+    await shellSession.write(`${command}\n`);
+  } catch (error) {
+    log(error.message || "Failed to send shell input.");
+  }
+}
+
+/**
+ * Handle Enter and history navigation in the shell input.
+ */
+function handleShellKeydown(event) {
+  if (event.key === "Enter") {
+    event.preventDefault();
+    submitShellInput();
+  } else if (event.key === "ArrowUp") {
+    if (!shellHistory.length) return;
+    event.preventDefault();
+    shellHistoryIndex = Math.max(0, shellHistoryIndex - 1);
+    shellInput.value = shellHistory[shellHistoryIndex] || "";
+  } else if (event.key === "ArrowDown") {
+    event.preventDefault();
+    shellHistoryIndex = Math.min(shellHistory.length, shellHistoryIndex + 1);
+    shellInput.value = shellHistory[shellHistoryIndex] || "";
+  }
+}
+
+// =============================================================================
+// Log Panel Commands
+// =============================================================================
+
+/**
+ * Run a command on the active device and stream its output into the log,
+ * so long commands show progress while they run.
+ * 
+ * The command gives up after the stream timeout passes without output;
+ * the log then says the output may be incomplete.
+ */
+async function runLogCommand() {
+  const session = deviceManager.active;
+  const command = logCommandInput.value.trim();
+  if (!session) {
+    log("Connect a device first.");
+    return;
+  }
+  if (!command || logCommandAbort) return;
+
+  const abort = new AbortController();
+  logCommandAbort = abort;
+  runLogCommandBtn.disabled = true;
+  stopLogCommandBtn.disabled = false;
+  log(`$ ${command}`);
+  try {
+    await logStream(session.client.shellStream(command, { signal: abort.signal }), "  ");
+    log(`${command}: finished.`);
+  } catch (error) {
+    if (abort.signal.aborted) {
+      log(`${command}: stopped.`);
+    } else if (error.name === "AdbStreamTimeoutError") {
+      log(`${command}: no output for ${error.details.timeoutMs}ms, gave up. The output may be incomplete.`);
+    } else {
+      log(`${command}: ${error.message || "Failed"}`);
+    }
+  } finally {
+    logCommandAbort = null;
+    runLogCommandBtn.disabled = false;
+    stopLogCommandBtn.disabled = true;
+  }
+}
+
+/**
+ * Stop the command started from the log panel.
+ */
+function stopLogCommand() {
+  if (logCommandAbort) logCommandAbort.abort();
+}
+
+// =============================================================================
+// ADB Key Functions
+// =============================================================================
+
+/**
+ * Show the current key's fingerprint, comment and origin.
+ */
+async function refreshKeyInfo() {
+  try {
+    const key = await keyManager.describe();
+    keyFingerprint.textContent = key.fingerprint;
+    keyCommentInput.value = key.comment;
+    const origin =
+      key.source === "imported"
+        ? "Imported"
+        : key.source === "migrated"
+        ? "Moved from older storage"
+        : "Generated";
+    keyInfo.textContent = `${origin} ${new Date(key.createdAt).toLocaleString()}. Comment: ${key.comment}`;
+  } catch (error) {
+    keyFingerprint.textContent = "Unavailable";
+    log(`ADB key: ${error.message || "Failed to load the key."}`);
+  }
+}
+
+/**
+ * Save the comment sent with the public key.
+ */
+async function saveKeyComment() {
+  try {
+    await keyManager.setComment(keyCommentInput.value);
+    await refreshKeyInfo();
+    log(`Key comment set to "${keyCommentInput.value}".`);
+  } catch (error) {
+    log(error.message || "Failed to set the key comment.");
+  }
+}
+
+/**
+ * Download the key in one of adb's file formats.
+ * @param {string} fileName - "adbkey" or "adbkey.pub"
+ */
+async function exportKeyFile(fileName) {
+  try {
+    const files = await keyManager.exportAdbKey();
+    const text = fileName === "adbkey" ? files.adbkey : files.adbkeyPub;
+    const blob = new Blob([text], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+    log(`Exported ${fileName}.`);
+  } catch (error) {
+    log(error.message || `Failed to export ${fileName}.`);
+  }
+}
+
+/**
+ * Import adbkey, and adbkey.pub if it was picked too.
+ * @param {File[]} files - Selected files
+ */
+async function importKeyFiles(files) {
+  const pubFile = files.find((file) => file.name.endsWith(".pub"));
+  const keyFile = files.find((file) => file !== pubFile);
+  if (!keyFile) {
+    log("Select the adbkey file (adbkey.pub is optional).");
+    return;
+  }
+  try {
+    const key = await keyManager.importAdbKey(
+      await keyFile.text(),
+      pubFile ? await pubFile.text() : null
+    );
+    await refreshKeyInfo();
+    log(`Imported ADB key ${key.fingerprint}. It is used from the next connection.`);
+  } catch (error) {
+    log(`Key import failed: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the key with a new one, after confirmation.
+ */
+async function rotateKey() {
+  if (!confirm("Replace the ADB key? Every device will ask to allow the new key.")) {
+    return;
+  }
+  try {
+    const key = await keyManager.rotate();
+    await refreshKeyInfo();
+    log(`Generated a new ADB key ${key.fingerprint}. It is used from the next connection.`);
+  } catch (error) {
+    log(error.message || "Failed to rotate the key.");
+  }
+}
+
 // =============================================================================
 // USB Connection Functions
 // =============================================================================
 
 /**
- * Connect to a previously selected USB device.
- * Establishes ADB connection and sets up the client.
+ * Connect an ADB client and add it to the connected devices.
+ * Shared by USB and network connections. Devices that are already
+ * connected stay connected; the new one becomes the active device.
+ * 
+ * @param {string} type - Connection type for the status badge ("USB" or "Network")
+ * @param {AdbClient} client - Client to connect
+ * @param {Function} connect - Starts the connection with an AbortSignal,
+ *   returns the device summary
  */
-async function connectUsb() {
-  const timeout = Number(streamTimeoutInput.value) || 5000;
+async function connectClient(type, client, connect) {
+  // The client enforces the handshake and authorization deadlines itself
+  // (CONNECT_TIMEOUT_MS, then authTimeoutMs once the prompt shows); this
+  // only catches a transport that never finishes opening, so it allows
+  // another CONNECT_TIMEOUT_MS for that on top of the client's budget
+  const timeout = 2 * CONNECT_TIMEOUT_MS + client.authTimeoutMs;
+  const onStateChange = (event) => showConnectionState(client, event.detail.state);
+  client.addEventListener("statechange", onStateChange);
+  const abort = new AbortController();
+  connectAbort = abort;
   try {
-    // Disconnect if already connected
-    if (adbClient) {
-      await disconnectUsb();
-    }
-    if (!selectedUsbDevice) {
-      log("Select a USB device first.");
-      return;
-    }
-    
-    log("Connecting to USB device...");
+    log(`Connecting to ${type === "USB" ? "USB device" : "network device"}...`);
     setConnectingState(true);
     
-    // Create new ADB client and connect
-    adbClient = new AdbUsbClient({ streamTimeoutMs: timeout });
-    const info = await withTimeout(
-      adbClient.connect(selectedUsbDevice),
-      timeout,
-      "USB connect"
-    );
+    const info = await withTimeout(connect(abort.signal), timeout, `${type} connect`);
     
-    // Connection successful
-    setStatus(true);
-    updateDeviceInfo(
-      `Connected: ${info.model} (${info.product}) - serial ${info.serial}`
-    );
-    log("USB device connected.");
+    // Connection successful; the shell and app list move to the new device
+    await closeShell();
+    const session = deviceManager.add({ type, client, info });
+    watchClient(session);
+    log(`${type === "USB" ? "USB device" : "Network device"} connected.`);
+    const usbSerial = usbSerialOf(session);
+    if (usbSerial) rememberKnownDevice(usbSerial);
+    if (!restorePackageState(usbSerial)) clearPackageState();
     
     // Log diagnostics for debugging
-    logDiag({ event: "connect", diagnostics: adbClient.getDiagnostics() });
+    logDiag({ event: "connect", diagnostics: client.getDiagnostics() });
     logDiag({
       event: "connect_full",
-      diagnostics: adbClient.getFullDiagnostics(),
+      diagnostics: client.getFullDiagnostics(),
     });
     
   } catch (error) {
-    // Connection failed
-    setStatus(false);
-    updateDeviceInfo("No device connected.");
+    // Connection failed; show the active device again, if any
+    updateConnectionUi();
+    if (client.state === "unauthorized" && !deviceManager.active) {
+      connectionStatus.textContent = CONNECTION_STATE_LABELS.unauthorized;
+    }
     
     // Log timeout-specific diagnostics
-    if (adbClient && error && /timed out/i.test(error.message || "")) {
+    if (error && /timed out/i.test(error.message || "")) {
       logDiag({
         event: "connect_timeout",
-        diagnostics: adbClient.getFullDiagnostics(),
+        diagnostics: client.getFullDiagnostics(),
       });
     }
     
     // Clean up failed client
-    if (adbClient) {
-      try {
-        await adbClient.disconnect();
-      } catch (disconnectError) {
-        // ignore
-      }
+    try {
+      await client.disconnect();
+    } catch (disconnectError) {
+      // ignore
     }
     
     // Log error diagnostics
     if (error && error.diagnostics) {
       logDiag({ event: "connect_error_full", diagnostics: error.diagnostics });
-    } else if (adbClient) {
-      logDiag({ event: "connect_error", diagnostics: adbClient.getDiagnostics() });
+    } else {
+      logDiag({ event: "connect_error", diagnostics: client.getDiagnostics() });
       logDiag({
         event: "connect_error_full",
-        diagnostics: adbClient.getFullDiagnostics(),
+        diagnostics: client.getFullDiagnostics(),
       });
     }
     
-    adbClient = null;
-    log(error.message || "Failed to connect USB device.");
+    log(
+      abort.signal.aborted
+        ? "Connection cancelled."
+        : error.message || `Failed to connect ${type} device.`
+    );
     
     if (error && error.cause) {
       logDiag({ event: "connect_error_cause", cause: String(error.cause) });
     }
   } finally {
+    client.removeEventListener("statechange", onStateChange);
+    connectAbort = null;
+    authPrompt.style.display = "none";
     setConnectingState(false);
   }
 }
 
+/**
+ * Follow a connected client's events: a lost link (dropped bridge, dead
+ * USB link) disconnects the device, and protocol errors go to the
+ * diagnostics log.
+ * 
+ * @param {Object} session - Session from deviceManager.add()
+ */
+function watchClient(session) {
+  session.client.addEventListener("error", (event) => {
+    logDiag({ event: "client_error", device: session.label, error: event.detail.error.message });
+  });
+  session.client.addEventListener("disconnect", (event) => {
+    if (!event.detail.error) return;
+    log(`Connection to ${session.label} lost. ${event.detail.error.message}`);
+    // Like a short unplug: keep the app list in case the device comes back
+    disconnectDevice(session, { unplugged: true });
+  });
+}
+
+/**
+ * Stop the connection in progress (e.g. nobody is there to tap "Allow").
+ */
+function cancelConnect() {
+  if (connectAbort) connectAbort.abort();
+}
+
+/**
+ * Client options from the timeout fields.
+ */
+function clientOptions() {
+  return {
+    streamTimeoutMs: Number(streamTimeoutInput.value) || 5000,
+    authTimeoutMs: Number(authTimeoutInput.value) || 60000,
+  };
+}
+
+/**
+ * Connect to a previously selected USB device.
+ */
+async function connectUsb() {
+  if (!selectedUsbDevice) {
+    log("Select a USB device first.");
+    return;
+  }
+  await connectUsbDevice(selectedUsbDevice);
+}
+
+/**
+ * Establish an ADB connection to a USB device and set up the client.
+ * A device that is already connected is switched to instead.
+ * 
+ * @param {Object} usbDeviceInfo - { device, interfaceInfo } from
+ *   requestDevice() or getDevices()
+ */
+async function connectUsbDevice(usbDeviceInfo) {
+  const existing = deviceManager.findByUsbDevice(usbDeviceInfo.device);
+  if (existing) {
+    log(`${existing.label} is already connected.`);
+    await switchDevice(existing.id);
+    return;
+  }
+  const client = new AdbUsbClient(clientOptions());
+  await connectClient("USB", client, (signal) => client.connect(usbDeviceInfo, { signal }));
+}
+
+/**
+ * Connect to a network device through a WebSocket bridge.
+ * 
+ * The bridge (e.g. websockify) forwards the socket to the device's TCP
+ * ADB port, so the same handshake and auth prompt as USB apply. A dropped
+ * bridge ends the client's read loop, which watchClient() handles.
+ */
+async function connectNetwork() {
+  const url = networkUrlInput.value.trim();
+  if (!/^wss?:\/\//i.test(url)) {
+    log("Enter a WebSocket bridge URL (ws://host:port).");
+    return;
+  }
+  localStorage.setItem(NETWORK_URL_KEY, url);
+  
+  const client = new AdbClient(clientOptions());
+  client.transport = new WebSocketTransport(url);
+  await connectClient("Network", client, (signal) => client.connect({ signal }));
+}
+
 /**
  * Open the USB device picker dialog.
  * User must select a device before connecting.
@@ -684,23 +2134,203 @@ async function selectUsbDevice() {
 }
 
 /**
- * Disconnect from the current USB device.
+ * Disconnect one device.
+ * When it was the active device, the shell is closed and the app list
+ * cleared; the most recently connected remaining device becomes active.
+ * 
+ * @param {Object} session - Session from the DeviceManager
+ * @param {Object} options - Options
+ * @param {boolean} options.unplugged - The cable was pulled: keep the app
+ *   list, selection and filter for a while in case it comes back
  */
-async function disconnectUsb() {
-  if (!adbClient) return;
+async function disconnectDevice(session, { unplugged = false } = {}) {
+  // A lost link can be reported by the client and by WebUSB at once
+  if (!deviceManager.get(session.id) || session.disconnecting) return;
+  session.disconnecting = true;
+  const wasActive = session.id === deviceManager.activeId;
+  const usbSerial = usbSerialOf(session);
+  if (wasActive) await closeShell();
   try {
-    await adbClient.disconnect();
+    await session.client.disconnect();
   } catch (error) {
     // ignore
   }
-  adbClient = null;
-  setStatus(false);
-  updateDeviceInfo("No device connected.");
-  packages = [];
-  selectedPackages = new Set();
+  targetDeviceIds.delete(session.id);
+  deviceManager.remove(session.id);
+  log(`${session.type === "USB" ? "USB device" : "Network device"} disconnected.`);
+  if (!wasActive) return;
+  if (unplugged && usbSerial) {
+    stashPackageState(usbSerial, session.label);
+  } else {
+    clearPackageState();
+  }
+}
+
+/**
+ * Disconnect the active device.
+ */
+async function disconnectUsb() {
+  if (!deviceManager.active) return;
+  await disconnectDevice(deviceManager.active);
+}
+
+// =============================================================================
+// Reconnection
+// =============================================================================
+
+/**
+ * USB serial of a session, the key for reconnecting; null for network
+ * devices and USB devices without a serial.
+ */
+function usbSerialOf(session) {
+  if (session.type !== "USB") return null;
+  return session.client.transport.serialNumber || null;
+}
+
+/**
+ * Load the USB serials of previously connected devices.
+ */
+function loadKnownDevicesFromStorage() {
+  try {
+    const raw = localStorage.getItem(KNOWN_DEVICES_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    log("Failed to read known devices from storage.");
+  }
+  return [];
+}
+
+/**
+ * Remember a USB serial so the device reconnects by itself on page load
+ * and replug. The most recent devices are kept.
+ */
+function rememberKnownDevice(serial) {
+  knownDevices = [serial, ...knownDevices.filter((entry) => entry !== serial)].slice(
+    0,
+    KNOWN_DEVICES_LIMIT
+  );
+  localStorage.setItem(KNOWN_DEVICES_KEY, JSON.stringify(knownDevices));
+}
+
+/**
+ * Keep the app list of an unplugged device so a quick replug picks up
+ * where it left off. The list stays on screen unless another device
+ * becomes active, and is dropped after RECONNECT_GRACE_MS.
+ * 
+ * @param {string} serial - USB serial of the unplugged device
+ * @param {string} label - Device name for the log
+ */
+function stashPackageState(serial, label) {
+  const previous = unpluggedState.get(serial);
+  if (previous) clearTimeout(previous.timer);
+  const state = {
+    packages,
+    disabledPackages,
+    uninstalledPackages,
+    suspendedPackages,
+    hiddenPackages,
+    packageInfo,
+    backgroundRestrictions,
+    appLabels,
+    selectedPackages,
+    filter: filterInput.value,
+    timer: setTimeout(() => {
+      if (unpluggedState.get(serial) !== state) return;
+      unpluggedState.delete(serial);
+      if (!deviceManager.active) clearPackageState();
+      log(`${label} did not come back; its app list was cleared.`);
+    }, RECONNECT_GRACE_MS),
+  };
+  unpluggedState.set(serial, state);
+  if (deviceManager.active) {
+    clearPackageState();
+  } else {
+    updateDeviceInfo(`${label} unplugged. Waiting for it to come back...`);
+  }
+}
+
+/**
+ * Bring back the app list kept by stashPackageState().
+ * 
+ * @param {string|null} serial - USB serial of the reconnected device
+ * @returns {boolean} Whether a kept app list was restored
+ */
+function restorePackageState(serial) {
+  const state = serial && unpluggedState.get(serial);
+  if (!state) return false;
+  clearTimeout(state.timer);
+  unpluggedState.delete(serial);
+  packages = state.packages;
+  disabledPackages = state.disabledPackages;
+  uninstalledPackages = state.uninstalledPackages;
+  suspendedPackages = state.suspendedPackages;
+  hiddenPackages = state.hiddenPackages;
+  packageInfo = state.packageInfo;
+  backgroundRestrictions = state.backgroundRestrictions;
+  appLabels = state.appLabels;
+  selectedPackages = state.selectedPackages;
+  filterInput.value = state.filter;
   renderAppList();
   updateSelectionCount();
-  log("USB device disconnected.");
+  log(`Restored the app list (${packages.length} packages, ${selectedPackages.size} selected).`);
+  return true;
+}
+
+/**
+ * Connect the USB devices this page already has permission for.
+ * 
+ * Devices that were connected before reconnect by themselves; the
+ * first other one is preselected so `Connect` works without the picker.
+ */
+async function connectPermittedDevices() {
+  let permitted = [];
+  try {
+    permitted = await AdbUsbClient.getDevices();
+  } catch (error) {
+    log(error.message || "Failed to list permitted USB devices.");
+    return;
+  }
+  const offered = [];
+  for (const usbDeviceInfo of permitted) {
+    if (knownDevices.includes(usbDeviceInfo.device.serialNumber)) {
+      await connectUsbDevice(usbDeviceInfo);
+    } else {
+      offered.push(usbDeviceInfo);
+    }
+  }
+  if (offered.length && !selectedUsbDevice) {
+    selectedUsbDevice = offered[0];
+    const { device } = selectedUsbDevice;
+    if (!deviceManager.active) {
+      updateDeviceInfo(
+        `Selected: ${device.productName || "Unknown"} - serial ${
+          device.serialNumber || "unknown"
+        }`
+      );
+    }
+    log(`Found ${offered.length} permitted USB device(s). Click Connect to use them.`);
+  }
+}
+
+/**
+ * Reconnect a known device when it is plugged back in.
+ * 
+ * @param {Object} event - WebUSB connect event
+ */
+async function handleUsbConnect(event) {
+  const usbDeviceInfo = AdbUsbClient.getDeviceInfo(event.device);
+  if (!usbDeviceInfo) return;
+  const serial = event.device.serialNumber;
+  if (!serial || !knownDevices.includes(serial)) {
+    selectedUsbDevice = usbDeviceInfo;
+    log("USB device plugged in. Click Connect to use it.");
+    return;
+  }
+  if (deviceManager.findByUsbDevice(event.device)) return;
+  log(`Reconnecting ${event.device.productName || serial}...`);
+  await connectUsbDevice(usbDeviceInfo);
 }
 
 // =============================================================================
@@ -711,35 +2341,157 @@ async function disconnectUsb() {
  * Load list of packages from connected device.
  */
 async function loadPackages() {
-  if (!adbClient) {
-    log("Connect a USB device first.");
+  const client = activeClient();
+  if (!client) {
+    log("Connect a device first.");
     return;
   }
   try {
     setStatus(true);
     log("Listing packages from device...");
-    packages = await adbClient.listPackages();
-    
-    log("Getting disabled packages...");
-    disabledPackages = await adbClient.listDisabledPackages();
+    setPackageStates(await readPackageStates(client));
+    const details = await client.listPackages({ details: true, includeUninstalled: true });
+    packageInfo = new Map(details.map((info) => [info.name, info]));
+    await loadBackgroundRestrictions(client);
+    await applyCachedLabels();
     
     selectedPackages = new Set();
     renderAppList();
     updateSelectionCount();
-    log(`Loaded ${packages.length} packages (${disabledPackages.size} disabled).`);
+    const counts = [`${disabledPackages.size} disabled`, `${uninstalledPackages.size} uninstalled`];
+    // Most devices have neither; only mention them when there are some
+    if (suspendedPackages.size) counts.push(`${suspendedPackages.size} suspended`);
+    if (hiddenPackages.size) counts.push(`${hiddenPackages.size} hidden`);
+    log(`Loaded ${packages.length} packages (${counts.join(", ")}).`);
   } catch (error) {
     setStatus(false);
     log(error.message || "Failed to list packages.");
   }
 }
 
+/**
+ * Forget the package list and selection, e.g. when the active device
+ * changes.
+ */
+function clearPackageState() {
+  stopLoadingLabels();
+  closePackageDetails();
+  packages = [];
+  disabledPackages = new Set();
+  uninstalledPackages = new Set();
+  suspendedPackages = new Set();
+  hiddenPackages = new Set();
+  packageInfo = new Map();
+  backgroundRestrictions = new Map();
+  appLabels = new Map();
+  selectedPackages = new Set();
+  renderAppList();
+  updateSelectionCount();
+}
+
+/**
+ * Take app names and icons for the loaded packages from the cache, for
+ * the versions now installed. Packages without a cached entry keep just
+ * their package name until Load Names & Icons reads them.
+ */
+async function applyCachedLabels() {
+  appLabels = new Map();
+  try {
+    for (const pkg of packages) {
+      const cached = await labelCache.cached(pkg, packageInfo.get(pkg)?.versionCode ?? null);
+      if (cached) appLabels.set(pkg, cached);
+    }
+  } catch (error) {
+    log(`Couldn't read cached app names: ${error.message || error}`);
+  }
+}
+
+/**
+ * Read app names and icons from the APKs of the loaded packages that
+ * don't have one yet, one package at a time, updating rows as they come
+ * in. Clicking the button again stops.
+ * 
+ * Packages without a name (no APK, too big, unreadable) are logged in
+ * one line at the end; a lost connection stops the loading.
+ */
+async function loadAppLabels() {
+  if (labelsAbort) {
+    stopLoadingLabels();
+    return;
+  }
+  const client = activeClient();
+  if (!client) {
+    log("Connect a device first.");
+    return;
+  }
+  const pending = packages.filter((pkg) => !appLabels.has(pkg));
+  if (!pending.length) {
+    log(packages.length ? "All app names are loaded." : "List apps first.");
+    return;
+  }
+
+  const abort = new AbortController();
+  labelsAbort = abort;
+  log(`Loading names and icons of ${pending.length} packages...`);
+  const unreadable = [];
+  let done = 0;
+  try {
+    for (const pkg of pending) {
+      if (abort.signal.aborted) break;
+      loadLabelsBtn.textContent = `Stop (${done}/${pending.length})`;
+      const versionCode = packageInfo.get(pkg)?.versionCode ?? null;
+      let entry = null;
+      let error = null;
+      try {
+        entry = await labelCache.load(client, pkg, versionCode, { signal: abort.signal });
+        error = entry.error;
+      } catch (loadError) {
+        if (client.state !== "connected") throw loadError;
+        // e.g. the APK can't be read by the shell user; tried again next time
+        error = loadError.message || String(loadError);
+      }
+      // The list may have changed device meanwhile
+      if (abort.signal.aborted) break;
+      if (error) unreadable.push(`${pkg} (${error})`);
+      if (entry) {
+        appLabels.set(pkg, entry);
+        updateAppRows([pkg]);
+      }
+      done += 1;
+    }
+    log(
+      abort.signal.aborted
+        ? `Stopped loading names and icons (${done} of ${pending.length} done).`
+        : `Loaded names and icons of ${done} packages.`
+    );
+  } catch (error) {
+    log(`Loading names and icons failed: ${error.message || error}`);
+  } finally {
+    if (labelsAbort === abort) labelsAbort = null;
+    if (!labelsAbort) loadLabelsBtn.textContent = "Load Names & Icons";
+  }
+  if (unreadable.length) {
+    log(`No name or icon for ${unreadable.length} package(s): ${unreadable.join(", ")}`);
+  }
+  // A filter may match the new names
+  if (filterInput.value.trim() && !abort.signal.aborted) renderAppList();
+}
+
+/**
+ * Stop loadAppLabels(), cancelling the APK pull in progress.
+ */
+function stopLoadingLabels() {
+  if (labelsAbort) labelsAbort.abort();
+  labelsAbort = null;
+}
+
 /**
  * Select all visible packages (respecting current filter).
  */
 function selectAllVisible() {
   const filter = filterInput.value.trim().toLowerCase();
   packages.forEach((pkg) => {
-    if (filter && !pkg.toLowerCase().includes(filter)) return;
+    if (!matchesFilter(pkg, filter)) return;
     selectedPackages.add(pkg);
   });
   renderAppList();
@@ -758,48 +2510,368 @@ function clearSelection() {
 }
 
 /**
- * Run a package action (disable/enable/uninstall) on a list of packages.
+ * Run a package action (disable/enable/uninstall/restore, grant/revoke a
+ * permission, set an app op, restrict/allow in the background) on a list
+ * of packages.
  * 
- * @param {string} action - "disable", "enable", or "uninstall"
- * @param {string[]} packageList - Array of package names
+ * The list may also hold "package/class" components, which disable and
+ * enable work on one by one; other actions skip them.
+ * 
+ * Every target device runs in parallel, one package at a time. Each
+ * result is parsed into an outcome (see package_results.js), logged and
+ * added to the results table, and a summary line per device follows.
+ * With several devices, log lines are prefixed with the device name.
+ * Afterwards the active device's package states are read again, so the
+ * app list shows what actually happened, and an open detail drawer for
+ * one of the packages is refreshed.
+ * 
+ * @param {string} action - "disable", "enable", "uninstall", "restore",
+ *   "grant", "revoke", "appops", "restrict", "unrestrict", "suspend",
+ *   "unsuspend", "hide" or "unhide"
+ * @param {string[]} packageList - Array of package and component names
+ * @param {Object} options - Options
+ * @param {Object[]} options.sessions - Devices to run on (default: the
+ *   checked devices, or the active one)
+ * @param {boolean} options.checkInstalled - Skip packages (and components
+ *   of packages) that aren't installed, or for "restore" aren't on the
+ *   device at all; hide and unhide also take hidden packages (always done
+ *   with several devices)
+ * @param {Object} options.change - What grant/revoke/appops/restrict
+ *   change: { permission }, { op, mode } or { bucket }
  */
-async function runPackageAction(action, packageList) {
-  if (!adbClient) {
-    log("Connect a USB device first.");
+async function runPackageAction(
+  action,
+  packageList,
+  { sessions = getTargetSessions(), checkInstalled = false, change = null } = {}
+) {
+  const targets = sessions.filter(Boolean);
+  if (!targets.length) {
+    log("Connect a device first.");
     return;
   }
   if (!packageList.length) {
     log("Select at least one package.");
     return;
   }
+  if (action !== "disable" && action !== "enable") {
+    const components = packageList.filter((entry) => entry.includes("/"));
+    if (components.length) {
+      log(`Skipped ${components.length} component(s): components can only be disabled or enabled.`);
+      packageList = packageList.filter((entry) => !entry.includes("/"));
+      if (!packageList.length) return;
+    }
+  }
   
-  const actionLabel =
-    action === "disable"
-      ? "Disable"
-      : action === "enable"
-      ? "Enable"
-      : "Uninstall";
-  log(`${actionLabel} ${packageList.length} package(s)...`);
-
-  for (const pkg of packageList) {
+  const actionLabel = describeAction(action, change);
+  const several = targets.length > 1;
+  const skipMissing = checkInstalled || several;
+
+  log(
+    several
+      ? `${actionLabel} ${packageList.length} package(s) on ${targets.length} device(s)...`
+      : `${actionLabel} ${packageList.length} package(s)...`
+  );
+  clearResults();
+  const results = await deviceManager.runOnDevices(targets, async (session) => {
+    const { states, userStates } = await readPackageStates(session.client);
+    const restrictions = BACKGROUND_ACTIONS.has(action)
+      ? await session.client.listBackgroundRestrictions()
+      : null;
+    // Restore needs the package on the device, the others need it installed
+    // (or, for hide and unhide, hidden)
+    const installed = ["enabled", "disabled", "suspended"];
+    if (action === "hide" || action === "unhide") installed.push("hidden");
+    const applies = (entry) => {
+      const pkg = entryPackage(entry);
+      return action === "restore" ? states.has(pkg) : installed.includes(states.get(pkg));
+    };
+    const present = skipMissing ? packageList.filter(applies) : packageList;
+    const outcomes = await applyPackageAction(
+      session,
+      action,
+      actionLabel,
+      present,
+      { states, userStates, restrictions },
+      several ? `[${session.label}] ` : "",
+      change
+    );
+    return { outcomes, skipped: packageList.length - present.length };
+  });
+
+  const summaries = results.map(({ session, value, error }) => {
+    const prefix = several ? `[${session.label}] ` : "";
+    let summary;
+    if (error) {
+      summary = `failed: ${error.message || error}`;
+    } else {
+      const parts = value.outcomes.length ? [summarizeResults(value.outcomes)] : [];
+      if (value.skipped) parts.push(`${value.skipped} not installed`);
+      summary = parts.join(", ") || "nothing to do";
+    }
+    log(`${prefix}${actionLabel}: ${summary}.`);
+    return several ? `${session.label}: ${summary}` : summary;
+  });
+  resultsSummary.textContent = `${actionLabel}: ${summaries.join("; ")}`;
+
+  // Show the new states on the active device's list
+  const active = deviceManager.active;
+  if (active && targets.includes(active) && packages.length) {
+    await syncPackageStates(active.client, { background: BACKGROUND_ACTIONS.has(action) });
+  }
+  const showsDetails = packageList.some((entry) => entryPackage(entry) === detailPackage);
+  if (active && targets.includes(active) && showsDetails) {
+    await openPackageDetails(detailPackage);
+  }
+}
+
+/**
+ * Name an action for the log and results table, with what it changes:
+ * "Disable", "Grant CAMERA", "Set app op RUN_IN_BACKGROUND to ignore",
+ * "Restrict background (rare)".
+ * 
+ * @param {string} action - Action name
+ * @param {Object|null} change - { permission }, { op, mode } or { bucket }
+ * @returns {string} Label
+ */
+function describeAction(action, change) {
+  const label = ACTION_LABELS[action];
+  if (change && change.permission) return `${label} ${shortPermissionName(change.permission)}`;
+  if (change && change.op) return `${label} ${change.op} to ${change.mode}`;
+  if (change && change.bucket) return `${label} (${change.bucket})`;
+  return label;
+}
+
+/**
+ * What a package's state is before an action, in the terms
+ * parsePackageResult() compares against: the package or component state,
+ * whether the package is suspended, whether the permission is granted,
+ * the app op mode, or the background state.
+ * 
+ * @param {AdbClient} client - Device client
+ * @param {string} action - Action name
+ * @param {string} pkg - Package or "package/class" component name
+ * @param {Object} known - { states, userStates, restrictions }, see
+ *   applyPackageAction()
+ * @param {Object|null} change - { permission }, { op, mode } or { bucket }
+ * @returns {Promise<string|null>} State, or null when unknown
+ */
+async function readStateBefore(client, action, pkg, known, change) {
+  if (pkg.includes("/")) {
+    const packageName = entryPackage(pkg);
+    const components = await client.listComponents(packageName);
+    // Lists may name the class in full or relative to the package
+    const component = components.find(
+      (entry) =>
+        entry.component === pkg ||
+        `${packageName}/${shortClassName(packageName, entry.className)}` === pkg
+    );
+    if (!component) return null;
+    return component.enabled ? "enabled" : "disabled";
+  }
+  if (action === "grant" || action === "revoke") {
+    const details = parsePackageDump(await client.dumpPackage(pkg), pkg);
+    const permission = details.runtimePermissions.find((entry) => entry.name === change.permission);
+    if (!permission) return null;
+    return permission.granted ? "granted" : "revoked";
+  }
+  if (action === "appops") {
+    const ops = await client.getAppOps(pkg);
+    const entry = ops.find(({ op, scope }) => op === change.op && scope === "package");
+    return entry ? entry.mode : null;
+  }
+  if (BACKGROUND_ACTIONS.has(action)) {
+    return backgroundState(known.restrictions.get(pkg));
+  }
+  if (action === "suspend" || action === "unsuspend") {
+    const user = known.userStates.get(pkg);
+    if (!user) return null;
+    return user.suspended ? "suspended" : "unsuspended";
+  }
+  return known.states.get(pkg) || null;
+}
+
+/**
+ * Run a package action on one device, one package at a time.
+ * 
+ * @param {Object} session - Session from the DeviceManager
+ * @param {string} action - Action name, see runPackageAction()
+ * @param {string} actionLabel - Action name for the log
+ * @param {string[]} packageList - Array of package and component names
+ * @param {Object} known - What was read before the run: states and
+ *   userStates from readPackageStates(), and for restrict/unrestrict
+ *   restrictions from listBackgroundRestrictions() (null otherwise)
+ * @param {string} prefix - Prefix for log lines (the device name when
+ *   several devices run at once)
+ * @param {Object|null} change - For grant/revoke/appops/restrict, see
+ *   runPackageAction()
+ * @returns {Promise<Object[]>} One parsePackageResult() result per package
+ */
+async function applyPackageAction(
+  session,
+  action,
+  actionLabel,
+  packageList,
+  known,
+  prefix = "",
+  change = null
+) {
+  const { client } = session;
+  const results = [];
+  for (const [index, pkg] of packageList.entries()) {
+    // Progress counter, so long batches show how far along they are
+    const step = `${prefix}[${index + 1}/${packageList.length}] `;
+    let result;
     try {
+      const before = await readStateBefore(client, action, pkg, known, change);
       let output = "";
-      if (action === "disable") {
-        output = await adbClient.disablePackage(pkg);
+      if (pkg.includes("/")) {
+        output =
+          action === "disable"
+            ? await client.disableComponent(pkg)
+            : await client.enableComponent(pkg);
+      } else if (action === "disable") {
+        output = await client.disablePackage(pkg);
       } else if (action === "enable") {
-        output = await adbClient.enablePackage(pkg);
+        output = await client.enablePackage(pkg);
+      } else if (action === "uninstall") {
+        output = await client.uninstallPackage(pkg);
+      } else if (action === "grant") {
+        output = await client.grantPermission(pkg, change.permission);
+      } else if (action === "revoke") {
+        output = await client.revokePermission(pkg, change.permission);
+      } else if (action === "appops") {
+        output = await client.setAppOp(pkg, change.op, change.mode);
+      } else if (action === "restrict") {
+        output = await client.restrictBackground(pkg, { bucket: change.bucket });
+      } else if (action === "unrestrict") {
+        output = await client.unrestrictBackground(pkg);
+      } else if (action === "suspend") {
+        output = await client.suspendPackage(pkg);
+      } else if (action === "unsuspend") {
+        output = await client.unsuspendPackage(pkg);
+      } else if (action === "hide") {
+        output = await client.hidePackage(pkg);
+      } else if (action === "unhide") {
+        output = await client.unhidePackage(pkg);
       } else {
-        output = await adbClient.uninstallPackage(pkg);
+        output = await client.restorePackage(pkg);
       }
-      const trimmed = output.trim();
-      log(`${actionLabel} ${pkg}: ${trimmed || "OK"}`);
+      const target = action === "appops" ? change.mode : null;
+      result = parsePackageResult(action, output, { before, target });
     } catch (error) {
-      log(`${actionLabel} ${pkg}: ${error.message || "Failed"}`);
+      result = { outcome: "unknown", ok: false, message: error.message || "Failed" };
       if (error && error.cause) {
         logDiag({ event: "action_error_cause", package: pkg, cause: String(error.cause) });
       }
     }
+    const detail =
+      result.outcome === "success"
+        ? result.message
+        : `${OUTCOME_LABELS[result.outcome]}: ${result.message}`;
+    log(`${step}${actionLabel} ${pkg}: ${detail}`);
+    addResultRow(session, pkg, actionLabel, result);
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Empty the results table and open it for a new run.
+ */
+function clearResults() {
+  resultsBody.innerHTML = "";
+  resultsSummary.textContent = "Running...";
+  resultsPanel.open = true;
+}
+
+/**
+ * Add one package result to the results table.
+ * 
+ * @param {Object} session - Device the action ran on
+ * @param {string} pkg - Package name
+ * @param {string} actionLabel - Action name
+ * @param {Object} result - { outcome, message } from parsePackageResult()
+ */
+function addResultRow(session, pkg, actionLabel, result) {
+  const tr = document.createElement("tr");
+  tr.className = `outcome-${result.outcome}`;
+  for (const text of [session.label, pkg, actionLabel, OUTCOME_LABELS[result.outcome], result.message]) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    tr.appendChild(td);
+  }
+  resultsBody.appendChild(tr);
+}
+
+/**
+ * Grant or revoke the permission typed in the Apps panel for the
+ * selected packages. "CAMERA" is short for android.permission.CAMERA.
+ * 
+ * @param {string} action - "grant" or "revoke"
+ */
+async function runPermissionAction(action) {
+  let permission = permissionInput.value.trim();
+  if (permission && !permission.includes(".")) permission = `android.permission.${permission}`;
+  if (!isValidPermissionName(permission)) {
+    log("Enter a permission, e.g. android.permission.CAMERA or CAMERA.");
+    return;
+  }
+  await runPackageAction(action, Array.from(selectedPackages), { change: { permission } });
+}
+
+/**
+ * Set the app op typed in the Apps panel to the picked mode for the
+ * selected packages.
+ */
+async function runAppOpAction() {
+  const op = appOpInput.value.trim().toUpperCase();
+  if (!isValidAppOpName(op)) {
+    log("Enter an app op, e.g. RUN_IN_BACKGROUND.");
+    return;
+  }
+  await runPackageAction("appops", Array.from(selectedPackages), {
+    change: { op, mode: appOpModeSelect.value },
+  });
+}
+
+/**
+ * Restrict the selected packages in the background, with the standby
+ * bucket picked next to the button.
+ */
+async function runRestrictAction() {
+  await runPackageAction("restrict", Array.from(selectedPackages), {
+    change: { bucket: standbyBucketSelect.value },
+  });
+}
+
+/**
+ * Add an option per standby bucket to the bucket picker.
+ */
+function fillStandbyBuckets() {
+  for (const bucket of STANDBY_BUCKETS) {
+    const option = document.createElement("option");
+    option.value = bucket;
+    option.textContent = `bucket: ${bucket}`;
+    standbyBucketSelect.appendChild(option);
+  }
+  standbyBucketSelect.value = "restricted";
+}
+
+/**
+ * Apply the selected saved list on the target devices, with the action
+ * picked next to it. Packages a device doesn't have are skipped.
+ */
+async function applySavedList() {
+  const name = savedListsSelect.value;
+  if (!name || !savedLists[name]) {
+    log("Select a saved list to apply.");
+    return;
   }
+  const action = listActionSelect.value;
+  await runPackageAction(action, savedLists[name], {
+    checkInstalled: true,
+    change: action === "restrict" ? { bucket: standbyBucketSelect.value } : null,
+  });
 }
 
 // =============================================================================
@@ -809,10 +2881,16 @@ async function runPackageAction(action, packageList) {
 // USB Connection
 connectUsbBtn.addEventListener("click", connectUsb);
 selectUsbBtn.addEventListener("click", selectUsbDevice);
+connectNetworkBtn.addEventListener("click", connectNetwork);
 disconnectUsbBtn.addEventListener("click", disconnectUsb);
+cancelConnectBtn.addEventListener("click", cancelConnect);
 
 // Apps List
 loadAppsBtn.addEventListener("click", loadPackages);
+loadLabelsBtn.addEventListener("click", loadAppLabels);
+closeDetailBtn.addEventListener("click", closePackageDetails);
+detailOverviewTab.addEventListener("click", () => showDetailTab("overview"));
+detailPermissionsTab.addEventListener("click", () => showDetailTab("permissions"));
 filterInput.addEventListener("input", renderAppList);
 selectAllBtn.addEventListener("click", selectAllVisible);
 clearSelectionBtn.addEventListener("click", clearSelection);
@@ -827,6 +2905,26 @@ enableBtn.addEventListener("click", () =>
 uninstallBtn.addEventListener("click", () =>
   runPackageAction("uninstall", Array.from(selectedPackages))
 );
+restoreBtn.addEventListener("click", () =>
+  runPackageAction("restore", Array.from(selectedPackages))
+);
+suspendBtn.addEventListener("click", () =>
+  runPackageAction("suspend", Array.from(selectedPackages))
+);
+unsuspendBtn.addEventListener("click", () =>
+  runPackageAction("unsuspend", Array.from(selectedPackages))
+);
+hideBtn.addEventListener("click", () => runPackageAction("hide", Array.from(selectedPackages)));
+unhideBtn.addEventListener("click", () =>
+  runPackageAction("unhide", Array.from(selectedPackages))
+);
+restrictBtn.addEventListener("click", runRestrictAction);
+unrestrictBtn.addEventListener("click", () =>
+  runPackageAction("unrestrict", Array.from(selectedPackages))
+);
+grantBtn.addEventListener("click", () => runPermissionAction("grant"));
+revokeBtn.addEventListener("click", () => runPermissionAction("revoke"));
+setAppOpBtn.addEventListener("click", runAppOpAction);
 
 // Saved Lists
 saveListBtn.addEventListener("click", saveCurrentList);
@@ -842,24 +2940,60 @@ importFileInput.addEventListener("change", (e) => {
 });
 savedListsSelect.addEventListener("change", updateSavedListInfo);
 loadLastBtn.addEventListener("click", loadLastSelectedList);
+applyListBtn.addEventListener("click", applySavedList);
+
+// Shell Panel
+openShellBtn.addEventListener("click", openShell);
+closeShellBtn.addEventListener("click", closeShell);
+clearShellBtn.addEventListener("click", () => {
+  shellOutput.textContent = "";
+});
+shellInput.addEventListener("keydown", handleShellKeydown);
+
+// ADB Key Panel
+saveKeyCommentBtn.addEventListener("click", saveKeyComment);
+exportKeyBtn.addEventListener("click", () => exportKeyFile("adbkey"));
+exportPubKeyBtn.addEventListener("click", () => exportKeyFile("adbkey.pub"));
+importKeyBtn.addEventListener("click", () => importKeyInput.click());
+importKeyInput.addEventListener("change", async (e) => {
+  if (e.target.files.length > 0) {
+    await importKeyFiles(Array.from(e.target.files));
+    e.target.value = ""; // Reset for next import
+  }
+});
+rotateKeyBtn.addEventListener("click", rotateKey);
 
 // Log Panel
 copyLogBtn.addEventListener("click", () =>
   copyPanelText("Log", logOutput.textContent)
 );
+runLogCommandBtn.addEventListener("click", runLogCommand);
+stopLogCommandBtn.addEventListener("click", stopLogCommand);
+logCommandInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") runLogCommand();
+});
 
 // =============================================================================
 // Initialization
 // =============================================================================
 
 // Set initial UI state
-setStatus(false);
+updateConnectionUi();
+fillAppOpModes(appOpModeSelect);
+appOpModeSelect.value = "ignore";
+fillStandbyBuckets();
 
 // Load saved data from localStorage
 savedLists = loadSavedListsFromStorage();
 refreshSavedListSelect();
 lastSelected = loadLastSelectedFromStorage();
 updateLastSelectedInfo();
+networkUrlInput.value = localStorage.getItem(NETWORK_URL_KEY) || "";
+knownDevices = loadKnownDevicesFromStorage();
+shellHistory = loadShellHistoryFromStorage();
+shellHistoryIndex = shellHistory.length;
+updateShellControls();
+refreshKeyInfo();
 
 // Welcome message
 log("Ready. Connect a USB device via WebUSB.");
@@ -867,11 +3001,14 @@ log("Ready. Connect a USB device via WebUSB.");
 // Listen for USB disconnect events
 if (navigator.usb) {
   usbDisconnectHandler = (event) => {
-    if (adbClient && adbClient.isSameDevice(event.device)) {
-      log("USB device disconnected.");
-      logDiag({ event: "usb_disconnect", diagnostics: adbClient.getDiagnostics() });
-      disconnectUsb();
+    const session = deviceManager.findByUsbDevice(event.device);
+    if (session) {
+      log(`${session.label} was unplugged.`);
+      logDiag({ event: "usb_disconnect", diagnostics: session.client.getDiagnostics() });
+      disconnectDevice(session, { unplugged: true });
     }
   };
   navigator.usb.addEventListener("disconnect", usbDisconnectHandler);
+  navigator.usb.addEventListener("connect", handleUsbConnect);
+  connectPermittedDevices();
 }
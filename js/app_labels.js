@@ -0,0 +1,112 @@
+/**
+ * =============================================================================
+ * App Labels - Names and Icons for Package Names
+ * =============================================================================
+ *
+ * "com.sec.android.app.kidshome" means little to most people; "Kids Home"
+ * with its icon does. Both come from the app's APK (see apk_parser.js),
+ * which has to be pulled from the device first, so results are cached in
+ * IndexedDB per package and version code: an app is only pulled again
+ * after it was updated.
+ *
+ * APKs that are too big or can't be parsed are cached as such too, so
+ * they aren't pulled again on every visit. Connection errors are not
+ * cached.
+ */
+
+import { readApkInfo } from "./apk_parser.js";
+import { createRecordStore } from "./record_store.js";
+
+// IndexedDB database and object store holding one record per package version
+const DB_NAME = "uad.appLabels";
+const STORE_NAME = "labels";
+
+// APKs bigger than this are skipped; pulling them takes too long for a label
+const MAX_APK_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Encode image bytes as a data: URL, which can be cached and used as an
+ * <img> src as-is.
+ */
+function toDataUrl(bytes, type) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
+
+/**
+ * Looks up and caches app labels and icons.
+ *
+ * Usage Example:
+ * ```javascript
+ * const labels = new AppLabels();
+ * const { label, icon } = await labels.load(client, "com.example.app", 42);
+ * // label: "Example", icon: "data:image/png;base64,..." (or null)
+ * ```
+ */
+export class AppLabels {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Object} options.store - Record storage with async get/put
+   *   (default: IndexedDB, or memory where IndexedDB is missing)
+   * @param {number} options.maxApkBytes - Skip APKs bigger than this
+   */
+  constructor({ store = null, maxApkBytes = MAX_APK_BYTES } = {}) {
+    this.store = store || createRecordStore(DB_NAME, STORE_NAME);
+    this.maxApkBytes = maxApkBytes;
+  }
+
+  /**
+   * The cached record of a package version, without touching the device.
+   *
+   * @param {string} name - Package name
+   * @param {number|null} versionCode - Version code (null when the device
+   *   doesn't report it; the record is then kept until the page's storage
+   *   is cleared)
+   * @returns {Promise<Object|null>} { label, icon, error } or null
+   */
+  cached(name, versionCode) {
+    return this.store.get(`${name}@${versionCode ?? "unknown"}`);
+  }
+
+  /**
+   * The label and icon of a package version, from the cache or by pulling
+   * and parsing its APK.
+   *
+   * @param {AdbClient} client - Connected client
+   * @param {string} name - Package name
+   * @param {number|null} versionCode - Version code, for the cache key
+   * @param {Object} options - { signal } to stop reading the APK (nothing
+   *   is cached then)
+   * @returns {Promise<Object>} { label, icon, error }: label and icon (a
+   *   data: URL) are null when unknown, error says why
+   * @throws {Error} If the device can't be reached or the APK file can't
+   *   be read (not cached, so a later call tries again)
+   */
+  async load(client, name, versionCode, { signal = null } = {}) {
+    const cached = await this.cached(name, versionCode);
+    if (cached) return cached;
+    const record = await this.read(client, name, signal);
+    await this.store.put(`${name}@${versionCode ?? "unknown"}`, record);
+    return record;
+  }
+
+  async read(client, name, signal) {
+    const [path] = await client.listApkPaths(name, { signal });
+    if (!path) return { label: null, icon: null, error: "No APK found." };
+    const { size } = await client.stat(path, { signal });
+    if (size > this.maxApkBytes) {
+      const megabytes = Math.ceil(size / (1024 * 1024));
+      return { label: null, icon: null, error: `APK is ${megabytes} MB, skipped.` };
+    }
+    const bytes = await client.pull(path, { signal });
+    try {
+      const { label, icon } = await readApkInfo(bytes);
+      return { label, icon: icon ? toDataUrl(icon.bytes, icon.type) : null, error: null };
+    } catch (error) {
+      return { label: null, icon: null, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * =============================================================================
+ * Device Manager - Several Connected Devices at Once
+ * =============================================================================
+ *
+ * Keeps one connected AdbClient per device, so a bench of phones can be
+ * debloated without reconnecting each time. One device is "active": the
+ * package list, row buttons and shell work on it. Bulk actions can run on
+ * any set of connected devices in parallel with runOnDevices().
+ *
+ * The manager doesn't connect or disconnect clients itself; app.js does
+ * that and registers the result with add(), and calls remove() when a
+ * device goes away.
+ */
+
+/**
+ * Registry of connected devices.
+ *
+ * Usage Example:
+ * ```javascript
+ * const manager = new DeviceManager({ onChange: render });
+ * const info = await client.connect(deviceInfo);
+ * manager.add({ type: "USB", client, info });
+ * const results = await manager.runOnDevices(manager.list(), (session) =>
+ *   session.client.disablePackage("com.example.bloat")
+ * );
+ * ```
+ */
+export class DeviceManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Function} options.onChange - Called after a device is added,
+   *   removed or made active
+   */
+  constructor({ onChange = null } = {}) {
+    this.onChange = onChange;
+    this.sessions = new Map(); // Session id -> session
+    this.activeId = null;      // Id of the active session
+    this.nextId = 1;           // Next session id
+  }
+
+  /**
+   * Register a connected client and make it the active device.
+   *
+   * @param {Object} options - Session details
+   * @param {string} options.type - "USB" or "Network", for the status badge
+   * @param {AdbClient} options.client - Connected client
+   * @param {Object} options.info - Device summary from connect()
+   *   ({ serial, product, model })
+   * @returns {Object} Session { id, type, client, info, label }
+   */
+  add({ type, client, info }) {
+    const session = {
+      id: this.nextId,
+      type,
+      client,
+      info,
+      label: `${info.model || "Unknown"} (${info.serial || "no serial"})`,
+    };
+    this.nextId += 1;
+    this.sessions.set(session.id, session);
+    this.activeId = session.id;
+    this.changed();
+    return session;
+  }
+
+  /**
+   * Forget a device. When it was the active one, the most recently
+   * connected remaining device becomes active.
+   *
+   * @param {number} id - Session id
+   * @returns {Object|null} The removed session
+   */
+  remove(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    this.sessions.delete(id);
+    if (this.activeId === id) {
+      const remaining = this.list();
+      this.activeId = remaining.length ? remaining[remaining.length - 1].id : null;
+    }
+    this.changed();
+    return session;
+  }
+
+  /**
+   * Make a connected device the active one.
+   *
+   * @param {number} id - Session id
+   * @returns {Object|null} The active session
+   */
+  setActive(id) {
+    if (!this.sessions.has(id)) return null;
+    if (this.activeId !== id) {
+      this.activeId = id;
+      this.changed();
+    }
+    return this.active;
+  }
+
+  /**
+   * The active session, or null when nothing is connected.
+   */
+  get active() {
+    return this.sessions.get(this.activeId) || null;
+  }
+
+  /**
+   * Look up a session by id.
+   */
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  /**
+   * All sessions in connection order.
+   */
+  list() {
+    return Array.from(this.sessions.values());
+  }
+
+  /**
+   * Find the session for a WebUSB device, e.g. from a disconnect event.
+   *
+   * @param {USBDevice} device - WebUSB device
+   * @returns {Object|null} Matching session
+   */
+  findByUsbDevice(device) {
+    return this.list().find((session) => session.client.isSameDevice(device)) || null;
+  }
+
+  /**
+   * Run a task on several devices in parallel.
+   *
+   * One device failing doesn't stop the others; every device gets a
+   * result entry.
+   *
+   * @param {Object[]} sessions - Sessions to run on
+   * @param {Function} task - async (session) => value
+   * @returns {Promise<Object[]>} One { session, value, error } per device,
+   *   in the order given
+   */
+  async runOnDevices(sessions, task) {
+    const settled = await Promise.allSettled(
+      sessions.map((session) => task(session))
+    );
+    return settled.map((result, index) => ({
+      session: sessions[index],
+      value: result.status === "fulfilled" ? result.value : undefined,
+      error: result.status === "rejected" ? result.reason : null,
+    }));
+  }
+
+  changed() {
+    if (this.onChange) this.onChange(this);
+  }
+}
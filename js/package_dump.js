@@ -0,0 +1,272 @@
+/**
+ * =============================================================================
+ * Package Dump - What dumpsys Knows About a Package
+ * =============================================================================
+ *
+ * `dumpsys package <name>` is the most complete description of an
+ * installed package the shell user can get, but it is meant for people:
+ * an indented text dump whose layout shifts a little between Android
+ * versions. parsePackageDump() picks out what helps decide whether a
+ * package is safe to remove.
+ *
+ * DUMP LAYOUT (the parts that are read):
+ * ```
+ * Activity Resolver Table:                   <- also Receiver, Service and
+ *   Non-Data Actions:                           Provider Resolver Table
+ *       android.intent.action.MAIN:
+ *         6b0e5c1 com.example/.MainActivity filter 2b3a0f6
+ * Registered ContentProviders:
+ *   com.example/.data.Provider:
+ * Packages:
+ *   Package [com.example] (9f8e7d6):
+ *     userId=10123
+ *     codePath=/data/app/~~Zm9v/com.example-YmFy
+ *     versionCode=3 minSdk=24 targetSdk=33
+ *     versionName=1.0
+ *     flags=[ SYSTEM HAS_CODE UPDATED_SYSTEM_APP ]
+ *     firstInstallTime=2024-01-02 03:04:05
+ *     lastUpdateTime=2024-03-04 05:06:07
+ *     installerPackageName=com.android.vending
+ *     requested permissions:
+ *       android.permission.INTERNET
+ *     install permissions:
+ *       android.permission.INTERNET: granted=true
+ *     User 0: ceDataInode=1 installed=true hidden=false ... enabled=0
+ *       disabledComponents:
+ *         com.example.BootReceiver
+ *       runtime permissions:
+ *         android.permission.CAMERA: granted=false, flags=[ USER_SET ]
+ * Hidden system packages:                    <- the factory version of an
+ *   Package [com.example] (1a2b3c4):            updated system app
+ *     codePath=/system/app/Example
+ * ```
+ *
+ * Components are read from the resolver tables, so only those with an
+ * intent filter (or, for providers, an authority) are listed: the ones
+ * other apps and the system can start. The rest are only declared in the
+ * APK's manifest (see readApkComponents() in apk_parser.js); merge the
+ * two with mergeComponents().
+ */
+
+// Resolver table heading -> component kind
+const RESOLVER_TABLES = {
+  "Activity Resolver Table": "activities",
+  "Receiver Resolver Table": "receivers",
+  "Service Resolver Table": "services",
+  "Provider Resolver Table": "providers",
+};
+
+// key=value pairs; values are a [ list ], a date and time, or one word
+const FIELD_PATTERN = /([\w.]+)=(\[[^\]]*\]|\d{4}-\d\d-\d\d \d\d:\d\d:\d\d|[^\s,]+)/g;
+
+/**
+ * Parse `dumpsys package <name>` output.
+ *
+ * Usage Example:
+ * ```javascript
+ * const output = await client.dumpPackage("com.example");
+ * const details = parsePackageDump(output, "com.example");
+ * // details.versionName, details.runtimePermissions, details.components.services, ...
+ * ```
+ *
+ * @param {string} output - Everything dumpsys printed
+ * @param {string} packageName - The package that was dumped
+ * @returns {Object} Package details:
+ *   - found: false when the dump has no entry for the package
+ *   - versionCode, versionName, minSdk, targetSdk, userId (null if missing)
+ *   - firstInstallTime, lastUpdateTime: as printed, device local time
+ *   - codePath, installer
+ *   - flags: e.g. ["SYSTEM", "HAS_CODE"]
+ *   - system, updatedSystemApp: booleans; factoryCodePath is the
+ *     /system (or /product, ...) copy of an updated system app
+ *   - user: fields of the "User 0:" line, e.g. { installed: "true" }
+ *   - requestedPermissions: names
+ *   - installPermissions, runtimePermissions: [{ name, granted }]
+ *   - grantedPermissions: names granted at install or runtime
+ *   - components: { activities, services, receivers, providers }, full
+ *     class names, sorted
+ *   - disabledComponents, enabledComponents: full class names whose
+ *     state was changed for user 0 (e.g. with `pm disable`)
+ */
+export function parsePackageDump(output, packageName) {
+  const details = {
+    found: false,
+    versionCode: null,
+    versionName: null,
+    minSdk: null,
+    targetSdk: null,
+    userId: null,
+    firstInstallTime: null,
+    lastUpdateTime: null,
+    codePath: null,
+    installer: null,
+    flags: [],
+    system: false,
+    updatedSystemApp: false,
+    factoryCodePath: null,
+    user: {},
+    requestedPermissions: [],
+    installPermissions: [],
+    runtimePermissions: [],
+    grantedPermissions: [],
+    components: { activities: [], services: [], receivers: [], providers: [] },
+    disabledComponents: [],
+    enabledComponents: [],
+  };
+  const components = {
+    activities: new Set(),
+    services: new Set(),
+    receivers: new Set(),
+    providers: new Set(),
+  };
+
+  let section = null; // Top-level heading, e.g. "Packages"
+  let entry = null; // "Packages" or "Hidden system packages" while in our package
+  let block = null; // Indented list inside the package, e.g. "requested permissions"
+  let inUser = false; // Inside the "User 0:" entry
+
+  for (const rawLine of output.split("\n")) {
+    const line = rawLine.replace(/\s+$/, "");
+    if (!line) continue;
+    const indent = line.length - line.trimStart().length;
+    const text = line.trim();
+
+    if (indent === 0) {
+      section = text.replace(/:$/, "");
+      entry = null;
+      continue;
+    }
+
+    const kind = RESOLVER_TABLES[section];
+    if (kind || section === "Registered ContentProviders") {
+      const match = text.match(/^(?:[0-9a-f]+ )?([\w.]+)\/([\w.$]+)(:$| filter |$)/);
+      if (match && match[1] === packageName) {
+        components[kind || "providers"].add(expandClassName(match[1], match[2]));
+      }
+      continue;
+    }
+
+    if (section !== "Packages" && section !== "Hidden system packages") continue;
+    if (indent === 2) {
+      const match = text.match(/^Package \[(.+?)\]/);
+      entry = match && match[1] === packageName ? section : null;
+      block = null;
+      continue;
+    }
+    if (!entry) continue;
+
+    if (entry === "Hidden system packages") {
+      details.updatedSystemApp = true;
+      const codePath = text.match(/^codePath=(\S+)/);
+      if (codePath && indent === 4) details.factoryCodePath = codePath[1];
+      continue;
+    }
+
+    details.found = true;
+    if (indent === 4) {
+      block = null;
+      const user = text.match(/^User (\d+):(.*)$/);
+      // Only the primary user; the app works on user 0 throughout
+      inUser = Boolean(user) && user[1] === "0";
+      if (user) {
+        if (inUser) details.user = readFields(user[2]);
+      } else if (/^[\w ]+:$/.test(text)) {
+        block = text.slice(0, -1);
+      } else if (text.startsWith("versionName=")) {
+        // May contain spaces
+        details.versionName = text.slice("versionName=".length);
+      } else {
+        applyFields(details, readFields(text));
+      }
+      continue;
+    }
+
+    if (inUser && indent === 6) {
+      block = /^[\w ]+:$/.test(text) ? text.slice(0, -1) : null;
+      continue;
+    }
+    // A permission or a component class, which may be nested ("Outer$Inner")
+    const item = text.match(/^([\w.$]+)(?:: (.*))?$/);
+    if (!item) continue;
+    const [, name, rest = ""] = item;
+    const granted = /\bgranted=true\b/.test(rest);
+    if (block === "requested permissions") {
+      details.requestedPermissions.push(name);
+    } else if (block === "install permissions") {
+      details.installPermissions.push({ name, granted });
+    } else if (block === "runtime permissions") {
+      details.runtimePermissions.push({ name, granted });
+    } else if (block === "disabledComponents" || block === "enabledComponents") {
+      details[block].push(name);
+    } else if (block === "grantedPermissions") {
+      // Android 5 and older list granted permissions without a state
+      details.installPermissions.push({ name, granted: true });
+    }
+  }
+
+  details.system = details.flags.includes("SYSTEM");
+  details.updatedSystemApp ||= details.flags.includes("UPDATED_SYSTEM_APP");
+  details.grantedPermissions = [...details.installPermissions, ...details.runtimePermissions]
+    .filter((permission) => permission.granted)
+    .map((permission) => permission.name);
+  for (const [kind, names] of Object.entries(components)) {
+    details.components[kind] = [...names].sort();
+  }
+  return details;
+}
+
+/**
+ * Short form of a component's class for display: ".MainActivity" for a
+ * class in the package's own namespace.
+ *
+ * @param {string} packageName - Package the component belongs to
+ * @param {string} className - Full class name
+ * @returns {string} Class name, shortened where possible
+ */
+export function shortClassName(packageName, className) {
+  return className.startsWith(`${packageName}.`)
+    ? className.slice(packageName.length)
+    : className;
+}
+
+/**
+ * Combine component lists, e.g. from the dump and from the manifest.
+ *
+ * @param {...Object} lists - { activities, services, receivers, providers }
+ * @returns {Object} Same shape, each kind a sorted list without duplicates
+ */
+export function mergeComponents(...lists) {
+  const merged = {};
+  for (const kind of ["activities", "services", "receivers", "providers"]) {
+    merged[kind] = [...new Set(lists.flatMap((list) => list[kind]))].sort();
+  }
+  return merged;
+}
+
+// "com.example/.Main" -> "com.example.Main", like ComponentName.unflattenFromString()
+function expandClassName(packageName, className) {
+  return className.startsWith(".") ? packageName + className : className;
+}
+
+function readFields(text) {
+  const fields = {};
+  for (const [, key, value] of text.matchAll(FIELD_PATTERN)) fields[key] = value;
+  return fields;
+}
+
+function applyFields(details, fields) {
+  const number = (value) => (value !== undefined && /^-?\d+$/.test(value) ? Number(value) : null);
+  if ("versionCode" in fields) details.versionCode = number(fields.versionCode);
+  if ("minSdk" in fields) details.minSdk = number(fields.minSdk);
+  if ("targetSdk" in fields) details.targetSdk = number(fields.targetSdk);
+  if ("userId" in fields) details.userId = number(fields.userId);
+  if ("codePath" in fields) details.codePath = fields.codePath;
+  if ("firstInstallTime" in fields) details.firstInstallTime = fields.firstInstallTime;
+  if ("lastUpdateTime" in fields) details.lastUpdateTime = fields.lastUpdateTime;
+  if ("installerPackageName" in fields) {
+    details.installer = fields.installerPackageName === "null" ? null : fields.installerPackageName;
+  }
+  if ("flags" in fields) {
+    details.flags = fields.flags.replace(/[[\]]/g, "").trim().split(/\s+/).filter(Boolean);
+  }
+}
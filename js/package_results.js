@@ -0,0 +1,188 @@
+/**
+ * =============================================================================
+ * Package Results - What pm Actually Did
+ * =============================================================================
+ *
+ * `pm` and `cmd package` report everything as free text, on stdout or
+ * stderr, and often with exit code 0 either way: "new state:
+ * disabled-user", "Failure [DELETE_FAILED_INTERNAL_ERROR]" and a
+ * java.lang.SecurityException stack trace all come back from runShell()
+ * without an error. `pm grant` and `cmd appops set` print nothing at all
+ * when they work, and neither do the commands behind background
+ * restriction. `pm suspend` and `pm hide` print the state the package
+ * ended up in, which is unchanged when Android refused. parsePackageResult()
+ * maps that text to one outcome so the app can count and show what
+ * happened to each package.
+ *
+ * OUTCOMES:
+ * - "success"           - The package is now in the requested state
+ * - "already-in-state"  - It was in that state before the command ran
+ * - "not-found"         - No such package (for this user), or no such
+ *                         permission, app op or component in it
+ * - "permission-denied" - The shell user isn't allowed to do this
+ * - "protected-package" - Android refuses to touch this package
+ *                         (protected, device owner, device admin, or
+ *                         one it won't suspend or hide)
+ * - "unknown"           - Anything else; the message has the details
+ */
+
+// Human-readable outcome names, for the log, results table and summary
+export const OUTCOME_LABELS = {
+  "success": "succeeded",
+  "already-in-state": "already done",
+  "not-found": "not found",
+  "permission-denied": "permission denied",
+  "protected-package": "protected",
+  "unknown": "unknown result",
+};
+
+// States each action leaves the package in, to recognise "already-in-state"
+const TARGET_STATES = {
+  disable: ["disabled"],
+  enable: ["enabled"],
+  uninstall: ["uninstalled"],
+  restore: ["enabled", "disabled"],
+  grant: ["granted"],
+  revoke: ["revoked"],
+  restrict: ["restricted"],
+  unrestrict: ["unrestricted"],
+  suspend: ["suspended"],
+  unsuspend: ["unsuspended"],
+  hide: ["hidden"],
+  unhide: ["enabled", "disabled", "suspended"],
+};
+
+// Actions that print nothing when they work
+const SILENT_ACTIONS = new Set(["grant", "revoke", "appops", "restrict", "unrestrict"]);
+
+// Output that means the action worked
+const SUCCESS_PATTERNS = {
+  disable: /new state: disabled(-user)?\b/,
+  enable: /new state: (enabled|default)\b/,
+  uninstall: /^Success\b/m,
+  restore: /installed for user/,
+  suspend: /new suspended state: true\b/,
+  unsuspend: /new suspended state: false\b/,
+  hide: /new hidden state: true\b/,
+  unhide: /new hidden state: false\b/,
+};
+
+// Output that means Android left the package as it was
+const REFUSED_PATTERNS = {
+  suspend: /new suspended state: false\b/,
+  hide: /new hidden state: false\b/,
+};
+
+// Failure patterns, most specific first. The first match wins.
+const FAILURE_RULES = [
+  {
+    outcome: "protected-package",
+    pattern: new RegExp(
+      [
+        "\\b(protected|critical|required) package\\b",
+        "device (owner|admin)",
+        "profile owner",
+        "DELETE_FAILED_(DEVICE_POLICY_MANAGER|OWNER_BLOCKED)",
+      ].join("|"),
+      "i"
+    ),
+  },
+  {
+    outcome: "permission-denied",
+    pattern: /SecurityException|Permission Denial|DELETE_FAILED_USER_RESTRICTED|Shell cannot/i,
+  },
+  {
+    outcome: "not-found",
+    pattern: new RegExp(
+      [
+        "Unknown (target )?package|not installed for",
+        "Package \\S+ (not found|doesn't exist|does not exist)",
+        "has not requested permission|Unknown permission|Unknown operation",
+        "Component class \\S+ does not exist",
+      ].join("|"),
+      "i"
+    ),
+  },
+];
+
+/**
+ * Work out what a package action did from the command output.
+ *
+ * Usage Example:
+ * ```javascript
+ * const output = await client.disablePackage(name);
+ * const { outcome, ok, message } = parsePackageResult("disable", output);
+ * ```
+ *
+ * @param {string} action - "disable", "enable", "uninstall", "restore",
+ *   "grant", "revoke", "appops", "restrict", "unrestrict", "suspend",
+ *   "unsuspend", "hide" or "unhide"
+ * @param {string} output - Everything the command printed
+ * @param {Object} options - Parse options
+ * @param {string|null} options.before - State before the command, when
+ *   known: the package state ("enabled", "disabled", "hidden",
+ *   "uninstalled"), for suspend/unsuspend whether it is suspended
+ *   ("suspended", "unsuspended"), the permission state ("granted",
+ *   "revoked"), the app op mode or the background state ("restricted",
+ *   "unrestricted")
+ * @param {string|null} options.target - State the command sets, for
+ *   actions whose target varies (the mode for "appops")
+ * @returns {Object} { outcome, ok, message }: ok is true for "success" and
+ *   "already-in-state", message is the line that decided the outcome
+ */
+export function parsePackageResult(action, output, { before = null, target = null } = {}) {
+  const lines = output
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const targets = target ? [target] : TARGET_STATES[action] || [];
+  const alreadyInState = before !== null && targets.includes(before);
+
+  for (const { outcome, pattern } of FAILURE_RULES) {
+    const line = lines.find((entry) => pattern.test(entry));
+    if (!line) continue;
+    // Uninstalling what is already gone is a no-op, not an error
+    if (outcome === "not-found" && action === "uninstall" && alreadyInState) {
+      return result("already-in-state", line);
+    }
+    return result(outcome, line);
+  }
+
+  const success = SUCCESS_PATTERNS[action];
+  const line = success && lines.find((entry) => success.test(entry));
+  if (line) {
+    return result(alreadyInState ? "already-in-state" : "success", line);
+  }
+  const refused = REFUSED_PATTERNS[action];
+  const refusal = refused && lines.find((entry) => refused.test(entry));
+  if (refusal) return result("protected-package", refusal);
+  if (SILENT_ACTIONS.has(action) && !lines.length) {
+    return result(alreadyInState ? "already-in-state" : "success", "Done");
+  }
+  // Prefer the exception or failure line over "Exception occurred while..."
+  const reason = lines.find((entry) => /^(Failure|Error)\b|Exception: /.test(entry));
+  return result("unknown", reason || lines[0] || "(no output)");
+}
+
+/**
+ * Count outcomes for a summary line, e.g. "2 succeeded, 1 protected".
+ *
+ * @param {Object[]} results - Results from parsePackageResult()
+ * @returns {string} Non-zero counts in OUTCOME_LABELS order, or "nothing
+ *   to do" for an empty list
+ */
+export function summarizeResults(results) {
+  const parts = Object.entries(OUTCOME_LABELS)
+    .map(([outcome, label]) => {
+      const count = results.filter((entry) => entry.outcome === outcome).length;
+      return count ? `${count} ${label}` : null;
+    })
+    .filter(Boolean);
+  return parts.length ? parts.join(", ") : "nothing to do";
+}
+
+function result(outcome, line) {
+  // "java.lang.IllegalArgumentException: Unknown package: x" -> "Unknown package: x"
+  const message = line.replace(/^(Error: )?([\w$]+\.)*[\w$]*(Exception|Error): /, "");
+  return { outcome, ok: outcome === "success" || outcome === "already-in-state", message };
+}
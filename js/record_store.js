@@ -0,0 +1,110 @@
+/**
+ * =============================================================================
+ * Record Store - Small Key/Value Stores in IndexedDB or Memory
+ * =============================================================================
+ *
+ * The ADB key (adb_keys.js) and the app label cache (app_labels.js) both
+ * keep records by id in an IndexedDB object store of their own, and fall
+ * back to memory where IndexedDB is missing (Node, some private modes).
+ * Records are stored by structured clone, so CryptoKeys and typed arrays
+ * go in as-is.
+ *
+ * Usage Example:
+ * ```javascript
+ * const store = createRecordStore("uad.appLabels", "labels");
+ * await store.put("com.example@42", { label: "Example" });
+ * const record = await store.get("com.example@42"); // null if missing
+ * ```
+ */
+
+/**
+ * Wrap an IDBRequest in a promise.
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Records in one object store of an IndexedDB database, created on first
+ * use.
+ */
+export class IndexedDbStore {
+  /**
+   * @param {string} dbName - Database name
+   * @param {string} storeName - Object store in that database
+   */
+  constructor(dbName, storeName) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+      this.dbPromise = requestToPromise(request).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async get(id) {
+    const db = await this.open();
+    const store = db.transaction(this.storeName).objectStore(this.storeName);
+    return (await requestToPromise(store.get(id))) || null;
+  }
+
+  async put(id, record) {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, "readwrite").objectStore(this.storeName);
+    await requestToPromise(store.put(record, id));
+  }
+
+  async delete(id) {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, "readwrite").objectStore(this.storeName);
+    await requestToPromise(store.delete(id));
+  }
+}
+
+/**
+ * Records in memory; they only last as long as the page.
+ */
+export class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(id) {
+    return this.records.get(id) || null;
+  }
+
+  async put(id, record) {
+    this.records.set(id, record);
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+/**
+ * An IndexedDbStore, or a MemoryStore where IndexedDB is missing.
+ *
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store in that database
+ * @returns {IndexedDbStore|MemoryStore} Store with async get/put/delete
+ */
+export function createRecordStore(dbName, storeName) {
+  return typeof indexedDB !== "undefined"
+    ? new IndexedDbStore(dbName, storeName)
+    : new MemoryStore();
+}
@@ -0,0 +1,539 @@
+/**
+ * =============================================================================
+ * ADB Transport - WebUSB
+ * =============================================================================
+ *
+ * Moves raw ADB packet bytes between the browser and an Android device over
+ * WebUSB bulk endpoints. The ADB protocol itself (packet framing, auth,
+ * streams) lives in adb_usb.js and talks to this class only through the
+ * transport interface documented there.
+ *
+ * USB INTERFACE:
+ * --------------
+ * Android devices expose ADB as a USB interface with:
+ * - Class: 0xFF (Vendor Specific)
+ * - Subclass: 0x42 (ADB)
+ * - Protocol: 0x01
+ * - Two bulk endpoints: one IN (device→host) and one OUT (host→device)
+ */
+
+/**
+ * Check if a USB alternate setting matches the ADB interface.
+ *
+ * ADB uses a vendor-specific USB interface with specific class codes:
+ * - Class: 0xFF (Vendor Specific)
+ * - Subclass: 0x42 (ADB-specific)
+ * - Protocol: 0x01 (ADB protocol version)
+ *
+ * @param {USBAlternateInterface} alternate - USB alternate setting to check
+ * @returns {boolean} True if this is an ADB interface
+ */
+function matchUsbInterface(alternate) {
+  return (
+    alternate.interfaceClass === 0xff &&
+    alternate.interfaceSubclass === 0x42 &&
+    alternate.interfaceProtocol === 0x01
+  );
+}
+
+/**
+ * Search a USB device's configurations for an ADB interface.
+ *
+ * Iterates through all configurations, interfaces, and alternate settings
+ * to find one that matches the ADB class/subclass/protocol.
+ *
+ * @param {USBDevice} device - WebUSB device object
+ * @returns {Object|null} Object with {configuration, interface_, alternate} or null
+ */
+export function findUsbInterface(device) {
+  for (const configuration of device.configurations || []) {
+    for (const interface_ of configuration.interfaces) {
+      for (const alternate of interface_.alternates) {
+        if (matchUsbInterface(alternate)) {
+          return { configuration, interface_, alternate };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the bulk IN and OUT endpoints from a USB interface.
+ *
+ * ADB requires two bulk endpoints:
+ * - IN endpoint: Device sends data to host (e.g., command responses)
+ * - OUT endpoint: Host sends data to device (e.g., commands)
+ *
+ * @param {USBEndpoint[]} endpoints - Array of USB endpoints
+ * @returns {Object} Object with {inEndpoint, outEndpoint}
+ * @throws {Error} If both endpoints are not found
+ */
+function findUsbEndpoints(endpoints) {
+  let inEndpoint;
+  let outEndpoint;
+  for (const endpoint of endpoints) {
+    if (endpoint.direction === "in") {
+      inEndpoint = endpoint;
+    } else if (endpoint.direction === "out") {
+      outEndpoint = endpoint;
+    }
+    if (inEndpoint && outEndpoint) break;
+  }
+  if (!inEndpoint || !outEndpoint) {
+    throw new Error("ADB endpoints not found on selected interface.");
+  }
+  return { inEndpoint, outEndpoint };
+}
+
+// =============================================================================
+// UsbTransport Class
+// =============================================================================
+/**
+ * WebUSB implementation of the ADB transport interface.
+ *
+ * Usage Example:
+ * ```javascript
+ * const info = await UsbTransport.requestDevice();
+ * const client = new AdbClient({ transport: new UsbTransport(info) });
+ * await client.connect();
+ * ```
+ */
+export class UsbTransport {
+  /**
+   * Create a transport for a selected USB device.
+   *
+   * @param {Object} deviceInfo - Device info from requestDevice()
+   * @param {USBDevice} deviceInfo.device - WebUSB device object
+   * @param {Object} deviceInfo.interfaceInfo - ADB interface from findUsbInterface()
+   */
+  constructor(deviceInfo) {
+    this.deviceInfo = deviceInfo;
+
+    // USB Device State
+    this.device = null;                // WebUSB device object (set by open())
+    this.configurationRef = null;      // USB configuration containing ADB interface
+    this.interfaceRef = null;          // USB interface for ADB
+    this.alternateRef = null;          // Alternate setting for ADB
+    this.interfaceNumber = null;       // Interface number (typically 1)
+    this.inEndpoint = null;            // Endpoint number for receiving data
+    this.outEndpoint = null;           // Endpoint number for sending data
+    this.inPacketSize = null;          // Max packet size for IN endpoint (typically 512)
+    this.outPacketSize = null;         // Max packet size for OUT endpoint (typically 512)
+    this.readSize = 4096;              // Size of USB read buffer
+  }
+
+  /**
+   * Prompt the user to select a USB device that supports ADB.
+   *
+   * Uses WebUSB's requestDevice() with a filter for the ADB interface
+   * class codes. The browser shows a device picker dialog.
+   *
+   * @returns {Promise<Object>} { device, interfaceInfo } for the selected device
+   * @throws {Error} If user cancels or no compatible device found
+   */
+  static async requestDevice() {
+    const device = await navigator.usb.requestDevice({
+      filters: [
+        // Filter for ADB interface: Vendor class (0xFF), ADB subclass (0x42), protocol 1
+        { classCode: 0xff, subclassCode: 0x42, protocolCode: 0x01 },
+      ],
+    });
+    // Verify the device has an ADB interface
+    const interfaceInfo = findUsbInterface(device);
+    if (!interfaceInfo) {
+      throw new Error("No ADB interface found on device.");
+    }
+    return { device, interfaceInfo };
+  }
+
+  /**
+   * List USB devices the user has already granted to this page that
+   * have an ADB interface. No picker is shown, so this works on page
+   * load.
+   *
+   * @returns {Promise<Object[]>} { device, interfaceInfo } for each device
+   */
+  static async getDevices() {
+    const devices = await navigator.usb.getDevices();
+    return devices
+      .map((device) => UsbTransport.getDeviceInfo(device))
+      .filter(Boolean);
+  }
+
+  /**
+   * Build device info for a WebUSB device, e.g. from a connect event.
+   *
+   * @param {USBDevice} device - WebUSB device object
+   * @returns {Object|null} { device, interfaceInfo }, or null if the device
+   *   has no ADB interface
+   */
+  static getDeviceInfo(device) {
+    const interfaceInfo = findUsbInterface(device);
+    return interfaceInfo ? { device, interfaceInfo } : null;
+  }
+
+  /**
+   * Whether the device is open and usable for transfers.
+   */
+  get opened() {
+    return Boolean(this.device && this.device.opened);
+  }
+
+  /**
+   * USB serial number, used when the device doesn't report ro.serialno.
+   */
+  get serialNumber() {
+    return this.deviceInfo.device.serialNumber || null;
+  }
+
+  /**
+   * Check if a device is the same as this transport's device.
+   * Compares vendor ID, product ID, and serial number.
+   */
+  isSameDevice(device) {
+    if (!this.device || !device) return false;
+    return (
+      this.device.vendorId === device.vendorId &&
+      this.device.productId === device.productId &&
+      (this.device.serialNumber || "") === (device.serialNumber || "")
+    );
+  }
+
+  /**
+   * Open the USB device and prepare it for ADB traffic.
+   *
+   * Sequence:
+   * 1. Open the USB device
+   * 2. Select the appropriate configuration
+   * 3. Claim the ADB interface
+   * 4. Clear any stalled endpoints
+   *
+   * @param {Function} onProgress - Called with "claiming" once the device
+   *   is open and the interface is about to be claimed
+   * @returns {Promise<void>} Resolves when endpoints are ready
+   * @throws {Error} If the device has no ADB interface or can't be claimed
+   */
+  async open(onProgress = () => {}) {
+    const info = this.deviceInfo;
+    const device = info.device;
+    let interfaceInfo = info.interfaceInfo;
+
+    // Always close and reopen to ensure clean USB state
+    // This helps recover from previous failed connections
+    if (device.opened) {
+      try {
+        await device.close();
+      } catch (e) {
+        // Ignore close errors - device may already be closed
+      }
+    }
+    await device.open();
+    this.device = device;
+    onProgress("claiming");
+
+    // Refresh interface info after opening device
+    const refreshed = findUsbInterface(device);
+    if (refreshed) {
+      interfaceInfo = refreshed;
+      info.interfaceInfo = refreshed;
+    }
+    if (!interfaceInfo) {
+      throw new Error("No ADB interface found on device.");
+    }
+
+    this.configurationRef = interfaceInfo.configuration;
+    this.interfaceRef = interfaceInfo.interface_;
+    this.alternateRef = interfaceInfo.alternate;
+    this.interfaceNumber = interfaceInfo.interface_.interfaceNumber;
+
+    const { inEndpoint, outEndpoint } = await this.claimInterface(
+      device,
+      interfaceInfo
+    );
+    this.inEndpoint = inEndpoint.endpointNumber;
+    this.outEndpoint = outEndpoint.endpointNumber;
+    this.inPacketSize = inEndpoint.packetSize || 512;
+    this.outPacketSize = outEndpoint.packetSize || 512;
+    this.readSize = Math.min(
+      Math.max(this.inPacketSize * 16, 512),
+      16384
+    );
+
+    await this.recover("in");
+    await this.recover("out");
+  }
+
+  /**
+   * Claim the USB interface for exclusive access.
+   *
+   * USB Interface Claiming Process:
+   * 1. Select the correct USB configuration (if different)
+   * 2. Claim the interface for exclusive access
+   * 3. Select the alternate setting (if different)
+   * 4. Get fresh endpoint references
+   *
+   * The interface must be claimed before any transfers can occur.
+   * Only one process can claim an interface at a time - this is why
+   * running `adb` on the command line blocks WebUSB access.
+   *
+   * @param {USBDevice} device - The USB device
+   * @param {Object} interfaceInfo - Interface information from findUsbInterface()
+   * @returns {Promise<Object>} Object with {inEndpoint, outEndpoint}
+   */
+  async claimInterface(device, interfaceInfo) {
+    // Step 1: Select the USB configuration containing the ADB interface
+    // Most Android devices use configuration 1, but we check to be safe
+    if (
+      device.configuration?.configurationValue !==
+      interfaceInfo.configuration.configurationValue
+    ) {
+      await device.selectConfiguration(
+        interfaceInfo.configuration.configurationValue
+      );
+    }
+
+    // Step 2: Claim the interface for exclusive access
+    // This will fail if another process (like `adb server`) has claimed it
+    try {
+      await device.claimInterface(interfaceInfo.interface_.interfaceNumber);
+    } catch (error) {
+      throw new Error(
+        "Unable to claim the USB interface. Close any running adb server and reconnect the device."
+      );
+    }
+
+    // Step 3: Select alternate interface setting if needed
+    // Following ya-webadb: only call selectAlternateInterface if the setting differs
+    // Calling it unnecessarily can cause "transfer error" on some devices
+    const currentAlternateSetting = interfaceInfo.interface_.alternate?.alternateSetting;
+    if (currentAlternateSetting !== interfaceInfo.alternate.alternateSetting) {
+      await device.selectAlternateInterface(
+        interfaceInfo.interface_.interfaceNumber,
+        interfaceInfo.alternate.alternateSetting
+      );
+      // Small delay for USB state to stabilize after alternate change
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    // Step 4: Get fresh endpoint references from the device's current configuration
+    // This ensures we have up-to-date endpoint objects after claiming
+    const currentInterface = device.configuration.interfaces.find(
+      (i) => i.interfaceNumber === interfaceInfo.interface_.interfaceNumber
+    );
+    if (currentInterface) {
+      const currentAlternate = currentInterface.alternates.find(
+        (a) => a.alternateSetting === interfaceInfo.alternate.alternateSetting
+      );
+      if (currentAlternate) {
+        return findUsbEndpoints(currentAlternate.endpoints);
+      }
+    }
+    return findUsbEndpoints(interfaceInfo.alternate.endpoints);
+  }
+
+  /**
+   * Release the interface and close the device, ignoring errors.
+   */
+  async close() {
+    if (this.device) {
+      try {
+        await this.device.releaseInterface(this.interfaceNumber);
+      } catch (error) {
+        // Ignore - interface may already be released
+      }
+      try {
+        await this.device.close();
+      } catch (error) {
+        // Ignore - device may already be closed
+      }
+    }
+    this.device = null;
+  }
+
+  /**
+   * Send one ADB packet (header and optional payload) to the device.
+   *
+   * The header and payload are sent as separate USB transfers.
+   * A Zero-Length Packet (ZLP) is sent after data that's an exact
+   * multiple of the endpoint's packet size (typically 512 bytes).
+   *
+   * On a transfer error the OUT endpoint is cleared and the whole
+   * packet is sent once more.
+   *
+   * @param {Uint8Array} header - 24-byte packet header
+   * @param {Uint8Array} payload - Packet payload (may be empty)
+   */
+  async send(header, payload) {
+    if (!this.device) throw new Error("No device connected.");
+
+    const packetSize = this.outPacketSize || 0;
+
+    /**
+     * Send a chunk of data, handling ZLP (Zero-Length Packet) requirements.
+     *
+     * USB bulk transfers use ZLP to signal end of transfer when the data
+     * length is an exact multiple of the endpoint's max packet size.
+     * Without ZLP, the device waits for more data indefinitely.
+     */
+    const sendChunk = async (chunk) => {
+      // Create a copy of the chunk to avoid issues with detached buffers
+      const safeChunk = chunk.length
+        ? new Uint8Array(
+            chunk.buffer.slice(
+              chunk.byteOffset,
+              chunk.byteOffset + chunk.byteLength
+            )
+          )
+        : chunk;
+
+      await this.device.transferOut(this.outEndpoint, safeChunk);
+
+      // Send ZLP if chunk size is exact multiple of packet size
+      if (packetSize && chunk.length && chunk.length % packetSize === 0) {
+        await this.device.transferOut(this.outEndpoint, new Uint8Array(0));
+      }
+    };
+
+    try {
+      // Send header first, then payload
+      await sendChunk(header);
+      if (payload.length) {
+        await sendChunk(payload);
+      }
+    } catch (error) {
+      // Handle device disconnection
+      if (error && error.name === "NotFoundError") {
+        const disconnectError = new Error(
+          "USB device disconnected. Reconnect the device and try again."
+        );
+        disconnectError.cause = error;
+        throw disconnectError;
+      }
+      await this.recover("out");
+      try {
+        await sendChunk(header);
+        if (payload.length) {
+          await sendChunk(payload);
+        }
+      } catch (retryError) {
+        // Add helpful message for transfer errors
+        const message = error.message || "";
+        if (message.includes("transfer error")) {
+          const betterError = new Error(
+            `${message} Disconnect the USB cable from the device and reconnect, or try selecting the device again.`
+          );
+          betterError.cause = error;
+          throw betterError;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Read the next USB transfer from the IN endpoint.
+   *
+   * Each ADB header and payload arrives as its own bulk transfer. At
+   * least one full USB packet is requested so a short transfer is never
+   * truncated (which would raise a babble/overflow error).
+   *
+   * @param {number} length - Expected number of bytes
+   * @returns {Promise<Uint8Array|undefined>} Transfer data, or undefined if empty
+   */
+  async read(length) {
+    const result = await this.device.transferIn(
+      this.inEndpoint,
+      Math.max(length, this.inPacketSize || 512)
+    );
+    if (!result || !result.data) {
+      return undefined;
+    }
+    return new Uint8Array(
+      result.data.buffer,
+      result.data.byteOffset,
+      result.data.byteLength
+    );
+  }
+
+  /**
+   * Clear a stalled endpoint safely (ignoring errors).
+   *
+   * USB endpoints can enter a "halted" state after errors.
+   * clearHalt() resets the endpoint so transfers can continue.
+   * This is called:
+   * - At connection start to clear any previous state
+   * - After transfer errors to attempt recovery
+   *
+   * @param {string} direction - "in" or "out"
+   */
+  async recover(direction) {
+    if (!this.device) return;
+    const endpoint = direction === "in" ? this.inEndpoint : this.outEndpoint;
+    if (endpoint == null) return;
+    try {
+      await this.device.clearHalt(direction, endpoint);
+    } catch (error) {
+      // Ignore - endpoint may not be halted
+    }
+  }
+
+  /**
+   * Get diagnostic information about the USB connection.
+   *
+   * Returns information about:
+   * - USB device identifiers (vendor/product ID, serial number)
+   * - USB configuration and interface settings
+   * - Endpoint numbers and packet sizes
+   *
+   * @returns {Object} Diagnostic information
+   */
+  getDiagnostics() {
+    const config = this.device.configuration;
+    return {
+      transport: "usb",
+      vendorId: this.device.vendorId,
+      productId: this.device.productId,
+      productName: this.device.productName || null,
+      serialNumber: this.device.serialNumber || null,
+      configurationValue: config ? config.configurationValue : null,
+      interfaceNumber: this.interfaceNumber,
+      alternateSetting: this.alternateRef
+        ? this.alternateRef.alternateSetting
+        : null,
+      inEndpoint: this.inEndpoint,
+      outEndpoint: this.outEndpoint,
+      inPacketSize: this.inPacketSize,
+      outPacketSize: this.outPacketSize,
+      readSize: this.readSize,
+    };
+  }
+
+  /**
+   * Get extended diagnostics including a full USB descriptor dump:
+   * all configurations, interfaces, alternate settings, and endpoints.
+   *
+   * @returns {Object} Extended diagnostic information
+   */
+  getFullDiagnostics() {
+    const configurations = (this.device.configurations || []).map((config) => ({
+      configurationValue: config.configurationValue,
+      interfaces: config.interfaces.map((iface) => ({
+        interfaceNumber: iface.interfaceNumber,
+        alternates: iface.alternates.map((alt) => ({
+          alternateSetting: alt.alternateSetting,
+          class: alt.interfaceClass,
+          subclass: alt.interfaceSubclass,
+          protocol: alt.interfaceProtocol,
+          endpoints: alt.endpoints.map((endpoint) => ({
+            direction: endpoint.direction,
+            type: endpoint.type,
+            endpointNumber: endpoint.endpointNumber,
+            packetSize: endpoint.packetSize,
+          })),
+        })),
+      })),
+    }));
+    return { ...this.getDiagnostics(), configurations };
+  }
+}
@@ -0,0 +1,311 @@
+/**
+ * =============================================================================
+ * ADB Transport - WebSocket
+ * =============================================================================
+ *
+ * Carries ADB packets over a WebSocket to a websockify-style bridge, which
+ * forwards the raw bytes to a TCP ADB endpoint. This reaches devices put in
+ * TCP mode with `adb tcpip 5555` and emulators (console port + 1, usually
+ * 5555), using exactly the same CNXN/AUTH/OPEN protocol as USB.
+ *
+ * Example bridge for a local emulator:
+ *   websockify 8080 localhost:5555
+ * then connect to ws://localhost:8080
+ *
+ * Unlike USB, TCP is a plain byte stream: WebSocket messages do not line up
+ * with ADB packets, so incoming bytes are buffered and read() returns exactly
+ * the number of bytes asked for. For the same reason there is no packet
+ * boundary to reset to after a corrupt header: recover() makes the next
+ * header read skip ahead to the next valid header instead.
+ */
+
+// Size of an ADB packet header
+const HEADER_LENGTH = 24;
+
+// Commands a valid header can carry, as little-endian uint32 values
+const ADB_COMMANDS = new Set(
+  ["SYNC", "CNXN", "AUTH", "OPEN", "OKAY", "CLSE", "WRTE", "STLS"].map((name) =>
+    [...name].reduce((value, char, i) => value | (char.charCodeAt(0) << (8 * i)), 0) >>> 0
+  )
+);
+
+/**
+ * Whether the bytes at `offset` look like a packet header: a known command
+ * followed, 20 bytes later, by its magic (command XOR 0xFFFFFFFF).
+ *
+ * @param {Uint8Array} data - Buffered bytes
+ * @param {number} offset - Where the header would start
+ * @returns {boolean} True if a header starts there
+ */
+function isPacketHeader(data, offset) {
+  const view = new DataView(data.buffer, data.byteOffset + offset, HEADER_LENGTH);
+  const command = view.getUint32(0, true);
+  return ADB_COMMANDS.has(command) && view.getUint32(20, true) === (command ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Join received chunks into one array.
+ */
+function concatChunks(chunks) {
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * WebSocket implementation of the ADB transport interface
+ * (see TRANSPORT INTERFACE in adb_usb.js).
+ *
+ * Usage Example:
+ * ```javascript
+ * const transport = new WebSocketTransport("ws://localhost:8080");
+ * const client = new AdbClient({ transport });
+ * await client.connect();
+ * ```
+ */
+export class WebSocketTransport {
+  /**
+   * Create a transport for a WebSocket bridge.
+   *
+   * @param {string} url - Bridge URL (ws:// or wss://)
+   * @param {Object} options - Transport options
+   * @param {string[]} options.protocols - WebSocket subprotocols to offer
+   *   (websockify understands "binary")
+   * @param {Function} options.onClose - Called when the socket closes
+   *   unexpectedly (not after close())
+   */
+  constructor(url, { protocols = ["binary"], onClose = null } = {}) {
+    this.url = url;
+    this.protocols = protocols;
+    this.onClose = onClose;
+
+    this.socket = null;          // WebSocket instance (set by open())
+    this.chunks = [];            // Received data not yet read
+    this.bufferedLength = 0;     // Total bytes in chunks
+    this.readResolvers = [];     // Pending reads waiting for data
+    this.closing = false;        // True once close() was called
+    this.closeReason = null;     // Why the socket closed, for error messages
+    this.resyncing = false;      // Next header read skips to a valid header
+    this.skippedBytes = 0;       // Bytes dropped while resyncing
+  }
+
+  /**
+   * Whether the socket is open and usable.
+   */
+  get opened() {
+    return Boolean(this.socket && this.socket.readyState === WebSocket.OPEN);
+  }
+
+  /**
+   * Serial shown when the device doesn't report ro.serialno.
+   * adb uses "host:port" for network devices; the bridge URL is the
+   * closest equivalent here.
+   */
+  get serialNumber() {
+    return this.url;
+  }
+
+  /**
+   * Network devices are never matched by USB disconnect events.
+   */
+  isSameDevice() {
+    return false;
+  }
+
+  /**
+   * Open the WebSocket and wait for the connection to be established.
+   *
+   * @returns {Promise<void>} Resolves when the socket is open
+   * @throws {Error} If the bridge can't be reached
+   */
+  open() {
+    this.closing = false;
+    this.closeReason = null;
+    this.chunks = [];
+    this.bufferedLength = 0;
+    this.resyncing = false;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const socket = new WebSocket(this.url, this.protocols);
+      socket.binaryType = "arraybuffer";
+      this.socket = socket;
+
+      socket.addEventListener("open", () => {
+        settled = true;
+        resolve();
+      });
+
+      socket.addEventListener("message", (event) => {
+        const data = new Uint8Array(event.data);
+        if (!data.length) return;
+        this.chunks.push(data);
+        this.bufferedLength += data.length;
+        this.readResolvers.splice(0).forEach((wake) => wake());
+      });
+
+      // The error event carries no details; the close event that always
+      // follows it reports the code
+      socket.addEventListener("close", (event) => {
+        this.closeReason = `WebSocket closed (code ${event.code}${
+          event.reason ? `: ${event.reason}` : ""
+        }).`;
+        this.readResolvers.splice(0).forEach((wake) => wake());
+        if (!settled) {
+          settled = true;
+          reject(new Error(`Unable to reach ADB bridge at ${this.url}. ${this.closeReason}`));
+          return;
+        }
+        if (!this.closing && this.onClose) {
+          this.onClose(this.closeReason);
+        }
+      });
+    });
+  }
+
+  /**
+   * Close the socket, ignoring errors.
+   */
+  async close() {
+    this.closing = true;
+    if (this.socket) {
+      try {
+        this.socket.close();
+      } catch (error) {
+        // Ignore - socket may already be closed
+      }
+    }
+    this.readResolvers.splice(0).forEach((wake) => wake());
+  }
+
+  /**
+   * Send one ADB packet as a single WebSocket message.
+   *
+   * @param {Uint8Array} header - 24-byte packet header
+   * @param {Uint8Array} payload - Packet payload (may be empty)
+   */
+  async send(header, payload) {
+    if (!this.opened) {
+      throw new Error(this.closeReason || "No device connected.");
+    }
+    const message = new Uint8Array(header.length + payload.length);
+    message.set(header, 0);
+    message.set(payload, header.length);
+    this.socket.send(message);
+  }
+
+  /**
+   * Read exactly `length` bytes, waiting for more messages as needed.
+   * After recover(), a header read first drops bytes up to the next valid
+   * header.
+   *
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Uint8Array>} The requested bytes
+   * @throws {Error} If the socket closes first
+   */
+  async read(length) {
+    if (this.resyncing && length === HEADER_LENGTH) {
+      await this.skipToHeader();
+    }
+    await this.waitForBytes(length);
+
+    const result = new Uint8Array(length);
+    let offset = 0;
+    while (offset < length) {
+      const chunk = this.chunks[0];
+      const take = Math.min(chunk.length, length - offset);
+      result.set(chunk.subarray(0, take), offset);
+      offset += take;
+      if (take === chunk.length) {
+        this.chunks.shift();
+      } else {
+        this.chunks[0] = chunk.subarray(take);
+      }
+    }
+    this.bufferedLength -= length;
+    return result;
+  }
+
+  /**
+   * Wait until at least `length` bytes are buffered.
+   *
+   * @param {number} length - Number of bytes needed
+   * @throws {Error} If the socket closes first
+   */
+  async waitForBytes(length) {
+    while (this.bufferedLength < length) {
+      if (!this.opened) {
+        throw new Error(this.closeReason || "WebSocket closed.");
+      }
+      await new Promise((resolve) => this.readResolvers.push(resolve));
+    }
+  }
+
+  /**
+   * Drop buffered bytes until a valid header is at the front, waiting for
+   * more messages while none is found.
+   *
+   * @throws {Error} If the socket closes first
+   */
+  async skipToHeader() {
+    for (;;) {
+      await this.waitForBytes(HEADER_LENGTH);
+      const data = this.chunks.length === 1 ? this.chunks[0] : concatChunks(this.chunks);
+      let offset = 0;
+      while (offset + HEADER_LENGTH <= data.length && !isPacketHeader(data, offset)) {
+        offset++;
+      }
+      // Keep a tail too short to check; it may be the start of a header
+      this.chunks = [data.subarray(offset)];
+      this.bufferedLength = data.length - offset;
+      this.skippedBytes += offset;
+      if (this.bufferedLength >= HEADER_LENGTH) {
+        this.resyncing = false;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Resynchronize after a corrupt or misaligned packet.
+   *
+   * TCP has no packet boundaries to reset to, so the rest of the bad
+   * packet is still in the byte stream. The next header read skips
+   * ahead to a known command with matching magic; the packet the bad
+   * header belonged to is lost (the client fails its stream).
+   *
+   * @param {string} direction - "in" resyncs reads; "out" needs nothing
+   */
+  async recover(direction) {
+    if (direction === "in") {
+      this.resyncing = true;
+    }
+  }
+
+  /**
+   * Get diagnostic information about the WebSocket connection.
+   *
+   * @returns {Object} Diagnostic information
+   */
+  getDiagnostics() {
+    return {
+      transport: "websocket",
+      url: this.url,
+      protocol: this.socket ? this.socket.protocol : null,
+      bufferedAmount: this.socket ? this.socket.bufferedAmount : 0,
+      bufferedLength: this.bufferedLength,
+      skippedBytes: this.skippedBytes,
+    };
+  }
+
+  /**
+   * No extra detail beyond getDiagnostics() for WebSockets.
+   */
+  getFullDiagnostics() {
+    return this.getDiagnostics();
+  }
+}
@@ -0,0 +1,834 @@
+/**
+ * End-to-end tests for AdbUsbClient against the fake adbd.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { FakeAdbDevice, splitShellWords } from "./fake_adbd.js";
+import { buildApk } from "./fake_apk.js";
+import {
+  AdbAuthError,
+  AdbCommandError,
+  AdbPacketError,
+  AdbStreamTimeoutError,
+  AdbUsbClient,
+  isValidComponentName,
+  isValidPackageName,
+  shellCommand,
+} from "../js/adb_usb.js";
+import { parsePackageDump } from "../js/package_dump.js";
+
+// The client logs every packet; keep test output readable
+console.log = () => {};
+
+// Without IndexedDB the shared key lives in memory, so every test in this
+// file uses the same key
+
+const PACKAGES = ["com.android.chrome", "com.example.bloat", "com.example.game"];
+
+let device;
+let client;
+
+async function connect(options = {}, clientOptions = {}) {
+  device = new FakeAdbDevice({ packages: PACKAGES, ...options });
+  client = new AdbUsbClient({ streamTimeoutMs: 2000, ...clientOptions });
+  return client.connect(device.deviceInfo());
+}
+
+/**
+ * Poll until a condition holds, for device-side effects of a call.
+ */
+async function until(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Condition not met in time.");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+beforeEach(() => {
+  device = null;
+  client = null;
+});
+
+afterEach(async () => {
+  if (client) await client.disconnect();
+});
+
+// =============================================================================
+// Handshake
+// =============================================================================
+
+test("first connect asks the user to allow the key", async () => {
+  const info = await connect({ serial: "ABC123", model: "Pixel Fake" });
+  assert.equal(info.serial, "ABC123");
+  assert.equal(info.model, "Pixel Fake");
+  assert.equal(device.authorizationRequests, 1);
+  assert.equal(device.authorizedKeys.size, 1);
+  assert.ok(client.hasFeature("shell_v2"));
+});
+
+test("a trusted key is accepted by signature without a prompt", async () => {
+  await connect();
+  const [trustedKey] = device.authorizedKeys;
+  await client.disconnect();
+
+  await connect({ authorizedKeys: [trustedKey] });
+  assert.equal(device.authorizationRequests, 0);
+  const authPackets = device.hostPackets.filter((packet) => packet.command === "AUTH");
+  assert.deepEqual(authPackets.map((packet) => packet.arg0), [2]);
+});
+
+test("reconnecting to the same device reuses the approved key", async () => {
+  await connect();
+  await client.disconnect();
+  await client.connect(device.deviceInfo());
+  assert.equal(device.authorizationRequests, 1);
+});
+
+test("connection states include waiting for the user to allow the key", async () => {
+  device = new FakeAdbDevice({
+    onAuthorizationRequest: () => new Promise((resolve) => setTimeout(() => resolve(true), 50)),
+  });
+  client = new AdbUsbClient({ streamTimeoutMs: 2000 });
+  const states = [];
+  client.addEventListener("statechange", (event) => states.push(event.detail.state));
+  await client.connect(device.deviceInfo());
+  await client.disconnect();
+  assert.deepEqual(states, ["opening", "claiming", "awaiting-authorization", "connected", "offline"]);
+});
+
+test("an unanswered prompt times out as unauthorized", async () => {
+  await assert.rejects(
+    connect({ onAuthorizationRequest: () => new Promise(() => {}) }, { authTimeoutMs: 100 }),
+    (error) => error instanceof AdbAuthError && error.code === "AUTH_TIMEOUT"
+  );
+  assert.equal(client.state, "unauthorized");
+  assert.equal(device.authorizationRequests, 1);
+});
+
+// =============================================================================
+// Packet Integrity
+// =============================================================================
+
+test("an old device gets and sends checksummed packets", async () => {
+  await connect({ version: 0x01000000 });
+  assert.equal(client.protocolVersion, 0x01000000);
+  assert.deepEqual(await client.listPackages(), PACKAGES);
+  assert.equal(device.checksumErrors, 0);
+  const open = device.hostPackets.find((packet) => packet.command === "OPEN");
+  assert.notEqual(open.checksum, 0);
+});
+
+test("checksums are skipped when both sides support it", async () => {
+  await connect();
+  assert.equal(client.protocolVersion, 0x01000001);
+  await client.runShell("echo hi");
+  const open = device.hostPackets.find((packet) => packet.command === "OPEN");
+  assert.equal(open.checksum, 0);
+});
+
+test("a corrupt WRTE fails the command instead of hanging", async () => {
+  await connect({ version: 0x01000000 });
+  device.corruptNext("WRTE", "checksum");
+  await assert.rejects(client.runShell("echo hi"), (error) => {
+    assert.ok(error instanceof AdbPacketError);
+    assert.equal(error.code, "BAD_CHECKSUM");
+    return true;
+  });
+  assert.equal(await client.runShell("echo again"), "again\n");
+  assert.deepEqual(client.getDiagnostics().packetErrors.map((entry) => entry.code), [
+    "BAD_CHECKSUM",
+  ]);
+});
+
+test("line noise between packets is skipped", async () => {
+  await connect();
+  device.injectTransfer(new Uint8Array(24).fill(0x55));
+  assert.equal(await client.runShell("echo still here"), "still here\n");
+  assert.equal(client.getDiagnostics().packetErrors[0].code, "BAD_MAGIC");
+});
+
+test("a corrupt handshake packet restarts the handshake", async () => {
+  device = new FakeAdbDevice({ packages: PACKAGES });
+  device.corruptNext("AUTH", "checksum");
+  client = new AdbUsbClient({ streamTimeoutMs: 2000 });
+  const info = await client.connect(device.deviceInfo());
+  assert.equal(info.serial, "FAKE0001");
+  assert.equal(client.getDiagnostics().packetErrors[0].code, "BAD_CHECKSUM");
+});
+
+test("repeated framing errors fail open streams", async () => {
+  await connect();
+  const session = await client.openShell();
+  for (let i = 0; i < 3; i += 1) {
+    device.injectTransfer(new Uint8Array(24));
+  }
+  assert.equal(await session.exited, null);
+  await assert.rejects(session.write("echo hi\n"), { code: "BAD_MAGIC" });
+});
+
+// =============================================================================
+// Events and Cancellation
+// =============================================================================
+
+test("events report packets, stream lifetimes and disconnects", async () => {
+  await connect();
+  const events = [];
+  for (const type of ["packet", "stream-open", "stream-close", "disconnect"]) {
+    client.addEventListener(type, (event) => events.push({ type, ...event.detail }));
+  }
+  await client.runShell("echo hi");
+  const opened = events.find((event) => event.type === "stream-open");
+  const closed = events.find((event) => event.type === "stream-close");
+  assert.equal(opened.service, "shell:echo hi");
+  assert.equal(closed.localId, opened.localId);
+  assert.equal(closed.error, null);
+  assert.ok(events.some((event) => event.type === "packet" && event.direction === "out" && event.command === "OPEN"));
+
+  await client.disconnect();
+  assert.deepEqual(events.at(-1), { type: "disconnect", error: null });
+});
+
+test("aborting a running command closes its stream", async () => {
+  await connect();
+  const controller = new AbortController();
+  const pending = client.runShell("sleep 60", { signal: controller.signal });
+  await until(() => device.commands.includes("sleep 60"));
+  controller.abort();
+  await assert.rejects(pending, { name: "AbortError" });
+  await until(() => device.streams.size === 0);
+  assert.equal(client.streams.size, 0);
+  assert.equal(await client.runShell("echo still here"), "still here\n");
+});
+
+test("aborting a pull closes the sync stream", async () => {
+  await connect({ maxPayload: 1024, features: LEGACY_FEATURES });
+  device.addFile("/sdcard/big.bin", new Uint8Array(2 * 1024 * 1024));
+  device.addFile("/sdcard/small.txt", "small");
+  const controller = new AbortController();
+  let received = 0;
+  client.addEventListener("packet", (event) => {
+    if (event.detail.direction === "in" && event.detail.command === "WRTE") received += 1;
+    if (received === 10) controller.abort();
+  });
+  const pending = client.pull("/sdcard/big.bin", { signal: controller.signal });
+  await assert.rejects(pending, { name: "AbortError" });
+  assert.ok(received < 2048);
+  await until(() => device.streams.size === 0);
+  assert.equal(new TextDecoder().decode(await client.pull("/sdcard/small.txt")), "small");
+});
+
+test("aborting closes an interactive shell", async () => {
+  await connect();
+  const controller = new AbortController();
+  const session = await client.openShell({ signal: controller.signal });
+  controller.abort();
+  assert.equal(await session.exited, null);
+  assert.ok(session.closed);
+  await until(() => device.streams.size === 0);
+});
+
+test("an already aborted signal sends nothing", async () => {
+  await connect();
+  const sent = device.hostPackets.length;
+  await assert.rejects(
+    client.disablePackage("com.example.bloat", { signal: AbortSignal.abort() }),
+    { name: "AbortError" }
+  );
+  assert.equal(device.hostPackets.length, sent);
+  assert.ok(device.packages.get("com.example.bloat").enabled);
+});
+
+test("connect can be cancelled while waiting for authorization", async () => {
+  device = new FakeAdbDevice({ onAuthorizationRequest: () => new Promise(() => {}) });
+  client = new AdbUsbClient({ streamTimeoutMs: 2000 });
+  const controller = new AbortController();
+  client.addEventListener("statechange", (event) => {
+    if (event.detail.state === "awaiting-authorization") controller.abort();
+  });
+  await assert.rejects(
+    client.connect(device.deviceInfo(), { signal: controller.signal }),
+    { name: "AbortError" }
+  );
+  assert.equal(client.state, "offline");
+});
+
+test("a lost link fires error and disconnect events", async () => {
+  await connect();
+  const errors = [];
+  let lost = null;
+  client.addEventListener("error", (event) => errors.push(event.detail.error.code));
+  client.addEventListener("disconnect", (event) => (lost = event.detail.error));
+  for (let i = 0; i < 3; i += 1) {
+    device.injectTransfer(new Uint8Array(24));
+  }
+  await until(() => lost);
+  assert.equal(lost.code, "BAD_MAGIC");
+  assert.deepEqual(errors, ["BAD_MAGIC", "BAD_MAGIC", "BAD_MAGIC"]);
+  assert.equal(client.state, "offline");
+});
+
+// =============================================================================
+// Flow Control
+// =============================================================================
+
+const LEGACY_FEATURES = ["shell_v2", "cmd", "stat_v2", "ls_v2"];
+
+test("delayed_ack keeps several WRTEs in flight", async () => {
+  await connect({ maxPayload: 4096 });
+  assert.ok(client.delayedAck);
+  const bytes = new Uint8Array(512 * 1024).map((_, i) => i % 251);
+  device.addFile("/sdcard/big.bin", bytes);
+  assert.deepEqual(await client.pull("/sdcard/big.bin"), bytes);
+  assert.ok(device.peakUnackedBytes > 4096);
+  const acks = device.hostPackets.filter((packet) => packet.command === "OKAY");
+  assert.ok(acks.every((packet) => packet.payload.length === 4));
+});
+
+test("without delayed_ack only one WRTE is in flight", async () => {
+  await connect({ maxPayload: 4096, features: LEGACY_FEATURES });
+  assert.equal(client.delayedAck, false);
+  device.addFile("/sdcard/big.bin", new Uint8Array(64 * 1024));
+  await client.pull("/sdcard/big.bin");
+  assert.equal(device.peakUnackedBytes, 4096);
+});
+
+test("writes stay within the device's window", async () => {
+  await connect({ receiveWindow: 16 * 1024 });
+  const bytes = new Uint8Array(300 * 1024).map((_, i) => i % 253);
+  await client.push("/sdcard/up.bin", bytes);
+  assert.equal(device.windowViolations, 0);
+  assert.deepEqual(device.files.get("/sdcard/up.bin").data, bytes);
+});
+
+test("unread data holds back acknowledgements", async () => {
+  await connect({ maxPayload: 1024, features: LEGACY_FEATURES });
+  const text = "x".repeat(5000);
+  const stream = await client.openStream(`shell:echo ${text}`, { highWaterMark: 1024 });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  // The second WRTE went over the high water mark and wasn't acknowledged
+  assert.equal(stream.bufferedLength, 2048);
+  const received = await client.readStreamBytes(stream, text.length + 1);
+  assert.equal(new TextDecoder().decode(received), `${text}\n`);
+  await client.closeStream(stream);
+});
+
+// =============================================================================
+// Package Management
+// =============================================================================
+
+test("lists installed and disabled packages", async () => {
+  await connect();
+  device.packages.get("com.example.bloat").enabled = false;
+  assert.deepEqual(await client.listPackages(), PACKAGES);
+  assert.deepEqual([...(await client.listDisabledPackages())], ["com.example.bloat"]);
+});
+
+test("package states include packages uninstalled for the user", async () => {
+  await connect();
+  device.packages.get("com.example.bloat").enabled = false;
+  device.packages.get("com.example.game").installed = false;
+  assert.deepEqual(
+    [...(await client.listPackageStates())],
+    [
+      ["com.android.chrome", "enabled"],
+      ["com.example.bloat", "disabled"],
+      ["com.example.game", "uninstalled"],
+    ]
+  );
+});
+
+test("package states tell suspended and hidden packages apart", async () => {
+  await connect();
+  device.packages.get("com.android.chrome").suspended = true;
+  device.packages.get("com.example.bloat").hidden = true;
+  device.packages.get("com.example.game").installed = false;
+  assert.deepEqual(
+    [...(await client.listPackageStates())],
+    [
+      ["com.android.chrome", "suspended"],
+      ["com.example.bloat", "hidden"],
+      ["com.example.game", "uninstalled"],
+    ]
+  );
+  assert.match(device.commands.at(-1), /^dumpsys package packages \| grep -E /);
+
+  // Disabled wins in the state; the user states still show the suspension
+  device.packages.get("com.android.chrome").enabled = false;
+  const userStates = await client.listPackageUserStates();
+  assert.deepEqual(userStates.get("com.android.chrome"), {
+    installed: true,
+    hidden: false,
+    suspended: true,
+  });
+  const states = await client.listPackageStates({ userStates });
+  assert.equal(states.get("com.android.chrome"), "disabled");
+});
+
+test("package details include system flag, APK location, installer, uid and version", async () => {
+  await connect();
+  device.addPackage("com.android.chrome", {
+    system: true,
+    apkPath: "/product/app/Chrome/Chrome.apk",
+    versionCode: 612345,
+  });
+  const [chrome, bloat] = await client.listPackages({ details: true });
+  assert.deepEqual(chrome, {
+    name: "com.android.chrome",
+    apkPath: "/product/app/Chrome/Chrome.apk",
+    location: "/product",
+    installer: null,
+    uid: device.packages.get("com.android.chrome").uid,
+    versionCode: 612345,
+    system: true,
+  });
+  // The path of an app in /data contains "=" itself
+  assert.equal(bloat.name, "com.example.bloat");
+  assert.equal(bloat.apkPath, "/data/app/~~c2VlZA==/com.example.bloat-YXBr==/base.apk");
+  assert.equal(bloat.location, "/data");
+  assert.equal(bloat.installer, "com.android.vending");
+  assert.equal(bloat.system, false);
+});
+
+test("package details fall back to -f -i on devices before Android 9", async () => {
+  await connect({ sdk: 26 });
+  const details = await client.listPackages({ details: true });
+  assert.deepEqual(
+    details.map(({ name, location, uid, versionCode }) => [name, location, uid, versionCode]),
+    PACKAGES.map((name) => [name, "/data", null, null])
+  );
+});
+
+test("listApkPaths finds the APK of a package", async () => {
+  await connect();
+  assert.deepEqual(await client.listApkPaths("com.example.bloat"), [
+    device.packages.get("com.example.bloat").apkPath,
+  ]);
+  assert.deepEqual(await client.listApkPaths("com.example.missing"), []);
+});
+
+test("dumpPackage returns what dumpsys reports about a package", async () => {
+  await connect();
+  device.addPackage("com.example.bloat", {
+    versionName: "2.1",
+    runtimePermissions: { "android.permission.CAMERA": false },
+    components: { receivers: [".BootReceiver"] },
+  });
+  const details = parsePackageDump(await client.dumpPackage("com.example.bloat"), "com.example.bloat");
+  assert.equal(details.versionName, "2.1");
+  assert.deepEqual(details.requestedPermissions, ["android.permission.CAMERA"]);
+  assert.deepEqual(details.components.receivers, ["com.example.bloat.BootReceiver"]);
+  assert.equal(device.commands.at(-1), "dumpsys package com.example.bloat");
+});
+
+test("disable, enable and uninstall change device state", async () => {
+  await connect();
+
+  const disabled = await client.disablePackage("com.example.bloat");
+  assert.match(disabled, /new state: disabled-user/);
+  assert.equal(device.packages.get("com.example.bloat").enabled, false);
+
+  const enabled = await client.enablePackage("com.example.bloat");
+  assert.match(enabled, /new state: enabled/);
+  assert.equal(device.packages.get("com.example.bloat").enabled, true);
+
+  assert.match(await client.uninstallPackage("com.example.game"), /Success/);
+  assert.deepEqual(await client.listPackages(), ["com.android.chrome", "com.example.bloat"]);
+
+  assert.match(await client.restorePackage("com.example.game"), /installed for user: 0/);
+  assert.deepEqual(await client.listPackages(), PACKAGES);
+});
+
+test("errors for unknown packages come back as output", async () => {
+  await connect();
+  assert.match(await client.disablePackage("com.missing"), /Unknown package: com\.missing/);
+  assert.match(await client.uninstallPackage("com.missing"), /Failure \[not installed/);
+});
+
+// =============================================================================
+// Command Building
+// =============================================================================
+
+test("package names follow Android's rules", () => {
+  for (const name of ["com.android.chrome", "a.b", "com.Example_1.app2"]) {
+    assert.ok(isValidPackageName(name), name);
+  }
+  const invalid = [
+    "", "com", "1a.b", "com..x", "com.x.", "com.1x", "com.x;reboot", "$(reboot).x",
+    "com.x y", "com.x\n", `a.${"b".repeat(222)}`, null,
+  ];
+  for (const name of invalid) {
+    assert.ok(!isValidPackageName(name), String(name));
+  }
+});
+
+test("shellCommand quotes arguments the way sh splits them", () => {
+  const args = ["plain", "two words", "it's", "", "$(reboot)", "a;b|c&d", "`id`", "back\\slash", "new\nline"];
+  const line = shellCommand("echo", ...args);
+  assert.ok(line.startsWith("echo plain 'two words' 'it'\\''s' ''"));
+  assert.deepEqual(splitShellWords(line), ["echo", ...args]);
+  assert.throws(() => shellCommand("echo", "a\0b"), { code: "INVALID_ARGUMENT" });
+});
+
+test("permissions are granted and revoked, app ops read and set", async () => {
+  await connect();
+  device.addPackage("com.example.bloat", {
+    runtimePermissions: { "android.permission.CAMERA": true },
+    appOps: { WAKE_LOCK: "allow" },
+  });
+  const state = device.packages.get("com.example.bloat");
+
+  assert.equal(await client.revokePermission("com.example.bloat", "android.permission.CAMERA"), "");
+  assert.equal(state.runtimePermissions["android.permission.CAMERA"], false);
+  await client.grantPermission("com.example.bloat", "android.permission.CAMERA");
+  assert.equal(state.runtimePermissions["android.permission.CAMERA"], true);
+  assert.equal(device.commands.at(-1), "pm grant --user 0 com.example.bloat android.permission.CAMERA");
+
+  assert.equal(await client.setAppOp("com.example.bloat", "RUN_IN_BACKGROUND", "ignore"), "");
+  assert.deepEqual(await client.getAppOps("com.example.bloat"), [
+    { op: "WAKE_LOCK", mode: "allow", scope: "package" },
+    { op: "RUN_IN_BACKGROUND", mode: "ignore", scope: "package" },
+  ]);
+  assert.deepEqual(await client.getAppOps("com.example.game"), []);
+  assert.match(await client.setAppOp("com.example.bloat", "NOPE", "allow"), /Unknown operation/);
+});
+
+test("permission and app op arguments are checked before sending", async () => {
+  await connect();
+  const sent = device.hostPackets.length;
+  const invalid = (error) => error instanceof AdbCommandError && error.code === "INVALID_ARGUMENT";
+  await assert.rejects(client.grantPermission("com.example.bloat", "CAMERA; reboot"), invalid);
+  await assert.rejects(client.setAppOp("com.example.bloat", "camera", "allow"), invalid);
+  await assert.rejects(client.setAppOp("com.example.bloat", "CAMERA", "always"), invalid);
+  assert.equal(device.hostPackets.length, sent);
+});
+
+test("components are listed, disabled and enabled one by one", async () => {
+  await connect();
+  device.addPackage("com.example.bloat", {
+    components: { activities: [".MainActivity"], receivers: ["com.vendor.ads.BootReceiver"] },
+    disabledComponents: ["com.example.bloat.HiddenService"],
+  });
+  const state = device.packages.get("com.example.bloat");
+
+  const output = await client.disableComponent("com.example.bloat/com.vendor.ads.BootReceiver");
+  assert.match(output, /new state: disabled/);
+  assert.equal(device.commands.at(-1), "pm disable --user 0 com.example.bloat/com.vendor.ads.BootReceiver");
+  assert.deepEqual(await client.listComponents("com.example.bloat"), [
+    {
+      kind: "activities",
+      className: "com.example.bloat.MainActivity",
+      component: "com.example.bloat/com.example.bloat.MainActivity",
+      enabled: true,
+    },
+    {
+      kind: "receivers",
+      className: "com.vendor.ads.BootReceiver",
+      component: "com.example.bloat/com.vendor.ads.BootReceiver",
+      enabled: false,
+    },
+    {
+      kind: null,
+      className: "com.example.bloat.HiddenService",
+      component: "com.example.bloat/com.example.bloat.HiddenService",
+      enabled: false,
+    },
+  ]);
+
+  await client.enableComponent("com.example.bloat/.HiddenService");
+  assert.ok(!state.disabledComponents.has("com.example.bloat.HiddenService"));
+  assert.match(await client.disableComponent("com.example.bloat/.Nope"), /does not exist/);
+});
+
+test("components without an intent filter are read from the manifest", async () => {
+  await connect();
+  device.addPackage("com.example.bloat", {
+    components: { activities: [".MainActivity"] },
+    disabledComponents: ["com.example.bloat.SyncService"],
+  });
+  const { apkPath } = device.packages.get("com.example.bloat");
+  await assert.rejects(client.listComponents("com.example.bloat", { declared: true }), /stat .* failed/);
+
+  device.addFile(apkPath, buildApk({
+    packageName: "com.example.bloat",
+    components: { activity: [".MainActivity"], service: [".SyncService"], receiver: ["Boot"] },
+  }));
+  assert.deepEqual(await client.listDeclaredComponents("com.example.bloat"), {
+    activities: ["com.example.bloat.MainActivity"],
+    services: ["com.example.bloat.SyncService"],
+    receivers: ["com.example.bloat.Boot"],
+    providers: [],
+  });
+  const components = await client.listComponents("com.example.bloat", { declared: true });
+  assert.deepEqual(components.map(({ kind, className, enabled }) => [kind, className, enabled]), [
+    ["activities", "com.example.bloat.MainActivity", true],
+    ["services", "com.example.bloat.SyncService", false],
+    ["receivers", "com.example.bloat.Boot", true],
+  ]);
+});
+
+test("component names are checked before sending", async () => {
+  for (const name of ["a.b/.Main", "com.example/com.example.Outer$Inner", "com.example/Main"]) {
+    assert.ok(isValidComponentName(name), name);
+  }
+  for (const name of ["com.example", "/.Main", "com.example/", "com.example/.Main;reboot", "com/.Main"]) {
+    assert.ok(!isValidComponentName(name), name);
+  }
+  await connect();
+  const sent = device.hostPackets.length;
+  await assert.rejects(client.disableComponent("com.example.bloat/$(reboot)"), {
+    code: "INVALID_ARGUMENT",
+  });
+  assert.equal(device.hostPackets.length, sent);
+});
+
+test("background restrictions are applied, read back and lifted", async () => {
+  await connect();
+  device.addPackage("com.example.bloat", { standbyBucket: 30 });
+  const state = device.packages.get("com.example.bloat");
+
+  assert.equal(await client.restrictBackground("com.example.bloat", { bucket: "rare" }), "");
+  assert.deepEqual(device.commands.slice(-3), [
+    "cmd appops set com.example.bloat RUN_ANY_IN_BACKGROUND ignore",
+    "am set-standby-bucket com.example.bloat rare",
+    `cmd netpolicy add restrict-background-blacklist ${state.uid}`,
+  ]);
+  let restrictions = await client.listBackgroundRestrictions();
+  assert.deepEqual(restrictions.get("com.example.bloat"), {
+    runRestricted: true,
+    bucket: "rare",
+    dataRestricted: true,
+  });
+  assert.deepEqual(restrictions.get("com.example.game"), {
+    runRestricted: false,
+    bucket: "active",
+    dataRestricted: false,
+  });
+
+  await client.unrestrictBackground("com.example.bloat");
+  restrictions = await client.listBackgroundRestrictions();
+  assert.deepEqual(restrictions.get("com.example.bloat"), {
+    runRestricted: false,
+    bucket: "active",
+    dataRestricted: false,
+  });
+  assert.equal(device.restrictedBackgroundUids.size, 0);
+
+  await assert.rejects(client.restrictBackground("com.example.bloat", { bucket: "never" }), {
+    code: "INVALID_ARGUMENT",
+  });
+  assert.match(await client.restrictBackground("com.example.gone"), /Unknown package/);
+});
+
+test("packages are suspended and unsuspended", async () => {
+  await connect();
+  assert.equal(
+    await client.suspendPackage("com.example.bloat"),
+    "Package com.example.bloat new suspended state: true\n"
+  );
+  assert.equal(device.commands.at(-1), "pm suspend --user 0 com.example.bloat");
+  assert.ok(device.packages.get("com.example.bloat").suspended);
+  await client.unsuspendPackage("com.example.bloat");
+  assert.equal(device.packages.get("com.example.bloat").suspended, false);
+  assert.match(await client.suspendPackage("com.example.gone"), /Unknown target package/);
+});
+
+test("hiding a package needs root, through adbd or su", async () => {
+  await connect();
+  assert.match(await client.hidePackage("com.example.bloat"), /SecurityException/);
+  assert.equal(device.packages.get("com.example.bloat").hidden, false);
+  // No su on the device: the first refusal is what comes back
+  assert.equal(device.commands.at(-1), "su -c 'pm hide --user 0 com.example.bloat'");
+
+  await connect({ root: "su" });
+  assert.equal(
+    await client.hidePackage("com.example.bloat"),
+    "Package com.example.bloat new hidden state: true\n"
+  );
+  assert.ok(device.packages.get("com.example.bloat").hidden);
+
+  await connect({ root: "adbd" });
+  device.packages.get("com.example.bloat").hidden = true;
+  await client.unhidePackage("com.example.bloat");
+  assert.equal(device.packages.get("com.example.bloat").hidden, false);
+  assert.equal(device.commands.at(-1), "pm unhide --user 0 com.example.bloat");
+});
+
+test("package actions refuse invalid names without sending anything", async () => {
+  await connect();
+  const sent = device.hostPackets.length;
+  const actions = [
+    "disablePackage",
+    "enablePackage",
+    "uninstallPackage",
+    "restorePackage",
+    "suspendPackage",
+    "unsuspendPackage",
+    "hidePackage",
+    "unhidePackage",
+  ];
+  for (const action of actions) {
+    await assert.rejects(client[action]("com.example.bloat;reboot"), (error) => {
+      assert.ok(error instanceof AdbCommandError);
+      assert.equal(error.code, "INVALID_PACKAGE");
+      return true;
+    });
+  }
+  assert.equal(device.hostPackets.length, sent);
+  assert.ok(device.packages.get("com.example.bloat").enabled);
+});
+
+// =============================================================================
+// Shell
+// =============================================================================
+
+test("shellStream delivers output while the command runs", async () => {
+  await connect();
+  const reader = client.shellStream("sleep 60").getReader();
+  await until(() => device.running.length === 1);
+  const [running] = device.running;
+  device.write(running, "first\n");
+  assert.deepEqual(await reader.read(), { done: false, value: "first\n" });
+
+  // A character split across two WRTEs comes out whole
+  const umlaut = new TextEncoder().encode("ü\n");
+  device.write(running, umlaut.slice(0, 1));
+  device.write(running, umlaut.slice(1));
+  device.end(running);
+  let rest = "";
+  for (let next = await reader.read(); !next.done; next = await reader.read()) {
+    rest += next.value;
+  }
+  assert.equal(rest, "ü\n");
+});
+
+test("a command that goes quiet times out instead of returning part of its output", async () => {
+  await connect();
+  const received = [];
+  const reading = (async () => {
+    for await (const text of client.shellStream("sleep 60", { timeoutMs: 200 })) {
+      received.push(text);
+    }
+  })();
+  await until(() => device.running.length === 1);
+  device.write(device.running[0], "partial\n");
+  await assert.rejects(
+    reading,
+    (error) => error instanceof AdbStreamTimeoutError && error.details.timeoutMs === 200
+  );
+  assert.deepEqual(received, ["partial\n"]);
+  await until(() => device.streams.size === 0);
+});
+
+test("leaving a shellStream loop early closes the command", async () => {
+  await connect();
+  const stream = client.shellStream("sleep 60");
+  await until(() => device.running.length === 1);
+  device.write(device.running[0], "tick\n");
+  for await (const text of stream) {
+    assert.equal(text, "tick\n");
+    break;
+  }
+  await until(() => device.streams.size === 0);
+});
+
+test("execShell separates stdout, stderr and the exit code", async () => {
+  await connect();
+  assert.deepEqual(await client.execShell("echo hi"), {
+    stdout: "hi\n",
+    stderr: "",
+    exitCode: 0,
+  });
+  const missing = await client.execShell("frobnicate");
+  assert.equal(missing.exitCode, 127);
+  assert.match(missing.stderr, /frobnicate: inaccessible or not found/);
+});
+
+test("execShell only times out once a command stops producing output", async () => {
+  await connect({}, { streamTimeoutMs: 200 });
+  const result = client.execShell("sleep 60");
+  await until(() => device.running.length === 1);
+  const [running] = device.running;
+
+  // Runs well past streamTimeoutMs, but never quiet for that long
+  for (let tick = 0; tick < 5; tick++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    running.emit({ stdout: `tick ${tick}\n` });
+  }
+  running.exit(0);
+  assert.deepEqual(await result, {
+    stdout: "tick 0\ntick 1\ntick 2\ntick 3\ntick 4\n",
+    stderr: "",
+    exitCode: 0,
+  });
+
+  const quiet = client.execShell("sleep 60");
+  await until(() => device.running.length === 2);
+  device.running[1].emit({ stdout: "partial\n" });
+  await assert.rejects(
+    quiet,
+    (error) => error instanceof AdbStreamTimeoutError && error.details.timeoutMs === 200
+  );
+  await until(() => device.streams.size === 0);
+});
+
+test("execShell falls back to the legacy shell without shell_v2", async () => {
+  await connect({ features: ["cmd"] });
+  const result = await client.execShell("echo legacy");
+  assert.equal(result.stdout, "legacy\n");
+  assert.equal(result.exitCode, null);
+});
+
+test("output larger than one payload arrives intact", async () => {
+  const names = Array.from({ length: 400 }, (_, i) => `com.example.package${i}`);
+  device = new FakeAdbDevice({ packages: names, maxPayload: 1024 });
+  client = new AdbUsbClient({ streamTimeoutMs: 2000 });
+  await client.connect(device.deviceInfo());
+  assert.deepEqual(await client.listPackages(), [...names].sort());
+});
+
+test("interactive shell runs commands and reports the exit code", async () => {
+  await connect();
+  let stdout = "";
+  const session = await client.openShell({
+    onOutput: (text, channel) => {
+      if (channel === "stdout") stdout += text;
+    },
+  });
+  await session.write("echo one\n");
+  await session.write("frobnicate\n");
+  await session.close();
+  assert.equal(await session.exited, 127);
+  assert.equal(stdout, "one\n");
+});
+
+// =============================================================================
+// File Sync
+// =============================================================================
+
+test("push, stat, listDir and pull round-trip a file", async () => {
+  await connect();
+  device.addFile("/sdcard/Download/notes.txt", "hello");
+
+  const bytes = new Uint8Array(150 * 1024).map((_, i) => i & 0xff);
+  await client.push("/sdcard/Download/blob.bin", bytes);
+
+  const stat = await client.stat("/sdcard/Download/blob.bin");
+  assert.equal(stat.size, bytes.length);
+  assert.ok(stat.isFile);
+
+  const entries = await client.listDir("/sdcard/Download");
+  assert.deepEqual(entries.map((entry) => entry.name), ["blob.bin", "notes.txt"]);
+
+  assert.deepEqual(await client.pull("/sdcard/Download/blob.bin"), bytes);
+  assert.equal(new TextDecoder().decode(await client.pull("/sdcard/Download/notes.txt")), "hello");
+});
+
+test("pulling a missing file fails with the device message", async () => {
+  await connect();
+  await assert.rejects(client.pull("/sdcard/nope"), /No such file or directory/);
+});
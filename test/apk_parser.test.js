@@ -0,0 +1,111 @@
+/**
+ * Tests for the APK parser against APKs built by fake_apk.js: ZIP entries,
+ * binary XML, resource table lookups, label and icon selection, and the
+ * declared components.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildApk, buildZip, fakeImage, LABEL_ID } from "./fake_apk.js";
+import {
+  parseBinaryXml,
+  parseResourceTable,
+  readApkComponents,
+  readApkInfo,
+  readZipDirectory,
+  readZipEntry,
+} from "../js/apk_parser.js";
+
+const textEncoder = new TextEncoder();
+
+test("stored and deflated ZIP entries read back", async () => {
+  const text = textEncoder.encode("hello ".repeat(100));
+  const zip = buildZip({ "a.txt": text, "b.arsc": text });
+  const directory = readZipDirectory(zip);
+  assert.deepEqual([...directory.keys()], ["a.txt", "b.arsc"]);
+  assert.equal(directory.get("a.txt").method, 8);
+  assert.equal(directory.get("b.arsc").method, 0);
+  for (const entry of directory.values()) {
+    assert.deepEqual(await readZipEntry(zip, entry), text);
+  }
+  assert.throws(() => readZipDirectory(text), /not a ZIP archive/);
+});
+
+test("the manifest parses into elements with typed attributes", async () => {
+  const apk = buildApk({ packageName: "com.sec.android.app.kidshome" });
+  const zip = readZipDirectory(apk);
+  const elements = parseBinaryXml(await readZipEntry(apk, zip.get("AndroidManifest.xml")));
+  assert.deepEqual(
+    elements.map(({ name, depth }) => [name, depth]),
+    [
+      ["manifest", 0],
+      ["application", 1],
+    ]
+  );
+  assert.equal(elements[0].attributes[0].string, "com.sec.android.app.kidshome");
+  const label = elements[1].attributes.find((entry) => entry.name === "label");
+  assert.equal(label.resourceId, 0x01010001);
+  assert.equal(label.data, LABEL_ID);
+});
+
+test("resource lookups return one value per configuration", async () => {
+  for (const sparse of [false, true]) {
+    const apk = buildApk({ labels: { "": "Kids Home", de: "Kindermodus" }, sparse });
+    const zip = readZipDirectory(apk);
+    const table = parseResourceTable(await readZipEntry(apk, zip.get("resources.arsc")));
+    assert.deepEqual(
+      table.resolve(LABEL_ID).map(({ config, string }) => [config.language, string]),
+      [
+        ["", "Kids Home"],
+        ["de", "Kindermodus"],
+      ]
+    );
+    assert.deepEqual(table.resolve(LABEL_ID + 1), []);
+  }
+});
+
+test("the label is the default language, then English", async () => {
+  const info = await readApkInfo(buildApk({ labels: { fr: "Accueil", "": "Home", en: "Home (en)" } }));
+  assert.equal(info.label, "Home");
+  assert.equal((await readApkInfo(buildApk({ labels: { fr: "Accueil", en: "Home" } }))).label, "Home");
+  assert.equal((await readApkInfo(buildApk({ labelLiteral: "Literal" }))).label, "Literal");
+  assert.equal((await readApkInfo(buildApk({ label: false }))).label, null);
+});
+
+test("the icon is the densest image, never the adaptive XML", async () => {
+  const icons = {
+    160: "res/mipmap-mdpi-v4/ic_launcher.png",
+    640: "res/mipmap-xxxhdpi-v4/ic_launcher.webp",
+    0xfffe: "res/mipmap-anydpi-v26/ic_launcher.xml",
+  };
+  const { packageName, icon } = await readApkInfo(buildApk({ packageName: "com.x.y", icons }));
+  assert.equal(packageName, "com.x.y");
+  assert.equal(icon.path, "res/mipmap-xxxhdpi-v4/ic_launcher.webp");
+  assert.equal(icon.type, "image/webp");
+  assert.deepEqual(icon.bytes, fakeImage(icon.path));
+
+  const adaptiveOnly = { 0xfffe: "res/mipmap-anydpi-v26/ic_launcher.xml" };
+  assert.equal((await readApkInfo(buildApk({ icons: adaptiveOnly }))).icon, null);
+});
+
+test("declared components come with full class names, filters or not", async () => {
+  const apk = buildApk({
+    packageName: "com.example.app",
+    components: {
+      activity: [".MainActivity"],
+      "activity-alias": ["com.example.app.Launcher"],
+      service: [".analytics.TrackingService", "SyncService"],
+      receiver: ["com.vendor.sdk.BootReceiver"],
+      provider: [".data.Provider"],
+    },
+  });
+  assert.deepEqual(await readApkComponents(apk), {
+    activities: ["com.example.app.Launcher", "com.example.app.MainActivity"],
+    services: ["com.example.app.SyncService", "com.example.app.analytics.TrackingService"],
+    receivers: ["com.vendor.sdk.BootReceiver"],
+    providers: ["com.example.app.data.Provider"],
+  });
+});
@@ -0,0 +1,716 @@
+/**
+ * Drives js/app.js through the fake DOM against the fake adbd:
+ * select, connect (with the authorization prompt), load apps, bulk and
+ * per-row actions, suspend and hide, the results table, shell, a command
+ * streamed into the log, a second device with parallel bulk actions,
+ * unplug, a lost link, cancelling a connection.
+ *
+ * app.js keeps its state in module variables, so the steps below share one
+ * app instance and run in order.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+import { FakeAdbDevice } from "./fake_adbd.js";
+import { buildApk } from "./fake_apk.js";
+import { installFakeDom } from "./fake_dom.js";
+
+// app.js and the client log diagnostics to the console; keep test output readable
+console.log = () => {};
+
+const device = new FakeAdbDevice({
+  packages: ["com.example.bloat", "com.example.game"],
+  model: "Pixel Fake",
+});
+device.addPackage("com.android.chrome", {
+  system: true,
+  apkPath: "/product/app/Chrome/Chrome.apk",
+  versionCode: 612345,
+});
+device.packages.get("com.example.game").enabled = false;
+
+const secondDevice = new FakeAdbDevice({
+  packages: ["com.android.chrome", "com.example.bloat", "com.example.other"],
+  model: "Second Fake",
+  serial: "FAKE0002",
+});
+secondDevice.packages.get("com.example.other").enabled = false;
+
+// What the WebUSB picker returns next
+let pickedDevice = device;
+
+let dom;
+let $;
+
+/**
+ * Poll until a condition holds, for UI updates that happen after a click
+ * resolves (shell output, session exit).
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Condition not met in time.");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Find the rendered row for a package.
+ */
+function row(pkg) {
+  const item = $("appList").children.find((li) => li.dataset.package === pkg);
+  assert.ok(item, `no row for ${pkg}`);
+  const [checkbox, name, meta, actions] = item.children;
+  const find = (parent, className) =>
+    parent.children.find((child) => child.className.includes(className)) || null;
+  const label = find(name, "app-label")?.textContent ?? null;
+  const icon = find(name, "app-icon")?.src ?? null;
+  const badge = find(meta, "state-badge")?.textContent ?? null;
+  const kind = find(meta, "kind-badge")?.textContent ?? null;
+  const background = find(meta, "background-badge")?.textContent ?? null;
+  const suspended = find(meta, "suspended-badge")?.textContent ?? null;
+  const details = find(meta, "app-details")?.textContent ?? null;
+  const [toggleBtn, uninstallBtn] = actions.children;
+  const button = (text) => actions.children.find((entry) => entry.textContent === text) || null;
+  return {
+    item,
+    checkbox,
+    label,
+    icon,
+    badge,
+    kind,
+    background,
+    suspended,
+    details,
+    toggleBtn,
+    uninstallBtn,
+    restoreBtn: button("Restore"),
+    unsuspendBtn: button("Unsuspend"),
+    unhideBtn: button("Unhide"),
+  };
+}
+
+/**
+ * Find the device switcher entry for a serial.
+ */
+function deviceRow(serial) {
+  const item = $("deviceList").children.find((li) => li.textContent.includes(serial));
+  assert.ok(item, `no device entry for ${serial}`);
+  const [checkbox, name, disconnectBtn] = item.children;
+  return { item, checkbox, name, disconnectBtn };
+}
+
+before(async () => {
+  dom = installFakeDom({ requestDevice: async () => pickedDevice });
+  $ = (id) => dom.document.getElementById(id);
+  await import("../js/app.js");
+});
+
+test("starts disconnected", () => {
+  assert.equal($("connectionStatus").textContent, "Disconnected");
+  assert.match($("logOutput").textContent, /Ready\./);
+});
+
+test("shows the ADB key and sets its comment", async () => {
+  await waitFor(() => /^([0-9A-F]{2}:){15}[0-9A-F]{2}$/.test($("keyFingerprint").textContent));
+  $("keyCommentInput").value = "tester@bench";
+  await $("saveKeyCommentBtn").click();
+  assert.match($("keyInfo").textContent, /Comment: tester@bench/);
+});
+
+test("selects and connects the USB device", async () => {
+  await $("selectUsbBtn").click();
+  assert.match($("deviceInfo").textContent, /Selected: Pixel Fake/);
+
+  // Note what the page shows while the phone displays its prompt
+  let prompt = null;
+  device.onAuthorizationRequest = async () => {
+    await waitFor(() => /fingerprint/.test($("authPromptInfo").textContent));
+    prompt = {
+      visible: $("authPrompt").style.display !== "none",
+      status: $("connectionStatus").textContent,
+      info: $("authPromptInfo").textContent,
+    };
+    return true;
+  };
+  await $("connectUsbBtn").click();
+  assert.equal($("connectionStatus").textContent, "USB Connected");
+  assert.match($("deviceInfo").textContent, /Connected: Pixel Fake .* serial FAKE0001/);
+  assert.equal(device.authorizationRequests, 1);
+
+  assert.ok(prompt.visible);
+  assert.equal(prompt.status, "Waiting for authorization");
+  assert.ok(prompt.info.includes($("keyFingerprint").textContent));
+  assert.equal($("authPrompt").style.display, "none");
+});
+
+test("loads the package list with disabled state", async () => {
+  await $("loadAppsBtn").click();
+  assert.equal($("appList").children.length, 3);
+  assert.match($("logOutput").textContent, /Loaded 3 packages \(1 disabled, 0 uninstalled\)/);
+  assert.equal(row("com.example.bloat").toggleBtn.textContent, "Disable");
+  assert.equal(row("com.example.bloat").badge, null);
+  assert.equal(row("com.example.game").toggleBtn.textContent, "Enable");
+  assert.equal(row("com.example.game").badge, "disabled");
+});
+
+test("rows show whether a package is system or user, and where it came from", () => {
+  const chrome = row("com.android.chrome");
+  assert.equal(chrome.kind, "system");
+  assert.match(chrome.details, /^\/product · no installer · uid \d+ · version 612345$/);
+  const bloat = row("com.example.bloat");
+  assert.equal(bloat.kind, "user");
+  assert.match(bloat.details, /^\/data · installer com\.android\.vending · uid \d+ · version 1$/);
+});
+
+test("filters the list", async () => {
+  $("filterInput").value = "bloat";
+  await $("filterInput").dispatch("input");
+  assert.equal($("appList").children.length, 1);
+  $("filterInput").value = "";
+  await $("filterInput").dispatch("input");
+  assert.equal($("appList").children.length, 3);
+});
+
+test("loads app names and icons from the APKs", async () => {
+  device.addFile(
+    "/product/app/Chrome/Chrome.apk",
+    buildApk({ packageName: "com.android.chrome", labels: { "": "Chrome" } })
+  );
+  device.addFile(
+    device.packages.get("com.example.bloat").apkPath,
+    buildApk({ packageName: "com.example.bloat", labels: { "": "Bloat Cleaner" }, icons: {} })
+  );
+  device.addFile(device.packages.get("com.example.game").apkPath, "not a zip");
+
+  await $("loadLabelsBtn").click();
+  assert.equal(row("com.android.chrome").label, "Chrome");
+  assert.match(row("com.android.chrome").icon, /^data:image\/png;base64,/);
+  assert.equal(row("com.example.bloat").label, "Bloat Cleaner");
+  assert.equal(row("com.example.bloat").icon, null);
+  assert.equal(row("com.example.game").label, null);
+  assert.match($("logOutput").textContent, /Loaded names and icons of 3 packages\./);
+  assert.match($("logOutput").textContent, /No name or icon for 1 package\(s\): com\.example\.game/);
+  assert.equal($("loadLabelsBtn").textContent, "Load Names & Icons");
+
+  // The filter matches app names too
+  $("filterInput").value = "cleaner";
+  await $("filterInput").dispatch("input");
+  assert.equal($("appList").children.length, 1);
+  assert.equal($("appList").children[0].dataset.package, "com.example.bloat");
+  $("filterInput").value = "";
+  await $("filterInput").dispatch("input");
+});
+
+test("app names come from the cache after reloading the list", async () => {
+  // Gone from the device, but this version was read before
+  device.files.delete("/product/app/Chrome/Chrome.apk");
+  await $("loadAppsBtn").click();
+  assert.equal(row("com.android.chrome").label, "Chrome");
+  assert.equal(row("com.example.bloat").label, "Bloat Cleaner");
+
+  await $("loadLabelsBtn").click();
+  assert.match($("logOutput").textContent, /All app names are loaded\./);
+});
+
+test("clicking a package name opens its details", async () => {
+  device.addPackage("com.example.game", {
+    enabled: false,
+    versionName: "4.0.1",
+    permissions: { "android.permission.INTERNET": true },
+    runtimePermissions: { "android.permission.ACCESS_FINE_LOCATION": false },
+    components: { activities: [".MainActivity"], services: [".AdsService"] },
+  });
+  const [, name] = row("com.example.game").item.children;
+  await name.click();
+  assert.notEqual($("detailDrawer").style.display, "none");
+  assert.equal($("detailTitle").textContent, "com.example.game");
+  assert.equal($("detailStatus").textContent, "com.example.game");
+
+  const section = (title) =>
+    $("detailBody").children.find((child) => child.children[0].textContent === title);
+  const field = (title, label) => {
+    const list = section(title).children[1];
+    const index = list.children.findIndex((child) => child.textContent === label);
+    return index === -1 ? null : list.children[index + 1].textContent;
+  };
+  const list = (title, name) =>
+    section(title).children.find(
+      (child) => child.className === "detail-list" && child.children[0].textContent.startsWith(name)
+    );
+  assert.equal(field("Version", "Version name"), "4.0.1");
+  assert.equal(field("Install", "Installed"), "2024-01-02 03:04:05");
+  assert.equal(field("Code", "Kind"), "user app");
+  assert.match(field("Code", "Code path"), /^\/data\/app\/.*com\.example\.game/);
+  assert.equal(list("Permissions", "Requested").children[0].textContent, "Requested (2)");
+  assert.equal(list("Permissions", "Granted").children[0].textContent, "Granted (1)");
+  assert.deepEqual(
+    list("Components", "Services").children[1].children.map((item) => item.children[1].textContent),
+    [".AdsService"]
+  );
+  // The game's APK isn't a ZIP, so its manifest can't be read
+  assert.match(
+    section("Components").children[1].textContent,
+    /^Only components with an intent filter are listed; couldn't read the manifest: .*not a ZIP/
+  );
+
+  // Components declared without an intent filter come from the manifest
+  const { apkPath } = device.packages.get("com.example.game");
+  const brokenApk = device.files.get(apkPath);
+  device.addFile(apkPath, buildApk({
+    packageName: "com.example.game",
+    components: { service: [".AdsService"], receiver: [".BootReceiver"] },
+  }));
+  await name.click();
+  assert.ok(!section("Components").children.some((child) => child.className === "small muted"));
+  assert.deepEqual(
+    list("Components", "Receivers").children[1].children.map((item) => item.children[1].textContent),
+    [".BootReceiver"]
+  );
+  assert.equal(list("Components", "Services").children[0].textContent, "Services (1)");
+  device.files.set(apkPath, brokenApk);
+
+  await $("closeDetailBtn").click();
+  assert.equal($("detailDrawer").style.display, "none");
+});
+
+test("the permissions tab grants permissions and sets app ops", async () => {
+  const [, name] = row("com.example.game").item.children;
+  await name.click();
+  await $("detailPermissionsTab").click();
+  assert.equal($("detailPermissions").style.display, "");
+  assert.equal($("detailBody").style.display, "none");
+
+  const rows = (title) =>
+    $("detailPermissions")
+      .children.find((section) => section.children[0].textContent === title)
+      .children.filter((child) => child.className === "permission-row");
+  const [location] = rows("Runtime permissions");
+  assert.deepEqual(
+    location.children.map((child) => child.textContent),
+    ["ACCESS_FINE_LOCATION", "denied", "Grant"]
+  );
+  assert.equal(rows("App ops").length, 0);
+
+  await location.children[2].click();
+  const game = device.packages.get("com.example.game");
+  assert.equal(game.runtimePermissions["android.permission.ACCESS_FINE_LOCATION"], true);
+  assert.match($("logOutput").textContent, /Grant ACCESS_FINE_LOCATION com\.example\.game: Done/);
+  // The drawer is read again, on the same tab
+  assert.equal(rows("Runtime permissions")[0].children[1].textContent, "granted");
+  assert.equal($("detailPermissions").style.display, "");
+
+  // Bulk, on the selection
+  const { checkbox } = row("com.example.game");
+  checkbox.checked = true;
+  await checkbox.dispatch("change");
+  $("appOpInput").value = "run_in_background";
+  assert.equal($("appOpModeSelect").value, "ignore");
+  await $("setAppOpBtn").click();
+  assert.equal(game.appOps.RUN_IN_BACKGROUND, "ignore");
+  const [op] = rows("App ops");
+  assert.equal(op.children[0].textContent, "RUN_IN_BACKGROUND");
+
+  // The mode picker changes the op on the drawer's package
+  const select = op.children[2];
+  assert.equal(select.value, "ignore");
+  select.value = "allow";
+  await select.dispatch("change");
+  assert.equal(game.appOps.RUN_IN_BACKGROUND, "allow");
+
+  $("permissionInput").value = "CAMERA";
+  await $("revokeBtn").click();
+  assert.match($("resultsSummary").textContent, /^Revoke CAMERA: 1 not found$/);
+
+  await $("clearSelectionBtn").click();
+  await $("detailOverviewTab").click();
+  await $("closeDetailBtn").click();
+});
+
+test("components are disabled one by one and kept in saved lists", async () => {
+  const [, name] = row("com.example.game").item.children;
+  await name.click();
+  const services = () =>
+    $("detailBody")
+      .children.find((child) => child.children[0].textContent === "Components")
+      .children.find(
+        (child) => child.className === "detail-list" && /^Services/.test(child.children[0].textContent)
+      );
+  const ads = () => services().children[1].children[0];
+  assert.deepEqual(
+    ads().children.slice(1).map((child) => child.textContent),
+    [".AdsService", "enabled", "Disable"]
+  );
+
+  await ads().children[3].click();
+  const game = device.packages.get("com.example.game");
+  assert.ok(game.disabledComponents.has("com.example.game.AdsService"));
+  assert.match(
+    $("logOutput").textContent,
+    /Disable com\.example\.game\/com\.example\.game\.AdsService: Component \{.*\} new state: disabled/
+  );
+  assert.equal(services().children[0].textContent, "Services (1, 1 disabled)");
+  assert.equal(ads().children[2].textContent, "disabled");
+
+  // Selected components are saved with the list and enabled in bulk
+  const checkbox = ads().children[0];
+  checkbox.checked = true;
+  await checkbox.dispatch("change");
+  assert.equal($("selectionCount").textContent, "1 selected");
+  $("savedListName").value = "ads";
+  await $("saveListBtn").click();
+  const saved = JSON.parse(dom.localStorage.getItem("uad.savedLists"));
+  assert.deepEqual(saved.ads, ["com.example.game/com.example.game.AdsService"]);
+  await $("uninstallBtn").click();
+  assert.match($("logOutput").textContent, /Skipped 1 component\(s\)/);
+  assert.equal(game.installed, true);
+  await $("enableBtn").click();
+  assert.equal(game.disabledComponents.size, 0);
+  assert.equal(game.enabled, false);
+
+  await $("clearSelectionBtn").click();
+  assert.equal(ads().children[0].checked, false);
+  await $("loadListBtn").click();
+  assert.equal(ads().children[0].checked, true);
+  await $("clearSelectionBtn").click();
+  await $("closeDetailBtn").click();
+});
+
+test("bulk disables the selected packages", async () => {
+  const { checkbox } = row("com.example.bloat");
+  checkbox.checked = true;
+  await checkbox.dispatch("change");
+  assert.equal($("selectionCount").textContent, "1 selected");
+  const untouched = row("com.android.chrome").item;
+
+  await $("disableBtn").click();
+  assert.equal(device.packages.get("com.example.bloat").enabled, false);
+  assert.match(
+    $("logOutput").textContent,
+    /Disable com\.example\.bloat: Package com\.example\.bloat new state: disabled-user/
+  );
+  // The changed row is re-rendered from the device's state, the others are kept
+  assert.equal(row("com.example.bloat").toggleBtn.textContent, "Enable");
+  assert.equal(row("com.example.bloat").badge, "disabled");
+  assert.ok(row("com.example.bloat").checkbox.checked);
+  assert.equal(row("com.android.chrome").item, untouched);
+});
+
+test("the row toggle enables a disabled package", async () => {
+  await row("com.example.game").toggleBtn.click();
+  assert.equal(device.packages.get("com.example.game").enabled, true);
+  assert.equal(row("com.example.game").toggleBtn.textContent, "Disable");
+});
+
+test("the row uninstall button marks the package uninstalled", async () => {
+  // The row handler doesn't return the action promise, so wait for the row
+  await row("com.android.chrome").uninstallBtn.click();
+  await waitFor(() => row("com.android.chrome").badge === "uninstalled (restorable)");
+  assert.match($("logOutput").textContent, /Uninstall com\.android\.chrome: Success/);
+  assert.equal(device.packages.get("com.android.chrome").installed, false);
+  assert.ok(row("com.android.chrome").restoreBtn);
+
+  // Still listed after a refresh, as uninstalled for the user
+  await $("loadAppsBtn").click();
+  assert.equal($("appList").children.length, 3);
+  assert.equal(row("com.android.chrome").badge, "uninstalled (restorable)");
+  assert.match($("logOutput").textContent, /Loaded 3 packages \(1 disabled, 1 uninstalled\)/);
+});
+
+test("restore reinstalls an uninstalled package", async () => {
+  await row("com.android.chrome").restoreBtn.click();
+  assert.equal(device.packages.get("com.android.chrome").installed, true);
+  assert.match(
+    $("logOutput").textContent,
+    /Restore com\.android\.chrome: Package com\.android\.chrome installed for user: 0/
+  );
+  assert.equal(row("com.android.chrome").badge, null);
+  assert.equal(row("com.android.chrome").toggleBtn.textContent, "Disable");
+  assert.ok(device.commands.includes("cmd package install-existing --user 0 com.android.chrome"));
+});
+
+test("the results table shows what pm did to each package", async () => {
+  device.packages.get("com.example.game").protected = true;
+  for (const pkg of ["com.example.bloat", "com.example.game"]) {
+    const { checkbox } = row(pkg);
+    checkbox.checked = true;
+    await checkbox.dispatch("change");
+  }
+  await $("disableBtn").click();
+  device.packages.get("com.example.game").protected = false;
+  await $("clearSelectionBtn").click();
+
+  const rows = $("resultsBody").children.map((tr) => ({
+    outcome: tr.className,
+    cells: tr.children.map((td) => td.textContent),
+  }));
+  assert.deepEqual(rows, [
+    {
+      outcome: "outcome-already-in-state",
+      cells: [
+        "Pixel Fake (FAKE0001)",
+        "com.example.bloat",
+        "Disable",
+        "already done",
+        "Package com.example.bloat new state: disabled-user",
+      ],
+    },
+    {
+      outcome: "outcome-protected-package",
+      cells: [
+        "Pixel Fake (FAKE0001)",
+        "com.example.game",
+        "Disable",
+        "protected",
+        "Cannot disable a protected package: com.example.game",
+      ],
+    },
+  ]);
+  assert.equal($("resultsSummary").textContent, "Disable: 1 already done, 1 protected");
+  assert.match($("logOutput").textContent, /Disable: 1 already done, 1 protected\./);
+  assert.ok($("resultsPanel").open);
+});
+
+test("restricting the selection in the background shows on its rows", async () => {
+  const { checkbox } = row("com.example.game");
+  checkbox.checked = true;
+  await checkbox.dispatch("change");
+  assert.equal(row("com.example.game").background, null);
+  assert.equal($("standbyBucketSelect").value, "restricted");
+
+  await $("restrictBtn").click();
+  const game = device.packages.get("com.example.game");
+  assert.equal(game.appOps.RUN_ANY_IN_BACKGROUND, "ignore");
+  assert.equal(game.standbyBucket, 45);
+  assert.ok(device.restrictedBackgroundUids.has(game.uid));
+  assert.equal($("resultsSummary").textContent, "Restrict background (restricted): 1 succeeded");
+  assert.equal(row("com.example.game").background, "background restricted (restricted)");
+
+  await $("restrictBtn").click();
+  assert.equal($("resultsSummary").textContent, "Restrict background (restricted): 1 already done");
+
+  await $("unrestrictBtn").click();
+  assert.equal(game.appOps.RUN_ANY_IN_BACKGROUND, "allow");
+  assert.equal(row("com.example.game").background, null);
+  await $("clearSelectionBtn").click();
+});
+
+test("suspended and hidden packages show in the list and can be brought back", async () => {
+  const { checkbox } = row("com.example.game");
+  checkbox.checked = true;
+  await checkbox.dispatch("change");
+
+  await $("suspendBtn").click();
+  const game = device.packages.get("com.example.game");
+  assert.ok(game.suspended);
+  assert.equal($("resultsSummary").textContent, "Suspend: 1 succeeded");
+  assert.equal(row("com.example.game").badge, "suspended");
+  assert.equal(row("com.example.game").toggleBtn.textContent, "Disable");
+  await row("com.example.game").unsuspendBtn.click();
+  await waitFor(() => row("com.example.game").badge === null);
+  assert.equal(game.suspended, false);
+
+  // Suspension survives disabling and enabling, and stays in view
+  await $("disableBtn").click();
+  await $("suspendBtn").click();
+  assert.equal($("resultsSummary").textContent, "Suspend: 1 succeeded");
+  assert.equal(row("com.example.game").badge, "disabled");
+  assert.equal(row("com.example.game").suspended, "suspended");
+  assert.ok(row("com.example.game").item.classList.contains("suspended"));
+  await row("com.example.game").toggleBtn.click();
+  await waitFor(() => row("com.example.game").badge === "suspended");
+  assert.ok(game.enabled && game.suspended);
+  await $("disableBtn").click();
+  await row("com.example.game").unsuspendBtn.click();
+  await waitFor(() => row("com.example.game").suspended === null);
+  assert.equal($("resultsSummary").textContent, "Unsuspend: 1 succeeded");
+  assert.equal(game.suspended, false);
+  assert.equal(row("com.example.game").badge, "disabled");
+  await row("com.example.game").toggleBtn.click();
+  await waitFor(() => row("com.example.game").badge === null);
+
+  // Saved lists take the same actions
+  $("savedListName").value = "games";
+  await $("saveListBtn").click();
+  $("savedListsSelect").value = "games";
+  $("listActionSelect").value = "suspend";
+  await $("applyListBtn").click();
+  assert.ok(game.suspended);
+  $("listActionSelect").value = "unsuspend";
+  await $("applyListBtn").click();
+  assert.equal(game.suspended, false);
+  assert.equal(row("com.example.game").badge, null);
+
+  // Without root pm hide is refused
+  await $("hideBtn").click();
+  assert.equal($("resultsSummary").textContent, "Hide: 1 permission denied");
+  device.root = "adbd";
+  await $("hideBtn").click();
+  assert.ok(game.hidden);
+  assert.equal(row("com.example.game").badge, "hidden");
+  assert.equal(row("com.example.game").item.children[3].children.length, 1);
+  await $("loadAppsBtn").click();
+  assert.match($("logOutput").textContent, /Loaded 3 packages \(1 disabled, 0 uninstalled, 1 hidden\)/);
+
+  await row("com.example.game").unhideBtn.click();
+  await waitFor(() => row("com.example.game").badge === null);
+  assert.equal(game.hidden, false);
+  device.root = null;
+});
+
+test("runs commands in the shell panel", async () => {
+  await $("openShellBtn").click();
+  assert.equal($("shellStatus").textContent, "Session open");
+
+  $("shellInput").value = "echo hello shell";
+  await $("shellInput").dispatch("keydown", { key: "Enter" });
+  await waitFor(() => $("shellOutput").textContent.includes("hello shell\n"));
+  assert.match($("shellOutput").textContent, /\$ echo hello shell\n/);
+
+  $("shellInput").value = "exit";
+  await $("shellInput").dispatch("keydown", { key: "Enter" });
+  await waitFor(() => $("shellStatus").textContent === "No session");
+  assert.match($("logOutput").textContent, /Shell session ended \(exit code 0\)/);
+});
+
+test("the log panel streams a running command until it is stopped", async () => {
+  $("logCommandInput").value = "sleep 60";
+  const running = $("runLogCommandBtn").click();
+  await waitFor(() => device.running.length === 1);
+  device.write(device.running[0], "line one\nline t");
+  await waitFor(() => $("logOutput").textContent.includes("  line one\n"));
+  assert.equal($("stopLogCommandBtn").disabled, false);
+
+  await $("stopLogCommandBtn").click();
+  await running;
+  assert.match($("logOutput").textContent, / {2}line t\n.*sleep 60: stopped\./s);
+  assert.equal($("runLogCommandBtn").disabled, false);
+});
+
+test("a second device connects alongside the first", async () => {
+  pickedDevice = secondDevice;
+  await $("selectUsbBtn").click();
+  await $("connectUsbBtn").click();
+  assert.equal($("connectionStatus").textContent, "USB Connected (2 devices)");
+  assert.match($("deviceInfo").textContent, /Connected: Second Fake .* serial FAKE0002/);
+  assert.equal($("deviceList").children.length, 2);
+  assert.match(deviceRow("FAKE0002").item.className, /active/);
+  assert.equal(device.opened, true);
+});
+
+test("the switcher changes the active device", async () => {
+  await deviceRow("FAKE0001").name.click();
+  assert.match($("deviceInfo").textContent, /serial FAKE0001/);
+  assert.match(deviceRow("FAKE0001").item.className, /active/);
+  assert.equal($("appList").children.length, 0);
+
+  await $("loadAppsBtn").click();
+  assert.ok(row("com.example.game"));
+
+  await deviceRow("FAKE0002").name.click();
+  await $("loadAppsBtn").click();
+  assert.ok(row("com.example.other"));
+});
+
+test("a saved list applies to every checked device", async () => {
+  for (const pkg of ["com.example.bloat", "com.example.other"]) {
+    const { checkbox } = row(pkg);
+    checkbox.checked = true;
+    await checkbox.dispatch("change");
+  }
+  $("savedListName").value = "bench";
+  await $("saveListBtn").click();
+
+  for (const serial of ["FAKE0001", "FAKE0002"]) {
+    const { checkbox } = deviceRow(serial);
+    checkbox.checked = true;
+    await checkbox.dispatch("change");
+  }
+  $("savedListsSelect").value = "bench";
+  $("listActionSelect").value = "enable";
+  await $("applyListBtn").click();
+
+  assert.equal(device.packages.get("com.example.bloat").enabled, true);
+  assert.equal(secondDevice.packages.get("com.example.other").enabled, true);
+  const text = $("logOutput").textContent;
+  assert.match(text, /\[Pixel Fake \(FAKE0001\)\] Enable: 1 succeeded, 1 not installed\./);
+  assert.match(text, /\[Second Fake \(FAKE0002\)\] Enable: 1 succeeded, 1 already done\./);
+});
+
+test("bulk actions run on the checked devices in parallel", async () => {
+  await $("clearSelectionBtn").click();
+  const { checkbox } = row("com.example.bloat");
+  checkbox.checked = true;
+  await checkbox.dispatch("change");
+
+  await $("disableBtn").click();
+  assert.equal(device.packages.get("com.example.bloat").enabled, false);
+  assert.equal(secondDevice.packages.get("com.example.bloat").enabled, false);
+  assert.match($("logOutput").textContent, /Disable 1 package\(s\) on 2 device\(s\)/);
+});
+
+test("unplugging one device keeps the other connected", async () => {
+  await deviceRow("FAKE0001").name.click();
+  dom.usb.dispatch("disconnect", { device: secondDevice });
+  await waitFor(() => $("deviceList").children.length === 1);
+  assert.equal($("connectionStatus").textContent, "USB Connected");
+  assert.match($("deviceInfo").textContent, /serial FAKE0001/);
+  assert.match($("logOutput").textContent, /Second Fake \(FAKE0002\) was unplugged\./);
+});
+
+test("a short unplug keeps the app list until the device is back", async () => {
+  await $("loadAppsBtn").click();
+  const { checkbox } = row("com.example.game");
+  checkbox.checked = true;
+  await checkbox.dispatch("change");
+  $("filterInput").value = "example";
+
+  dom.usb.dispatch("disconnect", { device });
+  await waitFor(() => $("connectionStatus").textContent === "Disconnected");
+  assert.match($("logOutput").textContent, /USB device disconnected\./);
+  assert.match($("deviceInfo").textContent, /unplugged\. Waiting for it to come back/);
+  assert.equal($("appList").children.length, 3);
+
+  dom.usb.dispatch("connect", { device });
+  await waitFor(() => $("connectionStatus").textContent === "USB Connected");
+  assert.match($("logOutput").textContent, /Restored the app list \(3 packages, 1 selected\)/);
+  assert.equal($("filterInput").value, "example");
+  assert.equal(row("com.example.game").checkbox.checked, true);
+  assert.equal($("selectionCount").textContent, "1 selected");
+});
+
+test("a lost link disconnects the device until it is back", async () => {
+  for (let i = 0; i < 3; i += 1) {
+    device.injectTransfer(new Uint8Array(24));
+  }
+  await waitFor(() => $("connectionStatus").textContent === "Disconnected");
+  assert.match($("logOutput").textContent, /Connection to Pixel Fake \(FAKE0001\) lost\./);
+
+  dom.usb.dispatch("connect", { device });
+  await waitFor(() => $("connectionStatus").textContent === "USB Connected");
+  assert.equal($("appList").children.length, 2);
+});
+
+test("disconnecting by hand clears the app list", async () => {
+  await $("disconnectUsbBtn").click();
+  assert.equal($("connectionStatus").textContent, "Disconnected");
+  assert.equal($("appList").children.length, 0);
+});
+
+test("waiting for authorization can be cancelled", async () => {
+  pickedDevice = new FakeAdbDevice({
+    serial: "FAKE0003",
+    onAuthorizationRequest: () => new Promise(() => {}),
+  });
+  await $("selectUsbBtn").click();
+  const connecting = $("connectUsbBtn").click();
+  await waitFor(() => $("authPrompt").style.display === "");
+  await $("cancelConnectBtn").click();
+  await connecting;
+  assert.match($("logOutput").textContent, /Connection cancelled\./);
+  assert.equal($("connectionStatus").textContent, "Disconnected");
+  assert.equal($("authPrompt").style.display, "none");
+});
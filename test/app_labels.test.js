@@ -0,0 +1,109 @@
+/**
+ * Tests for the app label cache against the fake adbd: labels and icons
+ * read from pulled APKs, cached per version, and what is (not) cached
+ * when an APK can't be read.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { FakeAdbDevice } from "./fake_adbd.js";
+import { buildApk } from "./fake_apk.js";
+import { AdbUsbClient } from "../js/adb_usb.js";
+import { AppLabels } from "../js/app_labels.js";
+import { MemoryStore } from "../js/record_store.js";
+
+// The client logs every packet; keep test output readable
+console.log = () => {};
+
+const NAME = "com.example.bloat";
+
+let device;
+let client;
+let store;
+
+beforeEach(async () => {
+  device = new FakeAdbDevice({ packages: [NAME] });
+  client = new AdbUsbClient({ streamTimeoutMs: 2000 });
+  await client.connect(device.deviceInfo());
+  store = new MemoryStore();
+});
+
+afterEach(async () => {
+  await client.disconnect();
+});
+
+function addApk(options) {
+  device.addFile(device.packages.get(NAME).apkPath, buildApk({ packageName: NAME, ...options }));
+}
+
+test("reads the label and icon and caches them per version", async () => {
+  addApk({ labels: { "": "Bloat Cleaner" } });
+  const labels = new AppLabels({ store });
+  const entry = await labels.load(client, NAME, 1);
+  assert.equal(entry.label, "Bloat Cleaner");
+  assert.match(entry.icon, /^data:image\/png;base64,/);
+  assert.equal(entry.error, null);
+
+  // Served from the cache without the device; another version is not
+  device.files.clear();
+  assert.deepEqual(await labels.load(client, NAME, 1), entry);
+  assert.equal(await labels.cached(NAME, 2), null);
+});
+
+test("too large and unparsable APKs are cached as failures", async () => {
+  addApk({});
+  const small = new AppLabels({ store, maxApkBytes: 10 });
+  const skipped = await small.load(client, NAME, 1);
+  assert.equal(skipped.label, null);
+  assert.match(skipped.error, /^APK is 1 MB, skipped\.$/);
+
+  device.addFile(device.packages.get(NAME).apkPath, "not a zip");
+  const broken = await new AppLabels({ store }).load(client, NAME, 2);
+  assert.equal(broken.label, null);
+  assert.ok(broken.error);
+  assert.deepEqual(await store.get(`${NAME}@2`), broken);
+});
+
+test("device errors are thrown and not cached", async () => {
+  // pm path names the APK, but the file can't be read
+  const labels = new AppLabels({ store });
+  await assert.rejects(labels.load(client, NAME, 1), /stat .* failed/);
+  assert.equal(await labels.cached(NAME, 1), null);
+
+  const missing = await labels.load(client, "com.example.missing", null);
+  assert.equal(missing.error, "No APK found.");
+});
+
+test("the signal reaches every device call, so stopping cancels the pull", async () => {
+  addApk({ labels: { "": "Bloat Cleaner" } });
+  const controller = new AbortController();
+  const calls = [];
+  // Stops loading once the pull has started
+  const stoppingClient = {
+    listApkPaths: (name, options) => {
+      calls.push(["listApkPaths", options.signal]);
+      return client.listApkPaths(name, options);
+    },
+    stat: (path, options) => {
+      calls.push(["stat", options.signal]);
+      return client.stat(path, options);
+    },
+    pull: (path, options) => {
+      calls.push(["pull", options.signal]);
+      const pulling = client.pull(path, options);
+      controller.abort();
+      return pulling;
+    },
+  };
+  const labels = new AppLabels({ store });
+  await assert.rejects(
+    labels.load(stoppingClient, NAME, 1, { signal: controller.signal }),
+    { name: "AbortError" }
+  );
+  assert.deepEqual(calls.map(([name]) => name), ["listApkPaths", "stat", "pull"]);
+  assert.ok(calls.every(([, signal]) => signal === controller.signal));
+  assert.equal(await labels.cached(NAME, 1), null);
+});
@@ -0,0 +1,54 @@
+/**
+ * Page load with USB devices the browser already has permission for:
+ * known devices reconnect by themselves, others are preselected.
+ *
+ * Runs in its own file because app.js starts up once per process.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+import { FakeAdbDevice } from "./fake_adbd.js";
+import { installFakeDom } from "./fake_dom.js";
+
+// app.js and the client log diagnostics to the console; keep test output readable
+console.log = () => {};
+
+const known = new FakeAdbDevice({ packages: ["com.example.bloat"], model: "Known Fake" });
+const other = new FakeAdbDevice({ model: "Other Fake", serial: "FAKE0002" });
+
+let $;
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Condition not met in time.");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  const dom = installFakeDom({ getDevices: async () => [known, other] });
+  dom.localStorage.setItem("uad.knownDevices", JSON.stringify(["FAKE0001"]));
+  $ = (id) => dom.document.getElementById(id);
+  await import("../js/app.js");
+});
+
+test("a previously connected device reconnects on load", async () => {
+  await waitFor(() => $("connectionStatus").textContent === "USB Connected");
+  assert.match($("deviceInfo").textContent, /Connected: Known Fake .* serial FAKE0001/);
+  assert.equal(other.opened, false);
+});
+
+test("other permitted devices are offered without the picker", async () => {
+  await waitFor(() => /Found 1 permitted USB device/.test($("logOutput").textContent));
+  await $("connectUsbBtn").click();
+  assert.match($("deviceInfo").textContent, /Connected: Other Fake .* serial FAKE0002/);
+  assert.equal($("deviceList").children.length, 2);
+
+  await $("disconnectUsbBtn").click();
+  await $("disconnectUsbBtn").click();
+  assert.equal($("connectionStatus").textContent, "Disconnected");
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for DeviceManager bookkeeping and parallel runs.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DeviceManager } from "../js/device_manager.js";
+
+function fakeClient(usbDevice = null) {
+  return { isSameDevice: (device) => device === usbDevice };
+}
+
+function info(serial) {
+  return { serial, model: "Phone", product: "phone" };
+}
+
+test("the newest device is active, and removing it falls back", () => {
+  let changes = 0;
+  const manager = new DeviceManager({ onChange: () => (changes += 1) });
+  const first = manager.add({ type: "USB", client: fakeClient(), info: info("A") });
+  const second = manager.add({ type: "Network", client: fakeClient(), info: info("B") });
+  assert.equal(manager.active, second);
+  assert.equal(second.label, "Phone (B)");
+
+  manager.setActive(first.id);
+  assert.equal(manager.active, first);
+  manager.remove(first.id);
+  assert.equal(manager.active, second);
+  manager.remove(second.id);
+  assert.equal(manager.active, null);
+  assert.equal(changes, 5);
+});
+
+test("findByUsbDevice matches the client's device", () => {
+  const usbDevice = {};
+  const manager = new DeviceManager();
+  manager.add({ type: "USB", client: fakeClient(), info: info("A") });
+  const session = manager.add({ type: "USB", client: fakeClient(usbDevice), info: info("B") });
+  assert.equal(manager.findByUsbDevice(usbDevice), session);
+  assert.equal(manager.findByUsbDevice({}), null);
+});
+
+test("runOnDevices reports every device even when one fails", async () => {
+  const manager = new DeviceManager();
+  const sessions = ["A", "B", "C"].map((serial) =>
+    manager.add({ type: "USB", client: fakeClient(), info: info(serial) })
+  );
+  const started = [];
+  const results = await manager.runOnDevices(sessions, async (session) => {
+    started.push(session.info.serial);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    if (session.info.serial === "B") throw new Error("device offline");
+    return session.info.serial.toLowerCase();
+  });
+  // All three start before any finishes
+  assert.deepEqual(started, ["A", "B", "C"]);
+  assert.deepEqual(
+    results.map(({ value, error }) => (error ? error.message : value)),
+    ["a", "device offline", "c"]
+  );
+});
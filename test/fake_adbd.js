@@ -0,0 +1,1445 @@
+/**
+ * =============================================================================
+ * Fake adbd - Scripted ADB Device for Tests
+ * =============================================================================
+ *
+ * FakeAdbDevice looks like a WebUSB USBDevice to UsbTransport and speaks the
+ * device side of the ADB wire protocol, so the real client code can be driven
+ * end to end in Node without a phone.
+ *
+ * What it emulates:
+ * - CNXN / AUTH handshake, including real RSA signature verification and
+ *   an "Allow USB debugging?" prompt for unknown public keys
+ * - Protocol version negotiation: checksums are sent and checked unless
+ *   both sides are on VERSION_SKIP_CHECKSUM
+ * - Fault injection: corrupt packets and line noise (corruptNext,
+ *   injectTransfer)
+ * - Link latency (latencyMs), to make round trips cost something in
+ *   benchmarks
+ * - OPEN / OKAY / WRTE / CLSE streams, with one outstanding WRTE per stream
+ *   or a byte window when both sides support delayed_ack
+ * - shell: and shell,v2 services (one-shot and interactive)
+ * - sync: service (STAT/STA2, LIST/LIS2, RECV, SEND, QUIT)
+ * - A tiny shell with `pm` (also as `cmd package`), `echo` and a `sleep`
+ *   that never ends, backed by
+ *   in-memory package state
+ *
+ * Usage Example:
+ * ```javascript
+ * const device = new FakeAdbDevice({ packages: ["com.example.app"] });
+ * const client = new AdbUsbClient();
+ * await client.connect(device.deviceInfo());
+ * ```
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const AUTH_TOKEN = 1;
+const AUTH_SIGNATURE = 2;
+const AUTH_RSAPUBLICKEY = 3;
+
+const VERSION_MIN = 0x01000000;
+const VERSION_SKIP_CHECKSUM = 0x01000001;
+
+// DER DigestInfo prefix for SHA-1, as used in ADB's PKCS#1 v1.5 signatures
+const SHA1_DIGEST_INFO = [
+  0x30, 0x21, 0x30, 0x09, 0x06, 0x05, 0x2b, 0x0e, 0x03, 0x02, 0x1a, 0x05, 0x00,
+  0x04, 0x14,
+];
+
+// USB endpoint layout of the fake ADB interface
+const IN_ENDPOINT = 1;
+const OUT_ENDPOINT = 2;
+const PACKET_SIZE = 512;
+
+// App ops `cmd appops set` knows; anything else is an unknown operation
+const KNOWN_APP_OPS = [
+  "CAMERA",
+  "COARSE_LOCATION",
+  "FINE_LOCATION",
+  "READ_CONTACTS",
+  "RECORD_AUDIO",
+  "RUN_IN_BACKGROUND",
+  "RUN_ANY_IN_BACKGROUND",
+  "WAKE_LOCK",
+];
+
+// Standby bucket names `am set-standby-bucket` accepts, and their values
+const STANDBY_BUCKETS = { active: 10, working_set: 20, frequent: 30, rare: 40, restricted: 45 };
+
+function commandToInt(command) {
+  return (
+    command.charCodeAt(0) |
+    (command.charCodeAt(1) << 8) |
+    (command.charCodeAt(2) << 16) |
+    (command.charCodeAt(3) << 24)
+  );
+}
+
+function intToCommand(value) {
+  return String.fromCharCode(
+    value & 0xff,
+    (value >> 8) & 0xff,
+    (value >> 16) & 0xff,
+    (value >> 24) & 0xff
+  );
+}
+
+function checksum(bytes) {
+  let sum = 0;
+  for (const byte of bytes) sum = (sum + byte) >>> 0;
+  return sum;
+}
+
+function concatBytes(chunks) {
+  const data = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return data;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function powMod(base, exponent, modulus) {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Parse the base64 Android RSAPublicKey sent in AUTH_RSAPUBLICKEY.
+ * Layout: len (words), n0inv, n (LE), rr (LE), e.
+ */
+function parseAndroidPublicKey(base64) {
+  const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  const view = new DataView(bytes.buffer);
+  const words = view.getUint32(0, true);
+  const size = words * 4;
+  let n = 0n;
+  for (let i = size - 1; i >= 0; i -= 1) {
+    n = (n << 8n) | BigInt(bytes[8 + i]);
+  }
+  const e = BigInt(view.getUint32(8 + size * 2, true));
+  return { n, e, size };
+}
+
+/**
+ * Check an AUTH_SIGNATURE against a token with one public key.
+ */
+function verifySignature(publicKey, token, signature) {
+  const { n, e, size } = parseAndroidPublicKey(publicKey);
+  let s = 0n;
+  for (const byte of signature) s = (s << 8n) | BigInt(byte);
+  let m = powMod(s, e, n);
+  const padded = new Uint8Array(size);
+  for (let i = size - 1; i >= 0; i -= 1) {
+    padded[i] = Number(m & 0xffn);
+    m >>= 8n;
+  }
+  const digestStart = size - token.length;
+  const infoStart = digestStart - SHA1_DIGEST_INFO.length;
+  return (
+    padded[0] === 0x00 &&
+    padded[1] === 0x01 &&
+    SHA1_DIGEST_INFO.every((byte, i) => padded[infoStart + i] === byte) &&
+    token.every((byte, i) => padded[digestStart + i] === byte)
+  );
+}
+
+/**
+ * Split a shell command line into words.
+ * Understands single quotes, double quotes and backslash escapes, which
+ * is all the client ever sends.
+ */
+export function splitShellWords(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else word += char;
+    } else if (quote === '"') {
+      if (char === '"') quote = null;
+      else if (char === "\\" && i + 1 < line.length) word += line[++i];
+      else word += char;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      word = word || "";
+    } else if (char === "\\" && i + 1 < line.length) {
+      word = (word || "") + line[++i];
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = (word || "") + char;
+    }
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+/**
+ * The "User 0:" line of a package in `dumpsys package`.
+ */
+function userLine(pkg) {
+  return (
+    `    User 0: ceDataInode=${pkg.uid * 7} installed=${pkg.installed} hidden=${pkg.hidden} ` +
+    `suspended=${pkg.suspended} distractionFlags=0 stopped=false notLaunched=false ` +
+    `enabled=${pkg.enabled ? 0 : 3} instant=false virtual=false`
+  );
+}
+
+// =============================================================================
+// FakeAdbDevice Class
+// =============================================================================
+
+export class FakeAdbDevice {
+  /**
+   * @param {Object} options - Device setup
+   * @param {string[]} options.packages - Installed package names
+   * @param {string} options.serial - ro.serialno / USB serial number
+   * @param {string} options.model - ro.product.model
+   * @param {string[]} options.features - Features advertised in CNXN
+   * @param {string[]} options.authorizedKeys - Already trusted public keys (base64)
+   * @param {Function} options.onAuthorizationRequest - Called with the public
+   *   key when the "Allow USB debugging?" prompt would show. Return (or
+   *   resolve) true to accept. Defaults to accepting.
+   * @param {number} options.maxPayload - Largest payload the device accepts
+   * @param {number} options.version - Protocol version sent in CNXN; below
+   *   VERSION_SKIP_CHECKSUM every payload carries a checksum
+   * @param {number} options.receiveWindow - delayed_ack window the device
+   *   offers per stream
+   * @param {number} options.latencyMs - Delay added to every transfer in
+   *   each direction
+   * @param {number} options.sdk - Android API level; below 28 `pm list
+   *   packages` rejects -U and --show-versioncode
+   * @param {string|null} options.root - "adbd" when adbd runs as root,
+   *   "su" when the shell user has su; otherwise `pm hide` is refused
+   */
+  constructor({
+    packages = [],
+    serial = "FAKE0001",
+    model = "Fake Phone",
+    features = ["shell_v2", "cmd", "stat_v2", "ls_v2", "fixed_push_mkdir", "delayed_ack"],
+    authorizedKeys = [],
+    onAuthorizationRequest = () => true,
+    maxPayload = 4096,
+    version = VERSION_SKIP_CHECKSUM,
+    receiveWindow = 256 * 1024,
+    latencyMs = 0,
+    sdk = 34,
+    root = null,
+  } = {}) {
+    // USBDevice surface
+    this.vendorId = 0x18d1;
+    this.productId = 0x4ee7;
+    this.productName = model;
+    this.serialNumber = serial;
+    this.opened = false;
+    const alternate = {
+      alternateSetting: 0,
+      interfaceClass: 0xff,
+      interfaceSubclass: 0x42,
+      interfaceProtocol: 0x01,
+      endpoints: [
+        { direction: "in", type: "bulk", endpointNumber: IN_ENDPOINT, packetSize: PACKET_SIZE },
+        { direction: "out", type: "bulk", endpointNumber: OUT_ENDPOINT, packetSize: PACKET_SIZE },
+      ],
+    };
+    const interface_ = { interfaceNumber: 0, alternate, alternates: [alternate], claimed: false };
+    this.configuration = { configurationValue: 1, interfaces: [interface_] };
+    this.configurations = [this.configuration];
+
+    // Device identity and behavior
+    this.model = model;
+    this.features = features;
+    this.maxPayload = maxPayload;
+    this.version = version;
+    this.receiveWindow = receiveWindow;
+    this.latencyMs = latencyMs;
+    this.sdk = sdk;
+    this.root = root;
+    this.authorizedKeys = new Set(authorizedKeys);
+    this.onAuthorizationRequest = onAuthorizationRequest;
+
+    // Package state: name -> { enabled, installed, protected, system,
+    // apkPath, installer, uid, versionCode, versionName, updatedSystem,
+    // permissions, runtimePermissions, appOps, components,
+    // disabledComponents, standbyBucket, suspended, hidden }
+    this.packages = new Map();
+    packages.forEach((name) => this.addPackage(name));
+
+    // UIDs whose background data is restricted (cmd netpolicy)
+    this.restrictedBackgroundUids = new Set();
+
+    // Files for the sync service: path -> { data, mode, mtime }
+    this.files = new Map();
+
+    // Test observation
+    this.hostPackets = [];           // Every packet received from the host
+    this.authorizationRequests = 0;  // How often the prompt would have shown
+    this.commands = [];              // Shell commands that were run
+    this.checksumErrors = 0;         // Host packets with a wrong checksum
+    this.faults = [];                // Pending corruptions (see corruptNext)
+    this.peakUnackedBytes = 0;       // Most WRTE bytes in flight on one stream
+    this.windowViolations = 0;       // Host WRTEs beyond our delayed_ack window
+
+    this.resetConnection();
+  }
+
+  /**
+   * Device info in the shape AdbUsbClient.connect() expects.
+   */
+  deviceInfo() {
+    const interface_ = this.configuration.interfaces[0];
+    return {
+      device: this,
+      interfaceInfo: {
+        configuration: this.configuration,
+        interface_,
+        alternate: interface_.alternate,
+      },
+    };
+  }
+
+  /**
+   * Add or reinstall a package.
+   *
+   * permissions and runtimePermissions map permission names to whether
+   * they are granted; appOps maps op names to modes other than default;
+   * components lists class names (".Main" or full) per
+   * kind: { activities, services, receivers, providers }, and
+   * disabledComponents the full class names of those disabled.
+   * standbyBucket is the value `am get-standby-bucket` prints. An
+   * updatedSystem package is a system app with its update under /data.
+   */
+  addPackage(
+    name,
+    {
+      enabled = true,
+      protected: isProtected = false,
+      system = false,
+      apkPath = system
+        ? `/system/app/${name.split(".").pop()}/${name.split(".").pop()}.apk`
+        : `/data/app/~~c2VlZA==/${name}-YXBr==/base.apk`,
+      installer = system ? null : "com.android.vending",
+      versionCode = 1,
+      versionName = "1.0",
+      updatedSystem = false,
+      permissions = {},
+      runtimePermissions = {},
+      appOps = {},
+      components = {},
+      disabledComponents = [],
+      standbyBucket = STANDBY_BUCKETS.active,
+    } = {}
+  ) {
+    const uid = this.packages.get(name)?.uid ?? 10000 + this.packages.size;
+    this.packages.set(name, {
+      enabled,
+      installed: true,
+      protected: isProtected,
+      system: system || updatedSystem,
+      apkPath,
+      installer,
+      uid,
+      versionCode,
+      versionName,
+      updatedSystem,
+      permissions: { ...permissions },
+      runtimePermissions: { ...runtimePermissions },
+      appOps: { ...appOps },
+      components: { activities: [], services: [], receivers: [], providers: [], ...components },
+      disabledComponents: new Set(disabledComponents),
+      standbyBucket,
+      suspended: false,
+      hidden: false,
+    });
+  }
+
+  /**
+   * Add a file that can be pulled through the sync service.
+   */
+  addFile(path, contents, mode = 0o100644) {
+    const data = typeof contents === "string" ? textEncoder.encode(contents) : contents;
+    this.files.set(path, { data, mode, mtime: 1700000000 });
+  }
+
+  /**
+   * Corrupt the next packet the device sends with the given command.
+   *
+   * @param {string} command - Packet command, e.g. "WRTE"
+   * @param {string} kind - "checksum" (wrong data_crc) or "magic" (bad header)
+   */
+  corruptNext(command, kind) {
+    this.faults.push({ command, kind });
+  }
+
+  /**
+   * Queue raw bytes as an IN transfer, e.g. line noise between packets.
+   */
+  injectTransfer(bytes) {
+    this.inbound.push(bytes);
+    this.flushInbound();
+  }
+
+  resetConnection() {
+    this.inbound = [];              // Transfers queued for transferIn()
+    this.inboundWaiters = [];       // Pending transferIn() calls
+    this.outBuffer = new Uint8Array(0); // Host bytes not yet parsed
+    this.streams = new Map();       // Device stream id -> stream state
+    this.running = [];              // shell: streams of `sleep`, for tests to
+                                    // feed with write() and end() (shell_v2:
+                                    // stream.emit() and stream.exit())
+    this.nextStreamId = 1000;
+    this.online = false;
+    this.token = null;
+    this.hostMaxPayload = 4096;
+    this.protocolVersion = VERSION_MIN;
+    this.delayedAck = false;
+  }
+
+  // ===========================================================================
+  // USBDevice Methods
+  // ===========================================================================
+
+  async open() {
+    this.opened = true;
+  }
+
+  async close() {
+    this.opened = false;
+    // Cancel pending reads like the browser does when a device is closed
+    const waiters = this.inboundWaiters.splice(0);
+    waiters.forEach(({ reject }) => {
+      const error = new Error("The transfer was cancelled.");
+      error.name = "AbortError";
+      reject(error);
+    });
+    this.resetConnection();
+  }
+
+  async selectConfiguration() {}
+
+  async claimInterface(interfaceNumber) {
+    this.configuration.interfaces[interfaceNumber].claimed = true;
+  }
+
+  async releaseInterface(interfaceNumber) {
+    this.configuration.interfaces[interfaceNumber].claimed = false;
+  }
+
+  async selectAlternateInterface() {}
+
+  async clearHalt() {}
+
+  async transferOut(endpoint, data) {
+    if (!this.opened) throw new Error("The device must be opened first.");
+    const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice();
+    if (this.latencyMs) await delay(this.latencyMs);
+    this.outBuffer = concatBytes([this.outBuffer, bytes]);
+    this.parseHostPackets();
+    return { status: "ok", bytesWritten: bytes.length };
+  }
+
+  transferIn(endpoint, length) {
+    if (!this.opened) {
+      return Promise.reject(new Error("The device must be opened first."));
+    }
+    return new Promise((resolve, reject) => {
+      this.inboundWaiters.push({ resolve, reject, length });
+      this.flushInbound();
+    });
+  }
+
+  // ===========================================================================
+  // Packet I/O
+  // ===========================================================================
+
+  /**
+   * Hand queued transfers to waiting transferIn() calls.
+   */
+  flushInbound() {
+    while (this.inbound.length && this.inboundWaiters.length) {
+      const transfer = this.inbound.shift();
+      const { resolve, length } = this.inboundWaiters.shift();
+      const data = transfer.slice(0, length);
+      resolve({
+        status: data.length < transfer.length ? "babble" : "ok",
+        data: new DataView(data.buffer),
+      });
+    }
+  }
+
+  /**
+   * Queue a packet for the host: header and payload as separate transfers,
+   * like a real device.
+   */
+  sendPacket(command, arg0, arg1, payload = new Uint8Array(0)) {
+    const header = new Uint8Array(24);
+    const view = new DataView(header.buffer);
+    const value = commandToInt(command);
+    const skipChecksum = this.protocolVersion >= VERSION_SKIP_CHECKSUM;
+    view.setUint32(0, value, true);
+    view.setUint32(4, arg0, true);
+    view.setUint32(8, arg1, true);
+    view.setUint32(12, payload.length, true);
+    view.setUint32(16, skipChecksum ? 0 : checksum(payload), true);
+    view.setUint32(20, (value ^ 0xffffffff) >>> 0, true);
+
+    const fault = this.faults.findIndex((entry) => entry.command === command);
+    if (fault !== -1) {
+      const [{ kind }] = this.faults.splice(fault, 1);
+      if (kind === "checksum") view.setUint32(16, checksum(payload) + 1, true);
+      if (kind === "magic") view.setUint32(20, value, true);
+    }
+
+    const deliver = () => {
+      this.inbound.push(header);
+      if (payload.length) this.inbound.push(payload);
+      this.flushInbound();
+    };
+    if (this.latencyMs) setTimeout(deliver, this.latencyMs);
+    else deliver();
+  }
+
+  /**
+   * Parse complete host packets from the bytes received so far.
+   */
+  parseHostPackets() {
+    while (this.outBuffer.length >= 24) {
+      const view = new DataView(
+        this.outBuffer.buffer,
+        this.outBuffer.byteOffset,
+        this.outBuffer.byteLength
+      );
+      const length = view.getUint32(12, true);
+      if (this.outBuffer.length < 24 + length) return;
+      const packet = {
+        command: intToCommand(view.getUint32(0, true)),
+        arg0: view.getUint32(4, true),
+        arg1: view.getUint32(8, true),
+        checksum: view.getUint32(16, true),
+        payload: this.outBuffer.slice(24, 24 + length),
+      };
+      this.outBuffer = this.outBuffer.slice(24 + length);
+      this.hostPackets.push(packet);
+      // CNXN always starts out on the original version
+      const verify = packet.command === "CNXN" || this.protocolVersion < VERSION_SKIP_CHECKSUM;
+      if (verify && packet.checksum !== checksum(packet.payload)) {
+        this.checksumErrors += 1;
+        continue;
+      }
+      this.handlePacket(packet);
+    }
+  }
+
+  handlePacket(packet) {
+    switch (packet.command) {
+      case "CNXN":
+        this.handleConnect(packet);
+        break;
+      case "AUTH":
+        this.handleAuth(packet);
+        break;
+      case "OPEN":
+        this.handleOpen(packet);
+        break;
+      case "OKAY":
+        this.handleOkay(packet);
+        break;
+      case "WRTE":
+        this.handleWrite(packet);
+        break;
+      case "CLSE":
+        this.handleClose(packet);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // ===========================================================================
+  // Handshake
+  // ===========================================================================
+
+  handleConnect(packet) {
+    const identity = textDecoder.decode(packet.payload);
+    const hostFeatures = (identity.match(/features=([^;\0]*)/) || [])[1] || "";
+    this.delayedAck =
+      hostFeatures.split(",").includes("delayed_ack") &&
+      this.features.includes("delayed_ack");
+    this.protocolVersion = Math.min(packet.arg0, this.version);
+    this.hostMaxPayload = packet.arg1;
+    this.streams.clear();
+    this.online = false;
+    this.sendAuthToken();
+  }
+
+  sendAuthToken() {
+    this.token = crypto.getRandomValues(new Uint8Array(20));
+    this.sendPacket("AUTH", AUTH_TOKEN, 0, this.token);
+  }
+
+  sendConnect() {
+    this.online = true;
+    const banner =
+      `device::ro.product.name=fake;ro.product.model=${this.model};` +
+      `ro.product.device=fake;ro.serialno=${this.serialNumber};` +
+      `features=${this.features.join(",")}\0`;
+    this.sendPacket("CNXN", this.version, this.maxPayload, textEncoder.encode(banner));
+  }
+
+  async handleAuth(packet) {
+    if (packet.arg0 === AUTH_SIGNATURE) {
+      const trusted = [...this.authorizedKeys].some((key) =>
+        verifySignature(key, this.token, packet.payload)
+      );
+      if (trusted) {
+        this.sendConnect();
+      } else {
+        this.sendAuthToken();
+      }
+      return;
+    }
+    if (packet.arg0 === AUTH_RSAPUBLICKEY) {
+      const text = textDecoder.decode(packet.payload).replace(/\0+$/, "");
+      const publicKey = text.split(" ")[0];
+      this.authorizationRequests += 1;
+      const accepted = await this.onAuthorizationRequest(publicKey, text);
+      if (accepted && this.opened) {
+        this.authorizedKeys.add(publicKey);
+        this.sendConnect();
+      }
+    }
+  }
+
+  // ===========================================================================
+  // Streams
+  // ===========================================================================
+
+  handleOpen(packet) {
+    if (!this.online) return;
+    const service = textDecoder.decode(packet.payload).replace(/\0+$/, "");
+    const stream = {
+      id: this.nextStreamId++,
+      hostId: packet.arg0,
+      service,
+      queue: [],          // Outgoing WRTE payloads and the final CLSE
+      awaitingAck: false, // Whether our last WRTE is unacknowledged
+      unackedBytes: 0,    // WRTE bytes the host hasn't acknowledged
+      // delayed_ack: bytes the host still accepts, and bytes we accept
+      sendWindow: this.delayedAck ? packet.arg1 : null,
+      receiveWindow: this.receiveWindow,
+      closed: false,
+      onData: null,       // Service handler for host data
+    };
+
+    const handler = this.openService(stream, service);
+    if (!handler) {
+      this.sendPacket("CLSE", 0, packet.arg0);
+      return;
+    }
+    this.streams.set(stream.id, stream);
+    this.sendPacket("OKAY", stream.id, stream.hostId, this.ackPayload(this.receiveWindow));
+    handler();
+  }
+
+  /**
+   * OKAY payload: the acknowledged byte count with delayed_ack, else empty.
+   */
+  ackPayload(bytes) {
+    if (!this.delayedAck) return new Uint8Array(0);
+    const payload = new Uint8Array(4);
+    new DataView(payload.buffer).setUint32(0, bytes, true);
+    return payload;
+  }
+
+  handleOkay(packet) {
+    const stream = this.streams.get(packet.arg1);
+    if (!stream) return;
+    if (stream.sendWindow !== null && packet.payload.length === 4) {
+      const acked = new DataView(packet.payload.buffer).getUint32(0, true);
+      stream.sendWindow += acked;
+      stream.unackedBytes -= acked;
+    } else {
+      stream.awaitingAck = false;
+      stream.unackedBytes = 0;
+    }
+    this.pump(stream);
+  }
+
+  handleWrite(packet) {
+    const stream = this.streams.get(packet.arg1);
+    if (!stream) return;
+    if (this.delayedAck) {
+      stream.receiveWindow -= packet.payload.length;
+      if (stream.receiveWindow < 0) this.windowViolations += 1;
+      // Data is consumed right away, so the window reopens immediately
+      stream.receiveWindow += packet.payload.length;
+    }
+    this.sendPacket("OKAY", stream.id, stream.hostId, this.ackPayload(packet.payload.length));
+    if (stream.onData) stream.onData(packet.payload);
+  }
+
+  handleClose(packet) {
+    const stream = this.streams.get(packet.arg1);
+    if (!stream) return;
+    this.streams.delete(stream.id);
+    if (!stream.closed) {
+      stream.closed = true;
+      this.sendPacket("CLSE", stream.id, stream.hostId);
+    }
+  }
+
+  /**
+   * Queue data for the host, split to the host's max payload.
+   */
+  write(stream, data) {
+    const bytes = typeof data === "string" ? textEncoder.encode(data) : data;
+    const size = Math.min(this.hostMaxPayload, this.maxPayload);
+    for (let offset = 0; offset < bytes.length; offset += size) {
+      stream.queue.push(bytes.slice(offset, offset + size));
+    }
+    this.pump(stream);
+  }
+
+  /**
+   * Close a stream after all queued data has been acknowledged.
+   */
+  end(stream) {
+    stream.queue.push(null);
+    this.pump(stream);
+  }
+
+  /**
+   * Send queued WRTEs: one at a time without delayed_ack, otherwise as
+   * long as the host's window has room.
+   */
+  pump(stream) {
+    while (!stream.closed && stream.queue.length) {
+      const windowed = stream.sendWindow !== null;
+      if (windowed ? stream.sendWindow <= 0 : stream.awaitingAck) return;
+      const next = stream.queue.shift();
+      if (next === null) {
+        stream.closed = true;
+        this.sendPacket("CLSE", stream.id, stream.hostId);
+        return;
+      }
+      stream.awaitingAck = !windowed;
+      stream.unackedBytes += next.length;
+      if (windowed) stream.sendWindow -= next.length;
+      this.peakUnackedBytes = Math.max(this.peakUnackedBytes, stream.unackedBytes);
+      this.sendPacket("WRTE", stream.id, stream.hostId, next);
+    }
+  }
+
+  /**
+   * Pick a handler for an OPEN service name.
+   * Returns a function that starts the service, or null to reject it.
+   */
+  openService(stream, service) {
+    if (service === "sync:") {
+      return () => this.startSync(stream);
+    }
+    const v2 = service.match(/^shell,v2,([^:]*):(.*)$/s);
+    if (v2) {
+      return () => this.startShellV2(stream, v2[2]);
+    }
+    if (service.startsWith("shell:")) {
+      return () => this.startShell(stream, service.slice("shell:".length));
+    }
+    return null;
+  }
+
+  // ===========================================================================
+  // Shell Services
+  // ===========================================================================
+
+  /**
+   * Legacy shell: stdout and stderr are merged, no exit code.
+   * An empty command starts an interactive shell fed by host writes.
+   */
+  startShell(stream, command) {
+    if (command) {
+      const result = this.runCommand(command);
+      if (result.running) {
+        this.running.push(stream);
+        return;
+      }
+      this.write(stream, result.stdout + result.stderr);
+      this.end(stream);
+      return;
+    }
+    let pending = "";
+    stream.onData = (bytes) => {
+      pending += textDecoder.decode(bytes);
+      let index;
+      while ((index = pending.indexOf("\n")) !== -1) {
+        const line = pending.slice(0, index);
+        pending = pending.slice(index + 1);
+        if (line.trim() === "exit") {
+          this.end(stream);
+          return;
+        }
+        const result = this.runCommand(line);
+        this.write(stream, result.stdout + result.stderr);
+      }
+    };
+  }
+
+  /**
+   * Shell v2: output is wrapped in id/length packets and ends with EXIT.
+   */
+  startShellV2(stream, command) {
+    const packet = (id, data) => {
+      const body = typeof data === "string" ? textEncoder.encode(data) : data;
+      const bytes = new Uint8Array(5 + body.length);
+      bytes[0] = id;
+      new DataView(bytes.buffer).setUint32(1, body.length, true);
+      bytes.set(body, 5);
+      return bytes;
+    };
+    const emit = (result) => {
+      if (result.stdout) this.write(stream, packet(1, result.stdout));
+      if (result.stderr) this.write(stream, packet(2, result.stderr));
+    };
+    const exit = (code) => {
+      this.write(stream, packet(3, new Uint8Array([code & 0xff])));
+      this.end(stream);
+    };
+
+    if (command) {
+      const result = this.runCommand(command);
+      if (result.running) {
+        Object.assign(stream, { emit, exit });
+        this.running.push(stream);
+        return;
+      }
+      emit(result);
+      exit(result.exitCode);
+      return;
+    }
+
+    let pending = new Uint8Array(0);
+    let lineBuffer = "";
+    let lastExitCode = 0;
+    stream.onData = (bytes) => {
+      pending = concatBytes([pending, bytes]);
+      while (pending.length >= 5) {
+        const length = new DataView(pending.buffer, pending.byteOffset).getUint32(1, true);
+        if (pending.length < 5 + length) return;
+        const id = pending[0];
+        const data = pending.slice(5, 5 + length);
+        pending = pending.slice(5 + length);
+        if (id === 4) {
+          exit(lastExitCode);
+          return;
+        }
+        if (id !== 0) continue;
+        lineBuffer += textDecoder.decode(data);
+        let index;
+        while ((index = lineBuffer.indexOf("\n")) !== -1) {
+          const line = lineBuffer.slice(0, index);
+          lineBuffer = lineBuffer.slice(index + 1);
+          if (line.trim() === "exit") {
+            exit(lastExitCode);
+            return;
+          }
+          const result = this.runCommand(line);
+          lastExitCode = result.exitCode;
+          emit(result);
+        }
+      }
+    };
+  }
+
+  /**
+   * Run one command line against the fake device state.
+   *
+   * @param {string} line - Command line
+   * @returns {Object} { stdout, stderr, exitCode }, or { running: true }
+   *   for a command that keeps its stream open until the host closes it
+   */
+  runCommand(line) {
+    this.commands.push(line);
+    const words = splitShellWords(line);
+    // Only `... | grep -E <pattern>` is understood
+    const pipe = words.indexOf("|");
+    if (pipe !== -1 && words[pipe + 1] === "grep" && words[pipe + 2] === "-E") {
+      const result = this.runWords(words.slice(0, pipe));
+      const pattern = new RegExp(words[pipe + 3]);
+      const lines = result.stdout.split("\n").filter((entry) => pattern.test(entry));
+      return { ...result, stdout: lines.map((entry) => `${entry}\n`).join("") };
+    }
+    return this.runWords(words);
+  }
+
+  /**
+   * Run one command, split into words, against the fake device state.
+   */
+  runWords([program, ...args], { asRoot = this.root === "adbd" } = {}) {
+    if (!program) return { stdout: "", stderr: "", exitCode: 0 };
+    if (program === "echo") {
+      return { stdout: `${args.join(" ")}\n`, stderr: "", exitCode: 0 };
+    }
+    if (program === "su" && this.root === "su" && args[0] === "-c") {
+      return this.runWords(splitShellWords(args[1]), { asRoot: true });
+    }
+    if (program === "pm") {
+      return this.runPm(args, { asRoot });
+    }
+    if (program === "cmd" && args[0] === "package") {
+      return this.runPm(args.slice(1), { asRoot });
+    }
+    if (program === "cmd" && args[0] === "appops") {
+      return this.runAppOps(args.slice(1));
+    }
+    if (program === "cmd" && args[0] === "netpolicy") {
+      return this.runNetPolicy(args.slice(1));
+    }
+    if (program === "am" && /^(get|set)-standby-bucket$/.test(args[0])) {
+      return this.runStandbyBucket(args);
+    }
+    if (program === "dumpsys" && args[0] === "package" && args[1] === "packages") {
+      return { stdout: this.dumpAllPackages(), stderr: "", exitCode: 0 };
+    }
+    if (program === "dumpsys" && args[0] === "package") {
+      return { stdout: this.dumpPackage(args[1]), stderr: "", exitCode: 0 };
+    }
+    if (program === "sleep") {
+      return { stdout: "", stderr: "", exitCode: 0, running: true };
+    }
+    return {
+      stdout: "",
+      stderr: `/system/bin/sh: ${program}: inaccessible or not found\n`,
+      exitCode: 127,
+    };
+  }
+
+  /**
+   * `dumpsys package <name>` in the layout of Android 13, trimmed to the
+   * sections the app reads plus a few it has to skip.
+   */
+  dumpPackage(name) {
+    const pkg = this.packages.get(name);
+    if (!pkg) return `Dexopt state:\n  Unable to find package: ${name}\n`;
+    const hex = (seed) => ((seed * 0x9e3779b1) >>> 4).toString(16);
+    const lines = [];
+    const resolver = (title, kind, action) => {
+      const classes = pkg.components[kind];
+      if (!classes.length) return;
+      lines.push(`${title}:`, "  Non-Data Actions:", `      ${action}:`);
+      classes.forEach((className, index) => {
+        lines.push(`        ${hex(index + 1)} ${name}/${className} filter ${hex(index + 17)}`);
+        lines.push(`          Action: "${action}"`);
+      });
+      lines.push("");
+    };
+    resolver("Activity Resolver Table", "activities", "android.intent.action.MAIN");
+    resolver("Receiver Resolver Table", "receivers", "android.intent.action.BOOT_COMPLETED");
+    resolver("Service Resolver Table", "services", "android.intent.action.SYNC");
+    if (pkg.components.providers.length) {
+      lines.push("Registered ContentProviders:");
+      for (const className of pkg.components.providers) {
+        lines.push(`  ${name}/${className}:`, `    Provider{${hex(9)} ${name}/${className}}`);
+      }
+      lines.push("");
+    }
+    lines.push("Key Set Manager:", `  [${name}]`, "      Signing KeySets: 5", "");
+
+    const codePath = pkg.apkPath.replace(/\/[^/]+\.apk$/, "");
+    const flags = [pkg.system && "SYSTEM", "HAS_CODE", pkg.updatedSystem && "UPDATED_SYSTEM_APP"];
+    const requested = [...Object.keys(pkg.permissions), ...Object.keys(pkg.runtimePermissions)];
+    lines.push(
+      "Packages:",
+      `  Package [${name}] (${hex(pkg.uid)}):`,
+      `    userId=${pkg.uid}`,
+      `    pkg=Package{${hex(pkg.uid + 1)} ${name}}`,
+      `    codePath=${codePath}`,
+      `    versionCode=${pkg.versionCode} minSdk=24 targetSdk=33`,
+      `    versionName=${pkg.versionName}`,
+      `    flags=[ ${flags.filter(Boolean).join(" ")} ]`,
+      "    timeStamp=2024-03-04 05:06:07",
+      "    firstInstallTime=2024-01-02 03:04:05",
+      "    lastUpdateTime=2024-03-04 05:06:07",
+      `    installerPackageName=${pkg.installer}`,
+      "    requested permissions:",
+      ...requested.map((permission) => `      ${permission}`),
+      "    install permissions:",
+      ...Object.entries(pkg.permissions).map(
+        ([permission, granted]) => `      ${permission}: granted=${granted}`
+      ),
+      userLine(pkg),
+      "      gids=[3003]",
+      ...(pkg.disabledComponents.size
+        ? ["      disabledComponents:", ...[...pkg.disabledComponents].map((entry) => `        ${entry}`)]
+        : []),
+      "      runtime permissions:",
+      ...Object.entries(pkg.runtimePermissions).map(
+        ([permission, granted]) => `        ${permission}: granted=${granted}, flags=[ USER_SET ]`
+      ),
+      ""
+    );
+    if (pkg.updatedSystem) {
+      const folder = name.split(".").pop();
+      lines.push(
+        "Hidden system packages:",
+        `  Package [${name}] (${hex(pkg.uid + 2)}):`,
+        `    userId=${pkg.uid}`,
+        `    codePath=/system/app/${folder}`,
+        ""
+      );
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * `dumpsys package packages`: the "Packages:" section for every package,
+   * with a little of what comes before and after it.
+   */
+  dumpAllPackages() {
+    const lines = ["Database versions:", "  Internal:", "    sdkVersion=34", "", "Packages:"];
+    for (const [name, pkg] of this.packages) {
+      lines.push(
+        `  Package [${name}] (${pkg.uid.toString(16)}):`,
+        `    userId=${pkg.uid}`,
+        `    versionCode=${pkg.versionCode} minSdk=24 targetSdk=33`,
+        userLine(pkg),
+        "      gids=[3003]"
+      );
+    }
+    lines.push("", "Hidden system packages:");
+    for (const [name, pkg] of this.packages) {
+      if (!pkg.updatedSystem) continue;
+      // The factory version's user state isn't the one that counts
+      lines.push(
+        `  Package [${name}] (${(pkg.uid + 2).toString(16)}):`,
+        `    userId=${pkg.uid}`,
+        "    User 0: installed=true hidden=false suspended=false"
+      );
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * `pm disable` / `pm enable` of a "package/class" component.
+   */
+  setComponentEnabled(command, component) {
+    const [name, className] = component.split("/");
+    const pkg = this.packages.get(name);
+    const fullName = className.startsWith(".") ? name + className : className;
+    const failure = (message) => ({
+      stdout: "",
+      stderr: `Exception occurred while executing '${command}':\n${message}\n`,
+      exitCode: 255,
+    });
+    if (!pkg || !pkg.installed) {
+      return failure(`java.lang.IllegalArgumentException: Unknown package: ${name}`);
+    }
+    const known = Object.values(pkg.components)
+      .flat()
+      .map((entry) => (entry.startsWith(".") ? name + entry : entry));
+    if (!known.includes(fullName) && !pkg.disabledComponents.has(fullName)) {
+      return failure(
+        `java.lang.IllegalArgumentException: Component class ${fullName} does not exist in ${name}`
+      );
+    }
+    if (command === "enable") pkg.disabledComponents.delete(fullName);
+    else pkg.disabledComponents.add(fullName);
+    const state = command === "enable" ? "enabled" : "disabled";
+    return { stdout: `Component {${name}/${fullName}} new state: ${state}\n`, stderr: "", exitCode: 0 };
+  }
+
+  /**
+   * Emulate `cmd appops get` and `cmd appops set`.
+   */
+  runAppOps(args) {
+    const [command, name, op, mode] = args;
+    if (command === "query-op") {
+      // query-op <op> [<mode>]: packages with that op in that mode
+      const [, queried, queriedMode = "allow"] = args;
+      const names = [...this.packages]
+        .filter(([, pkg]) => pkg.installed && (pkg.appOps[queried] || "default") === queriedMode)
+        .map(([packageName]) => `${packageName}\n`);
+      return { stdout: names.join("") || "No operations.\n", stderr: "", exitCode: 0 };
+    }
+    const pkg = this.packages.get(name);
+    if (!pkg || !pkg.installed) {
+      return { stdout: "", stderr: `Error: Unknown package: ${name}\n`, exitCode: 255 };
+    }
+    if (command === "get") {
+      const lines = Object.entries(pkg.appOps).map(([entry, value]) => `${entry}: ${value}\n`);
+      return { stdout: lines.join("") || "No operations.\n", stderr: "", exitCode: 0 };
+    }
+    if (command === "set") {
+      if (!KNOWN_APP_OPS.includes(op)) {
+        return { stdout: "", stderr: `Error: Unknown operation string: ${op}\n`, exitCode: 255 };
+      }
+      if (mode === "default") delete pkg.appOps[op];
+      else pkg.appOps[op] = mode;
+      return { stdout: "", stderr: "", exitCode: 0 };
+    }
+    return { stdout: "", stderr: `Unknown command: ${command}\n`, exitCode: 255 };
+  }
+
+  /**
+   * Emulate `am get-standby-bucket [<package>]` and
+   * `am set-standby-bucket <package> <bucket>`.
+   */
+  runStandbyBucket(args) {
+    const [command, name, bucket] = args;
+    const pkg = name ? this.packages.get(name) : null;
+    if (command === "get-standby-bucket" && !name) {
+      const lines = [...this.packages]
+        .filter(([, state]) => state.installed)
+        .map(([packageName, state]) => `${packageName}: ${state.standbyBucket}\n`);
+      return { stdout: lines.join(""), stderr: "", exitCode: 0 };
+    }
+    if (!pkg || !pkg.installed) {
+      return {
+        stdout: "",
+        stderr: `java.lang.IllegalArgumentException: Unknown package: ${name}\n`,
+        exitCode: 255,
+      };
+    }
+    if (command === "get-standby-bucket") {
+      return { stdout: `${pkg.standbyBucket}\n`, stderr: "", exitCode: 0 };
+    }
+    if (!(bucket in STANDBY_BUCKETS)) {
+      return {
+        stdout: "",
+        stderr: `java.lang.NumberFormatException: For input string: "${bucket}"\n`,
+        exitCode: 255,
+      };
+    }
+    pkg.standbyBucket = STANDBY_BUCKETS[bucket];
+    return { stdout: "", stderr: "", exitCode: 0 };
+  }
+
+  /**
+   * Emulate the restrict-background-blacklist part of `cmd netpolicy`.
+   */
+  runNetPolicy(args) {
+    const [command, list, uid] = args;
+    if (list !== "restrict-background-blacklist") {
+      return { stdout: "", stderr: `Error: unknown list type '${list}'\n`, exitCode: 255 };
+    }
+    if (command === "list") {
+      const uids = [...this.restrictedBackgroundUids].map((entry) => `${entry} `).join("");
+      return { stdout: `Restrict background blacklisted UIDs: ${uids || "none"}\n`, stderr: "", exitCode: 0 };
+    }
+    if (!/^\d+$/.test(uid || "")) {
+      return { stdout: "", stderr: `Error: UID (${uid}) should be a number\n`, exitCode: 255 };
+    }
+    if (command === "add") this.restrictedBackgroundUids.add(Number(uid));
+    else if (command === "remove") this.restrictedBackgroundUids.delete(Number(uid));
+    else return { stdout: "", stderr: `Unknown command: ${command}\n`, exitCode: 255 };
+    return { stdout: "", stderr: "", exitCode: 0 };
+  }
+
+  /**
+   * Emulate the subset of `pm` (and `cmd package`) the client uses.
+   */
+  runPm(args, { asRoot = false } = {}) {
+    const ok = (stdout) => ({ stdout, stderr: "", exitCode: 0 });
+    const unknownPackage = (command, name) => ({
+      stdout: "",
+      stderr:
+        `Exception occurred while executing '${command}':\n` +
+        `java.lang.IllegalArgumentException: Unknown package: ${name}\n`,
+      exitCode: 255,
+    });
+    // Drop "--user <id>" options, the fake only has user 0
+    const words = [];
+    for (let i = 0; i < args.length; i += 1) {
+      if (args[i] === "--user") i += 1;
+      else words.push(args[i]);
+    }
+    const [command, ...rest] = words;
+    const flags = rest.filter((word) => word.startsWith("-"));
+    const [name] = rest.filter((word) => !word.startsWith("-"));
+    const pkg = name ? this.packages.get(name) : null;
+
+    if (command === "list" && rest[0] === "packages") {
+      const unsupported =
+        this.sdk < 28 && flags.find((flag) => ["-U", "--show-versioncode"].includes(flag));
+      if (unsupported) {
+        return { stdout: "", stderr: `Error: Unknown option: ${unsupported}\n`, exitCode: 1 };
+      }
+      const lines = [];
+      for (const [packageName, state] of this.packages) {
+        if ((!state.installed || state.hidden) && !flags.includes("-u")) continue;
+        if (flags.includes("-d") && state.enabled) continue;
+        if (flags.includes("-e") && !state.enabled) continue;
+        if (flags.includes("-s") && !state.system) continue;
+        if (flags.includes("-3") && state.system) continue;
+        // Same field order as PackageManagerShellCommand
+        let line = "package:";
+        if (flags.includes("-f")) line += `${state.apkPath}=`;
+        line += packageName;
+        if (flags.includes("--show-versioncode")) line += ` versionCode:${state.versionCode}`;
+        if (flags.includes("-i")) line += `  installer=${state.installer}`;
+        if (flags.includes("-U")) line += ` uid:${state.uid}`;
+        lines.push(line);
+      }
+      return ok(lines.map((entry) => `${entry}\n`).join(""));
+    }
+    if (["disable", "disable-user", "enable"].includes(command) && name?.includes("/")) {
+      return this.setComponentEnabled(command, name);
+    }
+    if (command === "disable-user" || command === "enable") {
+      if (!pkg || !pkg.installed) return unknownPackage(command, name);
+      if (pkg.protected && command === "disable-user") {
+        return {
+          stdout: "",
+          stderr:
+            `Exception occurred while executing '${command}':\n` +
+            `java.lang.IllegalArgumentException: Cannot disable a protected package: ${name}\n`,
+          exitCode: 255,
+        };
+      }
+      pkg.enabled = command === "enable";
+      return ok(`Package ${name} new state: ${pkg.enabled ? "enabled" : "disabled-user"}\n`);
+    }
+    if (command === "grant" || command === "revoke") {
+      if (!pkg || !pkg.installed) return unknownPackage(command, name);
+      const permission = rest.filter((word) => !word.startsWith("-"))[1];
+      const failure = (message) => ({
+        stdout: "",
+        stderr: `Exception occurred while executing '${command}':\n${message}\n`,
+        exitCode: 255,
+      });
+      if (permission in pkg.permissions) {
+        return failure(
+          `java.lang.SecurityException: Permission ${permission} requested by ${name} ` +
+            "is not a changeable permission type"
+        );
+      }
+      if (!(permission in pkg.runtimePermissions)) {
+        return failure(
+          `java.lang.IllegalArgumentException: Package ${name} has not requested permission ${permission}`
+        );
+      }
+      pkg.runtimePermissions[permission] = command === "grant";
+      return ok("");
+    }
+    if (command === "suspend" || command === "unsuspend") {
+      // PackageManagerShellCommand prints the exception on stdout here
+      if (!pkg || !pkg.installed) {
+        return {
+          stdout: `java.lang.IllegalArgumentException: Unknown target package: ${name}\n`,
+          stderr: "",
+          exitCode: 1,
+        };
+      }
+      // Protected packages are silently left alone
+      if (!pkg.protected) pkg.suspended = command === "suspend";
+      return ok(`Package ${name} new suspended state: ${pkg.suspended}\n`);
+    }
+    if (command === "hide" || command === "unhide") {
+      if (!asRoot) {
+        return {
+          stdout: "",
+          stderr:
+            `Exception occurred while executing '${command}':\n` +
+            "java.lang.SecurityException: Neither user 2000 nor current process has " +
+            "android.permission.MANAGE_USERS.\n",
+          exitCode: 255,
+        };
+      }
+      if (!pkg) return unknownPackage(command, name);
+      if (!pkg.protected) pkg.hidden = command === "hide";
+      return ok(`Package ${name} new hidden state: ${pkg.hidden}\n`);
+    }
+    if (command === "path") {
+      if (!pkg || !pkg.installed) return { stdout: "", stderr: "", exitCode: 1 };
+      return ok(`package:${pkg.apkPath}\n`);
+    }
+    if (command === "install-existing") {
+      if (!pkg) {
+        return ok(`android.content.pm.PackageManager$NameNotFoundException: Package ${name} doesn't exist\n`);
+      }
+      pkg.installed = true;
+      pkg.hidden = false;
+      return ok(`Package ${name} installed for user: 0\n`);
+    }
+    if (command === "uninstall") {
+      if (pkg && pkg.protected) {
+        return { stdout: "Failure [DELETE_FAILED_DEVICE_POLICY_MANAGER]\n", stderr: "", exitCode: 1 };
+      }
+      if (!pkg || !pkg.installed) {
+        return { stdout: "Failure [not installed for 0]\n", stderr: "", exitCode: 1 };
+      }
+      pkg.installed = false;
+      return ok("Success\n");
+    }
+    return {
+      stdout: "",
+      stderr: `Unknown command: ${command}\n`,
+      exitCode: 1,
+    };
+  }
+
+  // ===========================================================================
+  // Sync Service
+  // ===========================================================================
+
+  /**
+   * Whether a path is a directory (explicitly "/" or a prefix of a file).
+   */
+  isDirectory(path) {
+    const prefix = path.endsWith("/") ? path : `${path}/`;
+    return path === "/" || [...this.files.keys()].some((file) => file.startsWith(prefix));
+  }
+
+  startSync(stream) {
+    let buffer = new Uint8Array(0);
+    let upload = null; // { path, mode, chunks } while a SEND is in progress
+    const syncHeader = (id, value) => {
+      const bytes = new Uint8Array(8);
+      bytes.set(textEncoder.encode(id), 0);
+      new DataView(bytes.buffer).setUint32(4, value, true);
+      return bytes;
+    };
+    const fail = (message) => {
+      const body = textEncoder.encode(message);
+      this.write(stream, concatBytes([syncHeader("FAIL", body.length), body]));
+    };
+    const stat2 = (id, entry) => {
+      const bytes = new Uint8Array(72);
+      const view = new DataView(bytes.buffer);
+      bytes.set(textEncoder.encode(id), 0);
+      if (!entry) {
+        view.setUint32(4, 2, true); // ENOENT
+        return bytes;
+      }
+      view.setUint32(24, entry.mode, true);
+      view.setBigUint64(40, BigInt(entry.size), true);
+      view.setBigInt64(56, BigInt(entry.mtime), true);
+      return bytes;
+    };
+    const lookup = (path) => {
+      const file = this.files.get(path);
+      if (file) return { mode: file.mode, size: file.data.length, mtime: file.mtime };
+      if (this.isDirectory(path)) return { mode: 0o040755, size: 4096, mtime: 1700000000 };
+      return null;
+    };
+    const list = (path, v2) => {
+      const prefix = path.endsWith("/") ? path : `${path}/`;
+      const names = new Set();
+      for (const file of this.files.keys()) {
+        if (file.startsWith(prefix)) names.add(file.slice(prefix.length).split("/")[0]);
+      }
+      const records = [];
+      for (const name of [".", "..", ...names]) {
+        const entry = lookup(name.startsWith(".") ? path : prefix + name);
+        const nameBytes = textEncoder.encode(name);
+        if (v2) {
+          const record = new Uint8Array(76);
+          record.set(stat2("DNT2", entry));
+          new DataView(record.buffer).setUint32(72, nameBytes.length, true);
+          records.push(record, nameBytes);
+        } else {
+          const record = new Uint8Array(20);
+          const view = new DataView(record.buffer);
+          record.set(textEncoder.encode("DENT"));
+          view.setUint32(4, entry.mode, true);
+          view.setUint32(8, entry.size, true);
+          view.setUint32(12, entry.mtime, true);
+          view.setUint32(16, nameBytes.length, true);
+          records.push(record, nameBytes);
+        }
+      }
+      const done = new Uint8Array(v2 ? 76 : 20);
+      done.set(textEncoder.encode("DONE"));
+      records.push(done);
+      this.write(stream, concatBytes(records));
+    };
+
+    stream.onData = (bytes) => {
+      buffer = concatBytes([buffer, bytes]);
+      while (buffer.length >= 8) {
+        const id = textDecoder.decode(buffer.slice(0, 4));
+        const length = new DataView(buffer.buffer, buffer.byteOffset).getUint32(4, true);
+        // DONE during a SEND carries the mtime, not a length
+        const bodyLength = id === "DONE" || id === "QUIT" ? 0 : length;
+        if (buffer.length < 8 + bodyLength) return;
+        const body = buffer.slice(8, 8 + bodyLength);
+        buffer = buffer.slice(8 + bodyLength);
+        const path = textDecoder.decode(body);
+
+        if (upload) {
+          if (id === "DATA") {
+            upload.chunks.push(body);
+          } else if (id === "DONE") {
+            this.files.set(upload.path, {
+              data: concatBytes(upload.chunks),
+              mode: upload.mode,
+              mtime: length,
+            });
+            upload = null;
+            this.write(stream, syncHeader("OKAY", 0));
+          }
+          continue;
+        }
+
+        if (id === "STAT") {
+          const entry = lookup(path);
+          const reply = new Uint8Array(16);
+          const view = new DataView(reply.buffer);
+          reply.set(textEncoder.encode("STAT"));
+          if (entry) {
+            view.setUint32(4, entry.mode, true);
+            view.setUint32(8, entry.size, true);
+            view.setUint32(12, entry.mtime, true);
+          }
+          this.write(stream, reply);
+        } else if (id === "STA2" || id === "LST2") {
+          this.write(stream, stat2(id, lookup(path)));
+        } else if (id === "LIST" || id === "LIS2") {
+          list(path, id === "LIS2");
+        } else if (id === "RECV") {
+          const file = this.files.get(path);
+          if (!file) {
+            fail("No such file or directory");
+            continue;
+          }
+          const parts = [];
+          for (let offset = 0; offset < file.data.length; offset += 64 * 1024) {
+            const chunk = file.data.slice(offset, offset + 64 * 1024);
+            parts.push(syncHeader("DATA", chunk.length), chunk);
+          }
+          parts.push(syncHeader("DONE", 0));
+          this.write(stream, concatBytes(parts));
+        } else if (id === "SEND") {
+          const comma = path.lastIndexOf(",");
+          upload = {
+            path: path.slice(0, comma),
+            mode: Number(path.slice(comma + 1)),
+            chunks: [],
+          };
+        } else if (id === "QUIT") {
+          this.end(stream);
+          return;
+        } else {
+          fail(`unknown sync command ${id}`);
+        }
+      }
+    };
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * =============================================================================
+ * Fake APK - Minimal APKs for the APK Parser Tests
+ * =============================================================================
+ *
+ * Builds a ZIP with a binary AndroidManifest.xml, a resources.arsc and
+ * icon files, laid out the way aapt2 writes them:
+ * - The manifest's string pool is UTF-16, with attribute names that have
+ *   a resource id first (matching the resource map)
+ * - The resource table's global string pool is UTF-8
+ * - Type chunks use 32-bit offsets, or sparse entries when asked
+ *
+ * Usage Example:
+ * ```javascript
+ * const apk = buildApk({
+ *   packageName: "com.example.app",
+ *   labels: { "": "Example", de: "Beispiel" },
+ *   icons: {
+ *     160: "res/mipmap-mdpi-v4/ic_launcher.png",
+ *     0xfffe: "res/mipmap-anydpi-v26/ic_launcher.xml",
+ *   },
+ * });
+ * ```
+ */
+
+import { deflateRawSync } from "node:zlib";
+
+const textEncoder = new TextEncoder();
+
+const TYPE_REFERENCE = 0x01;
+const TYPE_STRING = 0x03;
+const ATTR_LABEL = 0x01010001;
+const ATTR_ICON = 0x01010002;
+const ATTR_NAME = 0x01010003;
+
+// Resource ids of the two entries the fake table defines
+export const LABEL_ID = 0x7f010000;
+export const ICON_ID = 0x7f020000;
+
+// Something that starts like a PNG, different per path
+export function fakeImage(path) {
+  return Uint8Array.from([0x89, 0x50, 0x4e, 0x47, ...textEncoder.encode(path)]);
+}
+
+/**
+ * Little-endian byte writer.
+ */
+class Writer {
+  constructor() {
+    this.bytes = [];
+  }
+
+  u8(value) {
+    this.bytes.push(value & 0xff);
+    return this;
+  }
+
+  u16(value) {
+    return this.u8(value).u8(value >> 8);
+  }
+
+  u32(value) {
+    return this.u16(value & 0xffff).u16(value >>> 16);
+  }
+
+  append(bytes) {
+    this.bytes.push(...bytes);
+    return this;
+  }
+
+  align() {
+    while (this.bytes.length % 4) this.u8(0);
+    return this;
+  }
+
+  get length() {
+    return this.bytes.length;
+  }
+
+  toBytes() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+/**
+ * A chunk: type, header size, total size, then the rest of the header and
+ * the body.
+ */
+function chunk(type, header, body) {
+  const out = new Writer().u16(type).u16(8 + header.length).u32(8 + header.length + body.length);
+  return out.append(header).append(body).toBytes();
+}
+
+function stringPool(strings, utf8) {
+  const data = new Writer();
+  const offsets = [];
+  for (const text of strings) {
+    offsets.push(data.length);
+    if (utf8) {
+      const encoded = textEncoder.encode(text);
+      data.u8(text.length).u8(encoded.length).append(encoded).u8(0);
+    } else {
+      data.u16(text.length);
+      for (let i = 0; i < text.length; i += 1) data.u16(text.charCodeAt(i));
+      data.u16(0);
+    }
+  }
+  data.align();
+  const header = new Writer()
+    .u32(strings.length)
+    .u32(0)
+    .u32(utf8 ? 0x100 : 0)
+    .u32(28 + strings.length * 4)
+    .u32(0);
+  const body = new Writer();
+  offsets.forEach((offset) => body.u32(offset));
+  body.append(data.bytes);
+  return chunk(0x0001, header.bytes, body.bytes);
+}
+
+/**
+ * Binary XML for <manifest package=...><application label icon/></manifest>,
+ * with <activity name=...> and the like inside <application>.
+ */
+function buildManifest({ packageName, label, labelLiteral, components }) {
+  // Names with resource ids first, as aapt2 does
+  const strings = ["label", "icon", "name", "package", "manifest", "application", packageName];
+  if (labelLiteral !== undefined) strings.push(labelLiteral);
+  for (const [element, names] of Object.entries(components)) {
+    strings.push(element, ...names);
+  }
+  const index = (text) => strings.indexOf(text);
+
+  const attribute = (name, type, data, raw = 0xffffffff) =>
+    new Writer().u32(0xffffffff).u32(index(name)).u32(raw).u16(8).u8(0).u8(type).u32(data).bytes;
+  const startElement = (name, attributes) => {
+    const body = new Writer()
+      .u32(0xffffffff)
+      .u32(index(name))
+      .u16(20)
+      .u16(20)
+      .u16(attributes.length)
+      .u16(0)
+      .u16(0)
+      .u16(0);
+    attributes.forEach((entry) => body.append(entry));
+    return chunk(0x0102, new Writer().u32(1).u32(0xffffffff).bytes, body.bytes);
+  };
+  const endElement = (name) =>
+    chunk(0x0103, new Writer().u32(1).u32(0xffffffff).bytes, new Writer().u32(0xffffffff).u32(index(name)).bytes);
+
+  const applicationAttributes = [];
+  if (labelLiteral !== undefined) {
+    const literal = index(labelLiteral);
+    applicationAttributes.push(attribute("label", TYPE_STRING, literal, literal));
+  } else if (label !== false) {
+    applicationAttributes.push(attribute("label", TYPE_REFERENCE, LABEL_ID));
+  }
+  applicationAttributes.push(attribute("icon", TYPE_REFERENCE, ICON_ID));
+
+  const body = new Writer()
+    .append(stringPool(strings, false))
+    .append(chunk(0x0180, [], new Writer().u32(ATTR_LABEL).u32(ATTR_ICON).u32(ATTR_NAME).bytes))
+    .append(startElement("manifest", [attribute("package", TYPE_STRING, index(packageName), index(packageName))]))
+    .append(startElement("application", applicationAttributes));
+  for (const [element, names] of Object.entries(components)) {
+    for (const name of names) {
+      body
+        .append(startElement(element, [attribute("name", TYPE_STRING, index(name), index(name))]))
+        .append(endElement(element));
+    }
+  }
+  body
+    .append(endElement("application"))
+    .append(endElement("manifest"));
+  return chunk(0x0003, [], body.bytes);
+}
+
+/**
+ * resources.arsc with string/app_name (one entry per language) and
+ * mipmap/ic_launcher (one entry per density).
+ */
+function buildResourceTable({ labels, icons, sparse }) {
+  const values = [...Object.values(labels), ...Object.values(icons)];
+  const valueIndex = (text) => values.indexOf(text);
+
+  const config = ({ language = "", density = 0 }) => {
+    const out = new Writer().u32(64).u16(0).u16(0);
+    out.u8(language.charCodeAt(0) || 0).u8(language.charCodeAt(1) || 0).u16(0);
+    out.u8(0).u8(0).u16(density);
+    while (out.length < 64) out.u8(0);
+    return out.bytes;
+  };
+  const typeChunk = (typeId, configBytes, data) => {
+    // One entry (index 0): key 0 or 1, a string value
+    const entry = new Writer().u16(8).u16(0).u32(typeId - 1).u16(8).u8(0).u8(TYPE_STRING).u32(data).bytes;
+    const offsets = sparse ? new Writer().u16(0).u16(0).bytes : new Writer().u32(0).bytes;
+    const header = new Writer()
+      .u8(typeId)
+      .u8(sparse ? 0x01 : 0)
+      .u16(0)
+      .u32(1)
+      .u32(8 + 12 + configBytes.length + offsets.length)
+      .append(configBytes);
+    return chunk(0x0201, header.bytes, [...offsets, ...entry]);
+  };
+
+  const packageBody = new Writer();
+  const typeStrings = stringPool(["string", "mipmap"], false);
+  const keyStrings = stringPool(["app_name", "ic_launcher"], false);
+  const headerLength = 8 + 4 + 256 + 4 * 5;
+  packageBody.append(typeStrings).append(keyStrings);
+  for (const [language, text] of Object.entries(labels)) {
+    packageBody.append(typeChunk(1, config({ language }), valueIndex(text)));
+  }
+  for (const [density, path] of Object.entries(icons)) {
+    packageBody.append(typeChunk(2, config({ density: Number(density) }), valueIndex(path)));
+  }
+  const packageHeader = new Writer().u32(0x7f);
+  const name = "com.example";
+  for (let i = 0; i < 128; i += 1) packageHeader.u16(i < name.length ? name.charCodeAt(i) : 0);
+  packageHeader
+    .u32(headerLength)
+    .u32(2)
+    .u32(headerLength + typeStrings.length)
+    .u32(2)
+    .u32(0);
+
+  const body = new Writer()
+    .append(stringPool(values, true))
+    .append(chunk(0x0200, packageHeader.bytes, packageBody.bytes));
+  return chunk(0x0002, new Writer().u32(1).bytes, body.bytes);
+}
+
+/**
+ * Pack files into a ZIP. Entries whose name ends in ".arsc" are stored
+ * (as aapt2 does, so they can be mapped), the rest deflated.
+ */
+export function buildZip(files) {
+  const out = new Writer();
+  const central = new Writer();
+  let count = 0;
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBytes = textEncoder.encode(name);
+    const stored = name.endsWith(".arsc");
+    const data = stored ? contents : new Uint8Array(deflateRawSync(contents));
+    const offset = out.length;
+    out.u32(0x04034b50).u16(20).u16(0).u16(stored ? 0 : 8).u32(0).u32(0);
+    out.u32(data.length).u32(contents.length).u16(nameBytes.length).u16(0);
+    out.append(nameBytes).append(data);
+    central.u32(0x02014b50).u16(20).u16(20).u16(0).u16(stored ? 0 : 8).u32(0).u32(0);
+    central.u32(data.length).u32(contents.length).u16(nameBytes.length).u16(0).u16(0);
+    central.u16(0).u16(0).u32(0).u32(offset).append(nameBytes);
+    count += 1;
+  }
+  const centralOffset = out.length;
+  out.append(central.bytes);
+  out.u32(0x06054b50).u16(0).u16(0).u16(count).u16(count);
+  out.u32(central.length).u32(centralOffset).u16(0);
+  return out.toBytes();
+}
+
+/**
+ * Build an APK.
+ *
+ * @param {Object} options - APK contents
+ * @param {string} options.packageName - Manifest package
+ * @param {Object} options.labels - Language ("" for default) -> label
+ * @param {string} options.labelLiteral - Put this label in the manifest
+ *   itself instead of referencing string/app_name
+ * @param {boolean} options.label - false for no android:label at all
+ * @param {Object} options.icons - Density -> file path of mipmap/ic_launcher
+ * @param {boolean} options.sparse - Write sparse type chunks
+ * @param {Object} options.components - Manifest element ("activity",
+ *   "service", ...) -> android:name values
+ * @returns {Uint8Array} APK bytes
+ */
+export function buildApk({
+  packageName = "com.example.app",
+  labels = { "": "Example" },
+  labelLiteral,
+  label,
+  icons = { 160: "res/mipmap-mdpi-v4/ic_launcher.png" },
+  sparse = false,
+  components = {},
+} = {}) {
+  const files = {
+    "AndroidManifest.xml": buildManifest({ packageName, label, labelLiteral, components }),
+    "resources.arsc": buildResourceTable({ labels, icons, sparse }),
+  };
+  for (const path of Object.values(icons)) {
+    files[path] = path.endsWith(".xml") ? textEncoder.encode("<adaptive-icon/>") : fakeImage(path);
+  }
+  return buildZip(files);
+}
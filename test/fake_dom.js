@@ -0,0 +1,214 @@
+/**
+ * =============================================================================
+ * Fake DOM - Just Enough Browser for app.js
+ * =============================================================================
+ *
+ * Installs minimal `document`, `localStorage` and `navigator.usb` globals so
+ * js/app.js can be imported and driven in Node. Elements are created on
+ * first lookup by id, which means the tests don't need index.html.
+ *
+ * Only the DOM surface app.js touches is implemented; extend it when app.js
+ * starts using something new.
+ */
+
+export class FakeElement {
+  constructor(tagName, id = "") {
+    this.tagName = tagName.toUpperCase();
+    this.id = id;
+    this.childNodes = [];
+    this.listeners = new Map();
+    this.text = "";
+    this.value = "";
+    this.disabled = false;
+    this.checked = false;
+    this.className = "";
+    this.type = "";
+    this.title = "";
+    this.open = false;
+    this.dataset = {};
+    this.style = {};
+    this.scrollTop = 0;
+    this.scrollHeight = 0;
+    this.clientHeight = 0;
+    this.files = [];
+
+    const classes = () => new Set(this.className.split(/\s+/).filter(Boolean));
+    const store = (set) => {
+      this.className = [...set].join(" ");
+    };
+    this.classList = {
+      add: (...names) => store(new Set([...classes(), ...names])),
+      remove: (...names) => {
+        const set = classes();
+        names.forEach((name) => set.delete(name));
+        store(set);
+      },
+      toggle: (name, force) => {
+        const set = classes();
+        const on = force === undefined ? !set.has(name) : force;
+        if (on) set.add(name);
+        else set.delete(name);
+        store(set);
+        return on;
+      },
+      contains: (name) => classes().has(name),
+    };
+  }
+
+  get children() {
+    return this.childNodes;
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get textContent() {
+    return this.text + this.childNodes.map((child) => child.textContent).join("");
+  }
+
+  set textContent(value) {
+    this.text = String(value);
+    this.childNodes = [];
+  }
+
+  set innerHTML(value) {
+    this.textContent = value;
+  }
+
+  appendChild(child) {
+    if (child.tagName === "#FRAGMENT") {
+      this.childNodes.push(...child.childNodes);
+      child.childNodes = [];
+    } else {
+      this.childNodes.push(child);
+    }
+    return child;
+  }
+
+  append(...children) {
+    children.forEach((child) => this.appendChild(child));
+  }
+
+  replaceChild(newChild, oldChild) {
+    const index = this.childNodes.indexOf(oldChild);
+    if (index !== -1) this.childNodes[index] = newChild;
+    return oldChild;
+  }
+
+  removeChild(child) {
+    this.childNodes = this.childNodes.filter((node) => node !== child);
+    return child;
+  }
+
+  setAttribute(name, value) {
+    this[name] = value;
+  }
+
+  focus() {}
+
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push(listener);
+  }
+
+  /**
+   * Fire an event and wait for async listeners, so tests can await clicks.
+   */
+  async dispatch(type, init = {}) {
+    const event = { type, target: this, preventDefault() {}, ...init };
+    const listeners = this.listeners.get(type) || [];
+    await Promise.all(listeners.map((listener) => listener(event)));
+  }
+
+  click() {
+    return this.dispatch("click");
+  }
+
+  /**
+   * Depth-first search, e.g. find((el) => el.textContent === "Disable").
+   */
+  find(predicate) {
+    for (const child of this.childNodes) {
+      if (predicate(child)) return child;
+      const match = child.find(predicate);
+      if (match) return match;
+    }
+    return null;
+  }
+}
+
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Install the fake globals.
+ *
+ * @param {Object} options - Setup
+ * @param {Function} options.requestDevice - Stand-in for the WebUSB picker;
+ *   returns the USBDevice to "select"
+ * @param {Function} options.getDevices - Returns the USBDevices the page
+ *   already has permission for
+ * @returns {Object} { document, localStorage, usb }
+ */
+export function installFakeDom({
+  requestDevice = async () => null,
+  getDevices = async () => [],
+} = {}) {
+  const elements = new Map();
+  const document = {
+    getElementById(id) {
+      if (!elements.has(id)) elements.set(id, new FakeElement("div", id));
+      return elements.get(id);
+    },
+    createElement(tagName) {
+      return new FakeElement(tagName);
+    },
+    createDocumentFragment() {
+      return new FakeElement("#fragment");
+    },
+  };
+
+  const usbListeners = new Map();
+  const usb = {
+    requestDevice: (options) => requestDevice(options),
+    getDevices: () => getDevices(),
+    addEventListener(type, listener) {
+      if (!usbListeners.has(type)) usbListeners.set(type, []);
+      usbListeners.get(type).push(listener);
+    },
+    dispatch(type, event) {
+      (usbListeners.get(type) || []).forEach((listener) => listener(event));
+    },
+  };
+
+  const localStorage = new MemoryStorage();
+  // Node 21+ defines navigator as a getter, so replace it outright
+  Object.defineProperty(globalThis, "navigator", {
+    value: { usb, clipboard: { writeText: async () => {} } },
+    configurable: true,
+    writable: true,
+  });
+  globalThis.document = document;
+  globalThis.localStorage = localStorage;
+  return { document, localStorage, usb };
+}
@@ -0,0 +1,202 @@
+/**
+ * Tests for parsePackageDump() against dumpsys output in the layouts of
+ * recent and old Android versions.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parsePackageDump, shortClassName } from "../js/package_dump.js";
+
+// Android 13, an updated system app, trimmed
+const UPDATED_SYSTEM_APP = `Activity Resolver Table:
+  Full MIME Types:
+      image/jpeg:
+        1d2e3f4 com.example.gallery/.ViewActivity filter 5a6b7c8
+          Action: "android.intent.action.VIEW"
+  Non-Data Actions:
+      android.intent.action.MAIN:
+        6b0e5c1 com.example.gallery/.MainActivity filter 2b3a0f6
+          Action: "android.intent.action.MAIN"
+          Category: "android.intent.category.LAUNCHER"
+        7c1f6d2 com.other.app/.MainActivity filter 3c4b1a7
+
+Receiver Resolver Table:
+  Non-Data Actions:
+      android.intent.action.BOOT_COMPLETED:
+        8d2a7e3 com.example.gallery/com.vendor.analytics.BootReceiver$Inner filter 4d5c2b8
+      android.intent.action.LOCKED_BOOT_COMPLETED:
+        8d2a7e3 com.example.gallery/com.vendor.analytics.BootReceiver$Inner filter 9e8d7c6
+
+Service Resolver Table:
+  Non-Data Actions:
+      android.content.SyncAdapter:
+        9e3b8f4 com.example.gallery/.sync.SyncService filter 5e6d3c9
+
+Registered ContentProviders:
+  com.example.gallery/.data.MediaProvider:
+    Provider{4d3c2b1 com.example.gallery/.data.MediaProvider}
+
+ContentProvider Authorities:
+  [com.example.gallery.media]:
+    Provider{4d3c2b1 com.example.gallery/.data.MediaProvider}
+      applicationInfo=ApplicationInfo{2a3b4c5 com.example.gallery}
+
+Key Set Manager:
+  [com.example.gallery]
+      Signing KeySets: 5
+
+Packages:
+  Package [com.example.gallery] (9f8e7d6):
+    userId=10123
+    pkg=Package{5e4d3c2 com.example.gallery}
+    codePath=/data/app/~~Zm9v/com.example.gallery-YmFy
+    resourcePath=/data/app/~~Zm9v/com.example.gallery-YmFy
+    versionCode=30402 minSdk=26 targetSdk=33
+    versionName=3.4.2 beta (build 7)
+    flags=[ SYSTEM HAS_CODE ALLOW_CLEAR_USER_DATA UPDATED_SYSTEM_APP ]
+    timeStamp=2024-03-04 05:06:07
+    firstInstallTime=2008-12-31 16:00:00
+    lastUpdateTime=2024-03-04 05:06:07
+    installerPackageName=com.android.vending
+    declared permissions:
+      com.example.gallery.permission.C2D_MESSAGE: prot=signature, INSTALLED
+    requested permissions:
+      android.permission.INTERNET
+      android.permission.READ_MEDIA_IMAGES: restricted=true
+      android.permission.ACCESS_FINE_LOCATION
+    install permissions:
+      android.permission.INTERNET: granted=true
+    User 0: ceDataInode=1234 installed=true hidden=false suspended=false distractionFlags=0 stopped=false notLaunched=false enabled=0 instant=false virtual=false
+      gids=[3003]
+      disabledComponents:
+        com.vendor.analytics.BootReceiver$Inner
+        com.example.gallery.JobService
+      enabledComponents:
+        com.example.gallery.sync.SyncService
+      runtime permissions:
+        android.permission.READ_MEDIA_IMAGES: granted=true, flags=[ USER_SET ]
+        android.permission.ACCESS_FINE_LOCATION: granted=false, flags=[ USER_SET ]
+    User 10: ceDataInode=5678 installed=false hidden=false suspended=false stopped=true notLaunched=true enabled=0
+      disabledComponents:
+        com.example.gallery.MainActivity
+      runtime permissions:
+        android.permission.ACCESS_FINE_LOCATION: granted=true, flags=[ USER_SET ]
+
+Hidden system packages:
+  Package [com.example.gallery] (1a2b3c4):
+    userId=10123
+    codePath=/system/priv-app/Gallery
+    versionCode=30001 minSdk=26 targetSdk=33
+
+Dexopt state:
+  [com.example.gallery]
+    path: /data/app/~~Zm9v/com.example.gallery-YmFy/base.apk
+`;
+
+// Android 5: no install/runtime split
+const LOLLIPOP_APP = `Packages:
+  Package [com.example.old] (2c3d4e5):
+    userId=10045 gids=[3003]
+    codePath=/data/app/com.example.old-1
+    versionCode=12 targetSdk=21
+    versionName=1.2
+    flags=[ HAS_CODE ALLOW_CLEAR_USER_DATA ALLOW_BACKUP ]
+    firstInstallTime=2015-06-07 08:09:10
+    lastUpdateTime=2015-06-07 08:09:10
+    installerPackageName=null
+    grantedPermissions:
+      android.permission.INTERNET
+      android.permission.CAMERA
+    User 0:  installed=true hidden=false stopped=false notLaunched=false enabled=0
+`;
+
+test("reads versions, install times and the code path", () => {
+  const details = parsePackageDump(UPDATED_SYSTEM_APP, "com.example.gallery");
+  assert.equal(details.found, true);
+  assert.equal(details.versionCode, 30402);
+  assert.equal(details.versionName, "3.4.2 beta (build 7)");
+  assert.equal(details.minSdk, 26);
+  assert.equal(details.targetSdk, 33);
+  assert.equal(details.userId, 10123);
+  assert.equal(details.firstInstallTime, "2008-12-31 16:00:00");
+  assert.equal(details.lastUpdateTime, "2024-03-04 05:06:07");
+  assert.equal(details.codePath, "/data/app/~~Zm9v/com.example.gallery-YmFy");
+  assert.equal(details.installer, "com.android.vending");
+  assert.equal(details.user.installed, "true");
+});
+
+test("recognises an updated system app and its factory copy", () => {
+  const details = parsePackageDump(UPDATED_SYSTEM_APP, "com.example.gallery");
+  assert.equal(details.system, true);
+  assert.equal(details.updatedSystemApp, true);
+  assert.equal(details.factoryCodePath, "/system/priv-app/Gallery");
+  // The hidden entry's versionCode doesn't override the installed one
+  assert.equal(details.versionCode, 30402);
+});
+
+test("lists requested and granted permissions for user 0", () => {
+  const details = parsePackageDump(UPDATED_SYSTEM_APP, "com.example.gallery");
+  assert.deepEqual(details.requestedPermissions, [
+    "android.permission.INTERNET",
+    "android.permission.READ_MEDIA_IMAGES",
+    "android.permission.ACCESS_FINE_LOCATION",
+  ]);
+  assert.deepEqual(details.runtimePermissions, [
+    { name: "android.permission.READ_MEDIA_IMAGES", granted: true },
+    { name: "android.permission.ACCESS_FINE_LOCATION", granted: false },
+  ]);
+  assert.deepEqual(details.grantedPermissions, [
+    "android.permission.INTERNET",
+    "android.permission.READ_MEDIA_IMAGES",
+  ]);
+});
+
+test("lists the package's own components from the resolver tables", () => {
+  const details = parsePackageDump(UPDATED_SYSTEM_APP, "com.example.gallery");
+  assert.deepEqual(details.components, {
+    activities: ["com.example.gallery.MainActivity", "com.example.gallery.ViewActivity"],
+    services: ["com.example.gallery.sync.SyncService"],
+    receivers: ["com.vendor.analytics.BootReceiver$Inner"],
+    providers: ["com.example.gallery.data.MediaProvider"],
+  });
+  assert.equal(
+    shortClassName("com.example.gallery", details.components.services[0]),
+    ".sync.SyncService"
+  );
+  assert.equal(
+    shortClassName("com.example.gallery", details.components.receivers[0]),
+    "com.vendor.analytics.BootReceiver$Inner"
+  );
+});
+
+test("lists the components whose state was changed for user 0", () => {
+  const details = parsePackageDump(UPDATED_SYSTEM_APP, "com.example.gallery");
+  assert.deepEqual(details.disabledComponents, [
+    "com.vendor.analytics.BootReceiver$Inner",
+    "com.example.gallery.JobService",
+  ]);
+  assert.deepEqual(details.enabledComponents, ["com.example.gallery.sync.SyncService"]);
+  // The block ends where the next one starts
+  assert.equal(details.runtimePermissions.length, 2);
+});
+
+test("reads the older layout and reports unknown packages", () => {
+  const old = parsePackageDump(LOLLIPOP_APP, "com.example.old");
+  assert.equal(old.versionCode, 12);
+  assert.equal(old.minSdk, null);
+  assert.equal(old.installer, null);
+  assert.equal(old.system, false);
+  assert.equal(old.updatedSystemApp, false);
+  assert.deepEqual(old.grantedPermissions, [
+    "android.permission.INTERNET",
+    "android.permission.CAMERA",
+  ]);
+
+  const missing = parsePackageDump("Dexopt state:\n  Unable to find package: x.y\n", "x.y");
+  assert.equal(missing.found, false);
+  // Listed in a resolver table, but not dumped itself
+  assert.equal(parsePackageDump(UPDATED_SYSTEM_APP, "com.other.app").found, false);
+});
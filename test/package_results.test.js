@@ -0,0 +1,170 @@
+/**
+ * Tests for parsePackageResult() against output captured from real
+ * devices (Android 8 to 14), and summarizeResults().
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parsePackageResult, summarizeResults } from "../js/package_results.js";
+
+/**
+ * Outcome and message for one output, for compact assertions.
+ */
+function parse(action, output, options) {
+  const { outcome, message } = parsePackageResult(action, output, options);
+  return [outcome, message];
+}
+
+test("state changes and Success are successes", () => {
+  assert.deepEqual(parse("disable", "Package com.x new state: disabled-user\n"), [
+    "success",
+    "Package com.x new state: disabled-user",
+  ]);
+  assert.deepEqual(parse("enable", "Package com.x new state: enabled\n"), [
+    "success",
+    "Package com.x new state: enabled",
+  ]);
+  assert.deepEqual(parse("uninstall", "Success\n"), ["success", "Success"]);
+  assert.deepEqual(parse("restore", "Package com.x installed for user: 0\n"), [
+    "success",
+    "Package com.x installed for user: 0",
+  ]);
+  assert.ok(parsePackageResult("uninstall", "Success\n").ok);
+});
+
+test("a package already in the target state is reported as such", () => {
+  const disabled = "Package com.x new state: disabled-user\n";
+  assert.equal(parse("disable", disabled, { before: "disabled" })[0], "already-in-state");
+  assert.equal(parse("disable", disabled, { before: "enabled" })[0], "success");
+  const notInstalled = "Failure [not installed for 0]\n";
+  assert.equal(parse("uninstall", notInstalled, { before: "uninstalled" })[0], "already-in-state");
+  assert.ok(parsePackageResult("uninstall", notInstalled, { before: "uninstalled" }).ok);
+  const restored = "Package com.x installed for user: 0\n";
+  assert.equal(parse("restore", restored, { before: "disabled" })[0], "already-in-state");
+  assert.equal(parse("restore", restored, { before: "uninstalled" })[0], "success");
+});
+
+test("unknown packages are not found", () => {
+  const exception =
+    "Exception occurred while executing 'disable-user':\n" +
+    "java.lang.IllegalArgumentException: Unknown package: com.missing\n" +
+    "\tat com.android.server.pm.PackageManagerService.setEnabledSetting(" +
+    "PackageManagerService.java:3814)\n";
+  assert.deepEqual(parse("disable", exception), ["not-found", "Unknown package: com.missing"]);
+  const error = "Error: java.lang.IllegalArgumentException: Unknown package: com.missing\n";
+  assert.deepEqual(parse("enable", error), ["not-found", "Unknown package: com.missing"]);
+  assert.deepEqual(parse("uninstall", "Failure [not installed for 0]\n"), [
+    "not-found",
+    "Failure [not installed for 0]",
+  ]);
+  const missing =
+    "android.content.pm.PackageManager$NameNotFoundException: Package com.missing doesn't exist\n";
+  assert.deepEqual(parse("restore", missing), ["not-found", "Package com.missing doesn't exist"]);
+});
+
+test("security exceptions are permission denied", () => {
+  const output =
+    "Exception occurred while executing 'disable-user':\n" +
+    "java.lang.SecurityException: Shell cannot change component state for com.x/null to 3\n";
+  assert.deepEqual(parse("disable", output), [
+    "permission-denied",
+    "Shell cannot change component state for com.x/null to 3",
+  ]);
+  const restricted = "Failure [DELETE_FAILED_USER_RESTRICTED]\n";
+  assert.equal(parse("uninstall", restricted)[0], "permission-denied");
+  assert.ok(!parsePackageResult("uninstall", restricted).ok);
+});
+
+test("protected packages are told apart from other refusals", () => {
+  const output =
+    "Exception occurred while executing 'disable-user':\n" +
+    "java.lang.SecurityException: Cannot disable a protected package: com.android.x\n";
+  assert.deepEqual(parse("disable", output), [
+    "protected-package",
+    "Cannot disable a protected package: com.android.x",
+  ]);
+  const deviceAdmin = "Failure [DELETE_FAILED_DEVICE_POLICY_MANAGER]\n";
+  assert.equal(parse("uninstall", deviceAdmin)[0], "protected-package");
+});
+
+test("anything else is unknown, with the first line as message", () => {
+  assert.deepEqual(parse("uninstall", "Failure [DELETE_FAILED_INTERNAL_ERROR]\n"), [
+    "unknown",
+    "Failure [DELETE_FAILED_INTERNAL_ERROR]",
+  ]);
+  assert.deepEqual(parse("disable", "Package com.x new state: enabled\n"), [
+    "unknown",
+    "Package com.x new state: enabled",
+  ]);
+  const crash =
+    "Exception occurred while executing 'uninstall':\n" +
+    "java.lang.IllegalStateException: Session is sealed\n";
+  assert.deepEqual(parse("uninstall", crash), ["unknown", "Session is sealed"]);
+  assert.deepEqual(parse("enable", ""), ["unknown", "(no output)"]);
+});
+
+test("grant, revoke and appops succeed silently", () => {
+  assert.deepEqual(parse("grant", ""), ["success", "Done"]);
+  assert.deepEqual(parse("revoke", "", { before: "revoked" }), ["already-in-state", "Done"]);
+  assert.deepEqual(parse("appops", "", { before: "ignore", target: "ignore" }), [
+    "already-in-state",
+    "Done",
+  ]);
+  assert.deepEqual(parse("appops", "", { before: "allow", target: "ignore" }), ["success", "Done"]);
+
+  const notRequested =
+    "Exception occurred while executing 'grant':\n" +
+    "java.lang.IllegalArgumentException: Package com.x has not requested permission android.permission.CAMERA\n";
+  assert.deepEqual(parse("grant", notRequested), [
+    "not-found",
+    "Package com.x has not requested permission android.permission.CAMERA",
+  ]);
+  const notChangeable =
+    "Exception occurred while executing 'revoke':\n" +
+    "java.lang.SecurityException: Permission android.permission.INTERNET requested by com.x " +
+    "is not a changeable permission type\n";
+  assert.equal(parse("revoke", notChangeable)[0], "permission-denied");
+  assert.equal(parse("appops", "Error: Unknown operation string: NOPE\n")[0], "not-found");
+});
+
+test("background restriction succeeds silently and fails on unknown packages", () => {
+  assert.deepEqual(parse("restrict", ""), ["success", "Done"]);
+  assert.deepEqual(parse("restrict", "", { before: "restricted" }), ["already-in-state", "Done"]);
+  assert.deepEqual(parse("unrestrict", "", { before: "partly restricted" }), ["success", "Done"]);
+  assert.deepEqual(parse("unrestrict", "", { before: "unrestricted" }), ["already-in-state", "Done"]);
+  assert.equal(parse("restrict", "Error: Unknown package: com.x\n")[0], "not-found");
+  const badBucket = 'java.lang.NumberFormatException: For input string: "restricted"\n';
+  assert.equal(parse("restrict", badBucket)[0], "unknown");
+});
+
+test("suspend and hide report the state the package ended up in", () => {
+  const suspended = "Package com.x new suspended state: true\n";
+  assert.deepEqual(parse("suspend", suspended), ["success", suspended.trim()]);
+  assert.equal(parse("suspend", suspended, { before: "suspended" })[0], "already-in-state");
+  const unsuspended = "Package com.x new suspended state: false\n";
+  assert.equal(parse("unsuspend", unsuspended, { before: "suspended" })[0], "success");
+  assert.equal(parse("unsuspend", unsuspended, { before: "unsuspended" })[0], "already-in-state");
+  // Android leaves protected packages as they were
+  assert.deepEqual(parse("suspend", unsuspended), ["protected-package", unsuspended.trim()]);
+  assert.equal(parse("hide", "Package com.x new hidden state: false\n")[0], "protected-package");
+  assert.equal(parse("unhide", "Package com.x new hidden state: false\n")[0], "success");
+  assert.deepEqual(
+    parse("suspend", "java.lang.IllegalArgumentException: Unknown target package: com.x\n"),
+    ["not-found", "Unknown target package: com.x"]
+  );
+  const denied =
+    "Exception occurred while executing 'hide':\n" +
+    "java.lang.SecurityException: Neither user 2000 nor current process has " +
+    "android.permission.MANAGE_USERS.\n";
+  assert.equal(parse("hide", denied)[0], "permission-denied");
+});
+
+test("summaries count outcomes in a fixed order", () => {
+  const outcomes = ["not-found", "success", "protected-package", "success"];
+  const results = outcomes.map((outcome) => ({ outcome }));
+  assert.equal(summarizeResults(results), "2 succeeded, 1 not found, 1 protected");
+  assert.equal(summarizeResults([]), "nothing to do");
+});
@@ -0,0 +1,276 @@
+/**
+ * Tests for WebSocketTransport against a scripted websockify-style bridge.
+ *
+ * The bridge stands in for the browser WebSocket and answers like a TCP
+ * adbd (an emulator on port 5555): it splits every packet it sends into
+ * small messages, so the client only works if read() reassembles them.
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { AdbClient } from "../js/adb_usb.js";
+import { WebSocketTransport } from "../js/websocket_transport.js";
+
+// The client logs every packet; keep test output readable
+console.log = () => {};
+
+const BRIDGE_URL = "ws://localhost:8080";
+const BANNER =
+  "device::ro.product.name=sdk_gphone;ro.product.model=Emulator;ro.serialno=emulator-5554;";
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// =============================================================================
+// Scripted Bridge
+// =============================================================================
+
+function commandCode(command) {
+  return command.split("").reduce((code, char, i) => code | (char.charCodeAt(0) << (8 * i)), 0) >>> 0;
+}
+
+function encodePacket(command, arg0, arg1, payload = new Uint8Array(0)) {
+  const bytes = typeof payload === "string" ? textEncoder.encode(payload) : payload;
+  const packet = new Uint8Array(24 + bytes.length);
+  const view = new DataView(packet.buffer);
+  const code = commandCode(command);
+  view.setUint32(0, code, true);
+  view.setUint32(4, arg0 >>> 0, true);
+  view.setUint32(8, arg1 >>> 0, true);
+  view.setUint32(12, bytes.length, true);
+  view.setUint32(16, bytes.reduce((sum, byte) => sum + byte, 0) >>> 0, true);
+  view.setUint32(20, (code ^ 0xffffffff) >>> 0, true);
+  packet.set(bytes, 24);
+  return packet;
+}
+
+function decodePacket(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  return {
+    command: textDecoder.decode(data.subarray(0, 4)),
+    arg0: view.getUint32(4, true),
+    arg1: view.getUint32(8, true),
+    payload: data.subarray(24, 24 + view.getUint32(12, true)),
+  };
+}
+
+/**
+ * Minimal WebSocket stand-in. A URL with no bridge registered fails the
+ * way browsers report an unreachable server: a close event with code 1006.
+ */
+class FakeWebSocket extends EventTarget {
+  static OPEN = 1;
+  static CLOSED = 3;
+  static bridges = new Map(); // url -> { chunkSize }
+  static sockets = [];
+
+  constructor(url, protocols) {
+    super();
+    this.url = url;
+    this.protocol = protocols[0];
+    this.binaryType = "blob";
+    this.bufferedAmount = 0;
+    this.readyState = 0;
+    this.bridge = FakeWebSocket.bridges.get(url);
+    this.hostPackets = [];
+    this.messages = 0;
+    this.nextStreamId = 100;
+    FakeWebSocket.sockets.push(this);
+
+    setTimeout(() => {
+      if (!this.bridge) {
+        this.drop(1006);
+        return;
+      }
+      this.readyState = FakeWebSocket.OPEN;
+      this.dispatchEvent(new Event("open"));
+    });
+  }
+
+  send(data) {
+    const packet = decodePacket(data);
+    this.hostPackets.push(packet);
+
+    // Answer like an emulator that accepts any signature
+    switch (packet.command) {
+      case "CNXN":
+        this.reply("AUTH", 1, 0, new Uint8Array(20).fill(7));
+        break;
+      case "AUTH":
+        this.reply("CNXN", 0x01000001, 4096, BANNER);
+        break;
+      case "OPEN": {
+        const service = textDecoder.decode(packet.payload).replace(/\0$/, "");
+        const output = `${service.replace(/^shell:echo /, "")}\n`;
+        const streamId = this.nextStreamId++;
+        this.reply("OKAY", streamId, packet.arg0);
+        this.reply("WRTE", streamId, packet.arg0, output);
+        this.reply("CLSE", streamId, packet.arg0);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Send a packet to the client in chunkSize-byte messages.
+   */
+  reply(command, arg0, arg1, payload) {
+    this.deliver(encodePacket(command, arg0, arg1, payload));
+  }
+
+  /**
+   * Send raw bytes to the client in chunkSize-byte messages.
+   */
+  deliver(bytes) {
+    setTimeout(() => {
+      for (let offset = 0; offset < bytes.length; offset += this.bridge.chunkSize) {
+        if (this.readyState !== FakeWebSocket.OPEN) return;
+        const data = bytes.slice(offset, offset + this.bridge.chunkSize).buffer;
+        this.messages++;
+        this.dispatchEvent(Object.assign(new Event("message"), { data }));
+      }
+    });
+  }
+
+  close() {
+    this.drop(1000);
+  }
+
+  /**
+   * Close the socket from the bridge side.
+   */
+  drop(code, reason = "") {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+    this.readyState = FakeWebSocket.CLOSED;
+    this.dispatchEvent(Object.assign(new Event("close"), { code, reason }));
+  }
+}
+
+globalThis.WebSocket = FakeWebSocket;
+
+function installBridge(t, chunkSize) {
+  FakeWebSocket.bridges.set(BRIDGE_URL, { chunkSize });
+  FakeWebSocket.sockets = [];
+  t.after(() => FakeWebSocket.bridges.clear());
+}
+
+// =============================================================================
+// Tests
+// =============================================================================
+
+test("a client connects and runs commands over a WebSocket bridge", async (t) => {
+  installBridge(t, 7);
+  const transport = new WebSocketTransport(BRIDGE_URL);
+  const client = new AdbClient({ streamTimeoutMs: 2000, transport });
+  t.after(() => client.disconnect());
+
+  const info = await client.connect();
+  assert.equal(info.serial, "emulator-5554");
+  assert.equal(info.model, "Emulator");
+
+  const [socket] = FakeWebSocket.sockets;
+  assert.deepEqual(
+    socket.hostPackets.map((packet) => [packet.command, packet.arg0]),
+    [["CNXN", 0x01000001], ["AUTH", 2]]
+  );
+
+  // Every packet arrives in 7-byte pieces, headers included
+  const text = "x".repeat(5000);
+  assert.equal(await client.runShell(`echo ${text}`), `${text}\n`);
+  assert.ok(socket.messages > 5000 / 7);
+  assert.equal(transport.bufferedLength, 0);
+});
+
+test("read() returns exactly the bytes asked for across messages", async (t) => {
+  installBridge(t, 5);
+  const transport = new WebSocketTransport(BRIDGE_URL);
+  await transport.open();
+  t.after(() => transport.close());
+
+  const [socket] = FakeWebSocket.sockets;
+  socket.reply("WRTE", 1, 2, "hello world");
+  const header = decodePacket(await transport.read(24));
+  assert.equal(header.command, "WRTE");
+  assert.equal(textDecoder.decode(await transport.read(6)), "hello ");
+  assert.equal(textDecoder.decode(await transport.read(5)), "world");
+  assert.equal(transport.bufferedLength, 0);
+});
+
+test("recover() makes the next header read skip to a valid header", async (t) => {
+  installBridge(t, 5);
+  const transport = new WebSocketTransport(BRIDGE_URL);
+  await transport.open();
+  t.after(() => transport.close());
+
+  const [socket] = FakeWebSocket.sockets;
+  socket.deliver(new Uint8Array(30).fill(0xab));
+  socket.reply("WRTE", 1, 2, "hello");
+  assert.deepEqual(await transport.read(24), new Uint8Array(24).fill(0xab));
+
+  await transport.recover("in");
+  const header = decodePacket(await transport.read(24));
+  assert.deepEqual([header.command, header.arg0, header.arg1], ["WRTE", 1, 2]);
+  assert.equal(textDecoder.decode(await transport.read(5)), "hello");
+  assert.equal(transport.skippedBytes, 6);
+});
+
+test("a client keeps working after garbage on the bridge", async (t) => {
+  installBridge(t, 7);
+  const transport = new WebSocketTransport(BRIDGE_URL);
+  const client = new AdbClient({ streamTimeoutMs: 2000, transport });
+  t.after(() => client.disconnect());
+  await client.connect();
+  assert.equal(await client.runShell("echo first"), "first\n");
+
+  // 24 bytes fail as a header; the 6 after them would misalign every
+  // later packet if the transport didn't resync
+  FakeWebSocket.sockets[0].deliver(new Uint8Array(30).fill(0xab));
+  for (let wait = 0; !client.packetErrors.length && wait < 100; wait++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(client.packetErrors.map((error) => error.code), ["BAD_MAGIC"]);
+
+  assert.equal(await client.runShell("echo still here"), "still here\n");
+  assert.equal(await client.runShell("echo and again"), "and again\n");
+  assert.equal(client.state, "connected");
+  assert.equal(transport.skippedBytes, 6);
+});
+
+test("a bridge that goes away reports why and fails pending reads", async (t) => {
+  installBridge(t, 7);
+  const reasons = [];
+  const transport = new WebSocketTransport(BRIDGE_URL, {
+    onClose: (reason) => reasons.push(reason),
+  });
+  await transport.open();
+
+  const pending = transport.read(24);
+  FakeWebSocket.sockets[0].drop(1006, "bridge stopped");
+  await assert.rejects(pending, /^Error: WebSocket closed \(code 1006: bridge stopped\)\.$/);
+  assert.deepEqual(reasons, ["WebSocket closed (code 1006: bridge stopped)."]);
+  assert.equal(transport.opened, false);
+});
+
+test("close() does not report the socket as lost", async (t) => {
+  installBridge(t, 7);
+  const reasons = [];
+  const transport = new WebSocketTransport(BRIDGE_URL, {
+    onClose: (reason) => reasons.push(reason),
+  });
+  await transport.open();
+  await transport.close();
+  assert.deepEqual(reasons, []);
+  await assert.rejects(transport.send(new Uint8Array(24), new Uint8Array(0)), /WebSocket closed/);
+});
+
+test("an unreachable bridge rejects open()", async (t) => {
+  installBridge(t, 7);
+  const transport = new WebSocketTransport("ws://nobody.test");
+  await assert.rejects(
+    transport.open(),
+    /^Error: Unable to reach ADB bridge at ws:\/\/nobody\.test\. WebSocket closed \(code 1006\)\.$/
+  );
+});